@@ -0,0 +1,209 @@
+// CollabConnect - Remote control agent
+// Runs on the presenter's machine. When the presenter lets someone control their
+// shared screen, their browser tab connects here (see ControlAgent in
+// remote-control.js) and hands over that viewer's pointer and key events, which
+// are replayed on this machine with xdotool. Only pages from CONTROL_ORIGIN that
+// know the pairing code printed at startup can connect, and only from this machine.
+//
+//   CONTROL_ORIGIN=https://meet.example.com npm run control-agent
+//
+// Replaying input needs Linux with X11 and xdotool. The events' coordinates are
+// fractions of the shared screen; with several monitors, set CONTROL_AREA to the
+// shared one as WIDTHxHEIGHT+X+Y (e.g. 1920x1080+1920+0).
+
+const http = require('http');
+const crypto = require('crypto');
+const { spawn, execFileSync } = require('child_process');
+const { Server } = require('socket.io');
+
+// Also in remote-control.js, where the browser looks for the agent
+const PORT = 7878;
+// Where CollabConnect runs, as the browser reports it in the Origin header
+const CONTROL_ORIGIN = process.env.CONTROL_ORIGIN || 'http://localhost:3000';
+const PAIRING_CODE = process.env.CONTROL_AGENT_CODE || crypto.randomBytes(4).toString('hex');
+
+// DOM MouseEvent.button -> X button; the wheel is buttons 4 to 7 (up, down, left, right)
+const BUTTONS = [1, 2, 3];
+// KeyboardEvent.code -> X keysym, for keys not covered by keysymFor's patterns.
+// Codes are physical keys, so the presenter's keyboard layout applies.
+const KEYSYMS = {
+    Enter: 'Return', NumpadEnter: 'KP_Enter', Backspace: 'BackSpace', Tab: 'Tab', Escape: 'Escape', Space: 'space',
+    ArrowLeft: 'Left', ArrowRight: 'Right', ArrowUp: 'Up', ArrowDown: 'Down',
+    Insert: 'Insert', Delete: 'Delete', Home: 'Home', End: 'End', PageUp: 'Prior', PageDown: 'Next',
+    ShiftLeft: 'Shift_L', ShiftRight: 'Shift_R', ControlLeft: 'Control_L', ControlRight: 'Control_R',
+    AltLeft: 'Alt_L', AltRight: 'ISO_Level3_Shift', MetaLeft: 'Super_L', MetaRight: 'Super_R',
+    CapsLock: 'Caps_Lock', ContextMenu: 'Menu', PrintScreen: 'Print',
+    Minus: 'minus', Equal: 'equal', BracketLeft: 'bracketleft', BracketRight: 'bracketright',
+    Backslash: 'backslash', IntlBackslash: 'less', Semicolon: 'semicolon', Quote: 'apostrophe',
+    Backquote: 'grave', Comma: 'comma', Period: 'period', Slash: 'slash',
+    NumpadAdd: 'KP_Add', NumpadSubtract: 'KP_Subtract', NumpadMultiply: 'KP_Multiply',
+    NumpadDivide: 'KP_Divide', NumpadDecimal: 'KP_Decimal'
+};
+
+function keysymFor(code) {
+    if (typeof code !== 'string') return null;
+    if (Object.prototype.hasOwnProperty.call(KEYSYMS, code)) return KEYSYMS[code];
+    
+    let match = /^Key([A-Z])$/.exec(code);
+    if (match) return match[1].toLowerCase();
+    match = /^Digit([0-9])$/.exec(code);
+    if (match) return match[1];
+    match = /^Numpad([0-9])$/.exec(code);
+    if (match) return `KP_${match[1]}`;
+    return /^F([1-9]|1[0-2])$/.test(code) ? code : null;
+}
+
+// The part of the X screen being shared, in pixels
+function readArea() {
+    const match = /^(\d+)x(\d+)\+(\d+)\+(\d+)$/.exec(process.env.CONTROL_AREA || '');
+    if (match) {
+        const [width, height, x, y] = match.slice(1).map(Number);
+        return { x, y, width, height };
+    }
+    const [width, height] = execFileSync('xdotool', ['getdisplaygeometry'], { encoding: 'utf8' }).trim().split(/\s+/).map(Number);
+    return { x: 0, y: 0, width, height };
+}
+
+// Replays events with xdotool, one process at a time with every command queued
+// meanwhile chained into it, so a burst of pointer moves does not fork a process each
+class XdotoolInput {
+    constructor(area) {
+        this.area = area;
+        this.queue = [];
+        this.running = false;
+        // Held down by the controller, released if they go away mid-press
+        this.buttons = new Set();
+        this.keys = new Set();
+    }
+    
+    // `event` is one of
+    //   { type: 'pointer', action: 'move' | 'down' | 'up', x, y, button }
+    //   { type: 'wheel', x, y, dx, dy }   (dx, dy: -1, 0 or 1)
+    //   { type: 'key', action: 'down' | 'up', code }
+    // with x and y fractions of the shared screen. Anything else is ignored.
+    handle(event) {
+        if (!event || typeof event !== 'object') return;
+        
+        if (event.type === 'key') {
+            const keysym = keysymFor(event.code);
+            if (!keysym || !['down', 'up'].includes(event.action)) return;
+            this.press(this.keys, keysym, event.action === 'down', 'keydown', 'keyup');
+        } else if (event.type === 'pointer' || event.type === 'wheel') {
+            const position = this.toPixels(event.x, event.y);
+            if (!position) return;
+            this.moveTo(position);
+            if (event.type === 'wheel') {
+                this.scroll(event.dx, event.dy);
+            } else if (event.action !== 'move') {
+                const button = BUTTONS[event.button];
+                if (!button || !['down', 'up'].includes(event.action)) return;
+                this.press(this.buttons, String(button), event.action === 'down', 'mousedown', 'mouseup');
+            }
+        }
+        this.flush();
+    }
+    
+    toPixels(x, y) {
+        const valid = value => Number.isFinite(value) && value >= 0 && value <= 1;
+        if (!valid(x) || !valid(y)) return null;
+        
+        const { area } = this;
+        return [Math.round(area.x + x * (area.width - 1)), Math.round(area.y + y * (area.height - 1))];
+    }
+    
+    // Only the latest of several queued moves matters
+    moveTo([x, y]) {
+        const last = this.queue[this.queue.length - 1];
+        if (last && last[0] === 'mousemove') this.queue.pop();
+        this.queue.push(['mousemove', String(x), String(y)]);
+    }
+    
+    scroll(dx, dy) {
+        if (dy === -1 || dy === 1) this.queue.push(['click', dy < 0 ? '4' : '5']);
+        if (dx === -1 || dx === 1) this.queue.push(['click', dx < 0 ? '6' : '7']);
+    }
+    
+    press(held, name, down, downCommand, upCommand) {
+        if (down === held.has(name)) return;
+        
+        if (down) {
+            held.add(name);
+        } else {
+            held.delete(name);
+        }
+        this.queue.push([down ? downCommand : upCommand, name]);
+    }
+    
+    releaseAll() {
+        this.buttons.forEach(button => this.queue.push(['mouseup', button]));
+        this.keys.forEach(keysym => this.queue.push(['keyup', keysym]));
+        this.buttons.clear();
+        this.keys.clear();
+        this.flush();
+    }
+    
+    flush() {
+        if (this.running || !this.queue.length) return;
+        
+        const args = this.queue.splice(0).flat();
+        this.running = true;
+        const child = spawn('xdotool', args, { stdio: 'ignore' });
+        child.on('error', error => console.error('Could not run xdotool:', error.message));
+        child.on('close', () => {
+            this.running = false;
+            this.flush();
+        });
+    }
+}
+
+function start() {
+    let input;
+    try {
+        input = new XdotoolInput(readArea());
+    } catch (error) {
+        console.error('The control agent needs X11 and xdotool:', error.message);
+        process.exit(1);
+    }
+    
+    const server = http.createServer((req, res) => {
+        res.writeHead(404);
+        res.end();
+    });
+    // Other sites open in the same browser must not reach it; WebSocket connections skip CORS
+    const io = new Server(server, {
+        cors: { origin: CONTROL_ORIGIN },
+        allowRequest: (req, callback) => callback(null, req.headers.origin === CONTROL_ORIGIN)
+    });
+    io.use((socket, next) => {
+        const code = socket.handshake.auth && socket.handshake.auth.code;
+        next(code === PAIRING_CODE ? null : new Error('Wrong pairing code'));
+    });
+    
+    // One tab controls the machine at a time; a newer connection takes over
+    let current = null;
+    io.on('connection', (socket) => {
+        if (current) {
+            current.disconnect(true);
+            input.releaseAll();
+        }
+        current = socket;
+        console.log('Remote control started');
+        
+        socket.on('input', (event) => {
+            if (current === socket) input.handle(event);
+        });
+        socket.on('disconnect', () => {
+            if (current !== socket) return;
+            current = null;
+            input.releaseAll();
+            console.log('Remote control stopped');
+        });
+    });
+    
+    server.listen(PORT, '127.0.0.1', () => {
+        console.log(`CollabConnect control agent on 127.0.0.1:${PORT} for ${CONTROL_ORIGIN}`);
+        console.log(`Pairing code: ${PAIRING_CODE}`);
+    });
+}
+
+start();
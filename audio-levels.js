@@ -0,0 +1,107 @@
+// CollabConnect - Audio levels and active speaker detection
+// Measures every participant's audio (ours included) with Web Audio analysers
+// a few times a second, for the level meters and to work out who is speaking.
+
+// How often levels are measured (ms)
+const LEVEL_INTERVAL = 100;
+// Levels above this (on the 0..1 meter scale) count as speech
+const SPEECH_LEVEL = 0.3;
+// The active speaker changes at most this often (ms), and stays until silent this long
+const SPEAKER_HOLD_TIME = 1500;
+// How much of the previous level is kept each measurement, so meters fall back smoothly
+const LEVEL_DECAY = 0.7;
+
+class AudioLevelMonitor {
+    // `onUpdate(levels, speakerId)` is called after every measurement with
+    // participant id -> level (0..1) and the active speaker's id, or null
+    constructor(onUpdate) {
+        this.onUpdate = onUpdate;
+        this.audioContext = null;
+        this.timer = null;
+        // participant id -> { track, source, analyser, samples, level }
+        this.inputs = new Map();
+        // participant id -> when they were last heard speaking
+        this.lastHeard = new Map();
+        this.speakerId = null;
+        this.speakerSince = 0;
+    }
+    
+    // Measures `track` (an audio MediaStreamTrack) as participant `id`, replacing what was measured before
+    watch(id, track) {
+        const current = this.inputs.get(id);
+        if (current && current.track === track) return;
+        this.unwatch(id);
+        if (!track) return;
+        
+        if (!this.audioContext) {
+            this.audioContext = new AudioContext();
+            this.timer = setInterval(() => this.measure(), LEVEL_INTERVAL);
+        }
+        const source = this.audioContext.createMediaStreamSource(new MediaStream([track]));
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 512;
+        source.connect(analyser);
+        this.inputs.set(id, { track, source, analyser, samples: new Float32Array(analyser.fftSize), level: 0 });
+    }
+    
+    unwatch(id) {
+        const input = this.inputs.get(id);
+        if (input) {
+            input.source.disconnect();
+            this.inputs.delete(id);
+        }
+        this.lastHeard.delete(id);
+    }
+    
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        Array.from(this.inputs.keys()).forEach(id => this.unwatch(id));
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        this.speakerId = null;
+    }
+    
+    // Ids of everyone who has spoken, most recent first
+    getRecentSpeakers() {
+        return Array.from(this.lastHeard.entries())
+            .sort((a, b) => b[1] - a[1])
+            .map(([id]) => id);
+    }
+    
+    measure() {
+        const levels = new Map();
+        this.inputs.forEach((input, id) => {
+            input.analyser.getFloatTimeDomainData(input.samples);
+            const sum = input.samples.reduce((total, sample) => total + sample * sample, 0);
+            // Square root of the RMS level, so quiet speech still moves the meter
+            const level = Math.min(1, Math.sqrt(Math.sqrt(sum / input.samples.length)) * 2);
+            input.level = Math.max(level, input.level * LEVEL_DECAY);
+            levels.set(id, input.level);
+        });
+        
+        this.updateSpeaker(levels);
+        this.onUpdate(levels, this.speakerId);
+    }
+    
+    // The loudest voice takes over, but not more often than SPEAKER_HOLD_TIME so
+    // the highlight does not flicker between people talking over each other
+    updateSpeaker(levels) {
+        const now = Date.now();
+        let loudest = null;
+        levels.forEach((level, id) => {
+            if (level < SPEECH_LEVEL) return;
+            this.lastHeard.set(id, now);
+            if (!loudest || level > levels.get(loudest)) loudest = id;
+        });
+        
+        if (loudest && loudest !== this.speakerId && now - this.speakerSince >= SPEAKER_HOLD_TIME) {
+            this.speakerId = loudest;
+            this.speakerSince = now;
+        } else if (this.speakerId && now - (this.lastHeard.get(this.speakerId) || 0) >= SPEAKER_HOLD_TIME) {
+            this.speakerId = null;
+        }
+    }
+}
@@ -0,0 +1,133 @@
+// CollabConnect - Calendar invites for scheduled meetings
+// Meetings are exported as iCalendar (.ics) files that calendar apps can add,
+// with the join link in the event, and .ics files from others are read back
+// so their meetings show up in the upcoming meetings list.
+
+// Lines in an .ics file are folded at 75 octets (RFC 5545, 3.1)
+const ICS_LINE_LIMIT = 75;
+
+class CalendarInvite {
+    // `meeting` is { roomId, title, startsAt, duration, agenda } with times in ms,
+    // `link` the URL that joins it
+    static toIcs(meeting, link) {
+        const { roomId, title, startsAt, duration, agenda } = meeting;
+        const description = agenda ? `${agenda}\n\nJoin the meeting: ${link}` : `Join the meeting: ${link}`;
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//CollabConnect//Meetings//EN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${roomId}@${window.location.host}`,
+            `DTSTAMP:${CalendarInvite.formatDate(Date.now())}`,
+            `DTSTART:${CalendarInvite.formatDate(startsAt)}`,
+            `DTEND:${CalendarInvite.formatDate(startsAt + duration)}`,
+            `SUMMARY:${CalendarInvite.escape(title)}`,
+            `DESCRIPTION:${CalendarInvite.escape(description)}`,
+            `LOCATION:${CalendarInvite.escape(link)}`,
+            `URL:${link}`,
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ];
+        return lines.map(line => CalendarInvite.fold(line)).join('\r\n') + '\r\n';
+    }
+    
+    // The events in an .ics file that have a join link:
+    // [{ title, startsAt, duration, agenda, link }], with times in ms
+    static parse(text) {
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const events = [];
+        let event = null;
+        
+        lines.forEach(line => {
+            const match = /^([A-Za-z-]+)((?:;[^:]*)?):(.*)$/.exec(line);
+            if (!match) return;
+            const [, name, params, value] = match;
+            
+            if (line === 'BEGIN:VEVENT') {
+                event = {};
+            } else if (line === 'END:VEVENT' && event) {
+                events.push(event);
+                event = null;
+            } else if (event) {
+                event[name.toUpperCase()] = { params, value };
+            }
+        });
+        
+        return events.map(CalendarInvite.readEvent).filter(Boolean);
+    }
+    
+    static readEvent(event) {
+        const text = name => event[name] ? CalendarInvite.unescape(event[name].value) : '';
+        const startsAt = event.DTSTART && CalendarInvite.parseDate(event.DTSTART.value);
+        // Links are recognised by the room they name; our own invites carry one in URL
+        const link = [text('URL'), text('LOCATION'), text('DESCRIPTION')]
+            .map(value => (value.match(/https?:\/\/\S+/g) || []).find(url => /[?&]room=/.test(url)))
+            .find(Boolean);
+        if (!startsAt || !link) return null;
+        
+        let duration = 60 * 60 * 1000;
+        if (event.DTEND) {
+            duration = CalendarInvite.parseDate(event.DTEND.value) - startsAt;
+        } else if (event.DURATION) {
+            duration = CalendarInvite.parseDuration(event.DURATION.value);
+        }
+        return {
+            title: text('SUMMARY') || 'Meeting',
+            startsAt,
+            duration: Math.max(0, duration),
+            // The description without the join link we put there
+            agenda: text('DESCRIPTION').split('\n').filter(line => !line.includes(link)).join('\n').trim(),
+            link
+        };
+    }
+    
+    // ms -> 20240131T093000Z
+    static formatDate(time) {
+        return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+    
+    // UTC (...Z) and floating local times, or whole days; time zones other than UTC are read as local time
+    static parseDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value.trim());
+        if (!match) return null;
+        
+        const [, year, month, day, hours = 0, minutes = 0, seconds = 0, utc] = match;
+        const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+        return utc ? Date.UTC(...parts) : new Date(...parts).getTime();
+    }
+    
+    // PT1H30M, P1D... -> ms
+    static parseDuration(value) {
+        const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+        if (!match) return 0;
+        
+        const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part) || 0);
+        return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+    }
+    
+    static escape(text) {
+        return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+    
+    static unescape(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+    
+    // Long lines continue on the next line after a space, without splitting a character
+    static fold(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let part = '';
+        for (const char of line) {
+            const limit = parts.length ? ICS_LINE_LIMIT - 1 : ICS_LINE_LIMIT;
+            if (encoder.encode(part + char).length > limit) {
+                parts.push(part);
+                part = '';
+            }
+            part += char;
+        }
+        parts.push(part);
+        return parts.join('\r\n ');
+    }
+}
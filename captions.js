@@ -0,0 +1,178 @@
+// CollabConnect - Live captions and the meeting transcript
+// Everyone transcribes their own mic with a speech-to-text engine and sends
+// the text to the room, so all tiles show the same captions and every
+// transcript matches. Engines are registered in CAPTION_ENGINES; the default
+// runs a Vosk model in the browser (served with the page, see CAPTION_MODEL in
+// server/index.js) so captions work without any speech service or network.
+
+const CAPTION_MODEL_URL = '/models/captions.tar.gz';
+// Resolves to the Vosk model once it has loaded, see VoskCaptionEngine.loadModel
+let captionModelReady = null;
+
+// Engines have a static isSupported() and start(track, onSegment) / stop(), where
+// `onSegment({ text, final })` is called with the words heard so far and then
+// once more with `final` set when the sentence is over.
+class VoskCaptionEngine {
+    constructor() {
+        this.session = null;
+        this.stopped = false;
+    }
+    
+    static isSupported() {
+        return typeof WebAssembly !== 'undefined' && typeof Worker !== 'undefined';
+    }
+    
+    // Vosk's script and the speech model, loaded the first time captions start
+    static loadModel() {
+        if (!captionModelReady) {
+            captionModelReady = VoskCaptionEngine.createModel().catch(error => {
+                captionModelReady = null;
+                throw error;
+            });
+        }
+        return captionModelReady;
+    }
+    
+    static async createModel() {
+        if (typeof Vosk === 'undefined') {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = '/vendor/vosk.js';
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('Could not load the speech recognizer'));
+                document.head.appendChild(script);
+            });
+        }
+        // The model is fetched from Vosk's worker, which cannot resolve relative URLs
+        return Vosk.createModel(new URL(CAPTION_MODEL_URL, window.location.href).href);
+    }
+    
+    async start(track, onSegment) {
+        this.stopped = false;
+        const model = await VoskCaptionEngine.loadModel();
+        // Stopped while the model was loading
+        if (this.stopped) return;
+        
+        const context = new AudioContext();
+        const recognizer = new model.KaldiRecognizer(context.sampleRate);
+        recognizer.on('partialresult', message => onSegment({ text: message.result.partial, final: false }));
+        recognizer.on('result', message => onSegment({ text: message.result.text, final: true }));
+        
+        // Recognition runs in Vosk's worker; this only hands it the samples.
+        // The processor has to be connected to the destination to run, but outputs silence.
+        const source = context.createMediaStreamSource(new MediaStream([track]));
+        const processor = context.createScriptProcessor(4096, 1, 1);
+        processor.onaudioprocess = (e) => recognizer.acceptWaveform(e.inputBuffer);
+        source.connect(processor).connect(context.destination);
+        this.session = { context, recognizer, source, processor };
+    }
+    
+    stop() {
+        this.stopped = true;
+        if (!this.session) return;
+        
+        const { context, recognizer, source, processor } = this.session;
+        processor.onaudioprocess = null;
+        source.disconnect();
+        processor.disconnect();
+        recognizer.remove();
+        context.close();
+        this.session = null;
+    }
+}
+
+// The browser's own speech recognition. Depending on the browser the audio may be
+// sent to an online service, and it always listens to the default mic rather than `track`.
+class BrowserCaptionEngine {
+    constructor() {
+        this.recognition = null;
+    }
+    
+    static isSupported() {
+        return Boolean(window.SpeechRecognition || window.webkitSpeechRecognition);
+    }
+    
+    async start(track, onSegment) {
+        const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        const recognition = new Recognition();
+        recognition.continuous = true;
+        recognition.interimResults = true;
+        recognition.lang = navigator.language;
+        recognition.onresult = (e) => {
+            for (let i = e.resultIndex; i < e.results.length; i++) {
+                onSegment({ text: e.results[i][0].transcript.trim(), final: e.results[i].isFinal });
+            }
+        };
+        // It gives up after a long pause, so it is started again until we stop it
+        recognition.onend = () => {
+            if (this.recognition === recognition) recognition.start();
+        };
+        this.recognition = recognition;
+        recognition.start();
+    }
+    
+    stop() {
+        const recognition = this.recognition;
+        this.recognition = null;
+        if (recognition) recognition.stop();
+    }
+}
+
+// Speech-to-text engines by name; the first one is the default
+const CAPTION_ENGINES = {
+    vosk: { label: 'On this device (offline)', Engine: VoskCaptionEngine },
+    browser: { label: 'Browser speech recognition', Engine: BrowserCaptionEngine }
+};
+
+// Finished captions from everyone, for the downloadable transcript
+class CaptionTranscript {
+    constructor() {
+        this.entries = [];
+        // Cue times in the VTT file count from here, normally when we joined
+        this.startedAt = Date.now();
+    }
+    
+    get isEmpty() {
+        return this.entries.length === 0;
+    }
+    
+    reset() {
+        this.entries = [];
+        this.startedAt = Date.now();
+    }
+    
+    // `start` and `end` are timestamps (ms); `speaker` is the display name
+    add({ speaker, text, start, end }) {
+        if (!text) return;
+        this.entries.push({ speaker, text, start, end: Math.max(start, end) });
+        this.entries.sort((a, b) => a.start - b.start);
+    }
+    
+    toText(title) {
+        const lines = this.entries.map(({ speaker, text, start }) => {
+            return `[${new Date(start).toLocaleTimeString()}] ${speaker}: ${text}`;
+        });
+        return `${title}\n\n${lines.join('\n')}\n`;
+    }
+    
+    // WebVTT with a voice tag per speaker, so players can show who is talking
+    toVtt() {
+        const cues = this.entries.map(({ speaker, text, start, end }, index) => {
+            const from = CaptionTranscript.formatTime(start - this.startedAt);
+            const to = CaptionTranscript.formatTime(end - this.startedAt);
+            return `${index + 1}\n${from} --> ${to}\n<v ${CaptionTranscript.escape(speaker)}>${CaptionTranscript.escape(text)}`;
+        });
+        return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+    }
+    
+    // ms -> hh:mm:ss.ttt
+    static formatTime(ms) {
+        const time = Math.max(0, ms);
+        // The ISO string's ":mm:ss.ttt"
+        return String(Math.floor(time / 3600000)).padStart(2, '0') + new Date(time).toISOString().slice(13, 23);
+    }
+    
+    static escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
@@ -0,0 +1,135 @@
+// CollabConnect - Chat message formatting
+// Renders a small Markdown subset: fenced and inline code, bold, italics,
+// strikethrough, lists, quotes, links, @mentions and shared files referenced as
+// [name](file:<file id>), which the Files tab puts in the composer. Code, links,
+// mentions and file references are cut out of the raw text first, the rest is
+// escaped, and only tags built here are ever added back, so a message can never
+// inject its own markup.
+
+// Marks where an extracted token goes back in; stripped from input so it cannot be forged
+const TOKEN_START = '\uE000';
+const TOKEN_END = '\uE001';
+const URL_PATTERN = /https?:\/\/[^\s<>"']+[^\s<>"'.,:;!?)\]]/;
+const FILE_REF_PATTERN = /\[([^\]\n]+)\]\(file:([\w-]{1,64})\)/g;
+
+class MessageFormatter {
+    // `names` are the display names @mentions can refer to
+    render(text, names = []) {
+        const tokens = [];
+        const keep = (html) => `${TOKEN_START}${tokens.push(html) - 1}${TOKEN_END}`;
+        
+        let source = text.replace(new RegExp(`[${TOKEN_START}${TOKEN_END}]`, 'g'), '');
+        
+        // Fenced code blocks become a line of their own
+        source = source.replace(/```[^\n]*\n?([\s\S]*?)```/g, (match, code) =>
+            `\n${keep(`<pre><code>${this.escape(code.replace(/\n$/, ''))}</code></pre>`)}\n`);
+        source = source.replace(/`([^`\n]+)`/g, (match, code) => keep(`<code>${this.escape(code)}</code>`));
+        
+        source = source.replace(FILE_REF_PATTERN, (match, label) =>
+            keep(`<span class="file-ref"><i class="fas fa-paperclip"></i> ${this.escape(label)}</span>`));
+        
+        // [label](url), then bare URLs
+        source = source.replace(new RegExp(`\\[([^\\]\\n]+)\\]\\((${URL_PATTERN.source})\\)`, 'g'),
+            (match, label, url) => keep(this.link(url, this.escape(label))));
+        source = source.replace(new RegExp(URL_PATTERN.source, 'g'), url => keep(this.link(url, this.escape(url))));
+        
+        const mentionPattern = this.mentionPattern(names);
+        if (mentionPattern) {
+            source = source.replace(mentionPattern, (match, lead, name) =>
+                `${lead}${keep(`<span class="mention">@${this.escape(name)}</span>`)}`);
+        }
+        
+        const html = this.renderBlocks(this.escape(source));
+        return html.replace(new RegExp(`${TOKEN_START}(\\d+)${TOKEN_END}`, 'g'), (match, index) => tokens[index]);
+    }
+    
+    // Ids of the shared files `text` references, outside code, each once
+    fileIds(text) {
+        const source = text.replace(/```[\s\S]*?```/g, '').replace(/`[^`\n]+`/g, '');
+        return Array.from(new Set(Array.from(source.matchAll(FILE_REF_PATTERN), match => match[2])));
+    }
+    
+    // The reference to put in a message for a shared file called `name`
+    fileReference(id, name) {
+        return `[${name.replace(/[[\]\n]/g, '') || 'file'}](file:${id})`;
+    }
+    
+    // Whether `text` mentions `name` (e.g. to notify that participant)
+    mentions(text, name) {
+        const pattern = this.mentionPattern([name]);
+        return Boolean(pattern) && pattern.test(text);
+    }
+    
+    // Matches @Name for any of `names`, longest first so "Ann Lee" wins over "Ann"
+    mentionPattern(names) {
+        const alternatives = Array.from(new Set(names.filter(Boolean)))
+            .sort((a, b) => b.length - a.length)
+            .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (!alternatives.length) return null;
+        
+        return new RegExp(`(^|[^\\w@])@(${alternatives.join('|')})(?![\\w])`, 'gi');
+    }
+    
+    renderBlocks(text) {
+        const blocks = [];
+        let list = null;
+        
+        const closeList = () => {
+            if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${item}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        };
+        
+        text.split('\n').forEach(line => {
+            const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+            const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+            const item = bullet || numbered;
+            
+            if (item) {
+                const tag = bullet ? 'ul' : 'ol';
+                if (!list || list.tag !== tag) {
+                    closeList();
+                    list = { tag, items: [] };
+                }
+                list.items.push(this.renderInline(item[1]));
+                return;
+            }
+            
+            closeList();
+            const quote = line.match(/^&gt;\s?(.*)$/);
+            if (quote) {
+                blocks.push(`<blockquote>${this.renderInline(quote[1])}</blockquote>`);
+            } else if (new RegExp(`^${TOKEN_START}\\d+${TOKEN_END}$`).test(line.trim())) {
+                // A code block on its own line
+                blocks.push(line.trim());
+            } else if (line.trim()) {
+                blocks.push(`<p>${this.renderInline(line)}</p>`);
+            }
+        });
+        closeList();
+        
+        return blocks.join('');
+    }
+    
+    // `text` is already escaped
+    renderInline(text) {
+        return text
+            .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>')
+            .replace(/(^|[^\w*])\*(?=\S)(.+?)\*(?!\w)/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>');
+    }
+    
+    link(url, label) {
+        return `<a href="${this.escape(url)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+    }
+    
+    // Unlike CollabConnect.escapeHtml() this also escapes quotes, for use in attributes
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
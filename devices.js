@@ -0,0 +1,89 @@
+// CollabConnect - Camera, microphone and speaker selection
+// Keeps track of the devices the browser offers, remembers which ones were
+// picked (and how to join: with camera and mic, mic only or just listening)
+// and opens media from them.
+
+const DEVICE_STORAGE_KEY = 'collabconnect-devices';
+// What each join mode opens
+const JOIN_MODES = {
+    full: { audio: true, video: true },
+    audio: { audio: true, video: false },
+    none: { audio: false, video: false }
+};
+
+class DeviceManager {
+    constructor() {
+        const saved = DeviceManager.loadSaved();
+        // device kind -> chosen deviceId, '' for the browser's default
+        this.selected = {
+            videoinput: saved.videoinput || '',
+            audioinput: saved.audioinput || '',
+            audiooutput: saved.audiooutput || ''
+        };
+        this.joinMode = JOIN_MODES[saved.joinMode] ? saved.joinMode : 'full';
+        this.devices = [];
+    }
+    
+    static loadSaved() {
+        try {
+            return JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    // Speakers can only be picked where media elements support setSinkId
+    static canSelectSpeaker() {
+        return 'setSinkId' in HTMLMediaElement.prototype;
+    }
+    
+    // Device labels are only filled in once the page has been allowed to use a camera or mic
+    async refresh() {
+        this.devices = await navigator.mediaDevices.enumerateDevices();
+        return this.devices;
+    }
+    
+    // Devices of `kind` ('videoinput', 'audioinput' or 'audiooutput'), without the browser's "default" alias
+    list(kind) {
+        return this.devices.filter(device => device.kind === kind && device.deviceId && device.deviceId !== 'default');
+    }
+    
+    select(kind, deviceId) {
+        this.selected[kind] = deviceId;
+        this.save();
+    }
+    
+    setJoinMode(mode) {
+        if (!JOIN_MODES[mode]) return;
+        this.joinMode = mode;
+        this.save();
+    }
+    
+    save() {
+        localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify({ ...this.selected, joinMode: this.joinMode }));
+    }
+    
+    // The chosen device if it is still there, otherwise whatever the browser picks
+    constraints(kind) {
+        return this.selected[kind] ? { deviceId: { ideal: this.selected[kind] } } : true;
+    }
+    
+    // Camera and mic for the join mode; listeners get a stream with no tracks
+    async getStream(mode = this.joinMode) {
+        const { audio, video } = JOIN_MODES[mode];
+        if (!audio && !video) return new MediaStream();
+        
+        return navigator.mediaDevices.getUserMedia({
+            audio: audio && this.constraints('audioinput'),
+            video: video && this.constraints('videoinput')
+        });
+    }
+    
+    // One track from the chosen camera ('video') or mic ('audio')
+    async getTrack(kind) {
+        const stream = await navigator.mediaDevices.getUserMedia(kind === 'video'
+            ? { video: this.constraints('videoinput') }
+            : { audio: this.constraints('audioinput') });
+        return stream.getTracks()[0];
+    }
+}
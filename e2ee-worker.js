@@ -0,0 +1,117 @@
+// CollabConnect - Media frame encryption (runs as a worker, see FrameEncryption in e2ee.js)
+// Every encoded audio and video frame is encrypted with AES-GCM under the
+// current room key before it is packetised, so the SFU can forward it but not
+// read it. The first few bytes stay in the clear (and are authenticated) so
+// decoders and the SFU can still tell key frames apart. After the ciphertext
+// comes the 12-byte IV and the 4-byte id of the room key that was used.
+
+const IV_LENGTH = 12;
+const KEY_ID_LENGTH = 4;
+// Bytes left unencrypted: the VP8 payload header plus, on key frames, the frame size
+const UNENCRYPTED_BYTES = { key: 10, delta: 3, audio: 1 };
+// Older keys are kept for a while so frames in flight when the key changes still decrypt
+const MAX_KEYS = 4;
+
+// key id (8 hex characters, see RoomEncryption.addKey) -> CryptoKey; `currentKeyId` encrypts
+const keys = new Map();
+let currentKeyId = null;
+
+async function setKey(keyId, rawKey) {
+    keys.delete(keyId);
+    keys.set(keyId, await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']));
+    currentKeyId = keyId;
+    
+    while (keys.size > MAX_KEYS) {
+        keys.delete(keys.keys().next().value);
+    }
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function headerLength(frame, kind) {
+    if (kind === 'audio') return UNENCRYPTED_BYTES.audio;
+    return frame.type === 'key' ? UNENCRYPTED_BYTES.key : UNENCRYPTED_BYTES.delta;
+}
+
+async function encryptFrame(frame, controller, kind) {
+    const keyId = currentKeyId;
+    const key = keys.get(keyId);
+    // Nothing goes out in the clear; until the room key arrives frames are dropped
+    if (!key) return;
+    
+    const data = new Uint8Array(frame.data);
+    const header = data.subarray(0, headerLength(frame, kind));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: header },
+        key,
+        data.subarray(header.length)
+    ));
+    
+    const result = new Uint8Array(header.length + ciphertext.length + IV_LENGTH + KEY_ID_LENGTH);
+    result.set(header);
+    result.set(ciphertext, header.length);
+    result.set(iv, header.length + ciphertext.length);
+    result.set(keyId.match(/../g).map(byte => parseInt(byte, 16)), result.length - KEY_ID_LENGTH);
+    
+    frame.data = result.buffer;
+    controller.enqueue(frame);
+}
+
+async function decryptFrame(frame, controller, kind) {
+    const data = new Uint8Array(frame.data);
+    const length = headerLength(frame, kind);
+    const trailer = IV_LENGTH + KEY_ID_LENGTH;
+    if (data.length < length + trailer) return;
+    
+    // Frames sealed with a key we do not have (yet) are dropped rather than shown as garbage
+    const key = keys.get(toHex(data.subarray(data.length - KEY_ID_LENGTH)));
+    if (!key) return;
+    
+    const header = data.subarray(0, length);
+    const iv = data.subarray(data.length - trailer, data.length - KEY_ID_LENGTH);
+    try {
+        const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv, additionalData: header },
+            key,
+            data.subarray(length, data.length - trailer)
+        ));
+        
+        const result = new Uint8Array(length + plaintext.length);
+        result.set(header);
+        result.set(plaintext, length);
+        frame.data = result.buffer;
+        controller.enqueue(frame);
+    } catch (err) {
+        // Tampered with or sealed with a stale key
+    }
+}
+
+function pipe(readable, writable, operation, kind) {
+    const transform = operation === 'encrypt' ? encryptFrame : decryptFrame;
+    readable
+        .pipeThrough(new TransformStream({ transform: (frame, controller) => transform(frame, controller, kind) }))
+        .pipeTo(writable)
+        .catch(() => {
+            // The sender or receiver went away
+        });
+}
+
+// Chromium: encoded streams posted from the page
+onmessage = ({ data }) => {
+    if (data.type === 'key') {
+        setKey(data.keyId, data.rawKey);
+    } else if (data.type === 'stream') {
+        pipe(data.readable, data.writable, data.operation, data.kind);
+    }
+};
+
+// Safari and Firefox: RTCRtpScriptTransform
+if (self.RTCTransformEvent) {
+    onrtctransform = ({ transformer }) => {
+        const { operation, kind } = transformer.options;
+        pipe(transformer.readable, transformer.writable, operation, kind);
+    };
+}
@@ -0,0 +1,300 @@
+// CollabConnect - End-to-end encryption
+// In encrypted rooms everything the server relays or keeps for the room is
+// sealed with a room key it never sees: chat text, whiteboard operations and
+// the details of shared files. Media frames (see e2ee-worker.js) and file
+// bytes are encrypted with the same key.
+//
+// The room key either comes from a passphrase (PBKDF2, so everyone who knows
+// it derives the same key) or is a random key the host generates and hands to
+// each participant, wrapped with an ECDH key agreed between the two of them.
+// The server relays everyone's ECDH public key, so both sides of a pair can
+// compare safety numbers derived from the two keys to check nobody swapped one.
+
+const SEALED_PREFIX = 'e2ee:';
+const PBKDF2_ITERATIONS = 600000;
+const IDENTITY_STORAGE_KEY = 'collabconnect-identity-key';
+const IV_LENGTH = 12;
+// AES-256 room keys, in bytes
+const KEY_LENGTH = 32;
+// How long to wait for the host to send the room key before giving up on a message
+const KEY_WAIT_TIMEOUT = 15000;
+
+class RoomEncryption {
+    // `identity` comes from loadIdentity(); `roomId` binds wrapped keys to the room
+    constructor(identity, roomId) {
+        this.identity = identity;
+        this.roomId = roomId;
+        // key id -> AES-GCM CryptoKey for every room key seen; `currentKeyId` seals
+        this.keys = new Map();
+        this.currentKeyId = null;
+        // key id -> the bytes of every room key seen, oldest first, for the host to
+        // hand on in exchange rooms (see exportKeys)
+        this.rawKeys = new Map();
+        // Called with (keyId, rawKey) whenever the current key changes
+        this.onKeyChange = null;
+        this.keyReady = new Promise(resolve => { this.resolveKeyReady = resolve; });
+        this.keyWait = null;
+    }
+    
+    // This browser's long-lived ECDH key pair; kept so safety numbers stay the same between calls
+    static async loadIdentity() {
+        const algorithm = { name: 'ECDH', namedCurve: 'P-256' };
+        const stored = localStorage.getItem(IDENTITY_STORAGE_KEY);
+        let privateKey;
+        let publicKey;
+        
+        if (stored) {
+            const { privateJwk, publicJwk } = JSON.parse(stored);
+            privateKey = await crypto.subtle.importKey('jwk', privateJwk, algorithm, false, ['deriveBits']);
+            publicKey = await crypto.subtle.importKey('jwk', publicJwk, algorithm, true, []);
+        } else {
+            const pair = await crypto.subtle.generateKey(algorithm, true, ['deriveBits']);
+            localStorage.setItem(IDENTITY_STORAGE_KEY, JSON.stringify({
+                privateJwk: await crypto.subtle.exportKey('jwk', pair.privateKey),
+                publicJwk: await crypto.subtle.exportKey('jwk', pair.publicKey)
+            }));
+            ({ privateKey, publicKey } = pair);
+        }
+        
+        const raw = await crypto.subtle.exportKey('raw', publicKey);
+        return { privateKey, publicKey: RoomEncryption.toBase64(raw) };
+    }
+    
+    // Passphrase rooms: the same passphrase and salt always give the same key.
+    // `keyCheck` lets the server turn away a wrong passphrase without learning the key.
+    static async deriveFromPassphrase(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            salt: RoomEncryption.fromBase64(salt),
+            iterations: PBKDF2_ITERATIONS
+        }, material, 512);
+        
+        const rawKey = bits.slice(0, 32);
+        const keyCheck = Array.from(new Uint8Array(bits.slice(32, 48)), b => b.toString(16).padStart(2, '0')).join('');
+        return { rawKey, keyCheck };
+    }
+    
+    static createSalt() {
+        return RoomEncryption.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    }
+    
+    static isSealed(value) {
+        return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+    }
+    
+    // Adds a room key and makes it the one used for sealing. Returns its id.
+    async useKey(rawKey) {
+        const keyId = await this.addKey(rawKey);
+        this.currentKeyId = keyId;
+        this.resolveKeyReady();
+        if (this.onKeyChange) this.onKeyChange(keyId, rawKey);
+        return keyId;
+    }
+    
+    // Key ids are the first 4 bytes of the key's SHA-256, so everyone names a key the same way
+    async addKey(rawKey) {
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', rawKey));
+        const keyId = Array.from(hash.slice(0, 4), b => b.toString(16).padStart(2, '0')).join('');
+        if (!this.keys.has(keyId)) {
+            this.keys.set(keyId, await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']));
+            this.rawKeys.set(keyId, rawKey);
+        }
+        return keyId;
+    }
+    
+    // Every key seen, the current one last. The key changes whenever someone leaves,
+    // and the chat, board and files from before stay sealed with the earlier keys,
+    // so newcomers get those too to see the whole room.
+    exportKeys() {
+        const earlier = Array.from(this.rawKeys.keys()).filter(keyId => keyId !== this.currentKeyId);
+        return RoomEncryption.concat(...earlier.map(keyId => this.rawKeys.get(keyId)), this.rawKeys.get(this.currentKeyId)).buffer;
+    }
+    
+    // Exchange rooms: a fresh random key, e.g. whenever someone leaves
+    async generateKey() {
+        const rawKey = crypto.getRandomValues(new Uint8Array(KEY_LENGTH)).buffer;
+        await this.useKey(rawKey);
+        return rawKey;
+    }
+    
+    // Wraps `rawKeys` (from exportKeys) for the holder of `publicKey`; only they
+    // (and we) can derive the wrapping key
+    async wrapKeys(rawKeys, publicKey) {
+        const wrappingKey = await this.deriveWrappingKey(publicKey);
+        const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const wrapped = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, rawKeys);
+        return { wrapped: RoomEncryption.toBase64(wrapped), iv: RoomEncryption.toBase64(iv) };
+    }
+    
+    // Adds the earlier keys and switches to the last one
+    async unwrapKeys({ wrapped, iv }, publicKey) {
+        const wrappingKey = await this.deriveWrappingKey(publicKey);
+        const rawKeys = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: RoomEncryption.fromBase64(iv) },
+            wrappingKey,
+            RoomEncryption.fromBase64(wrapped)
+        );
+        if (rawKeys.byteLength === 0 || rawKeys.byteLength % KEY_LENGTH !== 0) throw new Error('Malformed room keys');
+        
+        for (let offset = 0; offset < rawKeys.byteLength - KEY_LENGTH; offset += KEY_LENGTH) {
+            await this.addKey(rawKeys.slice(offset, offset + KEY_LENGTH));
+        }
+        await this.useKey(rawKeys.slice(rawKeys.byteLength - KEY_LENGTH));
+    }
+    
+    async deriveWrappingKey(publicKey) {
+        const theirs = await crypto.subtle.importKey('raw', RoomEncryption.fromBase64(publicKey),
+            { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+        const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: theirs }, this.identity.privateKey, 256);
+        const material = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+        return crypto.subtle.deriveKey({
+            name: 'HKDF',
+            hash: 'SHA-256',
+            salt: new TextEncoder().encode(this.roomId),
+            info: new TextEncoder().encode('collabconnect room key')
+        }, material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    }
+    
+    // Any JSON value -> `e2ee:<key id>:<base64 iv + ciphertext>`
+    async seal(value) {
+        await this.waitForKey();
+        const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const data = new TextEncoder().encode(JSON.stringify(value));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.keys.get(this.currentKeyId), data);
+        return `${SEALED_PREFIX}${this.currentKeyId}:${RoomEncryption.toBase64(RoomEncryption.concat(iv, ciphertext))}`;
+    }
+    
+    // Throws if the value was sealed with a key this device does not have, or was tampered with
+    async open(sealed) {
+        const [keyId, payload] = sealed.slice(SEALED_PREFIX.length).split(':');
+        await this.waitForKey();
+        
+        const key = this.keys.get(keyId);
+        if (!key) throw new Error('Sealed with an unknown key');
+        
+        const bytes = RoomEncryption.fromBase64(payload);
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, IV_LENGTH) }, key, bytes.slice(IV_LENGTH));
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+    
+    // Binary data (file chunks): 4-byte key id, IV, then ciphertext
+    async encryptBytes(buffer) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.keys.get(this.currentKeyId), buffer);
+        return RoomEncryption.concat(RoomEncryption.fromHex(this.currentKeyId), iv, ciphertext).buffer;
+    }
+    
+    async decryptBytes(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const keyId = Array.from(bytes.slice(0, 4), b => b.toString(16).padStart(2, '0')).join('');
+        const key = this.keys.get(keyId);
+        if (!key) throw new Error('Encrypted with an unknown key');
+        
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(4, 4 + IV_LENGTH) }, key, bytes.slice(4 + IV_LENGTH));
+    }
+    
+    // In exchange rooms nothing can be sealed or opened until the host's key arrives.
+    // Everything waits on the same timeout, and once it has passed fails straight away.
+    waitForKey() {
+        if (this.currentKeyId) return Promise.resolve();
+        
+        if (!this.keyWait) {
+            let timer;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('No room key received')), KEY_WAIT_TIMEOUT);
+            });
+            this.keyWait = Promise.race([this.keyReady, timeout]).finally(() => clearTimeout(timer));
+        }
+        return this.keyWait;
+    }
+    
+    // 60 digits that both sides of a pair see the same; they change if either public key is swapped
+    async safetyNumber(publicKey) {
+        const keys = [this.identity.publicKey, publicKey].sort();
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-512', new TextEncoder().encode(keys.join(':'))));
+        
+        const groups = [];
+        for (let i = 0; i < 60; i += 5) {
+            const chunk = hash.slice(i, i + 5).reduce((value, byte) => value * 256 + byte, 0);
+            groups.push(String(chunk % 100000).padStart(5, '0'));
+        }
+        return groups.join(' ');
+    }
+    
+    static concat(...parts) {
+        const arrays = parts.map(part => new Uint8Array(part instanceof ArrayBuffer ? part : part.buffer));
+        const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.byteLength, 0));
+        let offset = 0;
+        arrays.forEach(array => {
+            result.set(array, offset);
+            offset += array.byteLength;
+        });
+        return result;
+    }
+    
+    static fromHex(hex) {
+        return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+    }
+    
+    static toBase64(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        let binary = '';
+        // In chunks, as spreading a large array into fromCharCode overflows the stack
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+    
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// Media frames are encrypted in e2ee-worker.js, attached to each sender and
+// receiver through RTCRtpScriptTransform or, in Chromium, encoded streams
+class FrameEncryption {
+    constructor() {
+        this.worker = new Worker('e2ee-worker.js');
+        this.useScriptTransform = 'RTCRtpScriptTransform' in window;
+    }
+    
+    static isSupported() {
+        return 'RTCRtpScriptTransform' in window ||
+            (typeof RTCRtpSender !== 'undefined' && 'createEncodedStreams' in RTCRtpSender.prototype);
+    }
+    
+    // Extra RTCPeerConnection options; encoded streams must be asked for up front
+    get peerConnectionConfig() {
+        return this.useScriptTransform ? {} : { encodedInsertableStreams: true };
+    }
+    
+    setKey(keyId, rawKey) {
+        this.worker.postMessage({ type: 'key', keyId, rawKey });
+    }
+    
+    // `kind` is needed as the sender may not have a track yet
+    protectSender(sender, kind) {
+        this.attach(sender, 'encrypt', kind);
+    }
+    
+    protectReceiver(receiver) {
+        this.attach(receiver, 'decrypt');
+    }
+    
+    attach(senderOrReceiver, operation, kind = senderOrReceiver.track.kind) {
+        if (this.useScriptTransform) {
+            senderOrReceiver.transform = new RTCRtpScriptTransform(this.worker, { operation, kind });
+            return;
+        }
+        
+        const { readable, writable } = senderOrReceiver.createEncodedStreams();
+        this.worker.postMessage({ type: 'stream', operation, kind, readable, writable }, [readable, writable]);
+    }
+    
+    terminate() {
+        this.worker.terminate();
+    }
+}
@@ -0,0 +1,370 @@
+// CollabConnect - Peer-to-peer file transfer
+// Shared files stay on the uploader's device. Each download pulls the bytes over
+// a WebRTC data channel opened just for that transfer and signaled through the
+// server's `file-signal` relay, so it works in mesh and SFU rooms alike.
+//
+// Files are hashed in fixed-size blocks, and a file's `hash` is the SHA-256 of
+// its block hashes. Receivers check every block as it completes and, after a
+// dropped connection, resume from the last verified block.
+
+// Size of one data channel message
+const FILE_CHUNK_SIZE = 16 * 1024;
+// Unit of hashing and of resuming
+const FILE_BLOCK_SIZE = 1024 * 1024;
+// Stop sending while this much is queued on a channel, continue once it drains below the low mark
+const SEND_BUFFER_HIGH = 1024 * 1024;
+const SEND_BUFFER_LOW = 256 * 1024;
+const RESUME_ATTEMPTS = 5;
+const RESUME_DELAY = 2000;
+
+class FileTransferManager {
+    // `send(event, data)` emits a signaling message. `events.onProgress(fileId, bytes, total)`
+    // and `events.onStatus(fileId, status, message)` report hashing and download progress.
+    constructor(rtcConfig, send, events) {
+        this.rtcConfig = rtcConfig;
+        this.send = send;
+        this.events = events;
+        // file id -> { file, blockHashes } for files this participant shares
+        this.localFiles = new Map();
+        // file id -> download state
+        this.downloads = new Map();
+        // transfer id -> { pc, channel, peerId, pendingCandidates }, in both directions
+        this.transfers = new Map();
+        // In end-to-end encrypted rooms, the room's RoomEncryption (see e2ee.js);
+        // every chunk is encrypted with the room key on top of the channel's own encryption
+        this.cipher = null;
+    }
+    
+    // Hash a file block by block and start serving it. Returns the file's hash.
+    async share(fileId, file, signal) {
+        const blockHashes = [];
+        for (let offset = 0; offset < file.size; offset += FILE_BLOCK_SIZE) {
+            if (signal && signal.aborted) {
+                throw new DOMException('Sharing cancelled', 'AbortError');
+            }
+            const block = await file.slice(offset, offset + FILE_BLOCK_SIZE).arrayBuffer();
+            blockHashes.push(await this.digest(block));
+            this.events.onProgress(fileId, Math.min(offset + FILE_BLOCK_SIZE, file.size), file.size);
+        }
+        
+        this.localFiles.set(fileId, { file, blockHashes });
+        return this.rootHash(blockHashes);
+    }
+    
+    // Resolves with the file's Blob; a failed download resumes where it stopped when called again
+    download(fileData) {
+        let download = this.downloads.get(fileData.id);
+        if (download && download.active) return download.promise;
+        
+        if (!download) {
+            download = { fileData, parts: [], offset: 0, blockHashes: null, transferId: null };
+            this.downloads.set(fileData.id, download);
+        }
+        // Active from the first attempt until it completes, fails or is cancelled
+        download.active = true;
+        download.attempts = 0;
+        download.queue = Promise.resolve();
+        download.promise = new Promise((resolve, reject) => {
+            download.resolve = resolve;
+            download.reject = reject;
+        });
+        
+        this.startDownload(download);
+        return download.promise;
+    }
+    
+    async startDownload(download) {
+        const { fileData } = download;
+        const transferId = crypto.randomUUID();
+        const pc = new RTCPeerConnection(this.rtcConfig);
+        const channel = pc.createDataChannel(`file:${fileData.id}`, { ordered: true });
+        channel.binaryType = 'arraybuffer';
+        
+        this.transfers.set(transferId, { pc, channel, peerId: fileData.from, pendingCandidates: [] });
+        download.transferId = transferId;
+        download.block = [];
+        download.blockBytes = 0;
+        this.setStatus(download, 'connecting');
+        
+        this.watchConnection(transferId, () => this.handleDownloadClosed(download, transferId));
+        channel.onopen = () => {
+            channel.send(JSON.stringify({ type: 'request', fileId: fileData.id, offset: download.offset }));
+        };
+        channel.onmessage = (e) => {
+            // Blocks are hashed asynchronously, so handle messages strictly in order
+            download.queue = download.queue
+                .then(() => this.handleDownloadMessage(download, transferId, e.data))
+                .catch(error => this.failDownload(download, error.message));
+        };
+        channel.onclose = () => this.handleDownloadClosed(download, transferId);
+        
+        try {
+            await pc.setLocalDescription(await pc.createOffer());
+            this.send('file-signal', { to: fileData.from, transferId, description: pc.localDescription });
+        } catch (error) {
+            console.error('File transfer offer failed:', error);
+            this.handleDownloadClosed(download, transferId);
+        }
+    }
+    
+    async handleDownloadMessage(download, transferId, data) {
+        if (download.transferId !== transferId) return;
+        
+        if (typeof data !== 'string') {
+            await this.receiveChunk(download, this.cipher ? await this.cipher.decryptBytes(data) : data);
+            return;
+        }
+        
+        const message = JSON.parse(data);
+        switch (message.type) {
+            case 'meta':
+                if (message.size !== download.fileData.size) throw new Error('File size does not match');
+                if (await this.rootHash(message.blockHashes) !== download.fileData.hash) {
+                    throw new Error('File failed the integrity check');
+                }
+                download.blockHashes = message.blockHashes;
+                this.setStatus(download, 'receiving');
+                this.events.onProgress(download.fileData.id, download.offset, download.fileData.size);
+                break;
+            case 'done':
+                this.finishDownload(download);
+                break;
+            case 'error':
+                throw new Error(message.message);
+        }
+    }
+    
+    async receiveChunk(download, chunk) {
+        const { fileData } = download;
+        if (!download.blockHashes) throw new Error('Received data before the file details');
+        
+        download.block.push(chunk);
+        download.blockBytes += chunk.byteLength;
+        this.events.onProgress(fileData.id, download.offset + download.blockBytes, fileData.size);
+        
+        const expected = Math.min(FILE_BLOCK_SIZE, fileData.size - download.offset);
+        if (download.blockBytes < expected) return;
+        if (download.blockBytes > expected) throw new Error('Received more data than expected');
+        
+        const block = await new Blob(download.block).arrayBuffer();
+        if (await this.digest(block) !== download.blockHashes[download.offset / FILE_BLOCK_SIZE]) {
+            throw new Error('File failed the integrity check');
+        }
+        
+        // Verified blocks are kept as Blobs, which the browser can page out to disk
+        download.parts.push(new Blob([block]));
+        download.offset += expected;
+        download.block = [];
+        download.blockBytes = 0;
+        download.attempts = 0;
+    }
+    
+    finishDownload(download) {
+        const { fileData } = download;
+        if (download.offset !== fileData.size) throw new Error('Transfer ended early');
+        
+        const blob = new Blob(download.parts, { type: fileData.type });
+        this.stopDownload(download);
+        this.downloads.delete(fileData.id);
+        this.setStatus(download, 'complete');
+        download.resolve(blob);
+    }
+    
+    // The connection dropped before the file was complete - retry from the last verified block
+    handleDownloadClosed(download, transferId) {
+        if (download.transferId !== transferId) return;
+        
+        this.closeTransfer(transferId);
+        download.transferId = null;
+        
+        if (download.attempts >= RESUME_ATTEMPTS) {
+            this.failDownload(download, 'Connection to the uploader was lost');
+            return;
+        }
+        
+        download.attempts++;
+        this.setStatus(download, 'interrupted', `Connection lost, resuming (attempt ${download.attempts} of ${RESUME_ATTEMPTS})`);
+        download.retryTimer = setTimeout(() => this.startDownload(download), RESUME_DELAY);
+    }
+    
+    // Keeps the verified blocks so calling download() again resumes
+    failDownload(download, message) {
+        if (!download.active) return;
+        
+        this.stopDownload(download);
+        this.setStatus(download, 'failed', message);
+        download.reject(new Error(message));
+    }
+    
+    cancel(fileId) {
+        const download = this.downloads.get(fileId);
+        if (!download || !download.active) return;
+        
+        this.stopDownload(download);
+        this.downloads.delete(fileId);
+        this.setStatus(download, 'cancelled');
+        download.reject(new DOMException('Download cancelled', 'AbortError'));
+    }
+    
+    stopDownload(download) {
+        clearTimeout(download.retryTimer);
+        this.closeTransfer(download.transferId);
+        download.transferId = null;
+        download.active = false;
+    }
+    
+    // Uploader side - answer a receiver's offer and serve the file it requests
+    acceptTransfer(peerId, transferId) {
+        const pc = new RTCPeerConnection(this.rtcConfig);
+        const transfer = { pc, channel: null, peerId, pendingCandidates: [] };
+        this.transfers.set(transferId, transfer);
+        
+        this.watchConnection(transferId, () => this.closeTransfer(transferId));
+        pc.ondatachannel = ({ channel }) => {
+            transfer.channel = channel;
+            channel.binaryType = 'arraybuffer';
+            channel.onmessage = (e) => {
+                Promise.resolve().then(() => this.sendFile(channel, JSON.parse(e.data))).catch(error => {
+                    console.error('File upload failed:', error);
+                    this.closeTransfer(transferId);
+                });
+            };
+            channel.onclose = () => this.closeTransfer(transferId);
+        };
+        return transfer;
+    }
+    
+    async sendFile(channel, request) {
+        const local = this.localFiles.get(request.fileId);
+        const offset = request.offset;
+        if (!local) {
+            channel.send(JSON.stringify({ type: 'error', message: 'The file is no longer shared' }));
+            return;
+        }
+        if (!Number.isInteger(offset) || offset < 0 || offset % FILE_BLOCK_SIZE !== 0 || offset > local.file.size) {
+            channel.send(JSON.stringify({ type: 'error', message: 'Invalid resume position' }));
+            return;
+        }
+        
+        const { file, blockHashes } = local;
+        channel.send(JSON.stringify({ type: 'meta', size: file.size, blockHashes }));
+        channel.bufferedAmountLowThreshold = SEND_BUFFER_LOW;
+        
+        // Read one block at a time so large files are never held in memory
+        for (let position = offset; position < file.size; position += FILE_BLOCK_SIZE) {
+            const block = await file.slice(position, position + FILE_BLOCK_SIZE).arrayBuffer();
+            for (let start = 0; start < block.byteLength; start += FILE_CHUNK_SIZE) {
+                if (channel.bufferedAmount > SEND_BUFFER_HIGH) {
+                    await this.waitForDrain(channel);
+                }
+                let chunk = block.slice(start, start + FILE_CHUNK_SIZE);
+                if (this.cipher) {
+                    chunk = await this.cipher.encryptBytes(chunk);
+                }
+                if (channel.readyState !== 'open') return;
+                channel.send(chunk);
+            }
+        }
+        channel.send(JSON.stringify({ type: 'done' }));
+    }
+    
+    waitForDrain(channel) {
+        return new Promise(resolve => {
+            const done = () => {
+                channel.removeEventListener('bufferedamountlow', done);
+                channel.removeEventListener('close', done);
+                resolve();
+            };
+            channel.addEventListener('bufferedamountlow', done);
+            channel.addEventListener('close', done);
+        });
+    }
+    
+    // `file-signal` messages relayed by the server
+    async handleSignal({ from, transferId, description, candidate }) {
+        let transfer = this.transfers.get(transferId);
+        if (!transfer && description && description.type === 'offer') {
+            transfer = this.acceptTransfer(from, transferId);
+        }
+        if (!transfer || transfer.peerId !== from) return;
+        
+        const pc = transfer.pc;
+        try {
+            if (description) {
+                await pc.setRemoteDescription(description);
+                if (description.type === 'offer') {
+                    await pc.setLocalDescription(await pc.createAnswer());
+                    this.send('file-signal', { to: from, transferId, description: pc.localDescription });
+                }
+                await Promise.all(transfer.pendingCandidates.splice(0).map(c => pc.addIceCandidate(c)));
+            } else if (candidate) {
+                if (pc.remoteDescription) {
+                    await pc.addIceCandidate(candidate);
+                } else {
+                    transfer.pendingCandidates.push(candidate);
+                }
+            }
+        } catch (error) {
+            console.error('File transfer signaling failed:', error);
+        }
+    }
+    
+    watchConnection(transferId, onFailed) {
+        const transfer = this.transfers.get(transferId);
+        transfer.pc.onicecandidate = ({ candidate }) => {
+            if (candidate) {
+                this.send('file-signal', { to: transfer.peerId, transferId, candidate });
+            }
+        };
+        transfer.pc.onconnectionstatechange = () => {
+            if (transfer.pc.connectionState === 'failed') onFailed();
+        };
+    }
+    
+    closeTransfer(transferId) {
+        const transfer = this.transfers.get(transferId);
+        if (!transfer) return;
+        
+        this.transfers.delete(transferId);
+        if (transfer.channel) {
+            transfer.channel.onclose = null;
+            transfer.channel.onmessage = null;
+        }
+        transfer.pc.onconnectionstatechange = null;
+        transfer.pc.close();
+    }
+    
+    // Stop serving and downloading files for a participant who left the room
+    handlePeerLeft(peerId) {
+        this.transfers.forEach((transfer, transferId) => {
+            if (transfer.peerId === peerId) this.closeTransfer(transferId);
+        });
+        this.downloads.forEach((download, fileId) => {
+            if (download.fileData.from !== peerId) return;
+            
+            this.downloads.delete(fileId);
+            this.failDownload(download, 'The uploader left the room');
+        });
+    }
+    
+    // Drop every shared file and transfer (leaving the room)
+    reset() {
+        this.downloads.forEach(download => this.failDownload(download, 'Left the room'));
+        this.transfers.forEach((transfer, transferId) => this.closeTransfer(transferId));
+        this.downloads.clear();
+        this.localFiles.clear();
+    }
+    
+    setStatus(download, status, message = '') {
+        this.events.onStatus(download.fileData.id, status, message);
+    }
+    
+    async digest(data) {
+        const hash = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    rootHash(blockHashes) {
+        return this.digest(new TextEncoder().encode(blockHashes.join('')));
+    }
+}
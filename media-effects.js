@@ -0,0 +1,234 @@
+// CollabConnect - Background effects and noise suppression for our camera and mic
+// The camera can have its background blurred or replaced with an image, using
+// MediaPipe's selfie segmentation model (served with the page and run on the
+// CPU in WebAssembly), and the mic can go through a noise suppression stage
+// (see noise-gate-worklet.js). Each stage makes a track of its own, which is
+// sent in place of the device's while the effect is on.
+
+// Where the segmentation script finds its model and WebAssembly (see VENDOR_FILES in server/index.js)
+const SEGMENTATION_PATH = '/vendor/selfie_segmentation/';
+// Frames segmented per second; each one costs a model run on the CPU
+const EFFECTS_FPS = 20;
+const BACKGROUND_BLUR = 12;
+// Below this (Hz) the mic only picks up rumble: desks, footsteps, air conditioning
+const NOISE_HIGHPASS = 85;
+
+class MediaEffects {
+    // `background` is 'none', 'blur' or 'image' (`backgroundImage`, an HTMLImageElement)
+    constructor({ background = 'none', noiseSuppression = false } = {}) {
+        this.background = background;
+        this.backgroundImage = null;
+        this.noiseSuppression = noiseSuppression;
+        // Device tracks the stages process, by kind
+        this.inputs = { audio: null, video: null };
+        this.segmenter = null;
+        this.segmenterReady = null;
+        // While running - video: { element, canvas, ctx, track, timer, busy }, audio: { context, source, highpass, track }
+        this.videoStage = null;
+        this.audioStage = null;
+    }
+    
+    // Whether backgrounds can be changed; noise suppression works wherever calls do
+    static isSupported() {
+        return typeof WebAssembly !== 'undefined' && 'captureStream' in HTMLCanvasElement.prototype;
+    }
+    
+    // The processed track for `kind`, or null while its effect is off
+    getOutput(kind) {
+        const stage = kind === 'video' ? this.videoStage : this.audioStage;
+        return stage ? stage.track : null;
+    }
+    
+    // The camera or mic to process, e.g. after switching devices. A running
+    // stage keeps its output track; without a device it stops.
+    async setInput(kind, track) {
+        this.inputs[kind] = track || null;
+        if (kind === 'video') {
+            if (this.videoStage && track) {
+                this.videoStage.element.srcObject = new MediaStream([track]);
+            }
+            await this.setBackground(this.background, this.backgroundImage);
+        } else {
+            if (this.audioStage) {
+                this.connectMic(this.audioStage);
+            }
+            await this.setNoiseSuppression(this.noiseSuppression);
+        }
+    }
+    
+    // `mode` is 'none', 'blur' or 'image' with `image` (an HTMLImageElement)
+    async setBackground(mode, image = null) {
+        this.background = mode;
+        this.backgroundImage = mode === 'image' ? image : null;
+        if (mode === 'none' || !this.inputs.video) {
+            this.stopStage('video');
+        } else if (!this.videoStage) {
+            await this.startVideo();
+        }
+    }
+    
+    async setNoiseSuppression(enabled) {
+        this.noiseSuppression = enabled;
+        if (!enabled || !this.inputs.audio) {
+            this.stopStage('audio');
+        } else if (!this.audioStage) {
+            await this.startAudio();
+        }
+    }
+    
+    // Resolves once the model is ready. It is only loaded the first time a background effect is used.
+    loadSegmenter() {
+        if (!this.segmenterReady) {
+            this.segmenterReady = this.createSegmenter().catch(error => {
+                this.segmenterReady = null;
+                throw error;
+            });
+        }
+        return this.segmenterReady;
+    }
+    
+    async createSegmenter() {
+        if (typeof SelfieSegmentation === 'undefined') {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = `${SEGMENTATION_PATH}selfie_segmentation.js`;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('Could not load background segmentation'));
+                document.head.appendChild(script);
+            });
+        }
+        const segmenter = new SelfieSegmentation({ locateFile: file => SEGMENTATION_PATH + file });
+        // The landscape model: smaller, and fine for a webcam picture
+        segmenter.setOptions({ modelSelection: 1 });
+        segmenter.onResults(results => this.drawFrame(results));
+        await segmenter.initialize();
+        this.segmenter = segmenter;
+    }
+    
+    async startVideo() {
+        await this.loadSegmenter();
+        // Switched off, or started twice, while the model was loading
+        if (this.background === 'none' || this.videoStage || !this.inputs.video) return;
+        
+        const element = document.createElement('video');
+        element.autoplay = true;
+        element.muted = true;
+        element.playsInline = true;
+        element.srcObject = new MediaStream([this.inputs.video]);
+        const canvas = document.createElement('canvas');
+        const stage = {
+            element,
+            canvas,
+            ctx: canvas.getContext('2d'),
+            track: canvas.captureStream(EFFECTS_FPS).getVideoTracks()[0],
+            // The canvas is our outgoing camera track, so it has to keep drawing while
+            // this tab is hidden, which pauses requestAnimationFrame
+            timer: setInterval(() => this.processFrame(), 1000 / EFFECTS_FPS),
+            busy: false
+        };
+        this.videoStage = stage;
+        await element.play();
+    }
+    
+    async processFrame() {
+        const stage = this.videoStage;
+        if (!stage || stage.busy || stage.element.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) return;
+        // Nothing to segment while the camera is switched off
+        if (!this.inputs.video.enabled) {
+            stage.ctx.fillRect(0, 0, stage.canvas.width, stage.canvas.height);
+            return;
+        }
+        
+        stage.busy = true;
+        try {
+            await this.segmenter.send({ image: stage.element });
+        } catch (error) {
+            console.error('Background segmentation failed:', error);
+        } finally {
+            stage.busy = false;
+        }
+    }
+    
+    // The person (where the mask is) over a blurred copy of the frame or the background image
+    drawFrame({ image, segmentationMask }) {
+        const stage = this.videoStage;
+        if (!stage) return;
+        
+        const { canvas, ctx } = stage;
+        if (canvas.width !== image.width || canvas.height !== image.height) {
+            canvas.width = image.width;
+            canvas.height = image.height;
+        }
+        const { width, height } = canvas;
+        
+        ctx.save();
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(segmentationMask, 0, 0, width, height);
+        ctx.globalCompositeOperation = 'source-in';
+        ctx.drawImage(image, 0, 0, width, height);
+        
+        ctx.globalCompositeOperation = 'destination-over';
+        if (this.background === 'image' && this.backgroundImage) {
+            // Cropped to fill the frame
+            const scale = Math.max(width / this.backgroundImage.width, height / this.backgroundImage.height);
+            const drawWidth = this.backgroundImage.width * scale;
+            const drawHeight = this.backgroundImage.height * scale;
+            ctx.drawImage(this.backgroundImage, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+        } else {
+            ctx.filter = `blur(${BACKGROUND_BLUR}px)`;
+            ctx.drawImage(image, 0, 0, width, height);
+        }
+        ctx.restore();
+    }
+    
+    // Mic -> high-pass filter -> noise gate -> a track of its own
+    async startAudio() {
+        const context = new AudioContext();
+        await context.audioWorklet.addModule('noise-gate-worklet.js');
+        // Switched off, or started twice, while the worklet was loading
+        if (!this.noiseSuppression || this.audioStage || !this.inputs.audio) {
+            context.close();
+            return;
+        }
+        
+        const highpass = context.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = NOISE_HIGHPASS;
+        const destination = context.createMediaStreamDestination();
+        highpass.connect(new AudioWorkletNode(context, 'noise-gate')).connect(destination);
+        
+        this.audioStage = { context, source: null, highpass, track: destination.stream.getAudioTracks()[0] };
+        this.connectMic(this.audioStage);
+    }
+    
+    connectMic(stage) {
+        if (stage.source) {
+            stage.source.disconnect();
+            stage.source = null;
+        }
+        if (this.inputs.audio) {
+            stage.source = stage.context.createMediaStreamSource(new MediaStream([this.inputs.audio]));
+            stage.source.connect(stage.highpass);
+        }
+    }
+    
+    stopStage(kind) {
+        if (kind === 'video' && this.videoStage) {
+            clearInterval(this.videoStage.timer);
+            this.videoStage.track.stop();
+            this.videoStage.element.srcObject = null;
+            this.videoStage = null;
+        } else if (kind === 'audio' && this.audioStage) {
+            this.audioStage.track.stop();
+            this.audioStage.context.close();
+            this.audioStage = null;
+        }
+    }
+    
+    // Stops both stages but keeps the settings for the next call
+    stop() {
+        this.stopStage('video');
+        this.stopStage('audio');
+        this.inputs = { audio: null, video: null };
+    }
+}
@@ -0,0 +1,116 @@
+// CollabConnect - Network quality from WebRTC statistics
+// Samples getStats() on every media connection every few seconds and rates
+// the link both ways from its round-trip time and packet loss, so tiles can
+// show how well each participant is coming through and we can send less
+// video when our own uplink struggles.
+
+// How often connections are sampled (ms)
+const STATS_INTERVAL = 2000;
+// Round-trip time (ms) and packet loss (0..1) at or above which a link is fair or poor
+const QUALITY_LIMITS = {
+    poor: { rtt: 500, loss: 0.1 },
+    fair: { rtt: 250, loss: 0.03 }
+};
+// A link only rates better again after this many better samples in a row, so
+// the video we send does not flip back and forth on a borderline connection
+const RECOVERY_SAMPLES = 3;
+const QUALITY_RANKS = { good: 0, fair: 1, poor: 2 };
+
+class NetworkQualityMonitor {
+    // `getConnections()` returns participant id -> RTCPeerConnection to sample.
+    // `onUpdate(results)` gets participant id -> { rtt, loss, bitrate, quality, sendQuality },
+    // where `rtt` is in ms, `loss` is the share of packets lost on their way
+    // to us, `bitrate` is what we receive in kbit/s and `sendQuality` rates
+    // the link from us to them.
+    constructor(getConnections, onUpdate) {
+        this.getConnections = getConnections;
+        this.onUpdate = onUpdate;
+        this.timer = null;
+        // RTCPeerConnection -> { totals, quality, sendQuality, better, sendBetter } from the last sample
+        this.samples = new WeakMap();
+    }
+    
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.measure(), STATS_INTERVAL);
+    }
+    
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+    
+    // The worse of two ratings
+    static worst(a, b) {
+        return QUALITY_RANKS[a] >= QUALITY_RANKS[b] ? a : b;
+    }
+    
+    static rate(rtt, loss) {
+        if (rtt >= QUALITY_LIMITS.poor.rtt || loss >= QUALITY_LIMITS.poor.loss) return 'poor';
+        if (rtt >= QUALITY_LIMITS.fair.rtt || loss >= QUALITY_LIMITS.fair.loss) return 'fair';
+        return 'good';
+    }
+    
+    async measure() {
+        const connections = Array.from(this.getConnections())
+            .filter(([id, pc]) => pc.connectionState === 'connected');
+        const results = new Map();
+        
+        await Promise.all(connections.map(async ([id, pc]) => {
+            try {
+                results.set(id, this.sample(pc, await pc.getStats()));
+            } catch (error) {
+                // Closed while the stats were being gathered
+            }
+        }));
+        if (this.timer) {
+            this.onUpdate(results);
+        }
+    }
+    
+    // Rates one connection from the change in its counters since the last sample
+    sample(pc, stats) {
+        const totals = { time: performance.now(), bytesReceived: 0, packetsReceived: 0, packetsLost: 0 };
+        let rtt = 0;
+        let sendLoss = 0;
+        
+        stats.forEach(report => {
+            if (report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded') {
+                rtt = Math.max(rtt, (report.currentRoundTripTime || 0) * 1000);
+            } else if (report.type === 'inbound-rtp') {
+                totals.bytesReceived += report.bytesReceived || 0;
+                totals.packetsReceived += report.packetsReceived || 0;
+                totals.packetsLost += Math.max(0, report.packetsLost || 0);
+            } else if (report.type === 'remote-inbound-rtp') {
+                // What the other end reports about the packets we send it
+                sendLoss = Math.max(sendLoss, report.fractionLost || 0);
+                rtt = Math.max(rtt, (report.roundTripTime || 0) * 1000);
+            }
+        });
+        
+        const previous = this.samples.get(pc);
+        let loss = 0;
+        let bitrate = 0;
+        if (previous) {
+            const received = totals.packetsReceived - previous.totals.packetsReceived;
+            const lost = totals.packetsLost - previous.totals.packetsLost;
+            loss = received + lost > 0 ? Math.max(0, lost) / (received + lost) : 0;
+            const seconds = (totals.time - previous.totals.time) / 1000;
+            bitrate = seconds > 0 ? Math.max(0, (totals.bytesReceived - previous.totals.bytesReceived) * 8 / 1000 / seconds) : 0;
+        }
+        
+        const [quality, better] = this.smooth(NetworkQualityMonitor.rate(rtt, loss), previous && previous.quality, previous && previous.better);
+        const [sendQuality, sendBetter] = this.smooth(NetworkQualityMonitor.rate(rtt, sendLoss), previous && previous.sendQuality, previous && previous.sendBetter);
+        this.samples.set(pc, { totals, quality, better, sendQuality, sendBetter });
+        
+        return { rtt: Math.round(rtt), loss, bitrate: Math.round(bitrate), quality, sendQuality };
+    }
+    
+    // Worse ratings apply at once, better ones after RECOVERY_SAMPLES in a row.
+    // Returns the rating to use and how many better samples have been seen.
+    smooth(rating, current, better = 0) {
+        if (!current || QUALITY_RANKS[rating] >= QUALITY_RANKS[current]) return [rating, 0];
+        if (better + 1 >= RECOVERY_SAMPLES) return [rating, 0];
+        return [current, better + 1];
+    }
+}
@@ -0,0 +1,55 @@
+// CollabConnect - Noise suppression (an AudioWorklet, see MediaEffects in media-effects.js)
+// Follows the level of the background noise and turns the mic down whenever
+// nothing clearly louder is coming in, so keyboards, fans and office chatter
+// in the pauses between words do not reach the others.
+
+// Speech has to be this many times louder than the noise floor to open the gate
+const OPEN_RATIO = 3;
+// How far the closed gate turns the mic down
+const CLOSED_GAIN = 0.1;
+// How much of the way to open or closed the gain moves per 128-sample block
+const ATTACK = 0.5;
+const RELEASE = 0.02;
+// The gate stays open this long (s) after speech, so word endings are not cut off
+const HOLD_TIME = 0.25;
+// How quickly the noise floor follows quieter and louder input; it rises slowly so speech barely moves it
+const FLOOR_FALL = 0.1;
+const FLOOR_RISE = 0.001;
+const MIN_FLOOR = 0.0001;
+
+class NoiseGateProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.floor = MIN_FLOOR;
+        this.gain = 1;
+        this.openUntil = 0;
+    }
+    
+    process(inputs, outputs) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (!input.length) return true;
+        
+        const samples = input[0];
+        const level = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+        this.floor += (level - this.floor) * (level < this.floor ? FLOOR_FALL : FLOOR_RISE);
+        this.floor = Math.max(this.floor, MIN_FLOOR);
+        if (level > this.floor * OPEN_RATIO) {
+            this.openUntil = currentTime + HOLD_TIME;
+        }
+        
+        const target = currentTime < this.openUntil ? 1 : CLOSED_GAIN;
+        const startGain = this.gain;
+        this.gain += (target - this.gain) * (target > this.gain ? ATTACK : RELEASE);
+        
+        // Ramped across the block so the gain changes without clicks
+        input.forEach((channel, c) => {
+            channel.forEach((sample, i) => {
+                output[c][i] = sample * (startGain + (this.gain - startGain) * i / channel.length);
+            });
+        });
+        return true;
+    }
+}
+
+registerProcessor('noise-gate', NoiseGateProcessor);
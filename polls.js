@@ -0,0 +1,77 @@
+// CollabConnect - Polls and Q&A
+// The server keeps each room's polls and questions (see server/polls.js) and
+// sends every change to everyone. This is our copy of them, tagged with the
+// room they belong to; like the caption transcript it carries on across
+// reconnects and breakouts, so the results can be exported as CSV after the meeting.
+
+// Most options the host can give a poll (MAX_OPTIONS in server/polls.js)
+const MAX_POLL_OPTIONS = 10;
+const POLL_CSV_HEADER = ['Type', 'Room', 'Question', 'Option', 'Votes', 'Share', 'Names', 'Time', 'Status'];
+
+class PollBook {
+    constructor() {
+        // poll id -> poll, question id -> question, each with the `room` it was asked in
+        this.polls = new Map();
+        this.questions = new Map();
+    }
+    
+    get isEmpty() {
+        return this.polls.size === 0 && this.questions.size === 0;
+    }
+    
+    reset() {
+        this.polls.clear();
+        this.questions.clear();
+    }
+    
+    // A poll from the server. Our own vote (`choices`) only comes with room-state,
+    // so an update keeps the one we already know.
+    setPoll(poll, room) {
+        const known = this.polls.get(poll.id);
+        const choices = poll.choices || (known ? known.choices : []);
+        this.polls.set(poll.id, { ...poll, choices, room });
+    }
+    
+    setQuestion(question, room) {
+        this.questions.set(question.id, { ...question, room });
+    }
+    
+    pollsIn(room) {
+        return Array.from(this.polls.values()).filter(poll => poll.room === room);
+    }
+    
+    // Open questions first, the most upvoted at the top, then in the order they were asked
+    questionsIn(room) {
+        return Array.from(this.questions.values())
+            .filter(question => question.room === room)
+            .sort((a, b) => (a.answered - b.answered) || (b.upvoters.length - a.upvoters.length) || (a.askedAt - b.askedAt));
+    }
+    
+    // One row per poll option and per question. Text we could not decrypt is left empty.
+    toCsv() {
+        const rows = [POLL_CSV_HEADER];
+        this.polls.forEach(poll => {
+            poll.options.forEach((option, index) => {
+                const names = poll.votes
+                    ? poll.votes.filter(vote => vote.choices.includes(index)).map(vote => vote.name).join('; ')
+                    : '(anonymous)';
+                const share = poll.voters ? `${Math.round(poll.counts[index] / poll.voters * 100)}%` : '0%';
+                rows.push(['Poll', poll.room, poll.question, option, poll.counts[index], share, names,
+                    new Date(poll.createdAt).toISOString(), poll.closed ? 'closed' : 'open']);
+            });
+        });
+        this.questions.forEach(question => {
+            rows.push(['Question', question.room, question.text, '', question.upvoters.length, '', question.authorName,
+                new Date(question.askedAt).toISOString(), question.answered ? 'answered' : 'open']);
+        });
+        return rows.map(row => row.map(PollBook.csvField).join(',')).join('\r\n') + '\r\n';
+    }
+    
+    // Quoted where needed (RFC 4180). Spreadsheets run cells starting with = + - @
+    // as formulas, so those are prefixed with an apostrophe.
+    static csvField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
@@ -0,0 +1,256 @@
+// CollabConnect - Local meeting recording
+// Records what this participant sees: the video tiles drawn onto a canvas,
+// with whoever is speaking large and everyone else in a strip below,
+// optionally beside the whiteboard's current page, and everyone's audio
+// mixed together. Nothing leaves the device while recording; the WebM is only
+// shared once it is finished.
+
+const RECORDING_WIDTH = 1280;
+const RECORDING_HEIGHT = 720;
+const RECORDING_FPS = 30;
+const STRIP_HEIGHT = 180;
+const STRIP_TILE_WIDTH = 320;
+// The whiteboard is redrawn this often (ms) rather than on every frame
+const BOARD_REFRESH_INTERVAL = 500;
+// Someone has to be this much louder than the current speaker to take the large tile
+const SPEAKER_SWITCH_RATIO = 1.5;
+// Quieter than this counts as silence
+const SPEAKING_LEVEL = 0.02;
+const RECORDING_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+class MeetingRecorder {
+    // `getTiles()` returns the tiles to record as [{ id, name, video, videoOff }].
+    // `whiteboard` (a Whiteboard) is recorded beside the speaker when given.
+    constructor({ getTiles, whiteboard = null }) {
+        this.getTiles = getTiles;
+        this.whiteboard = whiteboard;
+        this.canvas = null;
+        this.ctx = null;
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.frameTimer = null;
+        this.startedAt = null;
+        
+        // Audio mixing: MediaStream -> { source, analyser, samples }
+        this.audioContext = null;
+        this.audioDestination = null;
+        this.audioInputs = new Map();
+        this.speakerId = null;
+        
+        // Whiteboard page drawn off screen, and its background images by data URL
+        this.boardCanvas = null;
+        this.boardRenderedAt = 0;
+        this.backgroundImages = new Map();
+    }
+    
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            'captureStream' in HTMLCanvasElement.prototype &&
+            RECORDING_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+    }
+    
+    start() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = RECORDING_WIDTH;
+        this.canvas.height = RECORDING_HEIGHT;
+        this.ctx = this.canvas.getContext('2d');
+        
+        this.audioContext = new AudioContext();
+        this.audioDestination = this.audioContext.createMediaStreamDestination();
+        
+        const stream = new MediaStream([
+            ...this.canvas.captureStream(RECORDING_FPS).getVideoTracks(),
+            ...this.audioDestination.stream.getAudioTracks()
+        ]);
+        this.mimeType = RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        this.mediaRecorder = new MediaRecorder(stream, { mimeType: this.mimeType });
+        this.mediaRecorder.ondataavailable = (e) => {
+            if (e.data.size) this.chunks.push(e.data);
+        };
+        
+        this.drawFrame();
+        // A timer rather than requestAnimationFrame, which stops in background tabs
+        this.frameTimer = setInterval(() => this.drawFrame(), 1000 / RECORDING_FPS);
+        this.mediaRecorder.start(1000);
+        this.startedAt = Date.now();
+    }
+    
+    // Resolves with the finished recording as a Blob
+    stop() {
+        clearInterval(this.frameTimer);
+        this.frameTimer = null;
+        
+        return new Promise(resolve => {
+            this.mediaRecorder.onstop = () => {
+                this.mediaRecorder.stream.getTracks().forEach(track => track.stop());
+                this.audioContext.close();
+                this.audioInputs.clear();
+                resolve(new Blob(this.chunks, { type: 'video/webm' }));
+            };
+            this.mediaRecorder.stop();
+        });
+    }
+    
+    drawFrame() {
+        const tiles = this.getTiles();
+        this.updateAudioInputs(tiles);
+        
+        const ctx = this.ctx;
+        ctx.fillStyle = '#1e1e2e';
+        ctx.fillRect(0, 0, RECORDING_WIDTH, RECORDING_HEIGHT);
+        if (!tiles.length) return;
+        
+        const speaker = this.pickSpeaker(tiles);
+        const others = tiles.filter(tile => tile !== speaker);
+        const mainHeight = others.length ? RECORDING_HEIGHT - STRIP_HEIGHT : RECORDING_HEIGHT;
+        
+        if (this.whiteboard) {
+            const boardWidth = RECORDING_WIDTH * 2 / 3;
+            this.drawWhiteboard(0, 0, boardWidth, mainHeight);
+            this.drawTile(speaker, boardWidth, 0, RECORDING_WIDTH - boardWidth, mainHeight);
+        } else {
+            this.drawTile(speaker, 0, 0, RECORDING_WIDTH, mainHeight);
+        }
+        
+        const tileWidth = Math.min(STRIP_TILE_WIDTH, RECORDING_WIDTH / others.length);
+        const left = (RECORDING_WIDTH - tileWidth * others.length) / 2;
+        others.forEach((tile, i) => this.drawTile(tile, left + i * tileWidth, mainHeight, tileWidth, STRIP_HEIGHT));
+    }
+    
+    // Video cropped to fill the tile, or the participant's initial while their camera is off
+    drawTile(tile, x, y, width, height) {
+        const ctx = this.ctx;
+        const video = tile.video;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x + 2, y + 2, width - 4, height - 4);
+        ctx.clip();
+        
+        if (!tile.videoOff && video.videoWidth) {
+            const scale = Math.max(width / video.videoWidth, height / video.videoHeight);
+            const drawWidth = video.videoWidth * scale;
+            const drawHeight = video.videoHeight * scale;
+            ctx.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+        } else {
+            ctx.fillStyle = '#2d2d44';
+            ctx.fillRect(x, y, width, height);
+            ctx.fillStyle = '#667eea';
+            ctx.font = `${Math.round(height / 3)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(tile.name.charAt(0).toUpperCase(), x + width / 2, y + height / 2);
+        }
+        
+        ctx.font = '16px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        const labelWidth = ctx.measureText(tile.name).width + 16;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(x + 8, y + height - 34, labelWidth, 26);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(tile.name, x + 16, y + height - 13);
+        ctx.restore();
+    }
+    
+    // The board's current page, kept to its on-screen aspect ratio
+    drawWhiteboard(x, y, width, height) {
+        const board = this.whiteboard.canvas;
+        const aspect = board.width && board.height ? board.width / board.height : 4 / 3;
+        const boardWidth = Math.min(width, height * aspect);
+        const boardHeight = boardWidth / aspect;
+        
+        const now = Date.now();
+        if (!this.boardCanvas || this.boardCanvas.width !== Math.round(boardWidth) ||
+            now - this.boardRenderedAt > BOARD_REFRESH_INTERVAL) {
+            this.renderBoard(Math.round(boardWidth), Math.round(boardHeight));
+            this.boardRenderedAt = now;
+        }
+        this.ctx.drawImage(this.boardCanvas, x + (width - boardWidth) / 2, y + (height - boardHeight) / 2);
+    }
+    
+    renderBoard(width, height) {
+        const whiteboard = this.whiteboard;
+        const canvas = this.boardCanvas || document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        
+        const background = whiteboard.backgrounds.get(whiteboard.page);
+        if (background) {
+            const image = this.getBackgroundImage(background.dataUrl);
+            if (image.complete) ctx.drawImage(image, 0, 0, width, height);
+        }
+        
+        // Objects go on their own layer so the eraser cannot cut through the background
+        const layer = document.createElement('canvas');
+        layer.width = width;
+        layer.height = height;
+        const layerCtx = layer.getContext('2d');
+        whiteboard.getPageObjects(whiteboard.page).forEach(object => whiteboard.drawObject(object, layerCtx));
+        ctx.drawImage(layer, 0, 0);
+        
+        this.boardCanvas = canvas;
+    }
+    
+    getBackgroundImage(dataUrl) {
+        if (!this.backgroundImages.has(dataUrl)) {
+            const image = new Image();
+            image.src = dataUrl;
+            this.backgroundImages.set(dataUrl, image);
+        }
+        return this.backgroundImages.get(dataUrl);
+    }
+    
+    // Mixes in the audio of streams that appeared since the last frame
+    updateAudioInputs(tiles) {
+        const streams = new Set();
+        tiles.forEach(tile => {
+            const stream = tile.video.srcObject;
+            if (!stream || !stream.getAudioTracks().length) return;
+            
+            streams.add(stream);
+            if (this.audioInputs.has(stream)) return;
+            
+            const source = this.audioContext.createMediaStreamSource(stream);
+            const analyser = this.audioContext.createAnalyser();
+            analyser.fftSize = 512;
+            source.connect(this.audioDestination);
+            source.connect(analyser);
+            this.audioInputs.set(stream, { source, analyser, samples: new Float32Array(analyser.fftSize) });
+        });
+        
+        // Streams of people who left
+        this.audioInputs.forEach((input, stream) => {
+            if (!streams.has(stream)) {
+                input.source.disconnect();
+                this.audioInputs.delete(stream);
+            }
+        });
+    }
+    
+    // The loudest tile, but only taking over from the current speaker when clearly louder
+    pickSpeaker(tiles) {
+        const levels = new Map(tiles.map(tile => [tile, this.getLevel(tile)]));
+        let speaker = tiles.find(tile => tile.id === this.speakerId) || tiles[0];
+        
+        levels.forEach((level, tile) => {
+            if (level > SPEAKING_LEVEL && level > levels.get(speaker) * SPEAKER_SWITCH_RATIO) {
+                speaker = tile;
+            }
+        });
+        this.speakerId = speaker.id;
+        return speaker;
+    }
+    
+    // RMS level of the tile's audio, 0..1
+    getLevel(tile) {
+        const input = tile.video.srcObject && this.audioInputs.get(tile.video.srcObject);
+        if (!input) return 0;
+        
+        input.analyser.getFloatTimeDomainData(input.samples);
+        const sum = input.samples.reduce((total, sample) => total + sample * sample, 0);
+        return Math.sqrt(sum / input.samples.length);
+    }
+}
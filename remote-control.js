@@ -0,0 +1,218 @@
+// CollabConnect - Remote control of a shared screen
+// A viewer can ask to control the screen someone is presenting. Once the
+// presenter allows it, the viewer's pointer and keys on the shared screen's
+// tile travel over a WebRTC data channel, signaled through the server's
+// `control-signal` relay, to the presenter's browser. A browser cannot move
+// the mouse or press keys, so it hands them on to the control agent running on
+// the presenter's machine (agent/control-agent.js), which replays them.
+
+// Where the presenter's control agent listens (PORT in agent/control-agent.js)
+const CONTROL_AGENT_URL = 'http://127.0.0.1:7878';
+const CONTROL_AGENT_TIMEOUT = 5000;
+const CONTROL_ACTIONS = {
+    pointer: ['move', 'down', 'up'],
+    key: ['down', 'up']
+};
+
+// The viewer's input as it goes to the agent, with coordinates as fractions of the shared screen
+class ControlInput {
+    // Null while the pointer is on the letterbox bars around the picture, except
+    // for a button release, which always goes through so no button stays down
+    static pointer(video, e, action) {
+        const point = ControlInput.toScreenPoint(video, e.clientX, e.clientY, action === 'up');
+        return point && { type: 'pointer', action, x: point[0], y: point[1], button: e.button };
+    }
+    
+    static wheel(video, e) {
+        const point = ControlInput.toScreenPoint(video, e.clientX, e.clientY);
+        return point && { type: 'wheel', x: point[0], y: point[1], dx: Math.sign(e.deltaX), dy: Math.sign(e.deltaY) };
+    }
+    
+    // The physical key, so the presenter's keyboard layout applies
+    static key(e, action) {
+        return { type: 'key', action, code: e.code };
+    }
+    
+    // The tile's <video> shows the shared screen letterboxed (object-fit: contain)
+    static toScreenPoint(video, clientX, clientY, clamp = false) {
+        const { videoWidth, videoHeight } = video;
+        const rect = video.getBoundingClientRect();
+        if (!videoWidth || !videoHeight || !rect.width || !rect.height) return null;
+        
+        const scale = Math.min(rect.width / videoWidth, rect.height / videoHeight);
+        const width = videoWidth * scale;
+        const height = videoHeight * scale;
+        let x = (clientX - rect.left - (rect.width - width) / 2) / width;
+        let y = (clientY - rect.top - (rect.height - height) / 2) / height;
+        if (clamp) {
+            x = Math.min(Math.max(x, 0), 1);
+            y = Math.min(Math.max(y, 0), 1);
+        } else if (x < 0 || x > 1 || y < 0 || y > 1) {
+            return null;
+        }
+        return [Math.round(x * 10000) / 10000, Math.round(y * 10000) / 10000];
+    }
+    
+    // Checked on the presenter's side before anything reaches the agent
+    static isValid(event) {
+        if (!event || typeof event !== 'object') return false;
+        
+        const isFraction = value => Number.isFinite(value) && value >= 0 && value <= 1;
+        const isStep = value => [-1, 0, 1].includes(value);
+        switch (event.type) {
+            case 'pointer':
+                return CONTROL_ACTIONS.pointer.includes(event.action) && isFraction(event.x) && isFraction(event.y) &&
+                    [0, 1, 2].includes(event.button);
+            case 'wheel':
+                return isFraction(event.x) && isFraction(event.y) && isStep(event.dx) && isStep(event.dy);
+            case 'key':
+                return CONTROL_ACTIONS.key.includes(event.action) && typeof event.code === 'string' && event.code.length <= 32;
+            default:
+                return false;
+        }
+    }
+}
+
+// The data channel between a viewer and the presenter whose screen they control
+class RemoteControlChannel {
+    // `send(event, data)` emits a signaling message. `events.onInput(event)` gets the
+    // viewer's input on the presenter's side; `events.onClose()` is called if the
+    // connection fails or the other side closes it.
+    constructor(rtcConfig, peerId, send, events) {
+        this.peerId = peerId;
+        this.send = send;
+        this.events = events;
+        this.channel = null;
+        this.pendingCandidates = [];
+        this.pc = new RTCPeerConnection(rtcConfig);
+        this.pc.onicecandidate = ({ candidate }) => {
+            if (candidate) this.send('control-signal', { to: peerId, candidate });
+        };
+        this.pc.onconnectionstatechange = () => {
+            if (this.pc.connectionState === 'failed') this.events.onClose();
+        };
+    }
+    
+    // The viewer opens the channel...
+    async open() {
+        this.setChannel(this.pc.createDataChannel('control', { ordered: true }));
+        try {
+            await this.pc.setLocalDescription(await this.pc.createOffer());
+            this.send('control-signal', { to: this.peerId, description: this.pc.localDescription });
+        } catch (error) {
+            console.error('Remote control offer failed:', error);
+            this.events.onClose();
+        }
+    }
+    
+    // ...and the presenter waits for it
+    accept() {
+        this.pc.ondatachannel = ({ channel }) => this.setChannel(channel);
+    }
+    
+    setChannel(channel) {
+        this.channel = channel;
+        channel.onmessage = (e) => {
+            let event = null;
+            try {
+                event = JSON.parse(e.data);
+            } catch (error) {
+                return;
+            }
+            if (ControlInput.isValid(event)) this.events.onInput(event);
+        };
+        channel.onclose = () => this.events.onClose();
+    }
+    
+    sendInput(event) {
+        if (this.channel && this.channel.readyState === 'open') {
+            this.channel.send(JSON.stringify(event));
+        }
+    }
+    
+    async handleSignal({ description, candidate }) {
+        const pc = this.pc;
+        try {
+            if (description) {
+                await pc.setRemoteDescription(description);
+                if (description.type === 'offer') {
+                    await pc.setLocalDescription(await pc.createAnswer());
+                    this.send('control-signal', { to: this.peerId, description: pc.localDescription });
+                }
+                await Promise.all(this.pendingCandidates.splice(0).map(c => pc.addIceCandidate(c)));
+            } else if (candidate) {
+                if (pc.remoteDescription) {
+                    await pc.addIceCandidate(candidate);
+                } else {
+                    this.pendingCandidates.push(candidate);
+                }
+            }
+        } catch (error) {
+            console.error('Remote control signaling failed:', error);
+        }
+    }
+    
+    close() {
+        if (this.channel) {
+            this.channel.onclose = null;
+            this.channel.onmessage = null;
+        }
+        this.pc.onconnectionstatechange = null;
+        this.pc.close();
+    }
+}
+
+// The presenter's connection to the control agent on their own machine.
+// `onDisconnect()` is called when an open connection drops.
+class ControlAgent {
+    constructor(onDisconnect) {
+        this.onDisconnect = onDisconnect;
+        this.socket = null;
+    }
+    
+    get isConnected() {
+        return Boolean(this.socket && this.socket.connected);
+    }
+    
+    // `code` is the pairing code the agent printed when it started. Rejects with
+    // an Error whose `reason` is 'pairing' for a wrong code, otherwise 'unreachable'.
+    connect(code) {
+        if (this.isConnected) return Promise.resolve();
+        this.disconnect();
+        
+        return new Promise((resolve, reject) => {
+            const socket = io(CONTROL_AGENT_URL, {
+                transports: ['websocket'],
+                auth: { code },
+                reconnection: false,
+                timeout: CONTROL_AGENT_TIMEOUT
+            });
+            this.socket = socket;
+            socket.once('connect', () => {
+                socket.once('disconnect', () => {
+                    if (this.socket !== socket) return;
+                    this.socket = null;
+                    this.onDisconnect();
+                });
+                resolve();
+            });
+            socket.once('connect_error', (error) => {
+                if (this.socket === socket) this.disconnect();
+                const pairing = error.message === 'Wrong pairing code';
+                reject(Object.assign(new Error(pairing
+                    ? 'The control agent did not accept the pairing code'
+                    : 'The control agent is not running on this computer'), { reason: pairing ? 'pairing' : 'unreachable' }));
+            });
+        });
+    }
+    
+    inject(event) {
+        if (this.isConnected) this.socket.emit('input', event);
+    }
+    
+    disconnect() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.disconnect();
+    }
+}
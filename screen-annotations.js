@@ -0,0 +1,191 @@
+// CollabConnect - Drawing on shared screens
+// Anyone can mark up the screen someone is presenting with the whiteboard's
+// pen and eraser, on a transparent layer over the tile. Points are fractions
+// of the shared picture itself rather than of the tile, so a stroke lands on
+// the same spot of the screen for everyone however their tile is sized or
+// letterboxed. Strokes either fade a little while after they are finished or
+// stay until someone clears them.
+
+// A fading stroke stays this long (ms) once finished, then fades out over ANNOTATION_FADE_TIME
+const ANNOTATION_FADE_DELAY = 3000;
+const ANNOTATION_FADE_TIME = 1000;
+// Limits on what the others can make us draw; the oldest strokes go first
+const MAX_ANNOTATION_STROKES = 500;
+const MAX_ANNOTATION_POINTS = 5000;
+const MAX_ANNOTATION_WIDTH = 0.2;
+
+class ScreenAnnotationLayer {
+    // `video` is the tile's <video> showing the shared screen
+    constructor(video) {
+        this.video = video;
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'annotation-layer';
+        this.ctx = this.canvas.getContext('2d');
+        // stroke id -> { id, author, tool, color, width, fade, points, endedAt }, in drawing order
+        this.strokes = new Map();
+        this.frame = null;
+        video.after(this.canvas);
+        
+        // The picture moves with the tile's size and the shared screen's resolution
+        this.fit = this.fit.bind(this);
+        this.resizeObserver = new ResizeObserver(this.fit);
+        this.resizeObserver.observe(video);
+        video.addEventListener('resize', this.fit);
+        this.fit();
+    }
+    
+    // Covers the picture inside the tile, which shows shared screens letterboxed (object-fit: contain)
+    fit() {
+        const { videoWidth, videoHeight, offsetLeft, offsetTop, clientWidth, clientHeight } = this.video;
+        if (!videoWidth || !videoHeight || !clientWidth || !clientHeight) return;
+        
+        const scale = Math.min(clientWidth / videoWidth, clientHeight / videoHeight);
+        const width = Math.round(videoWidth * scale);
+        const height = Math.round(videoHeight * scale);
+        Object.assign(this.canvas.style, {
+            left: `${offsetLeft + (clientWidth - width) / 2}px`,
+            top: `${offsetTop + (clientHeight - height) / 2}px`,
+            width: `${width}px`,
+            height: `${height}px`
+        });
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.redraw();
+    }
+    
+    // Convert a pointer position to normalized screen coordinates
+    toScreenPoint(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [this.round((clientX - rect.left) / rect.width), this.round((clientY - rect.top) / rect.height)];
+    }
+    
+    // Convert a size in CSS pixels to a fraction of the screen width
+    toScreenWidth(size) {
+        const rect = this.canvas.getBoundingClientRect();
+        return Math.min(this.round(size / (rect.width || this.canvas.width || 1)), MAX_ANNOTATION_WIDTH);
+    }
+    
+    round(value) {
+        return Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+    }
+    
+    beginStroke(stroke) {
+        if (this.strokes.has(stroke.id)) return;
+        
+        // Erased spots would come back if the eraser faded
+        const copy = { ...stroke, fade: Boolean(stroke.fade) && stroke.tool !== 'eraser', points: [], endedAt: null };
+        this.strokes.set(copy.id, copy);
+        if (this.strokes.size > MAX_ANNOTATION_STROKES) {
+            this.strokes.delete(this.strokes.keys().next().value);
+            this.redraw();
+        }
+        this.appendPoints(copy.id, stroke.points, copy.author);
+    }
+    
+    // Only a stroke's author can extend or finish it
+    appendPoints(strokeId, points, author) {
+        const stroke = this.strokes.get(strokeId);
+        if (!stroke || stroke.author !== author || stroke.endedAt || !ScreenAnnotationLayer.isValidPoints(points)) return;
+        
+        points.slice(0, MAX_ANNOTATION_POINTS - stroke.points.length).forEach(point => {
+            const last = stroke.points[stroke.points.length - 1] || point;
+            stroke.points.push(point);
+            this.drawPath(stroke, [last, point]);
+        });
+    }
+    
+    endStroke(strokeId, author) {
+        const stroke = this.strokes.get(strokeId);
+        if (!stroke || stroke.author !== author || stroke.endedAt) return;
+        
+        stroke.endedAt = performance.now();
+        if (stroke.fade) this.animate();
+    }
+    
+    clear() {
+        this.strokes.clear();
+        this.redraw();
+    }
+    
+    // Redraws every frame while strokes are fading, and drops them once they are gone
+    animate() {
+        if (this.frame) return;
+        
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            const now = performance.now();
+            let fading = false;
+            this.strokes.forEach((stroke, id) => {
+                if (!stroke.fade || !stroke.endedAt) return;
+                if (now - stroke.endedAt >= ANNOTATION_FADE_DELAY + ANNOTATION_FADE_TIME) {
+                    this.strokes.delete(id);
+                } else {
+                    fading = true;
+                }
+            });
+            this.redraw(now);
+            if (fading) this.animate();
+        });
+    }
+    
+    redraw(now = performance.now()) {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.strokes.forEach(stroke => this.drawPath(stroke, stroke.points, this.opacityOf(stroke, now)));
+    }
+    
+    opacityOf(stroke, now) {
+        if (!stroke.fade || !stroke.endedAt) return 1;
+        const elapsed = now - stroke.endedAt - ANNOTATION_FADE_DELAY;
+        return Math.min(Math.max(1 - elapsed / ANNOTATION_FADE_TIME, 0), 1);
+    }
+    
+    // In one path, so a fading stroke does not show darker spots where its segments meet
+    drawPath(stroke, points, opacity = 1) {
+        if (!points.length) return;
+        const { ctx } = this;
+        const { width, height } = this.canvas;
+        
+        ctx.save();
+        ctx.globalAlpha = opacity;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = Math.max(stroke.width * width, 1);
+        
+        // The eraser only removes annotations; the screen underneath is a video
+        if (stroke.tool === 'eraser') {
+            ctx.globalCompositeOperation = 'destination-out';
+        } else {
+            ctx.strokeStyle = stroke.color;
+        }
+        
+        ctx.beginPath();
+        ctx.moveTo(points[0][0] * width, points[0][1] * height);
+        points.forEach(([x, y]) => ctx.lineTo(x * width, y * height));
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    destroy() {
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.resizeObserver.disconnect();
+        this.video.removeEventListener('resize', this.fit);
+        this.canvas.remove();
+    }
+    
+    // Strokes from the others are checked before they are drawn
+    static isValidStroke(stroke) {
+        return Boolean(stroke) &&
+            typeof stroke.id === 'string' && stroke.id.length <= 64 &&
+            ['pen', 'eraser'].includes(stroke.tool) &&
+            typeof stroke.color === 'string' && /^#[0-9a-f]{6}$/i.test(stroke.color) &&
+            Number.isFinite(stroke.width) && stroke.width > 0 && stroke.width <= MAX_ANNOTATION_WIDTH &&
+            ScreenAnnotationLayer.isValidPoints(stroke.points);
+    }
+    
+    static isValidPoints(points) {
+        return Array.isArray(points) && points.every(point => {
+            return Array.isArray(point) && point.length === 2 && point.every(value => Number.isFinite(value) && value >= 0 && value <= 1);
+        });
+    }
+}
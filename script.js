@@ -1,26 +1,196 @@
 // CollabConnect - Real-Time Communication App
-// This app demonstrates WebRTC, Socket.io, and modern web technologies
+// Talks to the Socket.io signaling server in server/ (run with `npm start`)
 
 class CollabConnect {
     constructor() {
         // Core properties
         this.socket = null;
+        this.selfId = null;
         this.localStream = null;
         this.peers = new Map();
+        this.peerNegotiation = new Map();
+        this.participants = new Map();
+        
+        // SFU mode (larger rooms) - one upstream and one downstream per publisher
+        this.mediaMode = 'mesh';
+        this.sfuPublisher = null;
+        // { audio, video } senders on the upstream
+        this.sfuSenders = null;
+        this.sfuSubscriptions = new Map();
+        this.layerObserver = new ResizeObserver(entries => this.updateSfuLayers(entries));
         this.roomId = null;
         this.displayName = null;
         this.isVideoEnabled = true;
         this.isAudioEnabled = true;
         this.isScreenSharing = false;
+        // While presenting: the display capture, and { video, audio } sent in place of the camera and mic
+        this.screenStream = null;
+        this.screenTracks = null;
+        this.screenAudioContext = null;
+        // Display capture waiting for the server to let us present (see handleScreenShareState)
+        this.pendingScreenStream = null;
+        // MeetingRecorder while we are recording the meeting
+        this.recorder = null;
+        // Live audio levels and the active speaker ('local' for us), see audio-levels.js
+        this.audioLevels = new AudioLevelMonitor((levels, speakerId) => this.updateAudioLevels(levels, speakerId));
+        this.activeSpeakerId = null;
+        // Whether video tiles are ordered by who spoke last
+        this.followSpeakers = localStorage.getItem('collabconnect-follow-speakers') === 'true';
+        // Link quality to everyone from WebRTC stats (see network-quality.js), and
+        // the quality each of our video senders was last adapted to
+        this.networkQuality = new NetworkQualityMonitor(() => this.getStatsConnections(), results => this.updateNetworkQuality(results));
+        this.sendQualities = new WeakMap();
+        
+        // Device choice (see devices.js) and the pre-join camera preview and mic meter
+        this.devices = new DeviceManager();
+        this.previewStream = null;
+        // Bumped whenever the preview restarts, so a slow getUserMedia cannot win over a newer one
+        this.previewId = 0;
+        this.previewLevels = new AudioLevelMonitor(levels => this.updatePreviewLevel(levels));
+        
+        // Background blur or image and noise suppression on what we send (see media-effects.js).
+        // Blur and noise suppression are remembered; a background image is picked per call.
+        this.effects = new MediaEffects({
+            background: localStorage.getItem('collabconnect-background-blur') === 'true' ? 'blur' : 'none',
+            noiseSuppression: localStorage.getItem('collabconnect-noise-suppression') === 'true'
+        });
+        
+        // Live captions (see captions.js) are switched on for the whole room. Each of
+        // us then captions our own mic with the engine picked here and sends the text.
+        this.captionsEnabled = false;
+        const savedEngine = localStorage.getItem('collabconnect-caption-engine');
+        this.captionEngineName = CAPTION_ENGINES[savedEngine] ? savedEngine : Object.keys(CAPTION_ENGINES)[0];
+        this.captionEngine = null;
+        // { id, start, sentAt } while we are in the middle of a sentence
+        this.captionSegment = null;
+        // Partial results are sent at most this often (ms); a caption disappears this long after its last words
+        this.captionPartialInterval = 300;
+        this.captionHideDelay = 4000;
+        // Long sentences show only their latest words
+        this.captionMaxLength = 120;
+        // Seeing captions is up to each of us, even while the room has them on
+        this.showCaptions = localStorage.getItem('collabconnect-show-captions') !== 'false';
+        // participant id -> timer hiding their caption
+        this.captionTimers = new Map();
+        this.transcript = new CaptionTranscript();
+        
+        // Drawing on shared screens (see screen-annotations.js): presenter id -> the
+        // ScreenAnnotationLayer over their tile, ours under our own id while we present.
+        // Annotations use the whiteboard's colour and brush size.
+        this.annotationLayers = new Map();
+        this.annotating = false;
+        this.annotationTool = 'pen';
+        this.annotationFade = localStorage.getItem('collabconnect-annotation-fade') !== 'false';
+        // Whether the others may draw on our shared screen
+        this.allowAnnotations = true;
+        // { presenterId, id, pointerId } while we draw a stroke
+        this.currentAnnotation = null;
+        
+        // Remote control of shared screens (see remote-control.js). While we control
+        // someone's screen: { presenterId, channel, input } with `input` aborting our
+        // listeners on their tile. While someone controls ours: { controllerId, channel }.
+        this.controlSession = null;
+        this.screenControl = null;
+        // Viewers waiting for an answer to their control request, by id
+        this.controlRequests = [];
+        // Our connection to the control agent replaying the controller's input, and its pairing code
+        this.controlAgent = new ControlAgent(() => this.handleControlAgentLost());
+        this.controlAgentCode = localStorage.getItem('collabconnect-control-agent-code') || '';
         
         // Whiteboard properties
         this.isDrawing = false;
+        this.currentStrokeId = null;
+        this.boardDrag = null;
+        this.boardUndoStack = [];
+        this.boardRedoStack = [];
         this.currentTool = 'pen';
         this.currentColor = '#000000';
         this.currentBrushSize = 3;
         
-        // File sharing
+        // Signed-in account - { token, user } from the server, kept in localStorage
+        this.session = null;
+        this.isRegistering = false;
+        // Token from an invite link; lets us into its room without the password
+        this.invite = null;
+        // Upcoming meetings we scheduled or were invited to, and ones imported from
+        // calendar invites: { title, startsAt, duration, agenda, link }, times in ms
+        this.meetings = [];
+        
+        // Host and moderation - the server enforces these, the UI only reflects them
+        this.hostId = null;
+        this.roomLocked = false;
+        this.waitingRoomEnabled = true;
+        this.multipleShares = false;
+        // People waiting to be let in; only sent to the host
+        this.lobby = [];
+        
+        // Breakout rooms - the server moves us between the main room and its breakouts.
+        // `roomId` is whichever we are in; `mainRoomId` is the one we joined.
+        this.mainRoomId = null;
+        this.breakoutName = null;
+        this.movingRoom = false;
+        // From breakouts-state while they are open: { mainId, managerId, rooms, endsAt }
+        this.breakouts = null;
+        // The host's plan before opening them: participant id -> breakout index
+        this.breakoutPlan = new Map();
+        this.breakoutTimer = null;
+        // Breakout ids that called for help, shown to whoever opened them
+        this.breakoutHelp = new Set();
+        // Everyone is warned this long (ms) before the breakouts close
+        this.breakoutWarning = 60 * 1000;
+        this.breakoutWarned = false;
+        
+        // Polls and Q&A of the rooms we have been in (see polls.js), and when we
+        // raised our hand, or null. Everyone else's is their participant's `handRaisedAt`.
+        this.pollBook = new PollBook();
+        this.handRaisedAt = null;
+        
+        // End-to-end encryption (see e2ee.js) - only set up in encrypted rooms.
+        // `identity` is this browser's key pair, sent as `publicKey` when joining.
+        this.identity = null;
+        this.encryption = null;
+        this.encryptionMode = null;
+        this.frameEncryption = null;
+        // What we last asked join-room for, kept to retry with the passphrase
+        this.joinRequest = null;
+        // Set while we get back into the room after the signaling connection
+        // dropped, with the files we had shared there to share again
+        this.rejoining = false;
+        this.rejoinFiles = [];
+        // Key derived from the passphrase, used once room-state arrives
+        this.pendingRoomKey = null;
+        // Events whose payloads are sealed in encrypted rooms. Opening and sealing
+        // are asynchronous, so both directions go through a queue to keep their order.
+        this.sealedEvents = ['chat-message', 'whiteboard-draw', 'whiteboard-clear', 'file-share', 'caption', 'annotation', 'poll'];
+        this.inbox = Promise.resolve();
+        this.outbox = Promise.resolve();
+        
+        // Chat - history is kept by the server; `authorId` identifies our own messages
+        this.authorId = null;
+        this.chatMessages = new Map();
+        // { mode: 'reply' | 'edit', id } while replying to or editing a message
+        this.chatComposer = null;
+        this.chatReactions = ['👍', '❤️', '😂', '🎉', '😮'];
+        this.messageFormatter = new MessageFormatter();
+        // { start, names, index, prefix, hints } while the @mention (or /command) list is open
+        this.mentionSuggestions = null;
+        // Slash commands of the server's bots, { name, description }, see server/bots.js
+        this.chatCommands = [];
+        // Shared images up to this size are fetched to preview them in chat
+        this.maxPreviewSize = 5 * 1024 * 1024;
+        // file id -> object URL of an image preview
+        this.filePreviewUrls = new Map();
+        
+        // File sharing - bytes travel peer to peer, see file-transfer.js
         this.sharedFiles = new Map();
+        // file id -> Blob for files shared from or already downloaded to this device
+        this.fileBlobs = new Map();
+        // file id -> AbortController while a file is being hashed for sharing
+        this.pendingShares = new Map();
+        this.fileTransfers = null;
+        this.maxFileSize = Infinity;
+        // Persistent rooms also keep files up to this size on the server, see server/room-files.js
+        this.maxStoredFileSize = 0;
         
         // WebRTC configuration
         this.rtcConfig = {
@@ -30,57 +200,343 @@ class CollabConnect {
             ]
         };
         
+        // Simulcast layers sent to the SFU; small tiles receive the low layer
+        this.simulcastEncodings = [
+            { rid: 'high', maxBitrate: 900000 },
+            { rid: 'low', maxBitrate: 150000, scaleResolutionDownBy: 4 }
+        ];
+        this.lowLayerMaxWidth = 480;
+        // What our camera is cut down to on a fair or poor link
+        this.degradedVideo = {
+            fair: { scaleResolutionDownBy: 2, maxBitrate: 500000 },
+            poor: { scaleResolutionDownBy: 4, maxBitrate: 150000 }
+        };
+        
+        // Signaling reconnects (ms): the first retry, then doubling up to the longest wait
+        this.reconnectDelay = 1000;
+        this.reconnectDelayMax = 30000;
+        
         this.init();
     }
     
     init() {
         this.setupEventListeners();
         this.initializeWhiteboard();
-        this.showAuthModal();
-        this.simulateBackend();
-    }
-    
-    // Simulate backend functionality (in real app, this would be actual server)
-    simulateBackend() {
-        // Simulate Socket.io connection
-        this.socket = {
-            emit: (event, data) => {
-                console.log(Socket emit: ${event}, data);
-                this.handleSocketMessage(event, data);
-            },
-            on: (event, callback) => {
-                console.log(Socket listener registered: ${event});
-            },
-            connected: true
-        };
+        this.initializeFileSharing();
+        this.restoreSession();
+        this.connectSignaling();
+    }
+    
+    // Connect to the Socket.io signaling server that served this page
+    connectSignaling() {
+        this.updateConnectionStatus('connecting');
+        
+        this.socket = io({
+            transports: ['websocket', 'polling'],
+            reconnectionDelay: this.reconnectDelay,
+            reconnectionDelayMax: this.reconnectDelayMax
+        });
+        
+        this.socket.on('connect', () => {
+            this.updateConnectionStatus('connected');
+            if (this.rejoining) {
+                this.rejoinRoom();
+            }
+        });
+        
+        this.socket.on('disconnect', (reason) => {
+            this.updateConnectionStatus('disconnected');
+            // Socket.io retries by itself unless the server closed the connection on purpose
+            if (reason === 'io server disconnect') {
+                this.socket.connect();
+            }
+            if (this.selfId) {
+                this.suspendRoom();
+            }
+        });
+        
+        this.socket.on('connect_error', (error) => {
+            console.error('Signaling connection error:', error);
+            this.updateConnectionStatus('disconnected');
+        });
+        
+        this.socket.io.on('reconnect_attempt', () => {
+            this.updateConnectionStatus('connecting');
+        });
+        
+        // Route every room event through the single message handler
+        this.socket.onAny((event, data) => this.receiveSocketMessage(event, data));
+    }
+    
+    // Tries again straight away rather than waiting out the backoff, e.g. when
+    // the page comes back to the foreground or the network comes back
+    reconnectNow() {
+        if (this.socket.connected) return;
+        
+        this.updateConnectionStatus('connecting');
+        this.socket.disconnect();
+        this.socket.connect();
+    }
+    
+    // The signaling connection dropped while we were in a room, and the server
+    // has told everyone we left. What belonged to that connection goes; our
+    // camera, mic, screen share and recording carry on, and the room's content
+    // comes back with room-state once we rejoin.
+    suspendRoom() {
+        this.rejoining = true;
+        this.rejoinFiles = Array.from(this.sharedFiles.values())
+            .filter(fileData => fileData.from === this.selfId && !fileData.stored && this.fileBlobs.has(fileData.id))
+            .map(fileData => this.fileBlobs.get(fileData.id));
+        
+        this.clearRoom();
+        this.showToast('Connection lost - reconnecting...', 'error');
+    }
+    
+    // The server is moving us into a breakout or back to the main room. As with
+    // a dropped connection our media carries on, and the other room's state
+    // comes with room-state.
+    handleRoomMoved() {
+        this.movingRoom = true;
+        this.clearRoom();
+    }
+    
+    // Everything that belonged to the room we were in, but not our own media
+    clearRoom() {
+        this.networkQuality.stop();
+        this.peers.forEach(peer => peer.close());
+        this.peers.clear();
+        this.peerNegotiation.clear();
+        this.stopSfu();
+        this.mediaMode = 'mesh';
+        this.participants.forEach((participant, id) => {
+            this.audioLevels.unwatch(id);
+            const videoContainer = this.getVideoContainer(id);
+            if (videoContainer) videoContainer.remove();
+        });
+        this.participants.clear();
+        this.discardPendingScreen();
+        this.stopControlling();
+        this.setScreenController(null);
+        this.controlRequests = [];
+        this.renderControlRequests();
+        this.selfId = null;
+        this.hostId = null;
+        this.lobby = [];
+        this.updateHostControls();
+        this.updateRecordingIndicator();
+        this.updatePresenterLayout();
         
-        // Simulate connection status
-        this.updateConnectionStatus('connected');
+        this.clearChat();
+        this.clearWhiteboardCanvas();
+        this.clearFiles();
+        this.clearPolls();
+        this.clearParticipants();
+    }
+    
+    // Back into the room we dropped out of, with the password, invite and key check we used before.
+    // From a breakout we rejoin its main room, and the server puts us back in the breakout.
+    rejoinRoom() {
+        const { password, invite, publicKey, keyCheck, e2ee } = this.joinRequest;
+        this.joinRequest = {
+            roomId: this.mainRoomId,
+            token: this.session.token,
+            password,
+            invite,
+            publicKey,
+            // Whoever created a passphrase room sent its key check with the room's settings
+            keyCheck: keyCheck || (e2ee && e2ee.keyCheck)
+        };
+        this.socket.emit('join-room', this.joinRequest);
     }
     
     setupEventListeners() {
         // Authentication
+        document.getElementById('loginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.signIn();
+        });
+        document.getElementById('toggleRegister').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.setRegistering(!this.isRegistering);
+        });
+        document.getElementById('oidcLogin').addEventListener('click', () => {
+            window.location.href = '/api/oidc/login';
+        });
+        document.getElementById('signOut').addEventListener('click', () => this.signOut());
         document.getElementById('authForm').addEventListener('submit', (e) => {
             e.preventDefault();
             this.joinMeeting();
         });
+        document.getElementById('copyInvite').addEventListener('click', () => this.socket.emit('create-invite'));
+        document.getElementById('scheduleMeeting').addEventListener('click', () => this.showScheduleForm(true));
+        document.getElementById('cancelSchedule').addEventListener('click', () => this.showScheduleForm(false));
+        document.getElementById('scheduleForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.scheduleMeeting();
+        });
+        document.getElementById('importInvite').addEventListener('click', () => document.getElementById('inviteFile').click());
+        document.getElementById('inviteFile').addEventListener('change', (e) => this.importInvite(e.target.files[0]));
+        document.getElementById('leaveWaiting').addEventListener('click', () => this.leaveWaitingRoom());
         
         // Meeting controls
         document.getElementById('toggleVideo').addEventListener('click', () => this.toggleVideo());
         document.getElementById('toggleAudio').addEventListener('click', () => this.toggleAudio());
         document.getElementById('screenShare').addEventListener('click', () => this.toggleScreenShare());
+        document.getElementById('recordBtn').addEventListener('click', () => this.toggleRecording());
+        document.getElementById('startRecording').addEventListener('click', () => this.startRecording());
+        document.getElementById('deviceBtn').addEventListener('click', () => {
+            document.getElementById('devicePanel').classList.toggle('hidden');
+        });
+        document.getElementById('effectsBtn').addEventListener('click', () => {
+            document.getElementById('effectsPanel').classList.toggle('hidden');
+        });
+        document.querySelectorAll('input[name="backgroundEffect"]').forEach(input => {
+            input.addEventListener('change', () => this.selectBackgroundEffect(input.value));
+        });
+        document.getElementById('chooseBackground').addEventListener('click', () => document.getElementById('backgroundFile').click());
+        document.getElementById('backgroundFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.useBackgroundImage(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('noiseSuppression').addEventListener('change', (e) => this.setNoiseSuppression(e.target.checked));
+        this.updateEffectControls();
+        document.getElementById('captionsBtn').addEventListener('click', () => {
+            document.getElementById('captionsPanel').classList.toggle('hidden');
+        });
+        document.getElementById('roomCaptions').addEventListener('change', (e) => {
+            this.socket.emit('captions', { enabled: e.target.checked });
+        });
+        document.getElementById('showCaptions').addEventListener('change', (e) => this.setShowCaptions(e.target.checked));
+        document.getElementById('captionEngine').innerHTML = Object.entries(CAPTION_ENGINES).map(([name, { label, Engine }]) => {
+            return `<option value="${name}"${Engine.isSupported() ? '' : ' disabled'}>${this.escapeHtml(label)}</option>`;
+        }).join('');
+        document.getElementById('captionEngine').addEventListener('change', (e) => this.selectCaptionEngine(e.target.value));
+        document.getElementById('downloadTranscript').addEventListener('click', () => this.downloadTranscript());
+        this.updateCaptionControls();
+        document.getElementById('annotateBtn').addEventListener('click', () => {
+            document.getElementById('annotationPanel').classList.toggle('hidden');
+        });
+        document.getElementById('annotating').addEventListener('change', (e) => this.setAnnotating(e.target.checked));
+        document.querySelectorAll('.annotation-tool').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.annotationTool = btn.dataset.tool;
+                this.updateAnnotationControls();
+            });
+        });
+        document.getElementById('annotationColor').addEventListener('change', (e) => this.setPenColor(e.target.value));
+        document.getElementById('annotationSize').addEventListener('input', (e) => this.setBrushSize(e.target.value));
+        document.getElementById('annotationFade').addEventListener('change', (e) => {
+            this.annotationFade = e.target.checked;
+            localStorage.setItem('collabconnect-annotation-fade', String(this.annotationFade));
+        });
+        document.getElementById('clearAnnotations').addEventListener('click', () => this.clearAnnotations());
+        document.getElementById('allowAnnotations').addEventListener('change', (e) => {
+            // In a room the server confirms it with annotations-state; otherwise it is sent once we join
+            if (this.selfId) {
+                this.socket.emit('annotations', { enabled: e.target.checked });
+            } else {
+                this.allowAnnotations = e.target.checked;
+            }
+        });
+        this.updateAnnotationControls();
+        document.getElementById('controlRequests').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                this.respondToControlRequest(button.closest('.control-request').dataset.id, button.dataset.action === 'allow');
+            }
+        });
+        document.getElementById('stopControl').addEventListener('click', () => {
+            if (this.screenControl) {
+                this.revokeControl();
+            } else {
+                this.releaseControl();
+            }
+        });
+        document.addEventListener('keydown', (e) => this.handleControlShortcut(e));
+        document.getElementById('raiseHand').addEventListener('click', () => this.toggleHand());
+        document.getElementById('followSpeakers').addEventListener('click', () => this.toggleFollowSpeakers());
+        document.getElementById('followSpeakers').classList.toggle('active', this.followSpeakers);
         document.getElementById('endCall').addEventListener('click', () => this.endCall());
         
         // Sidebar tabs
         document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => this.switchTab(e.target.dataset.tab));
+            btn.addEventListener('click', (e) => this.switchTab(e.currentTarget.dataset.tab));
         });
         
+        // Polls and Q&A
+        document.getElementById('pollForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createPoll();
+        });
+        document.getElementById('addPollOption').addEventListener('click', () => this.addPollOption());
+        document.getElementById('pollList').addEventListener('change', (e) => this.handlePollVote(e));
+        document.getElementById('pollList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="close"]');
+            if (button) this.sendPollOp({ op: 'close', id: button.closest('.poll-item').dataset.id });
+        });
+        document.getElementById('questionForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.askQuestion();
+        });
+        document.getElementById('questionList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) this.sendPollOp({ op: button.dataset.action, id: button.closest('.question-item').dataset.id });
+        });
+        document.getElementById('exportPolls').addEventListener('click', () => this.exportPolls());
+        
         // Chat
         document.getElementById('sendMessage').addEventListener('click', () => this.sendMessage());
-        document.getElementById('chatInput').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.sendMessage();
+        document.getElementById('chatInput').addEventListener('keydown', (e) => this.handleChatKeydown(e));
+        document.getElementById('chatInput').addEventListener('input', (e) => {
+            // Grow with multi-line messages
+            e.target.style.height = 'auto';
+            e.target.style.height = `${e.target.scrollHeight}px`;
+            this.updateMentionSuggestions();
+        });
+        document.getElementById('mentionSuggestions').addEventListener('mousedown', (e) => {
+            // Keep focus in the input while picking a name
+            e.preventDefault();
+            const option = e.target.closest('[data-index]');
+            if (option) this.insertMention(this.mentionSuggestions.names[option.dataset.index]);
+        });
+        document.getElementById('cancelChatComposer').addEventListener('click', () => this.setChatComposer(null));
+        document.getElementById('chatMessages').addEventListener('click', (e) => this.handleChatAction(e));
+        
+        // Participants and host controls
+        document.getElementById('participantsList').addEventListener('click', (e) => this.handleParticipantAction(e));
+        document.getElementById('lobbyList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                this.socket.emit('moderate', { action: button.dataset.action, id: button.closest('.lobby-item').dataset.id });
+            }
+        });
+        document.getElementById('lockRoom').addEventListener('change', (e) => {
+            this.socket.emit('moderate', { action: 'lock', enabled: e.target.checked });
+        });
+        document.getElementById('waitingRoomToggle').addEventListener('change', (e) => {
+            this.socket.emit('moderate', { action: 'waiting-room', enabled: e.target.checked });
+        });
+        document.getElementById('multipleSharesToggle').addEventListener('change', (e) => {
+            this.socket.emit('moderate', { action: 'multiple-shares', enabled: e.target.checked });
+        });
+        document.getElementById('breakoutCount').addEventListener('change', () => this.renderBreakoutPlan());
+        document.getElementById('breakoutPlan').addEventListener('change', (e) => {
+            const id = e.target.closest('.breakout-plan-item').dataset.id;
+            if (e.target.value === '') {
+                this.breakoutPlan.delete(id);
+            } else {
+                this.breakoutPlan.set(id, Number(e.target.value));
+            }
         });
+        document.getElementById('shuffleBreakouts').addEventListener('click', () => this.shuffleBreakouts());
+        document.getElementById('openBreakouts').addEventListener('click', () => this.openBreakouts());
+        document.getElementById('breakoutList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="join"]');
+            if (button) this.joinBreakout(button.closest('.breakout-item').dataset.id);
+        });
+        document.getElementById('askForHelp').addEventListener('click', () => this.askForHelp());
+        document.getElementById('returnToMain').addEventListener('click', () => this.joinBreakout(this.mainRoomId));
+        document.getElementById('closeBreakouts').addEventListener('click', () => this.closeBreakouts());
         
         // Whiteboard
         this.setupWhiteboardEvents();
@@ -92,217 +548,2485 @@ class CollabConnect {
         document.getElementById('fileInput').addEventListener('change', (e) => {
             this.handleFileUpload(e.target.files);
         });
+        
+        // Devices - the same selects appear before joining and in the call
+        document.querySelectorAll('.device-select').forEach(select => {
+            select.addEventListener('change', (e) => this.selectDevice(e.target.dataset.kind, e.target.value));
+        });
+        document.getElementById('joinMode').value = this.devices.joinMode;
+        document.getElementById('joinMode').addEventListener('change', (e) => {
+            this.devices.setJoinMode(e.target.value);
+            this.startPreview();
+        });
+        navigator.mediaDevices.addEventListener('devicechange', () => this.renderDeviceOptions());
     }
     
-    async joinMeeting() {
-        this.displayName = document.getElementById('displayName').value.trim();
-        this.roomId = document.getElementById('roomId').value.trim() || this.generateRoomId();
+    // Authentication
+    // Picks up a session from an OIDC sign-in (/#session=...) or an earlier visit,
+    // and the room and token from an invite link (?room=...&invite=...)
+    async restoreSession() {
+        const hash = new URLSearchParams(window.location.hash.slice(1));
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('room')) {
+            document.getElementById('roomId').value = params.get('room');
+        }
+        this.invite = params.get('invite');
+        // Keep tokens out of the address bar and history
+        if (window.location.hash || window.location.search) {
+            history.replaceState(null, '', window.location.pathname);
+        }
+        if (hash.get('auth-error')) {
+            this.showToast(hash.get('auth-error'), 'error');
+        }
         
-        if (!this.displayName) {
-            this.showToast('Please enter your name', 'error');
-            return;
+        this.loadAuthProviders();
+        
+        const token = hash.get('session') || localStorage.getItem('collabconnect-session');
+        if (token) {
+            try {
+                const response = await fetch('/api/session', { headers: { Authorization: `Bearer ${token}` } });
+                if (response.ok) {
+                    const { user } = await response.json();
+                    this.setSession({ token, user });
+                    return;
+                }
+                if (response.status === 401) {
+                    localStorage.removeItem('collabconnect-session');
+                }
+            } catch (error) {
+                console.error('Could not check the saved session:', error);
+            }
+        }
+        this.showAuthModal();
+    }
+    
+    // Shows the single sign-on button if the server has an OIDC provider
+    async loadAuthProviders() {
+        try {
+            const { oidc } = await (await fetch('/api/providers')).json();
+            if (oidc) {
+                document.getElementById('oidcName').textContent = oidc.name;
+                document.getElementById('oidcLogin').classList.remove('hidden');
+            }
+        } catch (error) {
+            console.error('Could not load sign-in providers:', error);
+        }
+    }
+    
+    // Signs in, or creates an account, with the username and password in the modal
+    async signIn() {
+        const credentials = {
+            username: document.getElementById('username').value.trim(),
+            password: document.getElementById('password').value
+        };
+        if (this.isRegistering) {
+            credentials.displayName = document.getElementById('registerDisplayName').value.trim();
         }
         
         try {
-            // Get user media
-            this.localStream = await navigator.mediaDevices.getUserMedia({
-                video: true,
-                audio: true
+            const response = await fetch(this.isRegistering ? '/api/register' : '/api/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(credentials)
             });
+            const result = await response.json();
+            if (!response.ok) {
+                this.showToast(result.error, 'error');
+                return;
+            }
             
-            // Setup local video
-            const localVideo = document.getElementById('localVideo');
-            localVideo.srcObject = this.localStream;
-            
-            // Hide auth modal and show main app
-            document.getElementById('authModal').classList.add('hidden');
-            document.getElementById('mainApp').classList.remove('hidden');
-            
-            // Update UI
-            document.getElementById('currentRoomId').textContent = this.roomId;
-            this.addParticipant('local', this.displayName, true);
-            
-            // Simulate joining room
-            this.socket.emit('join-room', { roomId: this.roomId, displayName: this.displayName });
-            
-            this.showToast(Joined room: ${this.roomId}, 'success');
-            
-            // Simulate other participants joining (for demo)
-            setTimeout(() => this.simulateParticipants(), 2000);
-            
+            document.getElementById('password').value = '';
+            this.setRegistering(false);
+            this.setSession(result);
         } catch (error) {
-            console.error('Error accessing media devices:', error);
-            this.showToast('Camera/microphone access denied', 'error');
+            console.error('Sign-in failed:', error);
+            this.showToast('Could not reach the server', 'error');
         }
     }
     
-    // Simulate participants for demo purposes
-    simulateParticipants() {
-        const demoUsers = ['Alice Johnson', 'Bob Smith', 'Carol Williams'];
-        demoUsers.forEach((name, index) => {
-            setTimeout(() => {
-                this.addRemoteVideo(index.toString(), name);
-                this.addParticipant(index.toString(), name, false);
-                this.updateParticipantCount();
-            }, index * 1000);
-        });
+    setRegistering(registering) {
+        this.isRegistering = registering;
+        document.getElementById('registerFields').classList.toggle('hidden', !registering);
+        document.getElementById('authTitle').textContent = registering ? 'Create Account' : 'Sign In';
+        document.getElementById('loginSubmit').innerHTML = registering
+            ? '<i class="fas fa-user-plus"></i> Create Account'
+            : '<i class="fas fa-sign-in-alt"></i> Sign In';
+        document.getElementById('toggleRegister').textContent = registering ? 'I already have an account' : 'Create an account';
+        document.getElementById('password').autocomplete = registering ? 'new-password' : 'current-password';
     }
     
-    addRemoteVideo(peerId, displayName) {
-        const videoGrid = document.getElementById('videoGrid');
-        
-        const videoContainer = document.createElement('div');
-        videoContainer.className = 'video-container';
-        videoContainer.id = video-${peerId};
-        
-        const video = document.createElement('video');
-        video.autoplay = true;
-        video.playsInline = true;
-        
-        // Create a demo video stream (colored rectangle)
-        const canvas = document.createElement('canvas');
-        canvas.width = 320;
-        canvas.height = 240;
-        const ctx = canvas.getContext('2d');
-        
-        // Generate random color for demo participant
-        const colors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7'];
-        const color = colors[parseInt(peerId) % colors.length];
-        
-        ctx.fillStyle = color;
-        ctx.fillRect(0, 0, 320, 240);
-        ctx.fillStyle = 'white';
-        ctx.font = '24px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText(displayName, 160, 120);
+    setSession(session) {
+        this.session = session;
+        this.displayName = session.user.displayName;
+        localStorage.setItem('collabconnect-session', session.token);
+        this.showAuthModal();
+    }
+    
+    signOut() {
+        this.session = null;
+        this.displayName = null;
+        localStorage.removeItem('collabconnect-session');
+        this.showAuthModal();
+    }
+    
+    // Scheduled meetings
+    // Meetings from the server (with an invite that lets us past the room's
+    // password) and from imported calendar invites, soonest first
+    async loadMeetings() {
+        let meetings = [];
+        try {
+            const response = await fetch('/api/meetings', { headers: { Authorization: `Bearer ${this.session.token}` } });
+            if (response.ok) {
+                meetings = (await response.json()).meetings.map(({ roomId, invite, ...meeting }) => ({
+                    ...meeting,
+                    link: this.getInviteLink(roomId, invite)
+                }));
+            }
+        } catch (error) {
+            console.error('Could not load upcoming meetings:', error);
+        }
+        if (!this.session) return;
         
-        const stream = canvas.captureStream(30);
-        video.srcObject = stream;
+        const scheduled = new Set(meetings.map(meeting => this.getMeetingKey(meeting.link)));
+        const imported = this.getImportedMeetings().filter(meeting => !scheduled.has(this.getMeetingKey(meeting.link)));
+        this.meetings = [...meetings, ...imported].sort((a, b) => a.startsAt - b.startsAt);
+        this.renderMeetings();
+    }
+    
+    // Meetings imported from .ics files that have not ended yet
+    getImportedMeetings() {
+        try {
+            const meetings = JSON.parse(localStorage.getItem('collabconnect-meetings')) || [];
+            return meetings.filter(meeting => meeting.startsAt + meeting.duration > Date.now());
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    // The server and room a meeting link leads to; the same meeting's links differ in their invite
+    getMeetingKey(link) {
+        const url = new URL(link);
+        return `${url.origin}${url.pathname}?room=${url.searchParams.get('room')}`;
+    }
+    
+    renderMeetings() {
+        const list = document.getElementById('meetingList');
+        list.innerHTML = '';
+        document.getElementById('upcomingMeetings').classList.toggle('hidden', this.meetings.length === 0);
         
-        const overlay = document.createElement('div');
-        overlay.className = 'video-overlay';
-        overlay.innerHTML = `
-            <span class="participant-name">${displayName}</span>
-            <div class="video-controls">
-                <span class="audio-indicator active">
-                    <i class="fas fa-microphone"></i>
-                </span>
-            </div>
-        `;
+        this.meetings.forEach(meeting => {
+            const started = meeting.startsAt <= Date.now();
+            const when = started ? 'Now' : new Date(meeting.startsAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+            const item = document.createElement('div');
+            item.className = 'meeting-item';
+            item.title = meeting.agenda || '';
+            item.innerHTML = `
+                <div class="meeting-info">
+                    <div class="meeting-title">${this.escapeHtml(meeting.title)}</div>
+                    <div class="meeting-when${started ? ' live' : ''}">${when} • ${Math.round(meeting.duration / 60000)} min</div>
+                </div>
+                <button type="button" class="meeting-invite" title="Download calendar invite">
+                    <i class="fas fa-calendar-alt"></i>
+                </button>
+                <button type="button" class="meeting-join">
+                    <i class="fas fa-video"></i> Join
+                </button>
+            `;
+            item.querySelector('.meeting-invite').addEventListener('click', () => this.downloadMeetingInvite(meeting));
+            item.querySelector('.meeting-join').addEventListener('click', () => this.joinScheduledMeeting(meeting));
+            list.appendChild(item);
+        });
+    }
+    
+    // The invite in the link lets us past the room's password. Meetings on
+    // another server are joined there.
+    joinScheduledMeeting(meeting) {
+        const url = new URL(meeting.link);
+        if (url.origin !== window.location.origin) {
+            window.location.href = meeting.link;
+            return;
+        }
+        document.getElementById('roomId').value = url.searchParams.get('room');
+        this.invite = url.searchParams.get('invite');
+        this.joinMeeting();
+    }
+    
+    downloadMeetingInvite(meeting) {
+        const roomId = new URL(meeting.link).searchParams.get('room');
+        const ics = CalendarInvite.toIcs({ ...meeting, roomId }, meeting.link);
+        this.downloadFile(new File([ics], `meeting-${roomId}.ics`, { type: 'text/calendar' }));
+    }
+    
+    showScheduleForm(show) {
+        document.getElementById('authForm').classList.toggle('hidden', show);
+        document.getElementById('scheduleForm').classList.toggle('hidden', !show);
+        if (!show) return;
         
-        videoContainer.appendChild(video);
-        videoContainer.appendChild(overlay);
-        videoGrid.appendChild(videoContainer);
+        // Starts at the next full hour unless changed; the input wants local time
+        const start = new Date();
+        start.setHours(start.getHours() + 1, 0, 0, 0);
+        document.getElementById('meetingStart').value =
+            new Date(start.getTime() - start.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        document.getElementById('meetingTitle').focus();
     }
     
-    toggleVideo() {
-        if (!this.localStream) return;
+    // Creates the meeting's room on the server and downloads its invite to send to everyone coming
+    async scheduleMeeting() {
+        const meeting = {
+            title: document.getElementById('meetingTitle').value.trim(),
+            startsAt: new Date(document.getElementById('meetingStart').value).getTime(),
+            duration: Number(document.getElementById('meetingDuration').value),
+            agenda: document.getElementById('meetingAgenda').value.trim(),
+            invitees: document.getElementById('meetingInvitees').value.split(',').map(name => name.trim()).filter(Boolean),
+            password: document.getElementById('meetingPassword').value
+        };
         
-        const videoTrack = this.localStream.getVideoTracks()[0];
-        if (videoTrack) {
-            videoTrack.enabled = !videoTrack.enabled;
-            this.isVideoEnabled = videoTrack.enabled;
-            
-            const btn = document.getElementById('toggleVideo');
-            btn.classList.toggle('active', this.isVideoEnabled);
-            btn.querySelector('i').className = this.isVideoEnabled ? 'fas fa-video' : 'fas fa-video-slash';
-            
-            // Update local video display
-            const localVideo = document.getElementById('localVideo');
-            localVideo.style.opacity = this.isVideoEnabled ? '1' : '0.3';
+        try {
+            const response = await fetch('/api/meetings', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.session.token}` },
+                body: JSON.stringify(meeting)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                this.showToast(result.error, 'error');
+                return;
+            }
             
-            this.showToast(Video ${this.isVideoEnabled ? 'enabled' : 'disabled'}, 'info');
+            const { roomId, invite, ...scheduled } = result.meeting;
+            this.downloadMeetingInvite({ ...scheduled, link: this.getInviteLink(roomId, invite) });
+            document.getElementById('scheduleForm').reset();
+            this.showScheduleForm(false);
+            this.showToast(`"${scheduled.title}" scheduled - send the invite to everyone coming`, 'success');
+            this.loadMeetings();
+        } catch (error) {
+            console.error('Could not schedule the meeting:', error);
+            this.showToast('Could not reach the server', 'error');
         }
     }
     
-    toggleAudio() {
-        if (!this.localStream) return;
+    // Adds the meetings in a calendar invite to the upcoming meetings, on this device only
+    async importInvite(file) {
+        document.getElementById('inviteFile').value = '';
+        if (!file) return;
         
-        const audioTrack = this.localStream.getAudioTracks()[0];
-        if (audioTrack) {
-            audioTrack.enabled = !audioTrack.enabled;
-            this.isAudioEnabled = audioTrack.enabled;
-            
-            const btn = document.getElementById('toggleAudio');
-            btn.classList.toggle('active', this.isAudioEnabled);
-            btn.querySelector('i').className = this.isAudioEnabled ? 'fas fa-microphone' : 'fas fa-microphone-slash';
-            
-            // Update audio indicator
-            const indicator = document.querySelector('.video-container.local .audio-indicator');
-            indicator.classList.toggle('muted', !this.isAudioEnabled);
-            
-            this.showToast(Audio ${this.isAudioEnabled ? 'enabled' : 'disabled'}, 'info');
+        const found = CalendarInvite.parse(await file.text()).filter(meeting => meeting.startsAt + meeting.duration > Date.now());
+        if (found.length === 0) {
+            this.showToast('No upcoming meeting with a join link in this invite', 'error');
+            return;
         }
+        
+        const replaced = new Set(found.map(meeting => this.getMeetingKey(meeting.link)));
+        const imported = this.getImportedMeetings().filter(meeting => !replaced.has(this.getMeetingKey(meeting.link)));
+        localStorage.setItem('collabconnect-meetings', JSON.stringify([...imported, ...found]));
+        this.showToast(found.length === 1 ? `Added "${found[0].title}"` : `Added ${found.length} meetings`, 'success');
+        this.loadMeetings();
     }
     
-    async toggleScreenShare() {
+    // The server checks our session and the room password, then answers with
+    // room-state or join-error. A blank room ID creates a new room, encrypted
+    // if asked for or given a passphrase.
+    async joinMeeting() {
+        const roomId = document.getElementById('roomId').value.trim();
+        const password = document.getElementById('roomPassword').value;
+        const passphrase = document.getElementById('roomPassphrase').value;
+        const encrypt = !roomId && (document.getElementById('encryptRoom').checked || Boolean(passphrase));
+        
+        if ((encrypt || passphrase) && !FrameEncryption.isSupported()) {
+            this.showToast('This browser cannot encrypt calls end to end', 'error');
+            return;
+        }
+        
+        // The preview's camera and mic carry on into the call
+        let stream = this.previewStream;
+        this.previewStream = null;
+        this.stopPreview();
+        if (!stream) {
+            try {
+                stream = await this.devices.getStream();
+            } catch (error) {
+                console.error('Error accessing media devices:', error);
+                this.showToast('Could not use your camera or microphone - pick other devices, or join without them', 'error');
+                this.startPreview();
+                return;
+            }
+        }
+        this.localStream = stream;
+        
+        // Keep the mic and camera the way they were left
+        this.localStream.getAudioTracks().forEach(track => { track.enabled = this.isAudioEnabled; });
+        this.localStream.getVideoTracks().forEach(track => { track.enabled = this.isVideoEnabled; });
+        
+        // Setup local video
+        this.updateLocalVideo();
+        this.updateMediaControls();
+        this.startEffects();
+        
+        this.joinRequest = { roomId, password, invite: this.invite, token: this.session.token };
+        if (!roomId) {
+            this.joinRequest.name = document.getElementById('roomName').value.trim();
+            this.joinRequest.persistent = document.getElementById('keepRoom').checked;
+        }
         try {
-            if (!this.isScreenSharing) {
-                // Start screen sharing
-                const screenStream = await navigator.mediaDevices.getDisplayMedia({
-                    video: true,
-                    audio: true
-                });
-                
-                // Replace video track
-                const videoTrack = screenStream.getVideoTracks()[0];
-                const localVideo = document.getElementById('localVideo');
-                localVideo.srcObject = screenStream;
-                
-                // Handle screen share end
-                videoTrack.onended = () => {
-                    this.stopScreenShare();
-                };
-                
-                this.isScreenSharing = true;
-                const btn = document.getElementById('screenShare');
-                btn.classList.add('active');
-                btn.querySelector('i').className = 'fas fa-stop';
-                
-                this.showToast('Screen sharing started', 'success');
-                
-            } else {
-                this.stopScreenShare();
+            // Needed by encrypted rooms; without WebCrypto we can still join the others
+            this.identity = this.identity || await RoomEncryption.loadIdentity();
+            this.joinRequest.publicKey = this.identity.publicKey;
+            if (encrypt) {
+                this.joinRequest.e2ee = await this.prepareRoomEncryption(passphrase);
             }
         } catch (error) {
-            console.error('Error sharing screen:', error);
-            this.showToast('Screen sharing failed', 'error');
+            console.error('Could not set up encryption:', error);
+            if (encrypt) {
+                this.showToast('Could not set up encryption', 'error');
+                this.stopLocalStream();
+                return;
+            }
         }
+        
+        // Join the room on the signaling server
+        this.socket.emit('join-room', this.joinRequest);
     }
     
-    stopScreenShare() {
-        if (this.localStream) {
-            const localVideo = document.getElementById('localVideo');
-            localVideo.srcObject = this.localStream;
-        }
-        
-        this.isScreenSharing = false;
-        const btn = document.getElementById('screenShare');
-        btn.classList.remove('active');
-        btn.querySelector('i').className = 'fas fa-desktop';
+    // Settings for a new encrypted room: with a passphrase everyone derives the
+    // key from it, without one the host generates the key and hands it out
+    async prepareRoomEncryption(passphrase) {
+        if (!passphrase) return { mode: 'exchange' };
         
-        this.showToast('Screen sharing stopped', 'info');
+        const salt = RoomEncryption.createSalt();
+        const { rawKey, keyCheck } = await RoomEncryption.deriveFromPassphrase(passphrase, salt);
+        this.pendingRoomKey = rawKey;
+        return { mode: 'passphrase', salt, keyCheck };
     }
     
-    endCall() {
-        // Stop all tracks
-        if (this.localStream) {
-            this.localStream.getTracks().forEach(track => track.stop());
+    async handleJoinError(data) {
+        // Could not get back in after losing the connection, so the call is over
+        if (this.rejoining) {
+            this.endCall();
+            this.showToast(data.message, 'error');
+            return;
         }
         
-        // Close peer connections
-        this.peers.forEach(peer => peer.close());
-        this.peers.clear();
+        // The room's passphrase salt only comes with this error, so derive the key and ask again
+        const passphrase = document.getElementById('roomPassphrase').value;
+        if (data.reason === 'passphrase' && data.salt && passphrase && this.joinRequest && !this.joinRequest.keyCheck) {
+            const { rawKey, keyCheck } = await RoomEncryption.deriveFromPassphrase(passphrase, data.salt);
+            this.pendingRoomKey = rawKey;
+            this.joinRequest.keyCheck = keyCheck;
+            this.socket.emit('join-room', this.joinRequest);
+            return;
+        }
         
-        // Reset UI
-        this.showAuthModal();
-        document.getElementById('mainApp').classList.add('hidden');
-        document.getElementById('videoGrid').innerHTML = `
-            <div class="video-container local">
+        this.showToast(data.message, 'error');
+        this.stopLocalStream();
+        this.pendingRoomKey = null;
+        
+        if (data.reason === 'auth') {
+            this.signOut();
+        } else {
+            this.showAuthModal();
+            if (data.reason === 'password') {
+                document.getElementById('roomPassword').focus();
+            } else if (data.reason === 'passphrase') {
+                document.getElementById('roomPassphrase').focus();
+            }
+        }
+    }
+    
+    // The server holds us in the room's lobby until the host admits us (room-state) or not (join-error)
+    showWaitingRoom() {
+        document.getElementById('loginForm').classList.add('hidden');
+        document.getElementById('authForm').classList.add('hidden');
+        document.getElementById('waitingView').classList.remove('hidden');
+    }
+    
+    leaveWaitingRoom() {
+        // Held in the lobby on the way back in after losing the connection
+        if (this.rejoining) {
+            this.endCall();
+            return;
+        }
+        this.socket.emit('leave-room');
+        this.stopLocalStream();
+        this.showAuthModal();
+    }
+    
+    stopLocalStream() {
+        if (this.localStream) {
+            this.localStream.getTracks().forEach(track => track.stop());
+            this.localStream = null;
+        }
+    }
+    
+    // Pre-join device check: the camera preview and mic meter for the chosen join mode
+    async startPreview() {
+        this.stopPreview();
+        const previewId = this.previewId;
+        const status = document.getElementById('previewStatus');
+        document.getElementById('previewVideo').classList.toggle('hidden', this.devices.joinMode !== 'full');
+        status.classList.add('hidden');
+        
+        let stream;
+        try {
+            stream = await this.devices.getStream();
+        } catch (error) {
+            console.error('Could not start the device preview:', error);
+            if (previewId === this.previewId) {
+                status.textContent = 'Your camera or microphone could not be opened. Pick other devices, or join without them.';
+                status.classList.remove('hidden');
+            }
+            return;
+        }
+        // Stopped or restarted in the meantime
+        if (previewId !== this.previewId) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        
+        this.previewStream = stream;
+        document.getElementById('previewVideo').srcObject = stream;
+        this.previewLevels.watch('preview', stream.getAudioTracks()[0]);
+        // Labels are only available once the browser has let us use a device
+        this.renderDeviceOptions();
+    }
+    
+    stopPreview() {
+        this.previewId++;
+        this.previewLevels.stop();
+        this.updatePreviewLevel(new Map());
+        document.getElementById('previewVideo').srcObject = null;
+        if (this.previewStream) {
+            this.previewStream.getTracks().forEach(track => track.stop());
+            this.previewStream = null;
+        }
+    }
+    
+    updatePreviewLevel(levels) {
+        document.getElementById('previewMicLevel').style.width = `${Math.round((levels.get('preview') || 0) * 100)}%`;
+    }
+    
+    // Fills every device select (before joining and in the call) with what the browser offers
+    async renderDeviceOptions() {
+        try {
+            await this.devices.refresh();
+        } catch (error) {
+            console.error('Could not list media devices:', error);
+            return;
+        }
+        
+        const names = { videoinput: 'Camera', audioinput: 'Microphone', audiooutput: 'Speaker' };
+        document.querySelectorAll('.device-select').forEach(select => {
+            const kind = select.dataset.kind;
+            select.innerHTML = '<option value="">Default</option>' + this.devices.list(kind).map((device, i) => `
+                <option value="${this.escapeHtml(device.deviceId)}">${this.escapeHtml(device.label || `${names[kind]} ${i + 1}`)}</option>
+            `).join('');
+            select.value = this.devices.selected[kind];
+            // The chosen device has been unplugged
+            if (select.selectedIndex === -1) {
+                select.value = '';
+            }
+            select.closest('.device-field').classList.toggle('hidden', kind === 'audiooutput' && !DeviceManager.canSelectSpeaker());
+        });
+    }
+    
+    async selectDevice(kind, deviceId) {
+        this.devices.select(kind, deviceId);
+        document.querySelectorAll(`.device-select[data-kind="${kind}"]`).forEach(select => { select.value = deviceId; });
+        
+        if (kind === 'audiooutput') {
+            this.applySpeaker();
+        } else if (!this.selfId) {
+            this.startPreview();
+        } else {
+            await this.switchDevice(kind === 'videoinput' ? 'video' : 'audio');
+        }
+    }
+    
+    // Mid-call device change: the new track takes the old one's place on every
+    // connection, so nothing is renegotiated
+    async switchDevice(kind) {
+        let track;
+        try {
+            track = await this.devices.getTrack(kind);
+        } catch (error) {
+            console.error('Could not open the device:', error);
+            this.showToast('Could not switch to that device', 'error');
+            return;
+        }
+        // Left the call while the device was opening
+        if (!this.localStream) {
+            track.stop();
+            return;
+        }
+        
+        const previous = this.localStream.getTracks().find(t => t.kind === kind);
+        if (previous) {
+            this.localStream.removeTrack(previous);
+            previous.stop();
+        } else if (kind === 'video') {
+            // Picking a first camera or mic switches it on
+            this.isVideoEnabled = true;
+        } else {
+            this.isAudioEnabled = true;
+        }
+        track.enabled = kind === 'video' ? this.isVideoEnabled : this.isAudioEnabled;
+        this.localStream.addTrack(track);
+        await this.applyEffect(() => this.effects.setInput(kind, track), kind);
+        
+        if (kind === 'audio') {
+            this.audioLevels.watch('local', track);
+            if (this.captionsEnabled) this.startCaptions();
+        }
+        this.updateMediaControls();
+        this.sendMediaState();
+    }
+    
+    // Background effects and noise suppression - their tracks are sent in place
+    // of the camera's and mic's, see getLocalTrack
+    async startEffects() {
+        const started = await this.applyEffect(() => Promise.all(['audio', 'video'].map(kind => {
+            return this.effects.setInput(kind, this.localStream.getTracks().find(track => track.kind === kind));
+        })));
+        if (!started) {
+            this.showToast('Could not start your background effect or noise suppression', 'error');
+        }
+    }
+    
+    // 'none', 'blur' or 'image'; without a picture yet, 'image' asks for one first
+    selectBackgroundEffect(mode) {
+        if (mode === 'image' && !this.effects.backgroundImage) {
+            this.updateEffectControls();
+            document.getElementById('backgroundFile').click();
+            return;
+        }
+        this.setBackgroundEffect(mode, this.effects.backgroundImage);
+    }
+    
+    async useBackgroundImage(file) {
+        const image = new Image();
+        image.src = URL.createObjectURL(file);
+        try {
+            await image.decode();
+        } catch (error) {
+            this.showToast('That image could not be opened', 'error');
+            return;
+        } finally {
+            URL.revokeObjectURL(image.src);
+        }
+        await this.setBackgroundEffect('image', image);
+    }
+    
+    async setBackgroundEffect(mode, image = null) {
+        const started = await this.applyEffect(() => this.effects.setBackground(mode, image), 'video');
+        if (!started) {
+            this.showToast('Could not start the background effect', 'error');
+            await this.applyEffect(() => this.effects.setBackground('none'), 'video');
+        }
+        localStorage.setItem('collabconnect-background-blur', this.effects.background === 'blur');
+    }
+    
+    async setNoiseSuppression(enabled) {
+        const started = await this.applyEffect(() => this.effects.setNoiseSuppression(enabled), 'audio');
+        if (!started) {
+            this.showToast('Could not start noise suppression', 'error');
+            await this.applyEffect(() => this.effects.setNoiseSuppression(false), 'audio');
+        }
+        localStorage.setItem('collabconnect-noise-suppression', this.effects.noiseSuppression);
+    }
+    
+    // Runs `change` (a MediaEffects call), then sends and shows what comes out
+    // for `kind` ('audio', 'video' or both when left out). Returns false if it failed.
+    async applyEffect(change, kind = null) {
+        let applied = true;
+        try {
+            await change();
+        } catch (error) {
+            console.error('Could not apply the effect:', error);
+            applied = false;
+        }
+        // Left the call meanwhile
+        if (!this.localStream) return applied;
+        
+        if (kind !== 'video') {
+            this.updateScreenAudioMix();
+        }
+        (kind ? [kind] : ['audio', 'video']).forEach(sentKind => this.updateSentTrack(sentKind));
+        this.updateLocalVideo();
+        this.updateEffectControls();
+        return applied;
+    }
+    
+    updateEffectControls() {
+        const { background, noiseSuppression } = this.effects;
+        document.querySelectorAll('input[name="backgroundEffect"]').forEach(input => {
+            input.checked = input.value === background;
+            input.disabled = !MediaEffects.isSupported();
+        });
+        document.getElementById('noiseSuppression').checked = noiseSuppression;
+        document.getElementById('effectsBtn').classList.toggle('active', background !== 'none' || noiseSuppression);
+    }
+    
+    // Live captions - handleCaptionsState starts or stops captioning our mic
+    // whenever someone switches them for the room
+    handleCaptionsState(data) {
+        this.setCaptionsEnabled(data.enabled);
+        const participant = this.participants.get(data.id);
+        const name = participant ? participant.displayName : 'You';
+        this.showToast(`${name} turned captions ${data.enabled ? 'on' : 'off'}`, 'info');
+    }
+    
+    setCaptionsEnabled(enabled) {
+        this.captionsEnabled = enabled;
+        if (enabled) {
+            this.startCaptions();
+        } else {
+            this.stopCaptions();
+        }
+        this.updateCaptionControls();
+    }
+    
+    // Listeners without a mic still see everyone else's captions
+    async startCaptions() {
+        this.stopCaptions();
+        const track = this.localStream && this.localStream.getAudioTracks()[0];
+        if (!track) return;
+        
+        const { Engine } = CAPTION_ENGINES[this.captionEngineName];
+        if (!Engine.isSupported()) {
+            this.showToast('This browser cannot caption your speech - try another engine', 'error');
+            return;
+        }
+        const engine = new Engine();
+        this.captionEngine = engine;
+        try {
+            await engine.start(track, segment => this.handleOwnCaption(segment));
+        } catch (error) {
+            console.error('Could not start captions:', error);
+            // Unless it was stopped or replaced in the meantime
+            if (this.captionEngine === engine) {
+                this.captionEngine = null;
+                this.showToast('Could not start captions for your speech', 'error');
+            }
+        }
+    }
+    
+    stopCaptions() {
+        if (this.captionEngine) {
+            this.captionEngine.stop();
+            this.captionEngine = null;
+        }
+        this.captionSegment = null;
+    }
+    
+    selectCaptionEngine(name) {
+        this.captionEngineName = name;
+        localStorage.setItem('collabconnect-caption-engine', name);
+        if (this.captionsEnabled) {
+            this.startCaptions();
+        }
+    }
+    
+    setShowCaptions(show) {
+        this.showCaptions = show;
+        localStorage.setItem('collabconnect-show-captions', show);
+        if (!show) {
+            document.querySelectorAll('#videoGrid .caption').forEach(caption => caption.classList.add('hidden'));
+        }
+    }
+    
+    // What the engine heard us say. Every result for a sentence carries the same
+    // id; partial ones are throttled, the final one always goes out.
+    handleOwnCaption({ text, final }) {
+        if (!this.captionEngine || !this.selfId || (!text && !this.captionSegment)) return;
+        
+        const now = Date.now();
+        if (!this.captionSegment) {
+            this.captionSegment = { id: this.createId(), start: now, sentAt: 0 };
+        }
+        const segment = this.captionSegment;
+        if (!final && now - segment.sentAt < this.captionPartialInterval) return;
+        segment.sentAt = now;
+        if (final) {
+            this.captionSegment = null;
+        }
+        
+        const caption = { id: segment.id, text, final, start: segment.start, end: now };
+        this.emitSealed('caption', caption, (data, encryption) => this.sealChatText(data, encryption));
+        this.handleCaption({ ...caption, from: 'local' });
+    }
+    
+    // A caption from someone, or from us with `from` 'local'. Final ones go into the transcript.
+    handleCaption(data) {
+        const participant = this.participants.get(data.from);
+        if (data.from !== 'local' && !participant) return;
+        
+        if (data.final) {
+            const speaker = participant ? participant.displayName : this.displayName;
+            this.transcript.add({ speaker, text: data.text, start: data.start, end: data.end });
+        }
+        this.showCaption(data.from, data.text);
+    }
+    
+    // Over the speaker's tile until they have been quiet for a moment
+    showCaption(id, text) {
+        const videoContainer = this.getVideoContainer(id);
+        if (!videoContainer || !this.showCaptions) return;
+        
+        let caption = videoContainer.querySelector('.caption');
+        if (!caption) {
+            caption = document.createElement('div');
+            caption.className = 'caption';
+            videoContainer.appendChild(caption);
+        }
+        caption.textContent = text.length > this.captionMaxLength ? `…${text.slice(-this.captionMaxLength)}` : text;
+        caption.classList.toggle('hidden', !text);
+        
+        clearTimeout(this.captionTimers.get(id));
+        this.captionTimers.set(id, setTimeout(() => {
+            caption.classList.add('hidden');
+            this.captionTimers.delete(id);
+        }, this.captionHideDelay));
+    }
+    
+    updateCaptionControls() {
+        document.getElementById('roomCaptions').checked = this.captionsEnabled;
+        document.getElementById('showCaptions').checked = this.showCaptions;
+        document.getElementById('captionEngine').value = this.captionEngineName;
+        document.getElementById('captionsBtn').classList.toggle('active', this.captionsEnabled);
+    }
+    
+    // The captions so far as plain text and WebVTT subtitles, and with `withChat` the chat log too
+    downloadTranscript(withChat = false) {
+        if (this.transcript.isEmpty) {
+            this.showToast('Nothing has been captioned yet', 'info');
+            return;
+        }
+        const { startedAt } = this.transcript;
+        const stamp = new Date(startedAt).toISOString().slice(0, 16).replace(/[T:]/g, '-');
+        const name = `transcript-${this.roomId}-${stamp}`;
+        const title = `Transcript of room ${this.roomId}, ${new Date(startedAt).toLocaleString()}`;
+        
+        const files = [
+            new File([this.transcript.toText(title)], `${name}.txt`, { type: 'text/plain' }),
+            new File([this.transcript.toVtt()], `${name}.vtt`, { type: 'text/vtt' })
+        ];
+        if (withChat) {
+            files.push(new File([this.buildChatTranscript(startedAt)], `${name}-chat.txt`, { type: 'text/plain' }));
+        }
+        files.forEach(file => this.downloadFile(file));
+    }
+    
+    // Plays the other participants through the chosen speaker, where the browser allows it
+    applySpeaker(videos = document.querySelectorAll('#videoGrid .video-container:not(.local) video')) {
+        if (!DeviceManager.canSelectSpeaker()) return;
+        
+        videos.forEach(video => video.setSinkId(this.devices.selected.audiooutput).catch(error => {
+            console.error('Could not switch speakers:', error);
+        }));
+    }
+    
+    // Copies a link that lets people into this room without its password until it expires
+    async copyInviteLink({ roomId, token, expiresAt }) {
+        const link = this.getInviteLink(roomId, token);
+        const expires = new Date(expiresAt).toLocaleString();
+        
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showToast(`Invite link copied, valid until ${expires}`, 'success');
+        } catch (error) {
+            prompt(`Invite link, valid until ${expires}:`, link);
+        }
+    }
+    
+    // Opens the room with the invite token, see restoreSession
+    getInviteLink(roomId, token) {
+        return `${window.location.origin}${window.location.pathname}?${new URLSearchParams({ room: roomId, invite: token })}`;
+    }
+    
+    // Room state snapshot sent by the server after join-room
+    handleRoomState(state) {
+        // Without frame encryption our media would reach the others undecryptable
+        if (state.e2ee && !(this.identity && FrameEncryption.isSupported())) {
+            this.socket.emit('leave-room');
+            this.handleJoinError({ reason: 'encryption', message: 'This browser cannot join end-to-end encrypted rooms' });
+            return;
+        }
+        const rejoined = this.rejoining;
+        const moved = this.movingRoom;
+        this.rejoining = false;
+        this.movingRoom = false;
+        
+        this.roomId = state.roomId;
+        this.mainRoomId = state.breakout ? state.breakout.mainId : state.roomId;
+        this.breakoutName = state.breakout ? state.breakout.name : null;
+        this.selfId = state.selfId;
+        this.mediaMode = state.mediaMode;
+        this.authorId = state.authorId;
+        this.maxFileSize = state.maxFileSize || Infinity;
+        this.maxStoredFileSize = state.maxStoredFileSize || 0;
+        this.hostId = state.hostId;
+        this.roomLocked = state.locked;
+        this.waitingRoomEnabled = state.waitingRoom;
+        this.multipleShares = state.multipleShares;
+        this.chatCommands = state.commands || [];
+        
+        // Hide auth modal and show main app
+        document.getElementById('authModal').classList.add('hidden');
+        document.getElementById('mainApp').classList.remove('hidden');
+        document.getElementById('roomId').value = this.roomId;
+        document.getElementById('roomPassword').value = '';
+        document.getElementById('roomPassphrase').value = '';
+        document.getElementById('encryptRoom').checked = false;
+        document.getElementById('roomName').value = '';
+        document.getElementById('keepRoom').checked = false;
+        
+        // Update UI
+        const roomLabel = state.name ? `${state.name} (${this.roomId})` : this.roomId;
+        document.getElementById('currentRoomId').textContent = this.breakoutName ? `${this.mainRoomId} - ${this.breakoutName}` : roomLabel;
+        document.getElementById('persistentIcon').classList.toggle('hidden', !state.persistent);
+        // Encryption, keys and all, carries on across a reconnect
+        if (state.e2ee && !this.encryption) {
+            this.startEncryption(state.e2ee);
+        }
+        // A raised hand stays up across a reconnect, though at the back of the queue
+        const handRaised = rejoined && Boolean(this.handRaisedAt);
+        this.setHandRaisedAt(null);
+        this.addParticipant('local', this.displayName, true);
+        this.audioLevels.watch('local', this.localStream.getAudioTracks()[0]);
+        this.renderDeviceOptions();
+        
+        state.participants.forEach(participant => this.handleParticipantJoined(participant, false));
+        this.updatePresenterLayout();
+        this.updateHandOrder();
+        // Like the transcript, poll results carry on across a reconnect or a breakout
+        if (!rejoined && !moved) {
+            this.pollBook.reset();
+        }
+        if (this.encryption) {
+            this.receiveSealed(() => this.openRoomContent(state), content => this.loadRoomContent(content));
+        } else {
+            this.loadRoomContent(state);
+        }
+        this.updateHostControls();
+        // Our mic or camera may have been switched off before joining
+        this.sendMediaState();
+        // A reconnect or a breakout carries on with the same transcript
+        if (!rejoined && !moved) {
+            this.transcript.reset();
+        }
+        this.setCaptionsEnabled(Boolean(state.captions));
+        // After a reconnect, everything else the others saw of us before
+        if (this.screenStream) {
+            this.socket.emit('screen-share', { sharing: true, audio: Boolean(this.screenTracks.audio) });
+        }
+        if (this.recorder) {
+            this.sendRecordingState();
+        }
+        if (!this.allowAnnotations) {
+            this.socket.emit('annotations', { enabled: false });
+        }
+        if (handRaised) {
+            this.socket.emit('hand', { raised: true });
+        }
+        this.rejoinFiles.forEach(file => this.shareFile(file));
+        this.rejoinFiles = [];
+        
+        if (this.mediaMode === 'sfu') {
+            this.startSfuPublish();
+        }
+        this.networkQuality.start();
+        
+        this.setBreakouts(state.breakouts);
+        this.updateRecordingIndicator();
+        this.updateParticipantCount();
+        if (moved) {
+            this.showToast(this.breakoutName ? `You are in ${this.breakoutName}` : 'You are back in the main room', 'success');
+        } else {
+            this.showToast(rejoined ? 'Reconnected' : `Joined room: ${this.roomId}`, 'success');
+        }
+    }
+    
+    // Shared files, chat history, the whiteboard, polls and questions from room-state, opened first in encrypted rooms
+    loadRoomContent({ files, chat, whiteboard, boardOps, polls, questions }) {
+        files.forEach(fileData => this.addFileToList(fileData));
+        chat.forEach(message => this.addChatMessage(message));
+        polls.forEach(poll => this.pollBook.setPoll(poll, this.roomId));
+        questions.forEach(question => this.pollBook.setQuestion(question, this.roomId));
+        this.renderPolls();
+        this.renderQuestions();
+        if (boardOps) {
+            this.whiteboard.clear();
+            boardOps.forEach(op => this.handleRemoteDraw(op));
+        } else {
+            this.whiteboard.load(whiteboard);
+        }
+        this.updateBoardPageControls();
+    }
+    
+    handleParticipantJoined(participant, notify = true) {
+        this.participants.set(participant.id, participant);
+        this.addRemoteVideo(participant.id, participant.displayName);
+        this.addParticipant(participant.id, participant.displayName, false);
+        
+        // In exchange rooms the host hands every newcomer the room key
+        if (this.encryptionMode === 'exchange' && this.isHost()) {
+            this.sendRoomKey(participant.id);
+        }
+        
+        // In SFU mode the server offers the newcomer's stream once it publishes
+        if (this.mediaMode === 'mesh') {
+            this.createPeerConnection(participant.id);
+        }
+        this.updateParticipantCount();
+        this.updateBreakoutPanel();
+        
+        if (notify) {
+            this.showToast(`${participant.displayName} joined`, 'info');
+        }
+    }
+    
+    handleParticipantLeft(data) {
+        this.participants.delete(data.id);
+        this.audioLevels.unwatch(data.id);
+        this.removePeer(data.id);
+        this.closeSfuSubscription(data.id);
+        this.removeFilesFrom(data.id);
+        if (this.controlSession && this.controlSession.presenterId === data.id) {
+            this.stopControlling();
+        }
+        if (this.screenControl && this.screenControl.controllerId === data.id) {
+            this.setScreenController(null);
+        }
+        this.renderControlRequests();
+        
+        const videoContainer = document.getElementById(`video-${data.id}`);
+        if (videoContainer) videoContainer.remove();
+        
+        const participantItem = document.getElementById(`participant-${data.id}`);
+        if (participantItem) {
+            const name = participantItem.querySelector('.participant-name').textContent.trim();
+            participantItem.remove();
+            this.showToast(`${name} left`, 'info');
+        }
+        
+        // A new key, so whoever left cannot read what is said after they have gone
+        if (this.encryptionMode === 'exchange' && this.isHost()) {
+            this.rotateRoomKey();
+        }
+        
+        this.updateRecordingIndicator();
+        this.updatePresenterLayout();
+        this.updateParticipantCount();
+        this.updateBreakoutPanel();
+    }
+    
+    addRemoteVideo(peerId, displayName) {
+        const videoGrid = document.getElementById('videoGrid');
+        
+        const videoContainer = document.createElement('div');
+        videoContainer.className = 'video-container';
+        videoContainer.id = `video-${peerId}`;
+        
+        const video = document.createElement('video');
+        video.autoplay = true;
+        video.playsInline = true;
+        
+        // Placeholder shown until the peer's media arrives
+        const colors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7'];
+        const hash = Array.from(peerId).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+        const placeholder = document.createElement('div');
+        placeholder.className = 'video-placeholder';
+        placeholder.style.background = colors[hash % colors.length];
+        placeholder.textContent = displayName.charAt(0).toUpperCase();
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'video-overlay';
+        overlay.innerHTML = `
+            <span class="participant-name">${this.escapeHtml(displayName)}</span>
+            <div class="video-controls">
+                <span class="network-quality hidden">
+                    <i class="fas fa-signal"></i>
+                </span>
+                <span class="audio-indicator active">
+                    <i class="fas fa-microphone"></i>
+                </span>
+                <button class="request-control" title="Request control of this screen">
+                    <i class="fas fa-mouse-pointer"></i>
+                </button>
+            </div>
+        `;
+        overlay.querySelector('.request-control').addEventListener('click', () => this.toggleControl(peerId));
+        
+        videoContainer.appendChild(video);
+        videoContainer.appendChild(placeholder);
+        videoContainer.appendChild(overlay);
+        videoGrid.appendChild(videoContainer);
+        this.applySpeaker([video]);
+    }
+    
+    attachRemoteStream(peerId, stream) {
+        const videoContainer = document.getElementById(`video-${peerId}`);
+        if (!videoContainer) return;
+        
+        const video = videoContainer.querySelector('video');
+        if (video.srcObject !== stream) {
+            video.srcObject = stream;
+        }
+        videoContainer.classList.add('has-media');
+        this.audioLevels.watch(peerId, stream.getAudioTracks()[0]);
+        this.applyRemoteMediaState(peerId);
+    }
+    
+    // Level meters on the video tiles and in the participants list, and the active speaker highlight
+    updateAudioLevels(levels, speakerId) {
+        levels.forEach((level, id) => {
+            const videoContainer = this.getVideoContainer(id);
+            const participantItem = document.getElementById(`participant-${id}`);
+            const meters = [
+                videoContainer && videoContainer.querySelector('.audio-indicator'),
+                participantItem && participantItem.querySelector('.status-audio')
+            ];
+            meters.filter(Boolean).forEach(meter => meter.style.setProperty('--audio-level', level.toFixed(2)));
+        });
+        
+        if (speakerId === this.activeSpeakerId) return;
+        this.activeSpeakerId = speakerId;
+        
+        const speakerContainer = this.getVideoContainer(speakerId);
+        document.querySelectorAll('#videoGrid .video-container').forEach(container => {
+            container.classList.toggle('active-speaker', container === speakerContainer);
+        });
+        document.querySelectorAll('.participant-item').forEach(item => {
+            item.classList.toggle('speaking', item.id === `participant-${speakerId}`);
+        });
+        this.updateTileOrder();
+    }
+    
+    // The video tile of a participant, or ours for 'local'
+    getVideoContainer(id) {
+        return id === 'local'
+            ? document.querySelector('#videoGrid .video-container.local')
+            : document.getElementById(`video-${id}`);
+    }
+    
+    toggleFollowSpeakers() {
+        this.followSpeakers = !this.followSpeakers;
+        localStorage.setItem('collabconnect-follow-speakers', this.followSpeakers);
+        document.getElementById('followSpeakers').classList.toggle('active', this.followSpeakers);
+        this.updateTileOrder();
+        this.showToast(this.followSpeakers ? 'Recent speakers are shown first' : 'Video tiles stay in place', 'info');
+    }
+    
+    // While following speakers, whoever spoke last comes first (after any shared screen)
+    updateTileOrder() {
+        const recent = this.followSpeakers ? this.audioLevels.getRecentSpeakers() : [];
+        document.querySelectorAll('#videoGrid .video-container').forEach(container => {
+            if (!this.followSpeakers || container.classList.contains('presenter')) {
+                container.style.order = '';
+                return;
+            }
+            const rank = recent.findIndex(id => this.getVideoContainer(id) === container);
+            container.style.order = rank === -1 ? recent.length : rank;
+        });
+    }
+    
+    // Remote tracks follow the mic/camera state the server reports, so a host's
+    // mute holds even if the muted participant's own client ignores it
+    applyRemoteMediaState(peerId) {
+        const participant = this.participants.get(peerId);
+        const videoContainer = document.getElementById(`video-${peerId}`);
+        if (!participant || !videoContainer) return;
+        
+        // A shared screen (and its sound) replaces the camera (and joins the mic)
+        const audio = participant.audio || participant.screenAudio;
+        const video = participant.video || participant.screen;
+        const stream = videoContainer.querySelector('video').srcObject;
+        if (stream) {
+            stream.getAudioTracks().forEach(track => { track.enabled = audio; });
+            stream.getVideoTracks().forEach(track => { track.enabled = video; });
+        }
+        videoContainer.classList.toggle('video-off', !video);
+        videoContainer.querySelector('.audio-indicator').classList.toggle('muted', !participant.audio);
+    }
+    
+    handleParticipantUpdated(data) {
+        if (data.id === this.selfId) {
+            this.updateParticipantItem('local');
+            return;
+        }
+        
+        const participant = this.participants.get(data.id);
+        if (!participant) return;
+        
+        Object.assign(participant, { audio: data.audio, video: data.video });
+        this.applyRemoteMediaState(data.id);
+        this.updateParticipantItem(data.id);
+    }
+    
+    // WebRTC mesh - one RTCPeerConnection per remote participant.
+    // Uses the "perfect negotiation" pattern so either side can renegotiate
+    // without offer collisions; the peer with the larger id is polite.
+    createPeerConnection(peerId) {
+        if (this.peers.has(peerId)) return this.peers.get(peerId);
+        
+        const pc = new RTCPeerConnection(this.getMediaConfig());
+        this.peers.set(peerId, pc);
+        this.peerNegotiation.set(peerId, {
+            polite: this.selfId > peerId,
+            makingOffer: false,
+            ignoreOffer: false,
+            senders: this.addSenders(pc, { direction: 'sendrecv', streams: [this.localStream] })
+        });
+        
+        pc.onicecandidate = ({ candidate }) => {
+            if (candidate) {
+                this.socket.emit('signal', { to: peerId, candidate });
+            }
+        };
+        
+        pc.ontrack = ({ track, streams, receiver }) => {
+            this.protectReceiver(receiver);
+            const stream = streams[0] || new MediaStream([track]);
+            this.attachRemoteStream(peerId, stream);
+        };
+        
+        pc.onnegotiationneeded = async () => {
+            const state = this.peerNegotiation.get(peerId);
+            try {
+                state.makingOffer = true;
+                await pc.setLocalDescription();
+                this.socket.emit('signal', { to: peerId, description: pc.localDescription });
+            } catch (error) {
+                console.error(`Negotiation with ${peerId} failed:`, error);
+            } finally {
+                state.makingOffer = false;
+            }
+        };
+        
+        pc.onconnectionstatechange = () => {
+            // Gather new candidates, e.g. after a network change; the offer goes out through onnegotiationneeded
+            if (pc.connectionState === 'failed') {
+                pc.restartIce();
+            }
+        };
+        
+        return pc;
+    }
+    
+    async handleSignal({ from, description, candidate }) {
+        const pc = this.peers.get(from) || this.createPeerConnection(from);
+        const state = this.peerNegotiation.get(from);
+        
+        try {
+            if (description) {
+                const offerCollision = description.type === 'offer' &&
+                    (state.makingOffer || pc.signalingState !== 'stable');
+                
+                state.ignoreOffer = !state.polite && offerCollision;
+                if (state.ignoreOffer) return;
+                
+                await pc.setRemoteDescription(description);
+                if (description.type === 'offer') {
+                    await pc.setLocalDescription();
+                    this.socket.emit('signal', { to: from, description: pc.localDescription });
+                }
+            } else if (candidate) {
+                try {
+                    await pc.addIceCandidate(candidate);
+                } catch (error) {
+                    if (!state.ignoreOffer) throw error;
+                }
+            }
+        } catch (error) {
+            console.error(`Signaling with ${from} failed:`, error);
+        }
+    }
+    
+    removePeer(peerId) {
+        const pc = this.peers.get(peerId);
+        if (pc) {
+            pc.close();
+            this.peers.delete(peerId);
+        }
+        this.peerNegotiation.delete(peerId);
+    }
+    
+    // The server switches a room between mesh and SFU as participants come and go
+    handleMediaModeChange({ mode }) {
+        if (mode === this.mediaMode) return;
+        this.mediaMode = mode;
+        
+        if (mode === 'sfu') {
+            Array.from(this.peers.keys()).forEach(peerId => this.removePeer(peerId));
+            this.startSfuPublish();
+        } else {
+            this.stopSfu();
+            this.participants.forEach((participant, peerId) => this.createPeerConnection(peerId));
+        }
+    }
+    
+    // SFU mode - one simulcast upstream to the media server
+    async startSfuPublish() {
+        if (!this.localStream) return;
+        this.stopSfuPublish();
+        
+        const pc = new RTCPeerConnection(this.getMediaConfig());
+        this.sfuPublisher = pc;
+        this.sfuSenders = this.addSenders(pc, { direction: 'sendonly', streams: [this.localStream] }, this.simulcastEncodings);
+        
+        pc.onicecandidate = ({ candidate }) => {
+            if (candidate) {
+                this.socket.emit('sfu-candidate', { candidate });
+            }
+        };
+        
+        // The server answers a new offer with a new connection
+        pc.onconnectionstatechange = () => {
+            if (pc.connectionState === 'failed' && pc === this.sfuPublisher) {
+                this.startSfuPublish();
+            }
+        };
+        
+        try {
+            await pc.setLocalDescription();
+            this.socket.emit('sfu-publish', { description: pc.localDescription });
+        } catch (error) {
+            console.error('SFU publish failed:', error);
+            this.showToast('Could not connect to the media server', 'error');
+        }
+    }
+    
+    // Answers carry a publisherId for downstream connections, none for our upstream
+    async handleSfuAnswer({ description }) {
+        if (!this.sfuPublisher) return;
+        
+        try {
+            await this.sfuPublisher.setRemoteDescription(description);
+        } catch (error) {
+            console.error('SFU answer rejected:', error);
+        }
+    }
+    
+    // SFU mode - the server offers one downstream connection per remote publisher
+    async handleSfuOffer({ publisherId, description }) {
+        this.closeSfuSubscription(publisherId);
+        
+        const pc = new RTCPeerConnection(this.getMediaConfig());
+        const subscription = { pc, stream: new MediaStream(), layer: 'high' };
+        this.sfuSubscriptions.set(publisherId, subscription);
+        
+        pc.ontrack = ({ track, receiver }) => {
+            this.protectReceiver(receiver);
+            subscription.stream.addTrack(track);
+            this.attachRemoteStream(publisherId, subscription.stream);
+            
+            const videoContainer = document.getElementById(`video-${publisherId}`);
+            if (videoContainer) this.layerObserver.observe(videoContainer);
+        };
+        
+        pc.onicecandidate = ({ candidate }) => {
+            if (candidate) {
+                this.socket.emit('sfu-candidate', { publisherId, candidate });
+            }
+        };
+        
+        // Ask the server to offer this publisher again
+        pc.onconnectionstatechange = () => {
+            const current = this.sfuSubscriptions.get(publisherId);
+            if (pc.connectionState === 'failed' && current && current.pc === pc) {
+                this.socket.emit('sfu-subscribe', { publisherId });
+            }
+        };
+        
+        try {
+            await pc.setRemoteDescription(description);
+            await pc.setLocalDescription();
+            this.socket.emit('sfu-answer', { publisherId, description: pc.localDescription });
+        } catch (error) {
+            console.error(`SFU subscription to ${publisherId} failed:`, error);
+        }
+    }
+    
+    // Ask for the low simulcast layer for tiles that are shown small
+    updateSfuLayers(entries) {
+        entries.forEach(entry => {
+            const publisherId = entry.target.id.replace(/^video-/, '');
+            const subscription = this.sfuSubscriptions.get(publisherId);
+            if (!subscription) return;
+            
+            const layer = entry.contentRect.width <= this.lowLayerMaxWidth ? 'low' : 'high';
+            if (layer !== subscription.layer) {
+                subscription.layer = layer;
+                this.socket.emit('sfu-layer', { publisherId, layer });
+            }
+        });
+    }
+    
+    // Connections to rate for the network quality icons: one per peer in a mesh, or
+    // with the SFU each publisher's downstream and our upstream (as 'local')
+    getStatsConnections() {
+        if (this.mediaMode === 'mesh') return this.peers;
+        
+        const connections = new Map(Array.from(this.sfuSubscriptions, ([publisherId, subscription]) => [publisherId, subscription.pc]));
+        if (this.sfuPublisher) {
+            connections.set('local', this.sfuPublisher);
+        }
+        return connections;
+    }
+    
+    // Signal icons on the tiles and in the participants list, and less video
+    // over links that struggle. Ours shows the worst link we send over.
+    updateNetworkQuality(results) {
+        const upstream = results.get('local');
+        results.delete('local');
+        
+        let sendQuality = upstream ? upstream.sendQuality : null;
+        results.forEach((result, id) => {
+            const details = `${result.rtt} ms round trip, ${(result.loss * 100).toFixed(1)}% lost, ${result.bitrate} kbit/s`;
+            this.showNetworkQuality(id, result.quality, details);
+            
+            const negotiation = this.peerNegotiation.get(id);
+            if (negotiation) {
+                this.adaptSentVideo(negotiation.senders.video, result.sendQuality);
+                sendQuality = sendQuality ? NetworkQualityMonitor.worst(sendQuality, result.sendQuality) : result.sendQuality;
+            }
+        });
+        
+        if (upstream && this.sfuSenders) {
+            this.adaptSentVideo(this.sfuSenders.video, upstream.sendQuality);
+        }
+        this.showNetworkQuality('local', sendQuality, upstream ? `${upstream.rtt} ms round trip` : '');
+    }
+    
+    // `quality` is 'good', 'fair' or 'poor', or null to hide the icons
+    showNetworkQuality(id, quality, details = '') {
+        const videoContainer = this.getVideoContainer(id);
+        const participantItem = document.getElementById(`participant-${id}`);
+        const icons = [
+            videoContainer && videoContainer.querySelector('.network-quality'),
+            participantItem && participantItem.querySelector('.status-network')
+        ];
+        icons.filter(Boolean).forEach(icon => {
+            icon.classList.toggle('hidden', !quality);
+            ['good', 'fair', 'poor'].forEach(level => icon.classList.toggle(`quality-${level}`, level === quality));
+            icon.title = quality ? `Connection: ${quality}${details ? ` (${details})` : ''}` : '';
+        });
+    }
+    
+    // Scales down the camera sent over a fair or poor link, and back up once it recovers.
+    // Towards the SFU only the top simulcast layer changes.
+    adaptSentVideo(sender, quality) {
+        if (this.sendQualities.get(sender) === quality) return;
+        this.sendQualities.set(sender, quality);
+        
+        const parameters = sender.getParameters();
+        if (!parameters.encodings || !parameters.encodings.length) return;
+        
+        const base = sender === (this.sfuSenders && this.sfuSenders.video) ? this.simulcastEncodings[0] : {};
+        const degraded = this.degradedVideo[quality] || {};
+        const encoding = parameters.encodings[0];
+        encoding.scaleResolutionDownBy = degraded.scaleResolutionDownBy || base.scaleResolutionDownBy || 1;
+        const maxBitrate = Math.min(base.maxBitrate || Infinity, degraded.maxBitrate || Infinity);
+        if (maxBitrate < Infinity) {
+            encoding.maxBitrate = maxBitrate;
+        } else {
+            delete encoding.maxBitrate;
+        }
+        sender.setParameters(parameters).catch(error => {
+            console.error('Could not adapt the sent video:', error);
+        });
+    }
+    
+    closeSfuSubscription(publisherId) {
+        const subscription = this.sfuSubscriptions.get(publisherId);
+        if (!subscription) return;
+        
+        subscription.pc.close();
+        this.sfuSubscriptions.delete(publisherId);
+        
+        const videoContainer = document.getElementById(`video-${publisherId}`);
+        if (videoContainer) this.layerObserver.unobserve(videoContainer);
+    }
+    
+    stopSfuPublish() {
+        if (this.sfuPublisher) {
+            this.sfuPublisher.close();
+            this.sfuPublisher = null;
+            this.sfuSenders = null;
+        }
+    }
+    
+    stopSfu() {
+        this.stopSfuPublish();
+        Array.from(this.sfuSubscriptions.keys()).forEach(publisherId => this.closeSfuSubscription(publisherId));
+    }
+    
+    // End-to-end encryption (see e2ee.js). Passphrase rooms have their key
+    // already; in exchange rooms the host makes one and hands it to everyone.
+    startEncryption(e2ee) {
+        this.encryptionMode = e2ee.mode;
+        this.encryption = new RoomEncryption(this.identity, this.roomId);
+        this.frameEncryption = new FrameEncryption();
+        this.encryption.onKeyChange = (keyId, rawKey) => this.frameEncryption.setKey(keyId, rawKey);
+        this.fileTransfers.cipher = this.encryption;
+        
+        if (e2ee.mode === 'passphrase' && this.pendingRoomKey) {
+            this.encryption.useKey(this.pendingRoomKey);
+        } else if (e2ee.mode === 'exchange' && this.isHost()) {
+            this.encryption.generateKey();
+        }
+        this.pendingRoomKey = null;
+        document.getElementById('encryptionIcon').classList.remove('hidden');
+    }
+    
+    stopEncryption() {
+        if (this.frameEncryption) {
+            this.frameEncryption.terminate();
+        }
+        this.encryption = null;
+        this.encryptionMode = null;
+        this.frameEncryption = null;
+        this.fileTransfers.cipher = null;
+        this.inbox = Promise.resolve();
+        this.outbox = Promise.resolve();
+        document.getElementById('encryptionIcon').classList.add('hidden');
+    }
+    
+    // Media connections in encrypted rooms need the frame transforms set up
+    getMediaConfig() {
+        return this.frameEncryption ? { ...this.rtcConfig, ...this.frameEncryption.peerConnectionConfig } : this.rtcConfig;
+    }
+    
+    protectSender(sender, kind) {
+        if (this.frameEncryption) {
+            this.frameEncryption.protectSender(sender, kind);
+        }
+    }
+    
+    protectReceiver(receiver) {
+        if (this.frameEncryption) {
+            this.frameEncryption.protectReceiver(receiver);
+        }
+    }
+    
+    // Exchange rooms: a fresh key whenever the host takes over or someone leaves,
+    // wrapped for each participant with a key only the two of us can derive
+    async rotateRoomKey() {
+        const encryption = this.encryption;
+        await encryption.generateKey();
+        if (this.encryption !== encryption) return;
+        
+        this.participants.forEach((participant, id) => this.sendRoomKey(id));
+    }
+    
+    async sendRoomKey(id) {
+        const encryption = this.encryption;
+        const participant = this.participants.get(id);
+        if (!participant || !participant.publicKey) return;
+        
+        try {
+            await encryption.waitForKey();
+            const wrapped = await encryption.wrapKeys(encryption.exportKeys(), participant.publicKey);
+            if (this.encryption === encryption) {
+                this.socket.emit('e2ee-key', { to: id, ...wrapped });
+            }
+        } catch (error) {
+            console.error(`Could not send the room key to ${id}:`, error);
+        }
+    }
+    
+    // Keys are only taken from the host, so nobody else can swap in their own
+    async handleRoomKey(data) {
+        const host = this.participants.get(data.from);
+        if (this.encryptionMode !== 'exchange' || data.from !== this.hostId || !host) return;
+        
+        try {
+            await this.encryption.unwrapKeys(data, host.publicKey);
+        } catch (error) {
+            console.error('Could not unwrap the room key:', error);
+        }
+    }
+    
+    // Sends an event, in encrypted rooms once `seal(data, encryption)` has sealed its payload
+    emitSealed(event, data, seal) {
+        const encryption = this.encryption;
+        if (!encryption) {
+            this.socket.emit(event, data);
+            return;
+        }
+        
+        this.outbox = this.outbox
+            .then(() => seal(data, encryption))
+            .then(sealed => {
+                if (this.encryption === encryption) this.socket.emit(event, sealed);
+            })
+            .catch(error => {
+                console.error(`Could not encrypt ${event}:`, error);
+                this.showToast('Could not encrypt, is the host still here?', 'error');
+            });
+    }
+    
+    // Opens sealed payloads one at a time, in the order they arrived, and hands them to `handle`
+    receiveSealed(open, handle) {
+        const encryption = this.encryption;
+        this.inbox = this.inbox
+            .then(open)
+            .then(opened => {
+                if (opened && this.encryption === encryption) handle(opened);
+            })
+            .catch(error => console.error('Could not open an encrypted event:', error));
+    }
+    
+    // Returns the event's data with its sealed parts opened, or null to drop it
+    async openSealedEvent(event, data) {
+        switch (event) {
+            case 'chat-message':
+                if (data.op === 'send') return { ...data, message: await this.openChatMessage(data.message) };
+                if (data.op === 'edit') return { ...data, text: await this.openChatText(data.text) };
+                return data;
+            case 'whiteboard-draw':
+                return this.openBoardOp(data.sealed, data.from);
+            case 'file-share':
+                return this.openFile(data);
+            case 'caption': {
+                const text = await this.openChatText(data.text);
+                return text === null ? null : { ...data, text };
+            }
+            case 'annotation': {
+                const op = await this.openBoardOp(data.sealed, data.from);
+                return op && { ...op, presenterId: data.presenterId };
+            }
+            case 'poll':
+                if (data.op === 'poll') return { ...data, poll: await this.openPoll(data.poll) };
+                if (data.op === 'question') return { ...data, question: await this.openQuestion(data.question) };
+                return data;
+            default:
+                return data;
+        }
+    }
+    
+    async openRoomContent(state) {
+        const [files, chat, boardOps, polls, questions] = await Promise.all([
+            Promise.all(state.files.map(fileData => this.openFile(fileData))),
+            Promise.all(state.chat.map(message => this.openChatMessage(message))),
+            Promise.all(state.whiteboard.sealed.map(({ sealed, author }) => this.openBoardOp(sealed, author))),
+            Promise.all(state.polls.map(poll => this.openPoll(poll))),
+            Promise.all(state.questions.map(question => this.openQuestion(question)))
+        ]);
+        // Sealed with a key nobody here has any more, e.g. a persistent room's board from an
+        // earlier session. Chat shows such messages in place; the rest can only be left out.
+        const unreadable = files.filter(file => !file).length + boardOps.filter(op => !op).length;
+        if (unreadable) {
+            this.showToast(`Some earlier whiteboard content or files could not be decrypted (${unreadable})`, 'error');
+        }
+        return { files: files.filter(Boolean), chat, boardOps: boardOps.filter(Boolean), polls, questions };
+    }
+    
+    // Messages we cannot open (sent before we got the current key) keep a null text
+    async openChatText(text) {
+        try {
+            return String(await this.encryption.open(text));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    async openChatMessage(message) {
+        return message.deleted ? message : { ...message, text: await this.openChatText(message.text) };
+    }
+    
+    async openBoardOp(sealed, from) {
+        try {
+            return { ...(await this.encryption.open(sealed)), from };
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    async openFile({ sealed, ...fileData }) {
+        try {
+            const { name, type, hash } = await this.encryption.open(sealed);
+            return { ...fileData, name: String(name), type: String(type), hash: String(hash) };
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    sealChatText(data, encryption) {
+        return encryption.seal(data.text).then(text => ({ ...data, text }));
+    }
+    
+    // A poll's question and options, or a question's text. Votes are only option indexes.
+    async sealPollText(data, encryption) {
+        const sealed = { ...data };
+        if (data.text !== undefined) sealed.text = await encryption.seal(data.text);
+        if (data.question !== undefined) sealed.question = await encryption.seal(data.question);
+        if (data.options) sealed.options = await Promise.all(data.options.map(option => encryption.seal(option)));
+        return sealed;
+    }
+    
+    // Text we cannot open stays null, like in chat
+    async openPoll(poll) {
+        const [question, ...options] = await Promise.all([poll.question, ...poll.options].map(text => this.openChatText(text)));
+        return { ...poll, question, options };
+    }
+    
+    async openQuestion(question) {
+        return { ...question, text: await this.openChatText(question.text) };
+    }
+    
+    toggleVideo() {
+        if (this.setVideoEnabled(!this.isVideoEnabled)) {
+            this.showToast(`Video ${this.isVideoEnabled ? 'enabled' : 'disabled'}`, 'info');
+        } else {
+            this.showToast('No camera - choose one in the device settings', 'info');
+        }
+    }
+    
+    toggleAudio() {
+        if (this.setAudioEnabled(!this.isAudioEnabled)) {
+            this.showToast(`Audio ${this.isAudioEnabled ? 'enabled' : 'disabled'}`, 'info');
+        } else {
+            this.showToast('No microphone - choose one in the device settings', 'info');
+        }
+    }
+    
+    // Returns false if there is no camera track to switch
+    setVideoEnabled(enabled) {
+        const videoTrack = this.localStream && this.localStream.getVideoTracks()[0];
+        if (!videoTrack) return false;
+        
+        videoTrack.enabled = enabled;
+        this.isVideoEnabled = enabled;
+        this.updateMediaControls();
+        this.sendMediaState();
+        return true;
+    }
+    
+    // Returns false if there is no microphone track to switch
+    setAudioEnabled(enabled) {
+        const audioTrack = this.localStream && this.localStream.getAudioTracks()[0];
+        if (!audioTrack) return false;
+        
+        audioTrack.enabled = enabled;
+        this.isAudioEnabled = enabled;
+        this.updateMediaControls();
+        this.sendMediaState();
+        return true;
+    }
+    
+    // Whether our camera ('video') or mic ('audio') is on; off if we joined without one
+    isMediaOn(kind) {
+        const tracks = !this.localStream ? [] : kind === 'video' ? this.localStream.getVideoTracks() : this.localStream.getAudioTracks();
+        return tracks.length > 0 && (kind === 'video' ? this.isVideoEnabled : this.isAudioEnabled);
+    }
+    
+    // The mic and camera buttons and our own tile
+    updateMediaControls() {
+        const video = this.isMediaOn('video');
+        const audio = this.isMediaOn('audio');
+        
+        const videoBtn = document.getElementById('toggleVideo');
+        videoBtn.classList.toggle('active', video);
+        videoBtn.querySelector('i').className = video ? 'fas fa-video' : 'fas fa-video-slash';
+        const audioBtn = document.getElementById('toggleAudio');
+        audioBtn.classList.toggle('active', audio);
+        audioBtn.querySelector('i').className = audio ? 'fas fa-microphone' : 'fas fa-microphone-slash';
+        
+        // Update local video display and audio indicator
+        document.getElementById('localVideo').style.opacity = video || this.isScreenSharing ? '1' : '0.3';
+        document.querySelector('.video-container.local .audio-indicator').classList.toggle('muted', !audio);
+    }
+    
+    // Lets the server (and so everyone else) know whether our mic and camera are on
+    sendMediaState() {
+        if (!this.selfId) return;
+        
+        this.socket.emit('media-state', { audio: this.isMediaOn('audio'), video: this.isMediaOn('video') });
+        this.updateParticipantItem('local');
+    }
+    
+    // Screen sharing - the screen goes out in place of the camera, and any sound
+    // it shares mixed with our mic, once the server lets us present
+    async toggleScreenShare() {
+        if (this.screenStream) {
+            this.stopScreenShare();
+            return;
+        }
+        if (this.pendingScreenStream) return;
+        if (this.getPresenters().length && !this.multipleShares) {
+            this.showToast('Someone else is already sharing their screen', 'error');
+            return;
+        }
+        
+        let screenStream;
+        try {
+            screenStream = await navigator.mediaDevices.getDisplayMedia({
+                video: true,
+                audio: true
+            });
+        } catch (error) {
+            console.error('Error sharing screen:', error);
+            this.showToast('Screen sharing failed', 'error');
+            return;
+        }
+        // Left the room while picking what to share
+        if (!this.selfId) {
+            screenStream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        
+        // Handle screen share end from the browser's own "Stop sharing" button
+        screenStream.getVideoTracks()[0].onended = () => this.stopScreenShare();
+        this.pendingScreenStream = screenStream;
+        this.socket.emit('screen-share', { sharing: true, audio: screenStream.getAudioTracks().length > 0 });
+    }
+    
+    startPresenting() {
+        const screenStream = this.pendingScreenStream;
+        this.pendingScreenStream = null;
+        // Stopped while waiting for the server
+        if (!screenStream) {
+            this.socket.emit('screen-share', { sharing: false });
+            return;
+        }
+        
+        const video = screenStream.getVideoTracks()[0];
+        video.contentHint = 'detail';
+        this.screenStream = screenStream;
+        this.screenTracks = { video, audio: this.mixScreenAudio(screenStream) };
+        this.updateSentTrack('video');
+        this.updateSentTrack('audio');
+        
+        this.updateLocalVideo();
+        document.querySelector('#videoGrid .video-container.local').classList.add('screen');
+        
+        this.isScreenSharing = true;
+        const btn = document.getElementById('screenShare');
+        btn.classList.add('active');
+        btn.querySelector('i').className = 'fas fa-stop';
+        this.updateMediaControls();
+        this.updateAnnotationLayers();
+        
+        this.showToast('Screen sharing started', 'success');
+    }
+    
+    stopScreenShare() {
+        this.discardPendingScreen();
+        if (!this.screenStream) return;
+        
+        this.screenStream.getTracks().forEach(track => track.stop());
+        this.stopScreenAudioMix();
+        this.screenStream = null;
+        this.screenTracks = null;
+        this.updateSentTrack('video');
+        this.updateSentTrack('audio');
+        if (this.selfId) {
+            this.socket.emit('screen-share', { sharing: false });
+        }
+        
+        this.updateLocalVideo();
+        document.querySelector('#videoGrid .video-container.local').classList.remove('screen');
+        
+        this.isScreenSharing = false;
+        const btn = document.getElementById('screenShare');
+        btn.classList.remove('active');
+        btn.querySelector('i').className = 'fas fa-desktop';
+        this.updateMediaControls();
+        this.updateAnnotationLayers();
+        this.setScreenController(null);
+        this.controlRequests = [];
+        this.renderControlRequests();
+        
+        this.showToast('Screen sharing stopped', 'info');
+    }
+    
+    discardPendingScreen() {
+        if (this.pendingScreenStream) {
+            this.pendingScreenStream.getTracks().forEach(track => track.stop());
+            this.pendingScreenStream = null;
+        }
+    }
+    
+    // Shared sound goes out mixed with our mic, on the mic's sender. Returns
+    // null if the screen was shared without sound.
+    mixScreenAudio(screenStream) {
+        if (!screenStream.getAudioTracks().length) return null;
+        
+        this.screenAudioContext = new AudioContext();
+        const destination = this.screenAudioContext.createMediaStreamDestination();
+        [...screenStream.getAudioTracks(), this.getLocalTrack('audio')].filter(Boolean).forEach(track => {
+            this.screenAudioContext.createMediaStreamSource(new MediaStream([track])).connect(destination);
+        });
+        return destination.stream.getAudioTracks()[0];
+    }
+    
+    // Mixes shared screen sound with the mic again after the mic changed
+    updateScreenAudioMix() {
+        if (!this.screenAudioContext) return;
+        
+        this.stopScreenAudioMix();
+        this.screenTracks.audio = this.mixScreenAudio(this.screenStream);
+    }
+    
+    stopScreenAudioMix() {
+        if (this.screenAudioContext) {
+            this.screenTracks.audio.stop();
+            this.screenAudioContext.close();
+            this.screenAudioContext = null;
+        }
+    }
+    
+    // Our camera or mic, through its effect while one is on. Null without the device.
+    getLocalTrack(kind) {
+        const track = this.localStream && this.localStream.getTracks().find(t => t.kind === kind);
+        return (track && this.effects.getOutput(kind)) || track || null;
+    }
+    
+    // What we send as `kind`: the camera or mic, or while presenting the screen
+    // (and mixed audio) in their place. Null if we have nothing to send.
+    getSentTrack(kind) {
+        const screenTrack = this.screenTracks && this.screenTracks[kind];
+        return screenTrack || this.getLocalTrack(kind);
+    }
+    
+    // Our tile shows, and records, what the others get
+    updateLocalVideo() {
+        const tracks = ['audio', 'video'].map(kind => this.getSentTrack(kind)).filter(Boolean);
+        document.getElementById('localVideo').srcObject = new MediaStream(tracks);
+    }
+    
+    // One sender per kind on a new connection, even without a camera or mic, so
+    // a device picked later (or a shared screen) only needs replaceTrack
+    addSenders(pc, init, videoEncodings = null) {
+        const senders = {};
+        ['audio', 'video'].forEach(kind => {
+            const options = kind === 'video' && videoEncodings ? { ...init, sendEncodings: videoEncodings } : init;
+            senders[kind] = pc.addTransceiver(this.getSentTrack(kind) || kind, options).sender;
+            this.protectSender(senders[kind], kind);
+        });
+        return senders;
+    }
+    
+    // Puts what we now send as `kind` on every connection, without renegotiating
+    updateSentTrack(kind) {
+        const track = this.getSentTrack(kind);
+        const senders = [...Array.from(this.peerNegotiation.values(), state => state.senders), this.sfuSenders];
+        senders.filter(Boolean).forEach(sendersByKind => {
+            sendersByKind[kind].replaceTrack(track).catch(error => {
+                console.error('Could not switch the sent track:', error);
+            });
+        });
+    }
+    
+    // The server confirms every share, ours included, to the whole room
+    handleScreenShareState(data) {
+        if (data.id === this.selfId) {
+            // Already presenting when it confirms our share again after a reconnect
+            if (data.sharing && !this.screenStream) this.startPresenting();
+            return;
+        }
+        
+        const participant = this.participants.get(data.id);
+        if (!participant) return;
+        
+        Object.assign(participant, { screen: data.sharing, screenAudio: data.audio });
+        this.applyRemoteMediaState(data.id);
+        this.updatePresenterLayout();
+        if (data.sharing) {
+            this.showToast(`${participant.displayName} is sharing their screen`, 'info');
+        }
+    }
+    
+    // Also when someone else started presenting while we were reconnecting
+    handleScreenShareDenied(data) {
+        this.stopScreenShare();
+        this.showToast(data.message, 'error');
+    }
+    
+    // Remote participants sharing their screen
+    getPresenters() {
+        return Array.from(this.participants.values()).filter(participant => participant.screen);
+    }
+    
+    // Shared screens are pinned large above everyone else
+    updatePresenterLayout() {
+        const presenters = new Set(this.getPresenters().map(participant => participant.id));
+        const videoGrid = document.getElementById('videoGrid');
+        videoGrid.classList.toggle('presenting', presenters.size > 0);
+        videoGrid.querySelectorAll('.video-container:not(.local)').forEach(container => {
+            container.classList.toggle('presenter', presenters.has(container.id.replace(/^video-/, '')));
+        });
+        this.updateTileOrder();
+        this.updateAnnotationLayers();
+    }
+    
+    // Drawing on shared screens - a layer over every shared screen that takes annotations, ours included
+    updateAnnotationLayers() {
+        const screens = new Map(this.getPresenters()
+            .filter(participant => participant.annotations !== false)
+            .map(participant => [participant.id, this.getVideoContainer(participant.id)]));
+        if (this.isScreenSharing && this.allowAnnotations && this.selfId) {
+            screens.set(this.selfId, this.getVideoContainer('local'));
+        }
+        
+        this.annotationLayers.forEach((layer, id) => {
+            if (screens.has(id)) return;
+            layer.destroy();
+            this.annotationLayers.delete(id);
+        });
+        screens.forEach((container, id) => {
+            if (!container || this.annotationLayers.has(id)) return;
+            
+            const layer = new ScreenAnnotationLayer(container.querySelector('video'));
+            layer.canvas.addEventListener('pointerdown', (e) => this.startAnnotation(id, e));
+            layer.canvas.addEventListener('pointermove', (e) => this.continueAnnotation(id, e));
+            layer.canvas.addEventListener('pointerup', (e) => this.endAnnotation(e));
+            layer.canvas.addEventListener('pointercancel', (e) => this.endAnnotation(e));
+            this.annotationLayers.set(id, layer);
+        });
+        
+        if (this.currentAnnotation && !this.annotationLayers.has(this.currentAnnotation.presenterId)) {
+            this.currentAnnotation = null;
+        }
+        this.updateAnnotationControls();
+    }
+    
+    updateAnnotationControls() {
+        document.getElementById('annotateBtn').classList.toggle('active', this.annotating);
+        document.getElementById('annotating').checked = this.annotating;
+        document.querySelectorAll('.annotation-tool').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === this.annotationTool);
+        });
+        document.getElementById('annotationFade').checked = this.annotationFade;
+        document.getElementById('clearAnnotations').disabled = this.annotationLayers.size === 0;
+        document.getElementById('allowAnnotations').checked = this.allowAnnotations;
+        // Shared screens only take the pointer while we draw, so clicks reach the tiles otherwise
+        document.getElementById('videoGrid').classList.toggle('annotating', this.annotating);
+    }
+    
+    setAnnotating(annotating) {
+        this.annotating = annotating;
+        this.updateAnnotationControls();
+    }
+    
+    // A presenter lets the others draw on their screen, or stops them and their annotations go
+    handleAnnotationsState(data) {
+        if (data.id === this.selfId) {
+            this.allowAnnotations = data.enabled;
+            this.updateAnnotationLayers();
+            return;
+        }
+        
+        const participant = this.participants.get(data.id);
+        if (!participant) return;
+        
+        participant.annotations = data.enabled;
+        this.updateAnnotationLayers();
+        if (participant.screen) {
+            this.showToast(`${participant.displayName} turned drawing on their screen ${data.enabled ? 'on' : 'off'}`, 'info');
+        }
+    }
+    
+    startAnnotation(presenterId, e) {
+        const layer = this.annotationLayers.get(presenterId);
+        if (!layer || !this.annotating || this.currentAnnotation) return;
+        
+        e.preventDefault();
+        e.target.setPointerCapture(e.pointerId);
+        const size = this.annotationTool === 'eraser' ? this.currentBrushSize * 3 : this.currentBrushSize;
+        const stroke = {
+            id: this.createId(),
+            tool: this.annotationTool,
+            color: this.currentColor,
+            width: layer.toScreenWidth(size),
+            fade: this.annotationFade,
+            points: [layer.toScreenPoint(e.clientX, e.clientY)]
+        };
+        
+        this.currentAnnotation = { presenterId, id: stroke.id, pointerId: e.pointerId };
+        layer.beginStroke({ ...stroke, author: this.selfId });
+        this.sendAnnotation(presenterId, { type: 'start', stroke });
+    }
+    
+    continueAnnotation(presenterId, e) {
+        const current = this.currentAnnotation;
+        if (!current || current.presenterId !== presenterId || current.pointerId !== e.pointerId) return;
+        
+        const layer = this.annotationLayers.get(presenterId);
+        const points = [layer.toScreenPoint(e.clientX, e.clientY)];
+        layer.appendPoints(current.id, points, this.selfId);
+        this.sendAnnotation(presenterId, { type: 'points', strokeId: current.id, points });
+    }
+    
+    endAnnotation(e) {
+        const current = this.currentAnnotation;
+        if (!current || current.pointerId !== e.pointerId) return;
+        
+        this.currentAnnotation = null;
+        this.annotationLayers.get(current.presenterId).endStroke(current.id, this.selfId);
+        this.sendAnnotation(current.presenterId, { type: 'end', strokeId: current.id });
+    }
+    
+    // Wipes every shared screen we can see, for everyone
+    clearAnnotations() {
+        this.annotationLayers.forEach((layer, presenterId) => {
+            layer.clear();
+            this.sendAnnotation(presenterId, { type: 'clear' });
+        });
+    }
+    
+    // Sealed like board ops in encrypted rooms; the server still needs to know whose screen it is for
+    sendAnnotation(presenterId, op) {
+        this.emitSealed('annotation', { presenterId, ...op }, async ({ presenterId: screen, ...data }, encryption) => ({
+            presenterId: screen,
+            sealed: await encryption.seal(data)
+        }));
+    }
+    
+    handleAnnotation({ presenterId, from, type, stroke, strokeId, points }) {
+        const layer = this.annotationLayers.get(presenterId);
+        if (!layer) return;
+        
+        switch (type) {
+            case 'start':
+                if (ScreenAnnotationLayer.isValidStroke(stroke)) layer.beginStroke({ ...stroke, author: from });
+                break;
+            case 'points':
+                layer.appendPoints(strokeId, points, from);
+                break;
+            case 'end':
+                layer.endStroke(strokeId, from);
+                break;
+            case 'clear':
+                layer.clear();
+                break;
+        }
+    }
+    
+    // Remote control - a viewer asks, and the presenter lets one viewer at a time control their screen
+    toggleControl(presenterId) {
+        if (this.controlSession && this.controlSession.presenterId === presenterId) {
+            this.releaseControl();
+            return;
+        }
+        this.socket.emit('control', { action: 'request', presenterId });
+        this.showToast('Asked to control the screen', 'info');
+    }
+    
+    handleControlRequest(data) {
+        if (!this.isScreenSharing || !this.participants.has(data.id) || this.controlRequests.includes(data.id)) return;
+        
+        this.controlRequests.push(data.id);
+        this.renderControlRequests();
+    }
+    
+    renderControlRequests() {
+        this.controlRequests = this.controlRequests.filter(id => this.participants.has(id));
+        document.getElementById('controlRequests').innerHTML = this.controlRequests.map(id => `
+            <div class="control-request" data-id="${this.escapeHtml(id)}">
+                <span>${this.escapeHtml(this.participants.get(id).displayName)} wants to control your screen</span>
+                <button data-action="allow" class="admit">Allow</button>
+                <button data-action="deny">Deny</button>
+            </div>
+        `).join('');
+    }
+    
+    async respondToControlRequest(id, allow) {
+        this.controlRequests = this.controlRequests.filter(request => request !== id);
+        this.renderControlRequests();
+        if (!allow || !this.isScreenSharing || !(await this.connectControlAgent())) {
+            this.socket.emit('control', { action: 'deny', id });
+            return;
+        }
+        this.socket.emit('control', { action: 'grant', id });
+    }
+    
+    // The agent moves the pointer over the whole screen, so only a shared screen (not a window or tab) lines up
+    async connectControlAgent() {
+        const surface = this.screenTracks.video.getSettings().displaySurface;
+        if (surface && surface !== 'monitor') {
+            this.showToast('Share your entire screen to let others control it', 'error');
+            return false;
+        }
+        
+        const code = this.controlAgentCode || prompt('Pairing code shown by the control agent (npm run control-agent)');
+        if (!code) return false;
+        try {
+            await this.controlAgent.connect(code.trim());
+        } catch (error) {
+            // Asked for again next time
+            if (error.reason === 'pairing') {
+                this.controlAgentCode = '';
+                localStorage.removeItem('collabconnect-control-agent-code');
+            }
+            this.showToast(error.message, 'error');
+            return false;
+        }
+        this.controlAgentCode = code.trim();
+        localStorage.setItem('collabconnect-control-agent-code', this.controlAgentCode);
+        return true;
+    }
+    
+    handleControlDenied(data) {
+        const participant = this.participants.get(data.presenterId);
+        if (participant) {
+            this.showToast(`${participant.displayName} did not give you control`, 'info');
+        }
+    }
+    
+    // The server tells everyone who controls whose screen
+    handleControlState(data) {
+        const { presenterId, controllerId } = data;
+        if (presenterId === this.selfId) {
+            this.setScreenController(controllerId);
+        } else {
+            const participant = this.participants.get(presenterId);
+            if (participant) participant.controller = controllerId;
+            if (participant && controllerId === this.selfId) {
+                this.startControlling(presenterId);
+                this.showToast(`You are controlling ${participant.displayName}'s screen`, 'success');
+            } else if (this.controlSession && this.controlSession.presenterId === presenterId) {
+                this.stopControlling();
+                this.showToast('Remote control ended', 'info');
+            }
+        }
+        this.updateControlBanner();
+    }
+    
+    // Presenter side: input from `controllerId` goes on to the control agent; null stops it at once
+    setScreenController(controllerId) {
+        if ((this.screenControl ? this.screenControl.controllerId : null) === controllerId) return;
+        
+        if (this.screenControl) {
+            this.screenControl.channel.close();
+            this.screenControl = null;
+        }
+        if (!controllerId) {
+            this.controlAgent.disconnect();
+            this.updateControlBanner();
+            return;
+        }
+        
+        const channel = new RemoteControlChannel(this.rtcConfig, controllerId, (event, data) => this.socket.emit(event, data), {
+            onInput: event => this.controlAgent.inject(event),
+            onClose: () => {
+                if (this.screenControl && this.screenControl.channel === channel) this.endScreenControl();
+            }
+        });
+        channel.accept();
+        this.screenControl = { controllerId, channel };
+        this.updateControlBanner();
+    }
+    
+    endScreenControl() {
+        this.socket.emit('control', { action: 'revoke' });
+        this.setScreenController(null);
+    }
+    
+    revokeControl() {
+        if (!this.screenControl) return;
+        
+        this.endScreenControl();
+        this.showToast('You took back control of your screen', 'info');
+    }
+    
+    handleControlAgentLost() {
+        if (!this.screenControl) return;
+        
+        this.endScreenControl();
+        this.showToast('The control agent stopped, so remote control ended', 'error');
+    }
+    
+    // The presenter can take their screen back from anywhere in the page
+    handleControlShortcut(e) {
+        if (e.altKey && e.shiftKey && e.code === 'KeyX' && this.screenControl) {
+            e.preventDefault();
+            this.revokeControl();
+        }
+    }
+    
+    // Viewer side: our pointer and keys on the presenter's tile go to their screen
+    startControlling(presenterId) {
+        this.stopControlling();
+        const container = this.getVideoContainer(presenterId);
+        if (!container) return;
+        
+        const channel = new RemoteControlChannel(this.rtcConfig, presenterId, (event, data) => this.socket.emit(event, data), {
+            onInput: () => {},
+            onClose: () => {
+                if (this.controlSession && this.controlSession.channel === channel) this.releaseControl();
+            }
+        });
+        const input = new AbortController();
+        this.captureControlInput(container, channel, input.signal);
+        this.controlSession = { presenterId, channel, input };
+        channel.open();
+        
+        container.classList.add('controlled');
+        container.tabIndex = 0;
+        container.focus();
+    }
+    
+    // While drawing on the screen the pointer annotates instead
+    captureControlInput(container, channel, signal) {
+        const video = container.querySelector('video');
+        const send = (event) => {
+            if (event && !this.annotating) channel.sendInput(event);
+        };
+        
+        container.addEventListener('pointerdown', (e) => {
+            if (this.annotating || e.target.closest('.video-overlay')) return;
+            container.focus();
+            container.setPointerCapture(e.pointerId);
+            send(ControlInput.pointer(video, e, 'down'));
+        }, { signal });
+        container.addEventListener('pointermove', (e) => send(ControlInput.pointer(video, e, 'move')), { signal });
+        container.addEventListener('pointerup', (e) => send(ControlInput.pointer(video, e, 'up')), { signal });
+        container.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            send(ControlInput.wheel(video, e));
+        }, { signal, passive: false });
+        container.addEventListener('contextmenu', (e) => e.preventDefault(), { signal });
+        ['keydown', 'keyup'].forEach(type => {
+            container.addEventListener(type, (e) => {
+                // Meant for their screen, not for our page's own shortcuts
+                e.preventDefault();
+                e.stopPropagation();
+                send(ControlInput.key(e, type === 'keydown' ? 'down' : 'up'));
+            }, { signal });
+        });
+    }
+    
+    stopControlling() {
+        const session = this.controlSession;
+        if (!session) return;
+        
+        this.controlSession = null;
+        session.input.abort();
+        session.channel.close();
+        const container = this.getVideoContainer(session.presenterId);
+        if (container) {
+            container.classList.remove('controlled');
+            container.removeAttribute('tabindex');
+        }
+    }
+    
+    releaseControl() {
+        if (!this.controlSession) return;
+        
+        this.socket.emit('control', { action: 'release', presenterId: this.controlSession.presenterId });
+        this.stopControlling();
+        this.updateControlBanner();
+        this.showToast('Remote control ended', 'info');
+    }
+    
+    handleControlSignal(data) {
+        if (this.screenControl && this.screenControl.controllerId === data.from) {
+            this.screenControl.channel.handleSignal(data);
+        } else if (this.controlSession && this.controlSession.presenterId === data.from) {
+            this.controlSession.channel.handleSignal(data);
+        }
+    }
+    
+    // Everyone in the room sees who is controlling whose screen
+    updateControlBanner() {
+        const nameOf = id => (id === this.selfId ? 'You' : (this.participants.get(id) || { displayName: 'Someone' }).displayName);
+        const lines = [];
+        if (this.screenControl) {
+            lines.push(`${nameOf(this.screenControl.controllerId)} is controlling your screen (Alt+Shift+X to take it back)`);
+        }
+        this.participants.forEach(participant => {
+            const controllerId = this.controlSession && this.controlSession.presenterId === participant.id
+                ? this.selfId
+                : participant.screen && participant.controller;
+            if (controllerId) {
+                lines.push(`${nameOf(controllerId)} ${controllerId === this.selfId ? 'are' : 'is'} controlling ${participant.displayName}'s screen`);
+            }
+        });
+        
+        document.getElementById('controlBanner').classList.toggle('hidden', lines.length === 0);
+        document.getElementById('controlBannerText').textContent = lines.join(' · ');
+        const stop = document.getElementById('stopControl');
+        stop.classList.toggle('hidden', !this.screenControl && !this.controlSession);
+        stop.textContent = this.screenControl ? 'Take back control' : 'Stop controlling';
+    }
+    
+    // Recording - the button opens the recording options, or stops a recording in progress
+    toggleRecording() {
+        if (this.recorder) {
+            this.stopRecording();
+            return;
+        }
+        if (!MeetingRecorder.isSupported()) {
+            this.showToast('This browser cannot record meetings', 'error');
+            return;
+        }
+        document.getElementById('recordOptions').classList.toggle('hidden');
+    }
+    
+    startRecording() {
+        document.getElementById('recordOptions').classList.add('hidden');
+        const includeWhiteboard = document.getElementById('recordWhiteboard').checked;
+        const recorder = new MeetingRecorder({
+            getTiles: () => this.getRecordingTiles(),
+            whiteboard: includeWhiteboard ? this.whiteboard : null
+        });
+        
+        try {
+            recorder.start();
+        } catch (error) {
+            console.error('Could not start recording:', error);
+            this.showToast('Could not start recording', 'error');
+            return;
+        }
+        this.recorder = recorder;
+        this.sendRecordingState();
+        this.showToast('Recording started', 'success');
+    }
+    
+    // The recording and a transcript of the chat are shared in the Files tab,
+    // or saved straight to disk if we already left the room
+    async stopRecording() {
+        const recorder = this.recorder;
+        this.recorder = null;
+        this.sendRecordingState();
+        
+        const stamp = new Date(recorder.startedAt).toISOString().slice(0, 16).replace(/[T:]/g, '-');
+        const name = `recording-${this.roomId}-${stamp}`;
+        const transcript = this.buildChatTranscript(recorder.startedAt);
+        const video = await recorder.stop();
+        
+        const files = [
+            new File([video], `${name}.webm`, { type: 'video/webm' }),
+            new File([transcript], `${name}-chat.txt`, { type: 'text/plain' })
+        ];
+        files.forEach(file => this.selfId ? this.shareFile(file) : this.downloadFile(file));
+    }
+    
+    sendRecordingState() {
+        const recording = Boolean(this.recorder);
+        if (this.selfId) {
+            this.socket.emit('recording', { recording });
+        }
+        document.getElementById('recordBtn').classList.toggle('recording', recording);
+        this.updateParticipantItem('local');
+        this.updateRecordingIndicator();
+    }
+    
+    // Every tile in the video grid, ours included, for MeetingRecorder
+    getRecordingTiles() {
+        return Array.from(document.querySelectorAll('#videoGrid .video-container')).map(container => {
+            const isLocal = container.classList.contains('local');
+            return {
+                id: isLocal ? 'local' : container.id.replace(/^video-/, ''),
+                name: isLocal ? this.displayName : container.querySelector('.participant-name').textContent,
+                video: container.querySelector('video'),
+                videoOff: isLocal
+                    ? !this.isMediaOn('video') && !this.isScreenSharing
+                    : container.classList.contains('video-off') || !container.classList.contains('has-media')
+            };
+        });
+    }
+    
+    // Plain-text chat since `since`, saved next to recordings and caption transcripts
+    buildChatTranscript(since) {
+        const lines = Array.from(this.chatMessages.values())
+            .filter(message => message.timestamp >= since && !message.deleted)
+            .map(message => {
+                const time = new Date(message.timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+                const text = message.text === null ? '(encrypted message)' : message.text;
+                return `${message.threadId ? '    ↳ ' : ''}[${time}] ${message.sender}: ${text}`;
+            });
+        return `Chat in room ${this.roomId} since ${new Date(since).toLocaleString()}\n\n${lines.join('\n')}\n`;
+    }
+    
+    handleRecordingState(data) {
+        const participant = this.participants.get(data.id);
+        if (!participant) return;
+        
+        participant.recording = data.recording;
+        this.updateParticipantItem(data.id);
+        this.updateRecordingIndicator();
+        this.showToast(`${participant.displayName} ${data.recording ? 'started' : 'stopped'} recording`, 'info');
+    }
+    
+    // The REC badge shows while anyone in the room, us included, is recording
+    updateRecordingIndicator() {
+        const names = Array.from(this.participants.values())
+            .filter(participant => participant.recording)
+            .map(participant => participant.displayName);
+        if (this.recorder) {
+            names.unshift('You');
+        }
+        
+        const indicator = document.getElementById('recordingIndicator');
+        indicator.classList.toggle('hidden', !names.length);
+        indicator.title = `Recording: ${names.join(', ')}`;
+    }
+    
+    endCall() {
+        if (this.recorder) {
+            this.stopRecording();
+        }
+        // The captions are saved, along with the chat, when we leave, and so are poll results
+        if (!this.transcript.isEmpty) {
+            this.downloadTranscript(true);
+        }
+        if (!this.pollBook.isEmpty) {
+            this.exportPolls();
+        }
+        this.setHandRaisedAt(null);
+        this.setCaptionsEnabled(false);
+        this.captionTimers.forEach(timer => clearTimeout(timer));
+        this.captionTimers.clear();
+        this.setBreakouts(null);
+        this.breakoutPlan.clear();
+        this.mainRoomId = null;
+        this.breakoutName = null;
+        this.movingRoom = false;
+        this.stopScreenShare();
+        this.audioLevels.stop();
+        this.activeSpeakerId = null;
+        this.networkQuality.stop();
+        this.effects.stop();
+        this.rejoining = false;
+        this.rejoinFiles = [];
+        
+        // Stop all tracks
+        if (this.localStream) {
+            this.localStream.getTracks().forEach(track => track.stop());
+        }
+        
+        // Close peer connections
+        this.peers.forEach(peer => peer.close());
+        this.peers.clear();
+        this.peerNegotiation.clear();
+        this.stopSfu();
+        this.mediaMode = 'mesh';
+        this.participants.clear();
+        this.selfId = null;
+        this.hostId = null;
+        this.lobby = [];
+        this.updateHostControls();
+        this.updateRecordingIndicator();
+        this.updatePresenterLayout();
+        this.stopEncryption();
+        
+        // Leave the room on the signaling server
+        this.socket.emit('leave-room');
+        
+        // Reset UI
+        this.showAuthModal();
+        document.getElementById('mainApp').classList.add('hidden');
+        document.getElementById('videoGrid').innerHTML = `
+            <div class="video-container local">
                 <video id="localVideo" autoplay muted playsinline></video>
                 <div class="video-overlay">
                     <span class="participant-name">You</span>
                     <div class="video-controls">
+                        <span class="network-quality hidden">
+                            <i class="fas fa-signal"></i>
+                        </span>
                         <span class="audio-indicator">
                             <i class="fas fa-microphone"></i>
                         </span>
@@ -311,121 +3035,403 @@ class CollabConnect {
             </div>
         `;
         
-        this.clearChat();
-        this.clearWhiteboard();
-        this.clearFiles();
-        this.clearParticipants();
+        this.clearChat();
+        this.clearWhiteboardCanvas();
+        this.clearFiles();
+        this.clearPolls();
+        this.clearParticipants();
+        
+        this.showToast('Call ended', 'info');
+    }
+    
+    // Chat functionality
+    // The server assigns ids and sends every change back to the whole room,
+    // so messages are only rendered once they come back in handleChatMessage()
+    sendMessage() {
+        const input = document.getElementById('chatInput');
+        const text = input.value.trim();
+        
+        if (!text) return;
+        
+        const composer = this.chatComposer;
+        const seal = (data, encryption) => this.sealChatText(data, encryption);
+        if (composer && composer.mode === 'edit') {
+            this.emitSealed('chat-message', { op: 'edit', id: composer.id, text }, seal);
+        } else {
+            this.emitSealed('chat-message', { op: 'send', text, threadId: composer ? composer.id : null }, seal);
+        }
+        
+        input.value = '';
+        input.style.height = '';
+        this.setChatComposer(null);
+        this.hideMentionSuggestions();
+    }
+    
+    handleChatKeydown(e) {
+        const suggestions = this.mentionSuggestions;
+        if (suggestions) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                suggestions.index = (suggestions.index + step + suggestions.names.length) % suggestions.names.length;
+                this.renderMentionSuggestions();
+                return;
+            }
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                this.insertMention(suggestions.names[suggestions.index]);
+                return;
+            }
+            if (e.key === 'Escape') {
+                this.hideMentionSuggestions();
+                return;
+            }
+        }
+        
+        // Shift+Enter adds a new line
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            this.sendMessage();
+        }
+    }
+    
+    // Offer participant names while the word before the caret starts with @,
+    // and bot commands while the message is only a word starting with /
+    updateMentionSuggestions() {
+        const input = document.getElementById('chatInput');
+        const before = input.value.slice(0, input.selectionStart);
+        const command = before.match(/^\/([a-z0-9-]{0,32})$/);
+        if (command) {
+            const commands = this.chatCommands.filter(({ name }) => name.startsWith(command[1]));
+            if (!commands.length) {
+                this.hideMentionSuggestions();
+                return;
+            }
+            this.mentionSuggestions = {
+                start: 0,
+                names: commands.map(({ name }) => name),
+                hints: commands.map(({ description }) => description),
+                prefix: '/',
+                index: 0
+            };
+            this.renderMentionSuggestions();
+            return;
+        }
+        
+        const match = before.match(/(^|\s)@([^@\n]{0,40})$/);
+        if (!match) {
+            this.hideMentionSuggestions();
+            return;
+        }
+        
+        const query = match[2].toLowerCase();
+        const names = Array.from(this.participants.values())
+            .map(participant => participant.displayName)
+            .filter(name => name.toLowerCase().startsWith(query));
+        if (!names.length) {
+            this.hideMentionSuggestions();
+            return;
+        }
+        
+        this.mentionSuggestions = { start: before.length - match[2].length - 1, names, index: 0, prefix: '@', hints: [] };
+        this.renderMentionSuggestions();
+    }
+    
+    renderMentionSuggestions() {
+        const box = document.getElementById('mentionSuggestions');
+        const { names, index, prefix, hints } = this.mentionSuggestions;
+        box.innerHTML = names.map((name, i) => `
+            <div class="mention-option ${i === index ? 'active' : ''}" data-index="${i}">
+                ${prefix}${this.escapeHtml(name)}
+                ${hints[i] ? `<span class="mention-hint">${this.escapeHtml(hints[i])}</span>` : ''}
+            </div>
+        `).join('');
+        box.classList.remove('hidden');
+    }
+    
+    hideMentionSuggestions() {
+        this.mentionSuggestions = null;
+        document.getElementById('mentionSuggestions').classList.add('hidden');
+    }
+    
+    insertMention(name) {
+        const input = document.getElementById('chatInput');
+        const { start, prefix } = this.mentionSuggestions;
+        const mention = `${prefix}${name} `;
+        input.value = input.value.slice(0, start) + mention + input.value.slice(input.selectionStart);
+        input.selectionStart = input.selectionEnd = start + mention.length;
+        this.hideMentionSuggestions();
+        input.focus();
+    }
+    
+    // Names @mentions can refer to, including people who have left since
+    getMentionNames() {
+        return [
+            this.displayName,
+            ...Array.from(this.participants.values()).map(participant => participant.displayName),
+            ...Array.from(this.chatMessages.values()).map(message => message.sender)
+        ];
+    }
+    
+    handleChatMessage(data) {
+        const message = data.op === 'send' ? data.message : this.chatMessages.get(data.id);
+        if (!message) return;
+        
+        switch (data.op) {
+            case 'send':
+                this.addChatMessage(message);
+                if (message.authorId !== this.authorId && message.text !== null &&
+                    this.messageFormatter.mentions(message.text, this.displayName)) {
+                    this.showToast(`${message.sender} mentioned you`, 'info');
+                }
+                return;
+            case 'edit':
+                message.text = data.text;
+                message.editedAt = data.editedAt;
+                break;
+            case 'delete':
+                message.deleted = true;
+                message.text = '';
+                message.reactions = {};
+                if (this.chatComposer && this.chatComposer.id === message.id) {
+                    this.setChatComposer(null);
+                }
+                break;
+            case 'react':
+                message.reactions = data.reactions;
+                break;
+        }
+        this.renderChatMessage(message);
+    }
+    
+    addChatMessage(message) {
+        const chatMessages = document.getElementById('chatMessages');
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `chat-message ${message.authorId === this.authorId ? 'own' : ''}`;
+        messageDiv.id = `message-${message.id}`;
+        messageDiv.dataset.id = message.id;
+        messageDiv.innerHTML = `
+            <div class="message-body"></div>
+            <div class="message-replies"></div>
+        `;
+        
+        this.chatMessages.set(message.id, message);
+        this.renderChatMessage(message, messageDiv);
         
-        this.showToast('Call ended', 'info');
+        // Replies go under their thread's root message (unless it has been trimmed from history)
+        const thread = message.threadId && document.getElementById(`message-${message.threadId}`);
+        const container = thread ? thread.querySelector('.message-replies') : chatMessages;
+        container.appendChild(messageDiv);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
     }
     
-    // Chat functionality
-    sendMessage() {
-        const input = document.getElementById('chatInput');
-        const message = input.value.trim();
+    renderChatMessage(message, messageDiv = document.getElementById(`message-${message.id}`)) {
+        if (!messageDiv) return;
         
-        if (!message) return;
-        
-        const messageData = {
-            id: Date.now(),
-            sender: this.displayName,
-            text: message,
-            timestamp: new Date(),
-            isOwn: true
-        };
+        const isOwn = message.authorId === this.authorId;
+        // Null when an encrypted message could not be opened
+        const readable = !message.deleted && message.text !== null;
+        const timeStr = new Date(message.timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+        const reactions = Object.entries(message.reactions).map(([emoji, reactors]) => `
+            <button class="reaction-chip ${reactors.includes(this.authorId) ? 'mine' : ''}" data-action="react" data-emoji="${emoji}">
+                ${emoji} ${reactors.length}
+            </button>
+        `).join('');
         
-        this.addChatMessage(messageData);
+        let actions = '';
+        if (!message.deleted) {
+            actions = `
+                ${this.chatReactions.map(emoji => `<button data-action="react" data-emoji="${emoji}" title="React">${emoji}</button>`).join('')}
+                <button data-action="reply" title="Reply"><i class="fas fa-reply"></i></button>
+                ${isOwn && readable ? `
+                    <button data-action="edit" title="Edit"><i class="fas fa-pen"></i></button>
+                    <button data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+                ` : ''}
+            `;
+        }
         
-        // Emit to other participants
-        this.socket.emit('chat-message', messageData);
+        let text;
+        if (message.deleted) {
+            text = 'Message deleted';
+        } else if (!readable) {
+            text = '<em>Encrypted with a key this device does not have</em>';
+        } else {
+            text = this.messageFormatter.render(message.text, this.getMentionNames());
+        }
         
-        input.value = '';
+        messageDiv.classList.toggle('deleted', message.deleted);
+        messageDiv.classList.toggle('mentions-me', !isOwn && readable &&
+            this.messageFormatter.mentions(message.text, this.displayName));
+        const body = messageDiv.querySelector('.message-body');
+        body.innerHTML = `
+            <div class="message-sender">${this.escapeHtml(message.sender)}${message.bot ? ' <i class="fas fa-robot" title="Bot"></i>' : ''}</div>
+            <div class="message-text markdown">${text}</div>
+            <div class="message-files"></div>
+            <div class="message-time">${timeStr}${message.editedAt && !message.deleted ? ' • edited' : ''}</div>
+            <div class="message-reactions">${reactions}</div>
+            <div class="message-actions">${actions}</div>
+        `;
         
-        // Simulate responses for demo
-        setTimeout(() => this.simulateChatResponse(message), 1000 + Math.random() * 2000);
+        if (readable) {
+            this.renderFilePreviews(message.text, body.querySelector('.message-files'));
+        }
     }
     
-    simulateChatResponse(originalMessage) {
-        const responses = [
-            "That's interesting!",
-            "I agree with that point.",
-            "Could you elaborate on that?",
-            "Great observation!",
-            "Let me think about that...",
-            "Thanks for sharing!",
-        ];
+    // Preview cards for the files from the Files tab that a message references
+    renderFilePreviews(text, container) {
+        this.messageFormatter.fileIds(text).forEach(id => {
+            const fileData = this.sharedFiles.get(id);
+            if (!fileData) return;
+            
+            const card = document.createElement('div');
+            card.className = 'file-preview';
+            card.innerHTML = `
+                <div class="file-preview-image hidden"><img alt=""></div>
+                <div class="file-preview-info">
+                    <i class="fas fa-file"></i>
+                    <span>${this.escapeHtml(fileData.name)}</span>
+                    <span class="file-size">${this.formatFileSize(fileData.size)}</span>
+                    <button data-action="download-file" title="Download">
+                        <i class="fas fa-download"></i>
+                    </button>
+                </div>
+            `;
+            card.querySelector('button').dataset.fileId = fileData.id;
+            container.appendChild(card);
+            
+            if (/^image\//.test(fileData.type) && fileData.size <= this.maxPreviewSize) {
+                this.getFilePreviewUrl(fileData).then(url => {
+                    card.querySelector('img').src = url;
+                    card.querySelector('.file-preview-image').classList.remove('hidden');
+                }).catch(() => {
+                    // No preview if the uploader cannot be reached; the card still links the file
+                });
+            }
+        });
+    }
+    
+    // Adds a reference to `fileData` to the message being written, which shows
+    // its preview card once sent
+    mentionFileInChat(fileData) {
+        const input = document.getElementById('chatInput');
+        const separator = input.value && !/\s$/.test(input.value) ? ' ' : '';
+        input.value += `${separator}${this.messageFormatter.fileReference(fileData.id, fileData.name)} `;
+        this.switchTab('chat');
+        input.focus();
+        input.selectionStart = input.selectionEnd = input.value.length;
+    }
+    
+    async getFilePreviewUrl(fileData) {
+        if (!this.filePreviewUrls.has(fileData.id)) {
+            const blob = await this.getFileBlob(fileData);
+            this.filePreviewUrls.set(fileData.id, URL.createObjectURL(blob));
+        }
+        return this.filePreviewUrls.get(fileData.id);
+    }
+    
+    // Clicks on the reaction, reply, edit and delete buttons inside #chatMessages
+    handleChatAction(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
         
-        const names = ['Alice Johnson', 'Bob Smith', 'Carol Williams'];
-        const randomName = names[Math.floor(Math.random() * names.length)];
-        const randomResponse = responses[Math.floor(Math.random() * responses.length)];
+        if (button.dataset.action === 'download-file') {
+            const fileData = this.sharedFiles.get(button.dataset.fileId);
+            if (fileData) this.downloadSharedFile(fileData);
+            return;
+        }
         
-        const responseData = {
-            id: Date.now(),
-            sender: randomName,
-            text: randomResponse,
-            timestamp: new Date(),
-            isOwn: false
-        };
+        const id = button.closest('.chat-message').dataset.id;
+        const message = this.chatMessages.get(id);
+        if (!message) return;
         
-        this.addChatMessage(responseData);
+        switch (button.dataset.action) {
+            case 'react':
+                this.socket.emit('chat-message', { op: 'react', id, emoji: button.dataset.emoji });
+                break;
+            case 'reply':
+                this.setChatComposer({ mode: 'reply', id });
+                break;
+            case 'edit':
+                this.setChatComposer({ mode: 'edit', id });
+                document.getElementById('chatInput').value = message.text;
+                break;
+            case 'delete':
+                if (confirm('Delete this message?')) {
+                    this.socket.emit('chat-message', { op: 'delete', id });
+                }
+                break;
+        }
     }
     
-    addChatMessage(messageData) {
-        const chatMessages = document.getElementById('chatMessages');
-        const messageDiv = document.createElement('div');
-        messageDiv.className = chat-message ${messageData.isOwn ? 'own' : ''};
-        
-        const timeStr = messageData.timestamp.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-        
-        messageDiv.innerHTML = `
-            <div class="message-sender">${messageData.sender}</div>
-            <div class="message-text">${this.escapeHtml(messageData.text)}</div>
-            <div class="message-time">${timeStr}</div>
-        `;
+    // Shows what the next message will do: reply in a thread or replace an edited message
+    setChatComposer(composer) {
+        const context = document.getElementById('chatComposerContext');
+        const input = document.getElementById('chatInput');
+        if (!composer && this.chatComposer && this.chatComposer.mode === 'edit') {
+            input.value = '';
+        }
+        this.chatComposer = composer;
         
-        chatMessages.appendChild(messageDiv);
-        chatMessages.scrollTop = chatMessages.scrollHeight;
+        context.classList.toggle('hidden', !composer);
+        if (composer) {
+            const message = this.chatMessages.get(composer.id);
+            context.querySelector('span').textContent = composer.mode === 'edit'
+                ? 'Editing message'
+                : `Replying to ${message.sender}`;
+            input.focus();
+        }
     }
     
     // Whiteboard functionality
     initializeWhiteboard() {
         const canvas = document.getElementById('whiteboard');
-        this.ctx = canvas.getContext('2d');
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
+        this.whiteboard = new Whiteboard(canvas);
+        this.boardFiles = new WhiteboardFiles(this.whiteboard);
+        
+        window.addEventListener('resize', () => this.whiteboard.resize());
     }
     
     setupWhiteboardEvents() {
         const canvas = document.getElementById('whiteboard');
         
         // Tool selection
-        document.querySelectorAll('.tool-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                if (e.target.id === 'clearBoard') {
-                    this.clearWhiteboard();
-                    return;
-                }
-                
-                document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
+        document.querySelectorAll('.tool-btn[data-tool]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.querySelectorAll('.tool-btn[data-tool]').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 this.currentTool = btn.dataset.tool;
+                
+                if (this.currentTool !== 'select') {
+                    this.whiteboard.select(null);
+                }
+                canvas.classList.toggle('select-mode', this.currentTool === 'select');
             });
         });
         
-        // Color and brush size
-        document.getElementById('colorPicker').addEventListener('change', (e) => {
-            this.currentColor = e.target.value;
-        });
+        document.getElementById('clearBoard').addEventListener('click', () => this.clearWhiteboard());
+        document.getElementById('undoBoard').addEventListener('click', () => this.undoBoard());
+        document.getElementById('redoBoard').addEventListener('click', () => this.redoBoard());
+        document.getElementById('removeBackground').addEventListener('click', () => this.removeBoardBackground());
         
-        document.getElementById('brushSize').addEventListener('input', (e) => {
-            this.currentBrushSize = e.target.value;
-        });
+        // Pages and export
+        document.getElementById('prevPage').addEventListener('click', () => this.goToBoardPage(this.whiteboard.page - 1));
+        document.getElementById('nextPage').addEventListener('click', () => this.goToBoardPage(this.whiteboard.page + 1));
+        document.getElementById('downloadBoard').addEventListener('click', () => this.exportBoard(false));
+        document.getElementById('shareBoard').addEventListener('click', () => this.exportBoard(true));
+        
+        // Color and brush size
+        document.getElementById('colorPicker').addEventListener('change', (e) => this.setPenColor(e.target.value));
+        document.getElementById('brushSize').addEventListener('input', (e) => this.setBrushSize(e.target.value));
         
         // Drawing events
         canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
         canvas.addEventListener('mousemove', (e) => this.draw(e));
         canvas.addEventListener('mouseup', () => this.stopDrawing());
         canvas.addEventListener('mouseout', () => this.stopDrawing());
+        canvas.addEventListener('dblclick', (e) => this.editTextAt(e));
+        
+        // Undo/redo and delete, while the board tab is open and no field has focus
+        document.addEventListener('keydown', (e) => this.handleWhiteboardKey(e));
         
         // Touch events for mobile
         canvas.addEventListener('touchstart', (e) => {
@@ -455,122 +3461,1031 @@ class CollabConnect {
         });
     }
     
-    startDrawing(e) {
-        this.isDrawing = true;
-        const rect = e.target.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        
-        this.ctx.beginPath();
-        this.ctx.moveTo(x, y);
-        
-        if (this.currentTool === 'eraser') {
-            this.ctx.globalCompositeOperation = 'destination-out';
-            this.ctx.lineWidth = this.currentBrushSize * 3;
-        } else {
-            this.ctx.globalCompositeOperation = 'source-over';
-            this.ctx.strokeStyle = this.currentColor;
-            this.ctx.lineWidth = this.currentBrushSize;
+    // The pen's colour and size are shared by the whiteboard and screen annotations
+    setPenColor(color) {
+        this.currentColor = color;
+        document.getElementById('colorPicker').value = color;
+        document.getElementById('annotationColor').value = color;
+    }
+    
+    setBrushSize(size) {
+        this.currentBrushSize = size;
+        document.getElementById('brushSize').value = size;
+        document.getElementById('annotationSize').value = size;
+    }
+    
+    startDrawing(e) {
+        const point = this.whiteboard.toBoardPoint(e.clientX, e.clientY);
+        
+        if (this.currentTool === 'select') {
+            this.startBoardDrag(point);
+            return;
+        }
+        if (this.currentTool === 'text' || this.currentTool === 'note') {
+            // Keep the click from moving focus away from the new editor
+            e.preventDefault();
+            this.openTextEditor(this.createTextObject(this.currentTool, point), true);
+            return;
+        }
+        
+        this.isDrawing = true;
+        
+        if (SHAPE_TYPES.includes(this.currentTool)) {
+            this.whiteboard.setDraft({
+                id: this.createId(),
+                type: this.currentTool,
+                page: this.whiteboard.page,
+                author: this.selfId,
+                color: this.currentColor,
+                width: this.whiteboard.toBoardWidth(this.currentBrushSize),
+                points: [point, point]
+            });
+            return;
+        }
+        
+        const size = this.currentTool === 'eraser' ? this.currentBrushSize * 3 : this.currentBrushSize;
+        const stroke = {
+            id: this.createId(),
+            type: 'stroke',
+            page: this.whiteboard.page,
+            author: this.selfId,
+            authorName: this.displayName,
+            tool: this.currentTool,
+            color: this.currentColor,
+            width: this.whiteboard.toBoardWidth(size),
+            points: [point]
+        };
+        
+        this.currentStrokeId = stroke.id;
+        this.whiteboard.beginStroke(stroke);
+        this.sendBoardOp({ type: 'start', stroke });
+    }
+    
+    draw(e) {
+        if (this.boardDrag) {
+            this.updateBoardDrag(this.whiteboard.toBoardPoint(e.clientX, e.clientY));
+            return;
+        }
+        if (!this.isDrawing) return;
+        
+        const point = this.whiteboard.toBoardPoint(e.clientX, e.clientY);
+        
+        const draft = this.whiteboard.draft;
+        if (draft) {
+            draft.points[1] = point;
+            this.whiteboard.setDraft(draft);
+            return;
+        }
+        
+        this.whiteboard.appendPoints(this.currentStrokeId, [point]);
+        
+        // Emit drawing data to other participants
+        this.sendBoardOp({
+            type: 'points',
+            strokeId: this.currentStrokeId,
+            points: [point]
+        });
+    }
+    
+    stopDrawing() {
+        if (this.boardDrag) {
+            this.endBoardDrag();
+            return;
+        }
+        if (!this.isDrawing) return;
+        this.isDrawing = false;
+        
+        const draft = this.whiteboard.draft;
+        if (draft) {
+            this.whiteboard.setDraft(null);
+            const [[x1, y1], [x2, y2]] = draft.points;
+            if (x1 !== x2 || y1 !== y2) {
+                this.commitBoardOp({ type: 'add', object: draft });
+            }
+            return;
+        }
+        
+        this.sendBoardOp({ type: 'end', strokeId: this.currentStrokeId });
+        
+        // The stroke was streamed while drawing, so only record it for undo
+        const stroke = this.whiteboard.get(this.currentStrokeId);
+        if (stroke) {
+            this.recordBoardHistory({ type: 'add', object: this.whiteboard.clone(stroke) }, { type: 'remove', id: stroke.id });
+        }
+        this.currentStrokeId = null;
+    }
+    
+    // Select tool - pick an object, then drag it or its resize handle
+    startBoardDrag(point) {
+        const whiteboard = this.whiteboard;
+        let mode = 'resize';
+        let object = whiteboard.isOnResizeHandle(point) ? whiteboard.get(whiteboard.selectedId) : null;
+        
+        if (!object) {
+            mode = 'move';
+            object = whiteboard.hitTest(point);
+            whiteboard.select(object ? object.id : null);
+        }
+        if (!object) return;
+        
+        this.boardDrag = {
+            mode,
+            id: object.id,
+            origin: point,
+            originalPoints: whiteboard.clone(object.points)
+        };
+    }
+    
+    updateBoardDrag(point) {
+        const drag = this.boardDrag;
+        const object = this.whiteboard.get(drag.id);
+        if (!object) {
+            this.boardDrag = null;
+            return;
+        }
+        
+        // Preview locally; the change is sent once the drag ends
+        const original = { ...object, points: drag.originalPoints };
+        object.points = drag.mode === 'move'
+            ? this.whiteboard.translatePoints(original, point[0] - drag.origin[0], point[1] - drag.origin[1])
+            : this.whiteboard.resizePoints(original, point);
+        this.whiteboard.redraw();
+    }
+    
+    endBoardDrag() {
+        const drag = this.boardDrag;
+        this.boardDrag = null;
+        
+        const object = this.whiteboard.get(drag.id);
+        if (!object) return;
+        
+        const points = object.points;
+        if (JSON.stringify(points) === JSON.stringify(drag.originalPoints)) return;
+        
+        // Restore the original points so the recorded undo step reverts to them
+        object.points = drag.originalPoints;
+        if (object.type === 'text') {
+            points[1][1] = this.whiteboard.round(points[0][1] + this.whiteboard.measureTextHeight({ ...object, points }));
+        }
+        this.commitBoardOp({ type: 'update', id: object.id, changes: { points } });
+    }
+    
+    createTextObject(type, [x, y]) {
+        const fontSize = this.whiteboard.toBoardWidth(Math.max(this.currentBrushSize * 4, 14));
+        const size = type === 'note' ? NOTE_SIZE : [0.4, 0];
+        const x1 = Math.min(x, 1 - size[0]);
+        const y1 = Math.min(y, 1 - size[1]);
+        
+        return {
+            id: this.createId(),
+            type,
+            page: this.whiteboard.page,
+            author: this.selfId,
+            color: this.currentColor,
+            width: 0,
+            fontSize,
+            text: '',
+            points: [[x1, y1], [x1 + size[0], y1 + size[1]]].map(p => p.map(n => this.whiteboard.round(n)))
+        };
+    }
+    
+    editTextAt(e) {
+        if (this.currentTool !== 'select') return;
+        
+        const object = this.whiteboard.hitTest(this.whiteboard.toBoardPoint(e.clientX, e.clientY));
+        if (object && TEXT_TYPES.includes(object.type)) {
+            this.openTextEditor(object, false);
+        }
+    }
+    
+    // Inline editor placed over a text box or sticky note
+    openTextEditor(object, isNew) {
+        const canvas = this.whiteboard.canvas;
+        const [x1, y1, x2, y2] = this.whiteboard.getBounds(object);
+        const editor = document.createElement('textarea');
+        editor.className = `whiteboard-text-editor ${object.type}`;
+        editor.value = object.text;
+        editor.style.left = `${canvas.offsetLeft + x1 * canvas.clientWidth}px`;
+        editor.style.top = `${canvas.offsetTop + y1 * canvas.clientHeight}px`;
+        editor.style.width = `${(x2 - x1) * canvas.clientWidth}px`;
+        editor.style.minHeight = `${Math.max(y2 - y1, 0.08) * canvas.clientHeight}px`;
+        editor.style.fontSize = `${object.fontSize * canvas.clientWidth}px`;
+        editor.style.color = object.color;
+        
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            editor.remove();
+            
+            const text = editor.value.trim();
+            if (!save || text === object.text) return;
+            
+            const points = this.whiteboard.clone(object.points);
+            if (object.type === 'text') {
+                points[1][1] = this.whiteboard.round(points[0][1] + this.whiteboard.measureTextHeight({ ...object, text }));
+            }
+            
+            if (isNew) {
+                if (text) this.commitBoardOp({ type: 'add', object: { ...object, text, points } });
+            } else if (text) {
+                this.commitBoardOp({ type: 'update', id: object.id, changes: { text, points } });
+            } else {
+                this.commitBoardOp({ type: 'remove', id: object.id });
+            }
+        };
+        
+        editor.addEventListener('blur', () => finish(true));
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') finish(false);
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) finish(true);
+        });
+        
+        canvas.parentElement.appendChild(editor);
+        editor.focus();
+    }
+    
+    handleWhiteboardKey(e) {
+        if (!document.getElementById('whiteboardTab').classList.contains('active')) return;
+        if (['INPUT', 'TEXTAREA'].includes(document.activeElement.tagName)) return;
+        
+        const modifier = e.ctrlKey || e.metaKey;
+        if (modifier && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            e.shiftKey ? this.redoBoard() : this.undoBoard();
+        } else if (modifier && e.key.toLowerCase() === 'y') {
+            e.preventDefault();
+            this.redoBoard();
+        } else if ((e.key === 'Delete' || e.key === 'Backspace') && this.whiteboard.selectedId) {
+            e.preventDefault();
+            this.commitBoardOp({ type: 'remove', id: this.whiteboard.selectedId });
+        }
+    }
+    
+    // Apply an add/update/remove/background operation to the local board.
+    // Returns the operation that reverts it, or null if nothing changed.
+    applyBoardOp(op) {
+        const whiteboard = this.whiteboard;
+        switch (op.type) {
+            case 'add':
+                if (whiteboard.get(op.object.id)) return null;
+                whiteboard.add(op.object, op.index);
+                return { type: 'remove', id: op.object.id };
+            case 'update': {
+                const previous = whiteboard.update(op.id, op.changes);
+                return previous ? { type: 'update', id: op.id, changes: previous } : null;
+            }
+            case 'remove': {
+                const index = whiteboard.indexOf(op.id);
+                const object = whiteboard.remove(op.id);
+                return object ? { type: 'add', object, index } : null;
+            }
+            case 'background': {
+                const previous = whiteboard.setBackground(op.page, op.background);
+                this.updateBoardPageControls();
+                return { type: 'background', page: op.page, background: previous };
+            }
+        }
+        return null;
+    }
+    
+    // Apply a local change, send it to the room and make it undoable
+    commitBoardOp(op) {
+        const inverse = this.applyBoardOp(op);
+        if (!inverse) return;
+        
+        this.sendBoardOp(op);
+        this.recordBoardHistory(op, inverse);
+    }
+    
+    // The server keeps encrypted rooms' boards as a list of sealed operations
+    sendBoardOp(op) {
+        this.emitSealed('whiteboard-draw', op, async (data, encryption) => ({ type: 'sealed', sealed: await encryption.seal(data) }));
+    }
+    
+    recordBoardHistory(op, inverse) {
+        this.boardUndoStack.push({ op, inverse });
+        this.boardRedoStack = [];
+    }
+    
+    // Undo/redo only ever touch this user's own changes
+    undoBoard() {
+        const entry = this.boardUndoStack.pop();
+        if (!entry) return;
+        
+        const inverse = this.applyBoardOp(entry.inverse);
+        if (!inverse) return;
+        
+        this.sendBoardOp(entry.inverse);
+        this.boardRedoStack.push({ op: entry.inverse, inverse });
+    }
+    
+    redoBoard() {
+        const entry = this.boardRedoStack.pop();
+        if (!entry) return;
+        
+        const inverse = this.applyBoardOp(entry.inverse);
+        if (!inverse) return;
+        
+        this.sendBoardOp(entry.inverse);
+        this.boardUndoStack.push({ op: entry.inverse, inverse });
+    }
+    
+    // Changes from other participants - strokes render as their points arrive
+    // Strokes belong to whoever started them, which the server cannot check in encrypted rooms
+    handleRemoteDraw(data) {
+        switch (data.type) {
+            case 'start':
+                this.whiteboard.beginStroke({ ...data.stroke, author: data.from });
+                this.updateBoardPageControls();
+                break;
+            case 'points': {
+                const stroke = this.whiteboard.get(data.strokeId);
+                if (stroke && stroke.author === data.from) {
+                    this.whiteboard.appendPoints(data.strokeId, data.points);
+                }
+                break;
+            }
+            case 'add':
+            case 'update':
+            case 'remove':
+            case 'background':
+                this.applyBoardOp(data);
+                this.updateBoardPageControls();
+                break;
+        }
+    }
+    
+    // Pages are viewed independently; moving past the last page adds a new one
+    goToBoardPage(page) {
+        if (page < 0) return;
+        
+        this.whiteboard.setPage(page);
+        this.updateBoardPageControls();
+    }
+    
+    updateBoardPageControls() {
+        const whiteboard = this.whiteboard;
+        document.getElementById('pageLabel').textContent = `${whiteboard.page + 1} / ${whiteboard.pageCount}`;
+        document.getElementById('prevPage').disabled = whiteboard.page === 0;
+        document.getElementById('removeBackground').hidden = !whiteboard.backgrounds.has(whiteboard.page);
+    }
+    
+    async exportBoard(share) {
+        const format = document.getElementById('exportFormat').value;
+        const page = this.whiteboard.page;
+        const name = format === 'pdf' ? 'whiteboard.pdf' : `whiteboard-page-${page + 1}.${format}`;
+        
+        try {
+            const blob = await this.boardFiles.export(format, page);
+            const file = new File([blob], name, { type: blob.type });
+            if (share) {
+                this.shareFile(file);
+            } else {
+                this.downloadFile(file);
+            }
+        } catch (error) {
+            console.error('Whiteboard export failed:', error);
+            this.showToast('Could not export the whiteboard', 'error');
+        }
+    }
+    
+    // Lock an image, or one page of a PDF, from the Files tab under the current board page
+    async useFileAsBackground(fileData) {
+        let source;
+        try {
+            const blob = await this.getFileBlob(fileData);
+            if (fileData.type === 'application/pdf') {
+                const pdf = await this.boardFiles.openPdf(blob);
+                const answer = pdf.numPages > 1 ? prompt(`Page to use as background (1-${pdf.numPages})`, '1') : '1';
+                if (answer === null) return;
+                
+                const pageNumber = Number(answer);
+                if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pdf.numPages) {
+                    this.showToast('No such page in that PDF', 'error');
+                    return;
+                }
+                source = await this.boardFiles.renderPdfPage(pdf, pageNumber);
+            } else {
+                source = await this.boardFiles.imageFromBlob(blob);
+            }
+        } catch (error) {
+            console.error('Background import failed:', error);
+            this.showToast(`Could not open "${fileData.name}"`, 'error');
+            return;
+        }
+        
+        const background = { name: fileData.name, dataUrl: this.boardFiles.toBackgroundDataUrl(source) };
+        this.commitBoardOp({ type: 'background', page: this.whiteboard.page, background });
+        this.switchTab('whiteboard');
+        this.showToast(`"${fileData.name}" set as the page background`, 'success');
+    }
+    
+    removeBoardBackground() {
+        this.commitBoardOp({ type: 'background', page: this.whiteboard.page, background: null });
+    }
+    
+    clearWhiteboard() {
+        this.clearWhiteboardCanvas();
+        // Queued behind any sealed drawing still on its way
+        this.emitSealed('whiteboard-clear', {}, data => data);
+        this.showToast('Whiteboard cleared', 'info');
+    }
+    
+    clearWhiteboardCanvas() {
+        this.whiteboard.clear();
+        this.boardUndoStack = [];
+        this.boardRedoStack = [];
+        this.updateBoardPageControls();
+    }
+    
+    // File sharing functionality
+    initializeFileSharing() {
+        this.fileTransfers = new FileTransferManager(
+            this.rtcConfig,
+            (event, data) => this.socket.emit(event, data),
+            {
+                onProgress: (fileId, bytes, total) => this.updateFileProgress(fileId, bytes, total),
+                onStatus: (fileId, status, message) => this.updateFileStatus(fileId, status, message)
+            }
+        );
+    }
+    
+    handleFileUpload(files) {
+        Array.from(files).forEach(file => this.shareFile(file));
+        document.getElementById('fileInput').value = '';
+    }
+    
+    // Hash the file, then announce it; other participants download it from this device
+    async shareFile(file) {
+        if (file.size > this.maxFileSize) {
+            this.showToast(`File too large (max ${this.formatFileSize(this.maxFileSize)})`, 'error');
+            return;
+        }
+        
+        const fileData = {
+            id: this.createId(),
+            name: file.name,
+            size: file.size,
+            type: file.type,
+            uploader: this.displayName,
+            from: this.selfId
+        };
+        const abort = new AbortController();
+        this.pendingShares.set(fileData.id, abort);
+        this.fileBlobs.set(fileData.id, file);
+        this.addFileToList(fileData);
+        this.updateFileStatus(fileData.id, 'preparing');
+        
+        try {
+            fileData.hash = await this.fileTransfers.share(fileData.id, file, abort.signal);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Could not read file:', error);
+                this.showToast(`Could not read "${file.name}"`, 'error');
+            }
+            this.removeFileItem(fileData.id);
+            return;
+        } finally {
+            this.pendingShares.delete(fileData.id);
+        }
+        
+        this.updateFileStatus(fileData.id, 'complete');
+        // In encrypted rooms the server only learns the file's id and size
+        this.emitSealed('file-share', fileData, async ({ id, size, name, type, hash }, encryption) => ({
+            id,
+            size,
+            sealed: await encryption.seal({ name, type, hash })
+        }));
+        this.showToast(`File "${file.name}" shared`, 'success');
+        if (this.maxStoredFileSize && file.size <= this.maxStoredFileSize) {
+            this.storeFile(fileData, file);
+        }
+    }
+    
+    // Persistent rooms keep a copy on the server, so the file stays after we leave.
+    // The server checks it against the file-share we just sent.
+    async storeFile(fileData, file) {
+        try {
+            const response = await fetch(this.getStoredFileUrl(fileData), {
+                method: 'PUT',
+                headers: { Authorization: `Bearer ${this.session.token}` },
+                body: file
+            });
+            if (!response.ok) throw new Error((await response.json()).error);
+        } catch (error) {
+            console.error('Could not store file in the room:', error);
+            this.showToast(`"${file.name}" is only available while you are here`, 'error');
         }
     }
     
-    draw(e) {
-        if (!this.isDrawing) return;
-        
-        const rect = e.target.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        
-        this.ctx.lineTo(x, y);
-        this.ctx.stroke();
+    getStoredFileUrl(fileData) {
+        return `/api/rooms/${encodeURIComponent(this.roomId)}/files/${encodeURIComponent(fileData.id)}`;
+    }
+    
+    handleFileStored({ id }) {
+        const fileData = this.sharedFiles.get(id);
+        if (!fileData) return;
         
-        // Emit drawing data to other participants
-        this.socket.emit('whiteboard-draw', {
-            x, y,
-            tool: this.currentTool,
-            color: this.currentColor,
-            size: this.currentBrushSize,
-            isDrawing: true
-        });
+        fileData.stored = true;
+        const fileItem = document.getElementById(`file-${id}`);
+        if (fileItem) fileItem.querySelector('.file-stored').classList.remove('hidden');
     }
     
-    stopDrawing() {
-        if (!this.isDrawing) return;
-        this.isDrawing = false;
-        this.ctx.beginPath();
+    // Local copy of a shared file, fetched the first time from the room if it keeps
+    // the file and otherwise from its uploader
+    async getFileBlob(fileData) {
+        if (!this.fileBlobs.has(fileData.id)) {
+            this.fileBlobs.set(fileData.id, await (fileData.stored ? this.fetchStoredFile(fileData) : this.fileTransfers.download(fileData)));
+        }
+        return this.fileBlobs.get(fileData.id);
     }
     
-    clearWhiteboard() {
-        const canvas = document.getElementById('whiteboard');
-        this.ctx.clearRect(0, 0, canvas.width, canvas.height);
-        this.socket.emit('whiteboard-clear');
-        this.showToast('Whiteboard cleared', 'info');
+    async fetchStoredFile(fileData) {
+        const response = await fetch(this.getStoredFileUrl(fileData), { headers: { Authorization: `Bearer ${this.session.token}` } });
+        if (!response.ok) throw new Error('The room no longer has this file');
+        return response.blob();
     }
     
-    // File sharing functionality
-    handleFileUpload(files) {
-        Array.from(files).forEach(file => {
-            if (file.size > 10 * 1024 * 1024) { // 10MB limit
-                this.showToast('File too large (max 10MB)', 'error');
-                return;
+    async downloadSharedFile(fileData) {
+        try {
+            const blob = await this.getFileBlob(fileData);
+            this.downloadFile(new File([blob], fileData.name, { type: fileData.type }));
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.showToast(`Could not download "${fileData.name}": ${error.message}`, 'error');
             }
-            
-            const fileData = {
-                id: Date.now() + Math.random(),
-                name: file.name,
-                size: file.size,
-                type: file.type,
-                url: URL.createObjectURL(file),
-                uploader: this.displayName
-            };
-            
-            this.addFileToList(fileData);
-            this.socket.emit('file-share', fileData);
-            this.showToast(File "${file.name}" uploaded, 'success');
-        });
+        }
+    }
+    
+    cancelFileTransfer(fileId) {
+        const pendingShare = this.pendingShares.get(fileId);
+        if (pendingShare) {
+            pendingShare.abort();
+        } else {
+            this.fileTransfers.cancel(fileId);
+        }
+    }
+    
+    downloadFile(file) {
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
     
     addFileToList(fileData) {
         const fileList = document.getElementById('fileList');
         const fileItem = document.createElement('div');
         fileItem.className = 'file-item';
+        fileItem.id = `file-${fileData.id}`;
         fileItem.innerHTML = `
             <div class="file-info">
                 <div class="file-name">
-                    <i class="fas fa-file"></i> ${fileData.name}
+                    <i class="fas fa-file"></i> ${this.escapeHtml(fileData.name)}
+                    <i class="fas fa-cloud file-stored${fileData.stored ? '' : ' hidden'}" title="Kept in this room"></i>
                 </div>
-                <div class="file-size">${this.formatFileSize(fileData.size)} • ${fileData.uploader}</div>
+                <div class="file-size">${this.formatFileSize(fileData.size)} • ${this.escapeHtml(fileData.uploader)}</div>
+                <div class="file-progress hidden"><div class="file-progress-bar"></div></div>
+                <div class="file-status"></div>
+            </div>
+            <div class="file-actions">
+                <button class="file-download" data-action="download" title="Download">
+                    <i class="fas fa-download"></i>
+                </button>
+                <button class="file-download" data-action="mention" title="Mention in chat">
+                    <i class="fas fa-comment"></i>
+                </button>
+                <button class="file-cancel hidden" data-action="cancel" title="Cancel">
+                    <i class="fas fa-xmark"></i>
+                </button>
             </div>
-            <button class="file-download" onclick="window.open('${fileData.url}', '_blank')">
-                <i class="fas fa-download"></i>
-            </button>
         `;
         
+        const actions = fileItem.querySelector('.file-actions');
+        actions.querySelector('[data-action="download"]').addEventListener('click', () => this.downloadSharedFile(fileData));
+        actions.querySelector('[data-action="mention"]').addEventListener('click', () => this.mentionFileInChat(fileData));
+        actions.querySelector('[data-action="cancel"]').addEventListener('click', () => this.cancelFileTransfer(fileData.id));
+        
+        if (/^image\//.test(fileData.type) || fileData.type === 'application/pdf') {
+            const backgroundButton = document.createElement('button');
+            backgroundButton.className = 'file-download';
+            backgroundButton.title = 'Use as whiteboard background';
+            backgroundButton.innerHTML = '<i class="fas fa-chalkboard"></i>';
+            backgroundButton.addEventListener('click', () => this.useFileAsBackground(fileData));
+            actions.appendChild(backgroundButton);
+        }
+        
         fileList.appendChild(fileItem);
         this.sharedFiles.set(fileData.id, fileData);
     }
     
+    updateFileProgress(fileId, bytes, total) {
+        const fileItem = document.getElementById(`file-${fileId}`);
+        if (!fileItem) return;
+        
+        const percent = total ? Math.round(bytes / total * 100) : 100;
+        fileItem.querySelector('.file-progress-bar').style.width = `${percent}%`;
+        if (!this.pendingShares.has(fileId)) {
+            fileItem.querySelector('.file-status').textContent =
+                `${this.formatFileSize(bytes)} of ${this.formatFileSize(total)} (${percent}%)`;
+        }
+    }
+    
+    // Statuses come from shareFile() and FileTransferManager:
+    // preparing, connecting, receiving, interrupted, failed, cancelled, complete
+    updateFileStatus(fileId, status, message = '') {
+        const fileItem = document.getElementById(`file-${fileId}`);
+        if (!fileItem) return;
+        
+        const inProgress = ['preparing', 'connecting', 'receiving', 'interrupted'].includes(status);
+        const statusText = {
+            preparing: 'Preparing to share...',
+            connecting: 'Connecting to uploader...',
+            failed: `${message} - download again to resume`
+        };
+        
+        fileItem.querySelector('.file-progress').classList.toggle('hidden', !inProgress);
+        fileItem.querySelector('.file-cancel').classList.toggle('hidden', !inProgress);
+        fileItem.querySelector('[data-action="download"]').classList.toggle('hidden', inProgress);
+        fileItem.querySelector('.file-status').textContent = statusText[status] || message;
+        fileItem.classList.toggle('failed', status === 'failed');
+    }
+    
+    removeFileItem(fileId) {
+        const fileItem = document.getElementById(`file-${fileId}`);
+        if (fileItem) fileItem.remove();
+        this.sharedFiles.delete(fileId);
+        this.fileBlobs.delete(fileId);
+    }
+    
+    // A participant left, taking their files with them - keep only what was
+    // already downloaded and what the room keeps
+    removeFilesFrom(peerId) {
+        this.fileTransfers.handlePeerLeft(peerId);
+        this.sharedFiles.forEach((fileData, fileId) => {
+            if (fileData.from === peerId && !fileData.stored && !this.fileBlobs.has(fileId)) {
+                this.removeFileItem(fileId);
+            }
+        });
+    }
+    
     // Participants management
     addParticipant(id, name, isLocal) {
         const participantsList = document.getElementById('participantsList');
         const participantItem = document.createElement('div');
         participantItem.className = 'participant-item';
-        participantItem.id = participant-${id};
+        participantItem.id = `participant-${id}`;
         
         const avatar = name.charAt(0).toUpperCase();
         
         participantItem.innerHTML = `
-            <div class="participant-avatar">${avatar}</div>
+            <div class="participant-avatar">${this.escapeHtml(avatar)}</div>
             <div class="participant-info">
-                <div class="participant-name">${name} ${isLocal ? '(You)' : ''}</div>
+                <div class="participant-name">${this.escapeHtml(name)} ${isLocal ? '(You)' : ''}<i class="fas fa-crown host-badge hidden" title="Host"></i></div>
                 <div class="participant-status">
-                    <i class="fas fa-microphone status-icon active"></i>
-                    <i class="fas fa-video status-icon active"></i>
+                    <i class="fas fa-microphone status-icon status-audio active"></i>
+                    <i class="fas fa-video status-icon status-video active"></i>
+                    <i class="fas fa-circle status-icon status-recording hidden" title="Recording"></i>
+                    <i class="fas fa-hand-paper status-icon status-hand hidden"></i>
+                    <i class="fas fa-signal status-icon status-network hidden"></i>
                 </div>
             </div>
+            <div class="participant-actions"></div>
         `;
         
         participantsList.appendChild(participantItem);
+        this.updateParticipantItem(id);
+    }
+    
+    // Mic/camera icons, the host badge and, for the host, moderation buttons
+    updateParticipantItem(id) {
+        const participantItem = document.getElementById(`participant-${id}`);
+        const isLocal = id === 'local';
+        const participant = isLocal
+            ? {
+                id: this.selfId,
+                audio: this.isMediaOn('audio'),
+                video: this.isMediaOn('video'),
+                recording: Boolean(this.recorder),
+                handRaisedAt: this.handRaisedAt
+            }
+            : this.participants.get(id);
+        if (!participantItem || !participant) return;
+        
+        const audioIcon = participantItem.querySelector('.status-audio');
+        audioIcon.classList.toggle('fa-microphone', participant.audio);
+        audioIcon.classList.toggle('fa-microphone-slash', !participant.audio);
+        audioIcon.classList.toggle('active', participant.audio);
+        const videoIcon = participantItem.querySelector('.status-video');
+        videoIcon.classList.toggle('fa-video', participant.video);
+        videoIcon.classList.toggle('fa-video-slash', !participant.video);
+        videoIcon.classList.toggle('active', participant.video);
+        participantItem.querySelector('.host-badge').classList.toggle('hidden', participant.id !== this.hostId);
+        participantItem.querySelector('.status-recording').classList.toggle('hidden', !participant.recording);
+        participantItem.querySelector('.status-hand').classList.toggle('hidden', !participant.handRaisedAt);
+        
+        const actions = participantItem.querySelector('.participant-actions');
+        const verify = this.encryption && !isLocal ? `
+            <button data-action="verify" title="Safety number"><i class="fas fa-shield-alt"></i></button>
+        ` : '';
+        const lowerHand = this.isHost() && !isLocal && participant.handRaisedAt ? `
+            <button data-action="lower-hand" title="Lower hand"><i class="fas fa-hand-paper"></i></button>
+        ` : '';
+        actions.innerHTML = verify + lowerHand + (this.isHost() && !isLocal ? `
+            <button data-action="mute" title="Mute" ${participant.audio ? '' : 'disabled'}><i class="fas fa-microphone-slash"></i></button>
+            <button data-action="stop-video" title="Turn off camera" ${participant.video ? '' : 'disabled'}><i class="fas fa-video-slash"></i></button>
+            <button data-action="make-host" title="Make host"><i class="fas fa-crown"></i></button>
+            <button data-action="remove" title="Remove from room"><i class="fas fa-user-times"></i></button>
+        ` : '');
+    }
+    
+    // Shows the safety number for us and a participant. If it matches the one
+    // on their screen, nobody (the server included) swapped either public key.
+    async toggleSafetyNumber(id) {
+        const participantItem = document.getElementById(`participant-${id}`);
+        const participant = this.participants.get(id);
+        const shown = participantItem.querySelector('.safety-number');
+        if (shown) {
+            shown.remove();
+            return;
+        }
+        
+        const number = await this.encryption.safetyNumber(participant.publicKey);
+        const display = document.createElement('div');
+        display.className = 'safety-number';
+        display.innerHTML = `Compare with ${this.escapeHtml(participant.displayName)}'s screen:<code>${number}</code>`;
+        participantItem.querySelector('.participant-info').appendChild(display);
+    }
+    
+    // Host actions from the participants list
+    handleParticipantAction(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const id = button.closest('.participant-item').id.replace(/^participant-/, '');
+        const participant = this.participants.get(id);
+        if (!participant) return;
+        
+        const action = button.dataset.action;
+        if (action === 'verify') {
+            this.toggleSafetyNumber(id);
+            return;
+        }
+        if (action === 'lower-hand') {
+            this.socket.emit('hand', { raised: false, id });
+            return;
+        }
+        if (action === 'remove' && !confirm(`Remove ${participant.displayName} from the room?`)) return;
+        if (action === 'make-host' && !confirm(`Make ${participant.displayName} the host? You will lose host controls.`)) return;
+        
+        this.socket.emit('moderate', { action, id });
+    }
+    
+    isHost() {
+        return Boolean(this.selfId) && this.hostId === this.selfId;
+    }
+    
+    handleHostChanged(data) {
+        const wasHost = this.isHost();
+        this.hostId = data.hostId;
+        if (!wasHost && this.isHost()) {
+            this.showToast('You are now the host', 'info');
+            // The new host hands out its own key, so the previous host cannot read on
+            if (this.encryptionMode === 'exchange') {
+                this.rotateRoomKey();
+            }
+        }
+        this.updateHostControls();
+    }
+    
+    handleRoomSettings(data) {
+        this.roomLocked = data.locked;
+        this.waitingRoomEnabled = data.waitingRoom;
+        this.multipleShares = data.multipleShares;
+        this.updateHostControls();
+    }
+    
+    updateHostControls() {
+        const isHost = this.isHost();
+        document.getElementById('hostControls').classList.toggle('hidden', !isHost);
+        document.getElementById('lockRoom').checked = this.roomLocked;
+        document.getElementById('waitingRoomToggle').checked = this.waitingRoomEnabled;
+        document.getElementById('multipleSharesToggle').checked = this.multipleShares;
+        document.getElementById('roomLockedIcon').classList.toggle('hidden', !this.roomLocked);
+        if (!isHost) {
+            this.lobby = [];
+        }
+        this.renderLobby();
+        this.updateBreakoutPanel();
+        document.getElementById('pollForm').classList.toggle('hidden', !isHost);
+        this.renderPolls();
+        this.renderQuestions();
+        
+        this.updateParticipantItem('local');
+        this.participants.forEach((participant, id) => this.updateParticipantItem(id));
+    }
+    
+    handleLobbyUpdate(data) {
+        const known = new Set(this.lobby.map(waiting => waiting.id));
+        data.lobby.filter(waiting => !known.has(waiting.id)).forEach(waiting => {
+            this.showToast(`${waiting.displayName} is waiting to join`, 'info');
+        });
+        this.lobby = data.lobby;
+        this.renderLobby();
+    }
+    
+    renderLobby() {
+        const panel = document.getElementById('lobbyPanel');
+        panel.classList.toggle('hidden', !this.isHost() || this.lobby.length === 0);
+        document.getElementById('lobbyCount').textContent = this.lobby.length;
+        document.getElementById('lobbyList').innerHTML = this.lobby.map(waiting => `
+            <div class="lobby-item" data-id="${this.escapeHtml(waiting.id)}">
+                <span>${this.escapeHtml(waiting.displayName)}</span>
+                <button data-action="admit" class="admit">Admit</button>
+                <button data-action="deny">Deny</button>
+            </div>
+        `).join('');
+    }
+    
+    // Breakout rooms - `state` is the server's breakouts-state, or null while there are none
+    setBreakouts(state) {
+        if (state && state.open) {
+            this.breakouts = {
+                mainId: state.mainId,
+                managerId: state.managerId,
+                rooms: state.rooms,
+                endsAt: Date.now() + state.remaining
+            };
+            this.startBreakoutTimer();
+        } else {
+            this.breakouts = null;
+            this.breakoutHelp.clear();
+            this.breakoutWarned = false;
+            this.stopBreakoutTimer();
+        }
+        this.updateBreakoutPanel();
+    }
+    
+    handleBreakoutsState(data) {
+        const wasOpen = Boolean(this.breakouts);
+        this.setBreakouts(data);
+        if (wasOpen && !data.open) {
+            this.showToast('Breakout rooms are closed', 'info');
+        }
+    }
+    
+    // Whoever opened the breakouts can visit and close them, wherever they are
+    isBreakoutManager() {
+        return Boolean(this.breakouts) && this.breakouts.managerId === this.authorId;
+    }
+    
+    startBreakoutTimer() {
+        if (!this.breakoutTimer) {
+            this.breakoutTimer = setInterval(() => this.updateBreakoutTimer(), 1000);
+        }
+        this.updateBreakoutTimer();
+    }
+    
+    stopBreakoutTimer() {
+        clearInterval(this.breakoutTimer);
+        this.breakoutTimer = null;
+        document.getElementById('breakoutTimer').classList.add('hidden');
+    }
+    
+    // The countdown in the header, shown in the main room and every breakout
+    updateBreakoutTimer() {
+        const remaining = Math.max(0, this.breakouts.endsAt - Date.now());
+        const seconds = Math.ceil(remaining / 1000);
+        const timer = document.getElementById('breakoutTimer');
+        timer.classList.remove('hidden');
+        timer.querySelector('span').textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        
+        if (!this.breakoutWarned && remaining <= this.breakoutWarning) {
+            this.breakoutWarned = true;
+            this.showToast('Breakout rooms close in less than a minute', 'info');
+        }
+    }
+    
+    // The host plans breakouts here. Once they are open, everyone sees them
+    // along with what they can do: join one, call for help or go back.
+    updateBreakoutPanel() {
+        const planning = !this.breakouts && !this.breakoutName && this.isHost();
+        document.getElementById('breakoutPanel').classList.toggle('hidden', !planning && !this.breakouts);
+        document.getElementById('breakoutSetup').classList.toggle('hidden', !planning);
+        document.getElementById('breakoutStatus').classList.toggle('hidden', !this.breakouts);
+        if (planning) {
+            this.renderBreakoutPlan();
+        } else if (this.breakouts) {
+            this.renderBreakoutStatus();
+        }
+    }
+    
+    getBreakoutCount() {
+        const input = document.getElementById('breakoutCount');
+        return Math.min(Math.max(Math.round(Number(input.value)) || 1, 1), Number(input.max));
+    }
+    
+    // Everyone in the room but us, each with the breakout they are going to
+    renderBreakoutPlan() {
+        const count = this.getBreakoutCount();
+        const options = ['<option value="">Main room</option>']
+            .concat(Array.from({ length: count }, (_, index) => `<option value="${index}">Room ${index + 1}</option>`))
+            .join('');
+        const plan = document.getElementById('breakoutPlan');
+        plan.innerHTML = Array.from(this.participants.values()).map(participant => `
+            <label class="breakout-plan-item" data-id="${this.escapeHtml(participant.id)}">
+                <span>${this.escapeHtml(participant.displayName)}</span>
+                <select>${options}</select>
+            </label>
+        `).join('');
+        plan.querySelectorAll('.breakout-plan-item').forEach(item => {
+            const index = this.breakoutPlan.get(item.dataset.id);
+            item.querySelector('select').value = index !== undefined && index < count ? String(index) : '';
+        });
+        document.getElementById('openBreakouts').disabled = this.participants.size === 0;
+    }
+    
+    shuffleBreakouts() {
+        const count = this.getBreakoutCount();
+        const ids = Array.from(this.participants.keys());
+        for (let i = ids.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [ids[i], ids[j]] = [ids[j], ids[i]];
+        }
+        this.breakoutPlan.clear();
+        ids.forEach((id, i) => this.breakoutPlan.set(id, i % count));
+        this.renderBreakoutPlan();
+    }
+    
+    openBreakouts() {
+        const count = this.getBreakoutCount();
+        const rooms = Array.from({ length: count }, (_, index) => ({ name: `Room ${index + 1}`, members: [] }));
+        this.breakoutPlan.forEach((index, id) => {
+            if (this.participants.has(id) && index < count) rooms[index].members.push(id);
+        });
+        if (!rooms.some(room => room.members.length)) {
+            this.showToast('Put someone in a breakout room first', 'info');
+            return;
+        }
+        
+        const minutesInput = document.getElementById('breakoutMinutes');
+        const minutes = Math.min(Math.max(Number(minutesInput.value) || 1, 1), Number(minutesInput.max));
+        this.socket.emit('breakout', { action: 'open', rooms, minutes });
+        this.breakoutPlan.clear();
+    }
+    
+    renderBreakoutStatus() {
+        const manager = this.isBreakoutManager();
+        document.getElementById('breakoutList').innerHTML = this.breakouts.rooms.map(room => `
+            <div class="breakout-item${room.id === this.roomId ? ' current' : ''}" data-id="${this.escapeHtml(room.id)}">
+                <span>${this.escapeHtml(room.name)} (${room.count})</span>
+                ${this.breakoutHelp.has(room.id) ? '<i class="fas fa-hand-paper breakout-help" title="Asked for help"></i>' : ''}
+                ${manager && room.id !== this.roomId ? '<button data-action="join">Join</button>' : ''}
+            </div>
+        `).join('');
+        document.getElementById('askForHelp').classList.toggle('hidden', !this.breakoutName || manager);
+        document.getElementById('returnToMain').classList.toggle('hidden', !this.breakoutName);
+        document.getElementById('closeBreakouts').classList.toggle('hidden', !manager);
+    }
+    
+    joinBreakout(id) {
+        this.breakoutHelp.delete(id);
+        this.socket.emit('breakout', { action: 'join', id });
+    }
+    
+    askForHelp() {
+        this.socket.emit('breakout', { action: 'help' });
+        this.showToast('The host has been asked to join you', 'info');
+    }
+    
+    closeBreakouts() {
+        if (!confirm('Close the breakout rooms and bring everyone back to the main room?')) return;
+        this.socket.emit('breakout', { action: 'close' });
+    }
+    
+    handleBreakoutHelp(data) {
+        this.breakoutHelp.add(data.roomId);
+        this.updateBreakoutPanel();
+        this.showToast(`${data.from} in ${data.name} is asking for help`, 'info');
+    }
+    
+    // A host's mute or camera-off; the server already shows us as off to everyone
+    handleModerated(data) {
+        if (data.action === 'mute') {
+            this.setAudioEnabled(false);
+            this.showToast('The host muted you', 'info');
+        } else if (data.action === 'stop-video') {
+            this.setVideoEnabled(false);
+            this.showToast('The host turned off your camera', 'info');
+        }
+    }
+    
+    handleRemoved(data) {
+        this.endCall();
+        this.showToast(data.message, 'error');
     }
     
     updateParticipantCount() {
@@ -578,24 +4493,229 @@ class CollabConnect {
         document.getElementById('participantCount').textContent = count;
     }
     
+    // Raised hands, listed first in the participants list in the order they went up
+    toggleHand() {
+        if (!this.selfId) return;
+        this.socket.emit('hand', { raised: !this.handRaisedAt });
+    }
+    
+    setHandRaisedAt(raisedAt) {
+        this.handRaisedAt = raisedAt;
+        const button = document.getElementById('raiseHand');
+        button.classList.toggle('active', Boolean(raisedAt));
+        button.title = raisedAt ? 'Lower hand' : 'Raise hand';
+    }
+    
+    handleHandState({ id, raisedAt }) {
+        if (id === this.selfId) {
+            this.setHandRaisedAt(raisedAt);
+            this.updateParticipantItem('local');
+        } else {
+            const participant = this.participants.get(id);
+            if (!participant) return;
+            participant.handRaisedAt = raisedAt;
+            if (raisedAt && this.isHost()) {
+                this.showToast(`${participant.displayName} raised their hand`, 'info');
+            }
+            this.updateParticipantItem(id);
+        }
+        this.updateHandOrder();
+    }
+    
+    // Everyone else keeps their place below the raised hands
+    updateHandOrder() {
+        const hands = Array.from(this.participants.values())
+            .filter(participant => participant.handRaisedAt)
+            .map(participant => ({ id: participant.id, raisedAt: participant.handRaisedAt }));
+        if (this.handRaisedAt) {
+            hands.push({ id: 'local', raisedAt: this.handRaisedAt });
+        }
+        hands.sort((a, b) => a.raisedAt - b.raisedAt);
+        const positions = new Map(hands.map(({ id }, index) => [id, index + 1]));
+        
+        document.querySelectorAll('#participantsList .participant-item').forEach(item => {
+            const position = positions.get(item.id.replace(/^participant-/, ''));
+            // The list is a flex column, so a negative order puts a hand above everyone without one
+            item.style.order = position ? position - hands.length - 1 : '';
+            item.querySelector('.status-hand').title = position ? `Hand raised (${position})` : '';
+        });
+    }
+    
+    // Polls and Q&A - the server keeps them and sends every change to everyone, see server/polls.js
+    sendPollOp(op) {
+        this.emitSealed('poll', op, (data, encryption) => this.sealPollText(data, encryption));
+    }
+    
+    addPollOption() {
+        const options = document.getElementById('pollOptions');
+        const count = options.children.length;
+        if (count >= MAX_POLL_OPTIONS) return;
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'poll-option-input';
+        input.placeholder = `Option ${count + 1}`;
+        input.maxLength = 100;
+        options.appendChild(input);
+        input.focus();
+        document.getElementById('addPollOption').classList.toggle('hidden', count + 1 >= MAX_POLL_OPTIONS);
+    }
+    
+    createPoll() {
+        const question = document.getElementById('pollQuestion').value.trim();
+        const options = Array.from(document.querySelectorAll('.poll-option-input'), input => input.value.trim()).filter(Boolean);
+        if (!question || options.length < 2) {
+            this.showToast('A poll needs a question and at least two options', 'error');
+            return;
+        }
+        
+        this.sendPollOp({
+            op: 'create',
+            question,
+            options,
+            multiple: document.getElementById('pollMultiple').checked,
+            anonymous: document.getElementById('pollAnonymous').checked
+        });
+        document.getElementById('pollForm').reset();
+        document.querySelectorAll('.poll-option-input').forEach((input, index) => {
+            if (index >= 2) input.remove();
+        });
+        document.getElementById('addPollOption').classList.remove('hidden');
+    }
+    
+    // Picking an option votes straight away; with several choices every ticked one counts
+    handlePollVote(e) {
+        const item = e.target.closest('.poll-item');
+        const poll = item && this.pollBook.polls.get(item.dataset.id);
+        if (!poll) return;
+        
+        const choices = Array.from(item.querySelectorAll('input:checked'), input => Number(input.value));
+        // The server never says which options were ours, so we remember them
+        this.pollBook.setPoll({ ...poll, choices }, poll.room);
+        this.sendPollOp({ op: 'vote', id: poll.id, choices });
+    }
+    
+    askQuestion() {
+        const input = document.getElementById('questionInput');
+        const text = input.value.trim();
+        if (!text) return;
+        
+        this.sendPollOp({ op: 'ask', text });
+        input.value = '';
+    }
+    
+    handlePollUpdate(update) {
+        if (update.op === 'poll') {
+            const isNew = !this.pollBook.polls.has(update.poll.id);
+            this.pollBook.setPoll(update.poll, this.roomId);
+            this.renderPolls();
+            if (isNew && !document.getElementById('pollsTab').classList.contains('active')) {
+                this.showToast(update.poll.question === null ? 'New poll' : `New poll: ${update.poll.question}`, 'info');
+            }
+        } else if (update.op === 'question') {
+            this.pollBook.setQuestion(update.question, this.roomId);
+            this.renderQuestions();
+        }
+    }
+    
+    // Newest poll first, each with a bar per option
+    renderPolls() {
+        const isHost = this.isHost();
+        document.getElementById('pollList').innerHTML = this.pollBook.pollsIn(this.roomId).reverse().map(poll => {
+            const details = [
+                poll.anonymous ? 'Anonymous' : null,
+                poll.multiple ? 'Several choices' : null,
+                poll.closed ? 'Closed' : null,
+                `${poll.voters} ${poll.voters === 1 ? 'vote' : 'votes'}`
+            ].filter(Boolean).join(' · ');
+            const options = poll.options.map((option, index) => {
+                const share = poll.voters ? Math.round(poll.counts[index] / poll.voters * 100) : 0;
+                const voters = poll.votes ? poll.votes.filter(vote => vote.choices.includes(index)).map(vote => vote.name) : [];
+                return `
+                    <label class="poll-option">
+                        <input type="${poll.multiple ? 'checkbox' : 'radio'}" name="poll-${poll.id}" value="${index}"
+                            ${poll.choices.includes(index) ? 'checked' : ''} ${poll.closed ? 'disabled' : ''}>
+                        <span class="poll-option-text">${this.escapeHtml(option === null ? '(encrypted)' : option)}</span>
+                        <span class="poll-count">${poll.counts[index]} (${share}%)</span>
+                        <span class="poll-bar"><span style="width: ${share}%"></span></span>
+                        ${voters.length ? `<span class="poll-voters">${this.escapeHtml(voters.join(', '))}</span>` : ''}
+                    </label>
+                `;
+            }).join('');
+            return `
+                <div class="poll-item${poll.closed ? ' closed' : ''}" data-id="${this.escapeHtml(poll.id)}">
+                    <div class="poll-question">${this.escapeHtml(poll.question === null ? '(encrypted poll)' : poll.question)}</div>
+                    <div class="poll-details">${details}</div>
+                    ${options}
+                    ${isHost && !poll.closed ? '<button type="button" class="link-btn" data-action="close">Close poll</button>' : ''}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    renderQuestions() {
+        const isHost = this.isHost();
+        document.getElementById('questionList').innerHTML = this.pollBook.questionsIn(this.roomId).map(question => {
+            const upvoted = question.upvoters.includes(this.authorId);
+            const answer = isHost ? `
+                <button data-action="answer" title="${question.answered ? 'Reopen' : 'Mark as answered'}">
+                    <i class="fas fa-${question.answered ? 'undo' : 'check'}"></i>
+                </button>
+            ` : '';
+            return `
+                <div class="question-item${question.answered ? ' answered' : ''}" data-id="${this.escapeHtml(question.id)}">
+                    <button class="question-upvote${upvoted ? ' active' : ''}" data-action="upvote" title="Upvote" ${question.answered ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-up"></i> ${question.upvoters.length}
+                    </button>
+                    <div class="question-body">
+                        <div class="question-text">${this.escapeHtml(question.text === null ? '(encrypted question)' : question.text)}</div>
+                        <div class="question-meta">${this.escapeHtml(question.authorName)}${question.answered ? ' · Answered' : ''}</div>
+                    </div>
+                    ${answer}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // Results of every poll and question in the rooms we have been in, breakouts included
+    exportPolls() {
+        if (this.pollBook.isEmpty) {
+            this.showToast('There are no polls or questions yet', 'info');
+            return;
+        }
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-');
+        const name = `polls-${this.mainRoomId || this.roomId}-${stamp}.csv`;
+        this.downloadFile(new File([this.pollBook.toCsv()], name, { type: 'text/csv' }));
+    }
+    
+    clearPolls() {
+        document.getElementById('pollList').innerHTML = '';
+        document.getElementById('questionList').innerHTML = '';
+    }
+    
     // Tab switching
     switchTab(tabName) {
         // Update tab buttons
         document.querySelectorAll('.tab-btn').forEach(btn => {
             btn.classList.remove('active');
         });
-        document.querySelector([data-tab="${tabName}"]).classList.add('active');
+        document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
         
         // Update tab content
         document.querySelectorAll('.tab-content').forEach(content => {
             content.classList.remove('active');
         });
-        document.getElementById(${tabName}Tab).classList.add('active');
+        document.getElementById(`${tabName}Tab`).classList.add('active');
+        
+        // The canvas has no size while its tab is hidden
+        if (tabName === 'whiteboard') {
+            this.whiteboard.resize();
+        }
     }
     
     // Utility functions
-    generateRoomId() {
-        return Math.random().toString(36).substr(2, 9).toUpperCase();
+    createId() {
+        return crypto.randomUUID();
     }
     
     escapeHtml(text) {
@@ -623,23 +4743,38 @@ class CollabConnect {
             info: 'fas fa-info-circle'
         };
         
-        icon.className = toast-icon ${icons[type]};
+        icon.className = `toast-icon ${icons[type]}`;
         messageSpan.textContent = message;
-        toast.className = toast ${type};
+        toast.className = `toast ${type}`;
         
         setTimeout(() => {
             toast.classList.add('hidden');
         }, 3000);
     }
     
+    // Shows the sign-in form, or the join form once signed in
     showAuthModal() {
+        const signedIn = Boolean(this.session);
         document.getElementById('authModal').classList.remove('hidden');
-        document.getElementById('displayName').focus();
+        document.getElementById('waitingView').classList.add('hidden');
+        document.getElementById('loginForm').classList.toggle('hidden', signedIn);
+        document.getElementById('authForm').classList.toggle('hidden', !signedIn);
+        document.getElementById('scheduleForm').classList.add('hidden');
+        
+        if (signedIn) {
+            document.getElementById('authUserName').textContent = this.session.user.displayName;
+            document.getElementById('roomId').focus();
+            this.startPreview();
+            this.loadMeetings();
+        } else {
+            document.getElementById('username').focus();
+            this.stopPreview();
+        }
     }
     
     updateConnectionStatus(status) {
         const statusEl = document.getElementById('connectionStatus');
-        statusEl.className = connection-status ${status};
+        statusEl.className = `connection-status ${status}`;
         
         const statusText = {
             connected: 'Connected',
@@ -650,24 +4785,140 @@ class CollabConnect {
         statusEl.querySelector('span').textContent = statusText[status];
     }
     
-    // Socket message handler (simulated)
+    // In encrypted rooms, events with sealed payloads are opened before they are handled
+    receiveSocketMessage(event, data) {
+        if (this.encryption && this.sealedEvents.includes(event)) {
+            this.receiveSealed(() => this.openSealedEvent(event, data), opened => this.handleSocketMessage(event, opened));
+        } else {
+            this.handleSocketMessage(event, data);
+        }
+    }
+    
+    // Socket message handler - room events from the server and other participants
     handleSocketMessage(event, data) {
         switch (event) {
-            case 'join-room':
-                console.log('Joined room:', data);
+            case 'room-state':
+                this.handleRoomState(data);
+                break;
+            case 'join-error':
+                this.handleJoinError(data);
+                break;
+            case 'waiting':
+                this.showWaitingRoom();
+                break;
+            case 'lobby-update':
+                this.handleLobbyUpdate(data);
+                break;
+            case 'host-changed':
+                this.handleHostChanged(data);
+                break;
+            case 'room-settings':
+                this.handleRoomSettings(data);
+                break;
+            case 'participant-updated':
+                this.handleParticipantUpdated(data);
+                break;
+            case 'recording-state':
+                this.handleRecordingState(data);
+                break;
+            case 'screen-share-state':
+                this.handleScreenShareState(data);
+                break;
+            case 'screen-share-denied':
+                this.handleScreenShareDenied(data);
+                break;
+            case 'captions-state':
+                this.handleCaptionsState(data);
+                break;
+            case 'annotations-state':
+                this.handleAnnotationsState(data);
+                break;
+            case 'poll':
+                this.handlePollUpdate(data);
+                break;
+            case 'hand-state':
+                this.handleHandState(data);
+                break;
+            case 'bot-notice':
+                this.showToast(`${data.bot}: ${data.text}`, 'info');
+                break;
+            case 'file-stored':
+                this.handleFileStored(data);
+                break;
+            case 'room-moved':
+                this.handleRoomMoved(data);
+                break;
+            case 'breakouts-state':
+                this.handleBreakoutsState(data);
+                break;
+            case 'breakout-help':
+                this.handleBreakoutHelp(data);
+                break;
+            case 'caption':
+                this.handleCaption(data);
+                break;
+            case 'annotation':
+                this.handleAnnotation(data);
+                break;
+            case 'control-request':
+                this.handleControlRequest(data);
+                break;
+            case 'control-denied':
+                this.handleControlDenied(data);
+                break;
+            case 'control-state':
+                this.handleControlState(data);
+                break;
+            case 'control-signal':
+                this.handleControlSignal(data);
+                break;
+            case 'moderated':
+                this.handleModerated(data);
+                break;
+            case 'removed':
+                this.handleRemoved(data);
+                break;
+            case 'invite-created':
+                this.copyInviteLink(data);
+                break;
+            case 'participant-joined':
+                this.handleParticipantJoined(data);
+                break;
+            case 'participant-left':
+                this.handleParticipantLeft(data);
+                break;
+            case 'signal':
+                this.handleSignal(data);
+                break;
+            case 'media-mode':
+                this.handleMediaModeChange(data);
+                break;
+            case 'sfu-offer':
+                this.handleSfuOffer(data);
+                break;
+            case 'sfu-answer':
+                this.handleSfuAnswer(data);
+                break;
+            case 'sfu-error':
+                this.showToast(data.message, 'error');
                 break;
             case 'chat-message':
-                if (data.sender !== this.displayName) {
-                    this.addChatMessage(data);
-                }
+                this.handleChatMessage(data);
                 break;
             case 'whiteboard-draw':
-                // Handle remote drawing
+                this.handleRemoteDraw(data);
+                break;
+            case 'whiteboard-clear':
+                this.clearWhiteboardCanvas();
                 break;
             case 'file-share':
-                if (data.uploader !== this.displayName) {
-                    this.addFileToList(data);
-                }
+                this.addFileToList(data);
+                break;
+            case 'file-signal':
+                this.fileTransfers.handleSignal(data);
+                break;
+            case 'e2ee-key':
+                this.handleRoomKey(data);
                 break;
         }
     }
@@ -675,11 +4926,18 @@ class CollabConnect {
     // Cleanup functions
     clearChat() {
         document.getElementById('chatMessages').innerHTML = '';
+        this.chatMessages.clear();
+        this.setChatComposer(null);
     }
     
     clearFiles() {
         document.getElementById('fileList').innerHTML = '';
+        this.pendingShares.forEach(abort => abort.abort());
+        this.fileTransfers.reset();
         this.sharedFiles.clear();
+        this.fileBlobs.clear();
+        this.filePreviewUrls.forEach(url => URL.revokeObjectURL(url));
+        this.filePreviewUrls.clear();
     }
     
     clearParticipants() {
@@ -692,14 +4950,17 @@ document.addEventListener('DOMContentLoaded', () => {
     window.collabConnect = new CollabConnect();
 });
 
-// Handle page visibility for connection management
+// Browsers throttle background tabs, so a connection that dropped while the
+// page was hidden is retried as soon as it is shown again
 document.addEventListener('visibilitychange', () => {
+    if (window.collabConnect && !document.hidden) {
+        window.collabConnect.reconnectNow();
+    }
+});
+
+window.addEventListener('online', () => {
     if (window.collabConnect) {
-        if (document.hidden) {
-            console.log('Page hidden - maintaining connection');
-        } else {
-            console.log('Page visible - refreshing connection');
-        }
+        window.collabConnect.reconnectNow();
     }
 });
 
@@ -0,0 +1,173 @@
+// CollabConnect - Who may join which room
+// Rooms are created by a signed-in user, get a random ID and may have a
+// password. The record is saved under the data directory so a room keeps its
+// password (and owner) after everyone has left.
+//
+// Rooms can also be end-to-end encrypted (see e2ee.js). That choice is made
+// when the room is created and kept with it:
+//   { mode: 'exchange' }                     the host hands out a random key
+//   { mode: 'passphrase', salt, keyCheck }   everyone derives the key from a passphrase;
+//                                            `keyCheck` is derived alongside it, so a
+//                                            wrong passphrase is turned away at the door
+//
+// A room can be made persistent, so its whiteboard and stored files are kept
+// between sessions (see room-store.js), and given a name. Scheduled meetings
+// are persistent rooms with a `meeting`: { title, startsAt, duration, agenda, invitees },
+// where `invitees` are usernames.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { hashPassword, verifyPassword } = require('./auth');
+
+// No 0/O or 1/I, so IDs can be read out loud
+const ROOM_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// 12 characters is 60 bits, far too many to guess
+const ROOM_ID_LENGTH = 12;
+const MAX_PASSWORD_LENGTH = 256;
+const SALT_PATTERN = /^[A-Za-z0-9+/]{22}==$/;
+const KEY_CHECK_PATTERN = /^[0-9a-f]{32}$/;
+const MAX_ROOM_NAME_LENGTH = 80;
+const MAX_AGENDA_LENGTH = 4000;
+const MAX_INVITEES = 200;
+// Meetings can be up to a day long and scheduled up to two years ahead
+const MAX_MEETING_DURATION = 24 * 60 * 60 * 1000;
+const MAX_SCHEDULE_AHEAD = 2 * 365 * 24 * 60 * 60 * 1000;
+
+function generateRoomId() {
+    let id = '';
+    for (let i = 0; i < ROOM_ID_LENGTH; i++) {
+        id += ROOM_ID_ALPHABET[crypto.randomInt(ROOM_ID_ALPHABET.length)];
+    }
+    return id;
+}
+
+class RoomAccessStore {
+    // Without `dir`, rooms are forgotten when the server restarts
+    constructor(dir = null) {
+        this.file = dir ? path.join(dir, 'rooms.json') : null;
+        // room id -> { id, ownerId, passwordHash, e2ee, name, persistent, meeting, createdAt }
+        this.rooms = new Map(this.load().map(room => [room.id, room]));
+    }
+    
+    load() {
+        if (!this.file) return [];
+        
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error('Could not load room access list:', err);
+            }
+            return [];
+        }
+    }
+    
+    save() {
+        if (!this.file) return;
+        
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify(Array.from(this.rooms.values())));
+        } catch (err) {
+            console.error('Could not save room access list:', err);
+        }
+    }
+    
+    get(id) {
+        return this.rooms.get(id) || null;
+    }
+    
+    // An empty `password` leaves the room open to anyone who knows its ID.
+    // `e2ee` is null for an unencrypted room; check it with parseEncryption first,
+    // and `meeting` with parseMeeting. Meetings are always persistent.
+    async create(ownerId, password = '', e2ee = null, { name = '', persistent = false, meeting = null } = {}) {
+        const passwordHash = password ? await hashPassword(password.slice(0, MAX_PASSWORD_LENGTH)) : null;
+        
+        let id = generateRoomId();
+        while (this.rooms.has(id)) {
+            id = generateRoomId();
+        }
+        
+        const room = {
+            id,
+            ownerId,
+            passwordHash,
+            e2ee,
+            name: cleanRoomName(meeting ? meeting.title : name) || null,
+            persistent: Boolean(persistent || meeting),
+            meeting,
+            createdAt: Date.now()
+        };
+        this.rooms.set(id, room);
+        this.save();
+        return room;
+    }
+    
+    // Meetings `user` owns or is invited to that have not ended yet, soonest first
+    listMeetings(user) {
+        const username = (user.username || '').toLowerCase();
+        const now = Date.now();
+        return Array.from(this.rooms.values())
+            .filter(({ meeting, ownerId }) => meeting && meeting.startsAt + meeting.duration > now &&
+                (ownerId === user.id || (username && meeting.invitees.some(invitee => invitee.toLowerCase() === username))))
+            .sort((a, b) => a.meeting.startsAt - b.meeting.startsAt);
+    }
+    
+    async checkPassword(room, password) {
+        if (!room.passwordHash) return true;
+        if (typeof password !== 'string' || !password || password.length > MAX_PASSWORD_LENGTH) return false;
+        
+        return verifyPassword(password, room.passwordHash);
+    }
+    
+    // Passphrase rooms only let in clients that derived the same key
+    checkPassphrase(room, keyCheck) {
+        if (!room.e2ee || room.e2ee.mode !== 'passphrase') return true;
+        if (typeof keyCheck !== 'string' || !KEY_CHECK_PATTERN.test(keyCheck)) return false;
+        
+        return crypto.timingSafeEqual(Buffer.from(keyCheck), Buffer.from(room.e2ee.keyCheck));
+    }
+}
+
+// The encryption settings a client asked for when creating a room; null for none, undefined if invalid
+function parseEncryption(e2ee) {
+    if (!e2ee) return null;
+    if (e2ee.mode === 'exchange') return { mode: 'exchange' };
+    if (e2ee.mode === 'passphrase' && typeof e2ee.salt === 'string' && SALT_PATTERN.test(e2ee.salt) &&
+        typeof e2ee.keyCheck === 'string' && KEY_CHECK_PATTERN.test(e2ee.keyCheck)) {
+        return { mode: 'passphrase', salt: e2ee.salt, keyCheck: e2ee.keyCheck };
+    }
+    return undefined;
+}
+
+// The meeting a client asked to schedule, cleaned up; undefined if invalid.
+// `startsAt` is a timestamp and `duration` is in minutes.
+function parseMeeting(data) {
+    if (!data || typeof data.title !== 'string' || !cleanRoomName(data.title)) return undefined;
+    
+    const startsAt = Number(data.startsAt);
+    const duration = Number(data.duration) * 60 * 1000;
+    const now = Date.now();
+    if (!Number.isInteger(startsAt) || startsAt > now + MAX_SCHEDULE_AHEAD) return undefined;
+    if (!(duration > 0 && duration <= MAX_MEETING_DURATION) || startsAt + duration <= now) return undefined;
+    if (data.agenda !== undefined && typeof data.agenda !== 'string') return undefined;
+    if (data.invitees !== undefined && (!Array.isArray(data.invitees) || data.invitees.length > MAX_INVITEES ||
+        !data.invitees.every(invitee => typeof invitee === 'string'))) return undefined;
+    
+    const invitees = (data.invitees || []).map(invitee => invitee.trim()).filter(Boolean);
+    return {
+        title: cleanRoomName(data.title),
+        startsAt,
+        duration,
+        agenda: (data.agenda || '').trim().slice(0, MAX_AGENDA_LENGTH),
+        invitees: Array.from(new Set(invitees.map(invitee => invitee.slice(0, MAX_ROOM_NAME_LENGTH))))
+    };
+}
+
+function cleanRoomName(name) {
+    return typeof name === 'string' ? name.trim().slice(0, MAX_ROOM_NAME_LENGTH) : '';
+}
+
+module.exports = { RoomAccessStore, generateRoomId, parseEncryption, parseMeeting };
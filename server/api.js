@@ -0,0 +1,184 @@
+// CollabConnect - HTTP endpoints for signing in
+//   POST /api/register  { username, password, displayName } -> { token, user }
+//   POST /api/login     { username, password }              -> { token, user }
+//   GET  /api/session   (Authorization: Bearer <token>)     -> { user }
+//   GET  /api/providers                                      -> { oidc: { name } | null }
+//   GET  /api/oidc/login, /api/oidc/callback                 OIDC redirect flow
+//   POST /api/meetings  { title, startsAt, duration, agenda, invitees, password } -> { meeting }
+//   GET  /api/meetings                                       -> { meetings }
+// After an OIDC sign-in the browser is sent back to /#session=<token>.
+// Meeting requests need the session token like /api/session; see describeMeeting
+// for what they return.
+
+const crypto = require('crypto');
+
+const { AuthError } = require('./auth');
+const { CALLBACK_PATH } = require('./oidc');
+const { parseMeeting } = require('./access');
+
+const MAX_BODY_SIZE = 16 * 1024;
+// How long someone has to finish signing in with the OIDC provider
+const OIDC_STATE_TTL = 10 * 60 * 1000;
+const STATE_COOKIE = 'collabconnect-oidc-state';
+// A meeting's invite link keeps working this long (ms) after it was due to end
+const MEETING_INVITE_GRACE = 60 * 60 * 1000;
+
+// Returns a request handler that answers /api/ requests and returns false for anything else.
+// `roomAccess` (a RoomAccessStore) is where scheduled meetings are kept.
+function createApiHandler(auth, oidc = null, roomAccess = null) {
+    const routes = {
+        'POST /api/register': async (req, res) => sendJson(res, 200, await auth.register(await readJson(req))),
+        'POST /api/login': async (req, res) => sendJson(res, 200, await auth.login(await readJson(req))),
+        'GET /api/session': async (req, res) => sendJson(res, 200, { user: auth.publicUser(requireUser(auth, req)) }),
+        'GET /api/providers': async (req, res) => sendJson(res, 200, { oidc: oidc ? { name: oidc.name } : null }),
+        'GET /api/oidc/login': async (req, res) => {
+            if (!oidc) throw new AuthError('Single sign-on is not configured', 404);
+            
+            // The state ties the callback to this browser, so nobody can sign
+            // someone else in to an account of their choosing
+            const nonce = crypto.randomBytes(16).toString('base64url');
+            const state = auth.signer.sign('oidc-state', { nonce }, OIDC_STATE_TTL);
+            res.setHeader('Set-Cookie', `${STATE_COOKIE}=${nonce}; Path=/api/oidc; HttpOnly; SameSite=Lax; Max-Age=${OIDC_STATE_TTL / 1000}`);
+            redirect(res, await oidc.getAuthorizationUrl(state));
+        },
+        [`GET ${CALLBACK_PATH}`]: async (req, res, url) => {
+            const payload = auth.signer.verify(url.searchParams.get('state'), 'oidc-state');
+            const nonce = readCookie(req, STATE_COOKIE);
+            res.setHeader('Set-Cookie', `${STATE_COOKIE}=; Path=/api/oidc; HttpOnly; SameSite=Lax; Max-Age=0`);
+            
+            if (!oidc || !payload || !nonce || payload.nonce !== nonce || !url.searchParams.get('code')) {
+                redirect(res, `/#auth-error=${encodeURIComponent('Sign-in expired, please try again')}`);
+                return;
+            }
+            
+            try {
+                const { token } = auth.loginWithIdentity(await oidc.exchangeCode(url.searchParams.get('code')));
+                redirect(res, `/#session=${token}`);
+            } catch (err) {
+                console.error('OIDC sign-in failed:', err);
+                redirect(res, `/#auth-error=${encodeURIComponent('Single sign-on failed')}`);
+            }
+        }
+    };
+    
+    if (roomAccess) {
+        // Scheduling creates the meeting's room right away, so the link in the invite works from the start
+        routes['POST /api/meetings'] = async (req, res) => {
+            const user = requireUser(auth, req);
+            const data = await readJson(req);
+            const meeting = parseMeeting(data);
+            if (!meeting) throw new AuthError('Meetings need a title, a start time that has not passed and a duration of up to a day');
+            
+            const password = typeof data.password === 'string' ? data.password : '';
+            const room = await roomAccess.create(user.id, password, null, { meeting });
+            sendJson(res, 200, { meeting: describeMeeting(auth, room, user) });
+        };
+        routes['GET /api/meetings'] = async (req, res) => {
+            const user = requireUser(auth, req);
+            sendJson(res, 200, { meetings: roomAccess.listMeetings(user).map(room => describeMeeting(auth, room, user)) });
+        };
+    }
+    
+    // The mock provider's stand-in sign-in page
+    if (oidc && oidc.renderAuthorizePage) {
+        routes['GET /api/oidc/mock/authorize'] = async (req, res, url) => {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(oidc.renderAuthorizePage(url.searchParams));
+        };
+        routes['GET /api/oidc/mock/approve'] = async (req, res, url) => redirect(res, oidc.approve(url.searchParams));
+    }
+    
+    return function handleApi(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (!url.pathname.startsWith('/api/')) return false;
+        
+        const route = routes[`${req.method} ${url.pathname}`];
+        if (!route) {
+            sendJson(res, 404, { error: 'Not found' });
+            return true;
+        }
+        
+        route(req, res, url).catch(err => {
+            if (err instanceof AuthError) {
+                sendJson(res, err.status, { error: err.message });
+            } else {
+                console.error(`API error on ${url.pathname}:`, err);
+                sendJson(res, 500, { error: 'Something went wrong' });
+            }
+        });
+        return true;
+    };
+}
+
+// The user whose session token is in the Authorization header
+function requireUser(auth, req) {
+    const header = req.headers.authorization || '';
+    const user = auth.verifySession(header.replace(/^Bearer /, ''));
+    if (!user) throw new AuthError('Not signed in', 401);
+    return user;
+}
+
+// { roomId, title, startsAt, duration, agenda, invitees, isOwner, invite }, with times
+// in ms and an invite token that lets invitees past the room's password until
+// shortly after the meeting ends
+function describeMeeting(auth, room, user) {
+    const { title, startsAt, duration, agenda, invitees } = room.meeting;
+    const { token } = auth.createInvite(room.id, startsAt + duration + MEETING_INVITE_GRACE - Date.now());
+    return {
+        roomId: room.id,
+        title,
+        startsAt,
+        duration,
+        agenda,
+        invitees,
+        isOwner: room.ownerId === user.id,
+        invite: token
+    };
+}
+
+// Resolves with the request's JSON body, which must be an object
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new AuthError('Request too large', 413));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            let data;
+            try {
+                data = JSON.parse(body);
+            } catch (err) {
+                reject(new AuthError('Invalid JSON'));
+                return;
+            }
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                reject(new AuthError('Expected a JSON object'));
+                return;
+            }
+            resolve(data);
+        });
+        req.on('error', reject);
+    });
+}
+
+function readCookie(req, name) {
+    const cookie = (req.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+    return cookie ? cookie.slice(name.length + 1) : null;
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(data));
+}
+
+function redirect(res, location) {
+    res.writeHead(302, { Location: location, 'Cache-Control': 'no-store' });
+    res.end();
+}
+
+module.exports = { createApiHandler, requireUser, sendJson };
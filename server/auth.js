@@ -0,0 +1,257 @@
+// CollabConnect - Accounts and signed tokens
+// People sign in with a local username and password or through an OIDC
+// provider (see oidc.js). Either way they get a session token signed with the
+// server secret, which the signaling server checks on every join-room. Invite
+// links carry the same kind of token, scoped to one room.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+const MAX_NAME_LENGTH = 50;
+const KEY_LENGTH = 64;
+
+// Rejected sign-ins and registrations; `status` is the HTTP status to answer with
+class AuthError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+// Passwords are stored as `salt:key` (both hex) from scrypt
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [salt, key] = String(stored).split(':');
+    if (!salt || !key) return false;
+    
+    const expected = Buffer.from(key, 'hex');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// The signing secret comes from AUTH_SECRET, or is generated once and kept
+// under the data directory so sessions survive a restart
+function loadSecret(dir) {
+    if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+    if (!dir) return crypto.randomBytes(32).toString('hex');
+    
+    const file = path.join(dir, 'auth-secret');
+    try {
+        return fs.readFileSync(file, 'utf8').trim();
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+    
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, secret, { mode: 0o600 });
+    return secret;
+}
+
+// Tokens are `<base64url JSON payload>.<base64url HMAC-SHA256>`; every payload
+// has a `type` so a token issued for one purpose is never accepted for another
+class TokenSigner {
+    constructor(secret) {
+        this.secret = secret;
+    }
+    
+    sign(type, payload, ttl) {
+        const body = Buffer.from(JSON.stringify({ ...payload, type, exp: Date.now() + ttl })).toString('base64url');
+        return `${body}.${this.signature(body)}`;
+    }
+    
+    // Returns the payload, or null if the token is malformed, forged, expired or of another type
+    verify(token, type) {
+        if (typeof token !== 'string' || token.length > 4096) return null;
+        
+        const [body, signature] = token.split('.');
+        if (!body || !signature) return null;
+        
+        const expected = Buffer.from(this.signature(body));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+        
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        } catch (err) {
+            return null;
+        }
+        return payload && payload.type === type && payload.exp > Date.now() ? payload : null;
+    }
+    
+    signature(body) {
+        return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+    }
+}
+
+// Accounts, saved as one JSON file under the data directory
+class UserStore {
+    // Without `dir`, accounts only last as long as the server process
+    constructor(dir = null) {
+        this.file = dir ? path.join(dir, 'users.json') : null;
+        // user id -> user
+        this.users = new Map(this.load().map(user => [user.id, user]));
+    }
+    
+    load() {
+        if (!this.file) return [];
+        
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error('Could not load user accounts:', err);
+            }
+            return [];
+        }
+    }
+    
+    save() {
+        if (!this.file) return;
+        
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify(Array.from(this.users.values())), { mode: 0o600 });
+        } catch (err) {
+            console.error('Could not save user accounts:', err);
+        }
+    }
+    
+    get(id) {
+        return this.users.get(id) || null;
+    }
+    
+    findByUsername(username) {
+        const key = username.toLowerCase();
+        return Array.from(this.users.values()).find(user => user.username && user.username.toLowerCase() === key) || null;
+    }
+    
+    // Accounts created through an OIDC provider are keyed by its issuer and subject
+    findByIdentity(issuer, subject) {
+        return Array.from(this.users.values()).find(user =>
+            user.identity && user.identity.issuer === issuer && user.identity.subject === subject) || null;
+    }
+    
+    add(fields) {
+        const user = { id: crypto.randomUUID(), createdAt: Date.now(), ...fields };
+        this.users.set(user.id, user);
+        this.save();
+        return user;
+    }
+}
+
+class Auth {
+    constructor(users, signer) {
+        this.users = users;
+        this.signer = signer;
+        // Compared against when a username is unknown so failed sign-ins all take as long
+        this.dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    
+    async register({ username, password, displayName } = {}) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new AuthError('Usernames are 3-32 letters, digits, dots, dashes or underscores');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+            throw new AuthError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        const name = this.cleanName(displayName) || username;
+        if (this.users.findByUsername(username)) {
+            throw new AuthError('That username is taken', 409);
+        }
+        
+        const passwordHash = await hashPassword(password);
+        // Checked again in case the same name was registered while hashing
+        if (this.users.findByUsername(username)) {
+            throw new AuthError('That username is taken', 409);
+        }
+        return this.createSession(this.users.add({ username, displayName: name, passwordHash }));
+    }
+    
+    async login({ username, password } = {}) {
+        if (typeof username !== 'string' || typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+            throw new AuthError('Wrong username or password', 401);
+        }
+        
+        const user = this.users.findByUsername(username);
+        if (!user || !user.passwordHash) {
+            await verifyPassword(password, await this.dummyHash);
+            throw new AuthError('Wrong username or password', 401);
+        }
+        if (!(await verifyPassword(password, user.passwordHash))) {
+            throw new AuthError('Wrong username or password', 401);
+        }
+        return this.createSession(user);
+    }
+    
+    // `identity` ({ issuer, subject, name }) comes from an OIDC provider;
+    // the first sign-in creates the account
+    loginWithIdentity({ issuer, subject, name }) {
+        if (!issuer || !subject) {
+            throw new AuthError('The identity provider did not return a user', 502);
+        }
+        
+        const user = this.users.findByIdentity(issuer, String(subject)) ||
+            this.users.add({ displayName: this.cleanName(name) || 'Guest', identity: { issuer, subject: String(subject) } });
+        return this.createSession(user);
+    }
+    
+    createSession(user) {
+        return {
+            token: this.signer.sign('session', { sub: user.id }, SESSION_TTL),
+            user: this.publicUser(user)
+        };
+    }
+    
+    // The signed-in user for a session token, or null
+    verifySession(token) {
+        const payload = this.signer.verify(token, 'session');
+        return payload ? this.users.get(payload.sub) : null;
+    }
+    
+    // Invite links let people into one room without its password until they expire
+    createInvite(roomId, ttl) {
+        const expiresAt = Date.now() + ttl;
+        return { token: this.signer.sign('invite', { room: roomId }, ttl), expiresAt };
+    }
+    
+    verifyInvite(token, roomId) {
+        const payload = this.signer.verify(token, 'invite');
+        return Boolean(payload) && payload.room === roomId;
+    }
+    
+    // What clients get to see of an account
+    publicUser(user) {
+        return {
+            id: user.id,
+            username: user.username || null,
+            displayName: user.displayName
+        };
+    }
+    
+    cleanName(name) {
+        return typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    }
+}
+
+// The account id stays private; others in a room only see a hash of it
+function authorIdFor(user) {
+    return crypto.createHash('sha256').update(user.id).digest('hex').slice(0, 16);
+}
+
+module.exports = { Auth, AuthError, UserStore, TokenSigner, hashPassword, verifyPassword, loadSecret, authorIdFor };
@@ -0,0 +1,303 @@
+// CollabConnect - Server-side bots and outgoing webhooks
+// Bots are plugins loaded from server/bots/ and from BOTS_DIR, one module each:
+//   module.exports = { name: 'standup', displayName: 'Standup', setup(bot) { ... } };
+// `setup` gets a Bot (below) to follow room events, answer slash commands typed
+// in chat and post chat messages, polls and files. Room events can also be
+// POSTed to a webhook (see Webhook) for services running outside the server.
+// The server cannot read encrypted rooms, so bots and webhooks only hear about
+// people joining and leaving those, and cannot post in them.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { hashFile } = require('./file-hash');
+
+// Events bots and webhooks get, with what they carry besides the room:
+//   participant-joined, participant-left  { participant }
+//   chat-message                          the update from ChatHistory.apply
+//   poll                                  the update from RoomPolls.apply
+//   file-share                            { file }
+//   hand-state                            { participant, raisedAt }
+// Only these are sent for encrypted rooms
+const MEMBERSHIP_EVENTS = ['participant-joined', 'participant-left'];
+// "/name arguments" at the start of a chat message
+const COMMAND_PATTERN = /^\/([a-z][a-z0-9-]{0,31})(?:\s+([\s\S]*))?$/;
+const BOT_NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+// A webhook delivery is given up after this long (ms)
+const WEBHOOK_TIMEOUT = 5000;
+
+// What bots and webhooks see of a room and its participants
+function describeRoom(room) {
+    return { id: room.id, name: room.name, mainId: room.parentId, encrypted: Boolean(room.e2ee) };
+}
+
+function describeParticipant(participant) {
+    return { id: participant.id, displayName: participant.displayName, authorId: participant.authorId };
+}
+
+class BotHost {
+    // `io` is the Socket.io server and `rooms` the RoomManager. `webhook` (a Webhook)
+    // is optional, and `maxFileSize` is the largest file a bot can post.
+    constructor(io, rooms, { webhook = null, maxFileSize = 0 } = {}) {
+        this.io = io;
+        this.rooms = rooms;
+        this.webhook = webhook;
+        this.maxFileSize = maxFileSize;
+        // bot name -> Bot
+        this.bots = new Map();
+        // command name -> { bot, description, handler }
+        this.commands = new Map();
+    }
+    
+    // Loads every .js file in `dir` as a bot; a missing directory has none
+    load(dir) {
+        let files;
+        try {
+            files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`Could not read the bots in ${dir}:`, err);
+            }
+            return;
+        }
+        
+        files.forEach(file => {
+            try {
+                this.register(require(path.join(dir, file)));
+            } catch (err) {
+                console.error(`Could not load the bot in ${file}:`, err);
+            }
+        });
+    }
+    
+    register(plugin) {
+        if (!plugin || !BOT_NAME_PATTERN.test(plugin.name) || typeof plugin.setup !== 'function') {
+            throw new Error('A bot needs a name (lowercase letters, digits and dashes) and a setup function');
+        }
+        if (this.bots.has(plugin.name)) throw new Error(`There is already a bot called ${plugin.name}`);
+        
+        const bot = new Bot(this, plugin);
+        this.bots.set(bot.name, bot);
+        plugin.setup(bot);
+        console.log(`Bot ${bot.name} loaded`);
+        return bot;
+    }
+    
+    addCommand(bot, name, description, handler) {
+        if (!BOT_NAME_PATTERN.test(name)) throw new Error(`/${name} is not a valid command name`);
+        if (this.commands.has(name)) throw new Error(`/${name} already belongs to the ${this.commands.get(name).bot.name} bot`);
+        
+        this.commands.set(name, { bot, description: String(description || ''), handler });
+    }
+    
+    // The commands people can type in `room`'s chat, for the client's suggestions
+    listCommands(room) {
+        if (room.e2ee) return [];
+        return Array.from(this.commands.entries(), ([name, { description }]) => ({ name, description }));
+    }
+    
+    // Runs the bot command in a chat message `participant` is sending, if there
+    // is one. Returns false for anything else, which is then sent as a message.
+    runCommand(room, participant, { text, threadId }) {
+        const match = typeof text === 'string' && COMMAND_PATTERN.exec(text.trim());
+        const command = match && !room.e2ee && this.commands.get(match[1]);
+        if (!command) return false;
+        
+        const context = {
+            room,
+            participant: describeParticipant(participant),
+            args: (match[2] || '').trim(),
+            isHost: room.hostId === participant.id,
+            // Answers in the room's chat, in the thread the command was typed in
+            reply: reply => command.bot.say(room, reply, threadId),
+            // Only tells whoever typed the command
+            notify: notice => this.io.to(participant.id).emit('bot-notice', { bot: command.bot.displayName, text: String(notice) })
+        };
+        Promise.resolve()
+            .then(() => command.handler(context))
+            .catch(err => {
+                console.error(`The ${command.bot.name} bot failed on /${match[1]}:`, err);
+                context.notify('Something went wrong');
+            });
+        return true;
+    }
+    
+    // Hands a room event to every bot following it but `except`, and to the webhook
+    publish(room, event, data = {}, except = null) {
+        if (room.e2ee && !MEMBERSHIP_EVENTS.includes(event)) return;
+        
+        this.bots.forEach(bot => {
+            if (bot !== except) bot.dispatch(event, room, data);
+        });
+        if (this.webhook) {
+            this.webhook.send({ event, room: describeRoom(room), ...data, sentAt: Date.now() });
+        }
+    }
+    
+    // Whether `room` is still open; bots may hold on to rooms that have closed since
+    isOpen(room) {
+        return this.rooms.get(room.id) === room;
+    }
+}
+
+// What a bot's setup gets to work with
+class Bot {
+    constructor(host, { name, displayName }) {
+        this.host = host;
+        this.name = name;
+        this.displayName = String(displayName || name);
+        // Whom its messages and polls come from. The author id cannot clash with a
+        // person's, which are hex hashes (see authorIdFor).
+        this.author = { authorId: `bot:${name}`, displayName: this.displayName, bot: true };
+        // event -> handlers
+        this.handlers = new Map();
+    }
+    
+    // `handler({ room, ...data })` is called for each `event` (see the list at the
+    // top) in any room. `room` is the Room, with `id`, `name` and `participants`.
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, []);
+        }
+        this.handlers.get(event).push(handler);
+    }
+    
+    // `handler(context)` runs when someone types "/name arguments" in a chat. The
+    // context has `room`, `participant`, `args` (the rest of the message),
+    // `isHost`, `reply(text)` to answer in the chat and `notify(text)` to tell only
+    // the participant. The command itself is not posted. `description` shows in the
+    // chat's suggestions, e.g. 'Start a poll: /poll Question | Option | Option'.
+    command(name, description, handler) {
+        this.host.addCommand(this, name, description, handler);
+    }
+    
+    dispatch(event, room, data) {
+        (this.handlers.get(event) || []).forEach(handler => {
+            Promise.resolve()
+                .then(() => handler({ room, ...data }))
+                .catch(err => console.error(`The ${this.name} bot failed on ${event}:`, err));
+        });
+    }
+    
+    // Open, unencrypted rooms - the ones a bot can post in
+    listRooms() {
+        return Array.from(this.host.rooms.rooms.values()).filter(room => !room.e2ee);
+    }
+    
+    getRoom(roomId) {
+        const room = this.host.rooms.get(roomId);
+        return room && !room.e2ee ? room : null;
+    }
+    
+    // Posts a chat message (Markdown, like people's) and returns it, or null if
+    // the room has closed, is encrypted or the text is empty or too long
+    say(room, text, threadId = null) {
+        if (!this.canPost(room)) return null;
+        
+        const update = room.chat.apply({ op: 'send', text: String(text), threadId }, this.author);
+        if (!update) return null;
+        
+        this.host.io.to(room.id).emit('chat-message', update);
+        if (!room.parentId) {
+            this.host.rooms.chatStore.save(room.id);
+        }
+        this.host.publish(room, 'chat-message', update, this);
+        return update.message;
+    }
+    
+    // Starts a poll as if the host had, see RoomPolls.create
+    createPoll(room, { question, options, multiple = false, anonymous = false }) {
+        if (!this.canPost(room)) return null;
+        
+        const update = room.polls.apply({ op: 'create', question, options, multiple, anonymous }, this.author, true);
+        if (!update) return null;
+        
+        this.host.io.to(room.id).emit('poll', update);
+        this.host.publish(room, 'poll', update, this);
+        return update.poll;
+    }
+    
+    // Posts a file to the room's Files tab. Bots have no device for people to fetch
+    // it from, so it is kept on the server like the files of persistent rooms (see
+    // room-files.js) until the room closes. `data` is a Buffer or a string.
+    async shareFile(room, { name, type = 'application/octet-stream', data }) {
+        const store = this.host.rooms.contentStore;
+        const bytes = Buffer.from(data);
+        if (!this.canPost(room)) throw new Error('Bots cannot post in this room');
+        if (!store.canStoreFiles) throw new Error('The server does not keep files');
+        if (bytes.length > this.host.maxFileSize) throw new Error('File too large');
+        if (typeof name !== 'string' || !name.trim()) throw new Error('A file needs a name');
+        
+        const file = {
+            id: crypto.randomUUID(),
+            size: bytes.length,
+            name: name.trim(),
+            type: String(type),
+            hash: hashFile(bytes),
+            uploader: this.displayName,
+            from: this.author.authorId,
+            stored: true
+        };
+        const target = store.filePath(room.id, file.id);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(target, bytes);
+        // Closed while the file was being written
+        if (!this.host.isOpen(room)) {
+            await fs.promises.unlink(target).catch(() => {});
+            throw new Error('The room has closed');
+        }
+        
+        room.addFile(file);
+        this.host.io.to(room.id).emit('file-share', file);
+        if (room.persistent) {
+            store.save(room);
+        }
+        this.host.publish(room, 'file-share', { file }, this);
+        return file;
+    }
+    
+    // Calls `callback()` in `delay` ms, unless the room has closed by then
+    later(room, delay, callback) {
+        return setTimeout(() => {
+            if (!this.host.isOpen(room)) return;
+            Promise.resolve()
+                .then(callback)
+                .catch(err => console.error(`The ${this.name} bot failed on a timer:`, err));
+        }, delay);
+    }
+    
+    canPost(room) {
+        return Boolean(room) && !room.e2ee && this.host.isOpen(room);
+    }
+}
+
+// POSTs each event as JSON ({ event, room, ...data, sentAt }) to `url`. With a
+// `secret`, X-CollabConnect-Signature is "sha256=" and the body's HMAC-SHA256 in
+// hex, so the receiver can tell the request came from this server. `events`
+// limits what is sent; without it everything is.
+class Webhook {
+    constructor(url, { secret = null, events = null } = {}) {
+        this.url = url;
+        this.secret = secret;
+        this.events = events;
+    }
+    
+    send(payload) {
+        if (this.events && !this.events.includes(payload.event)) return;
+        
+        const body = JSON.stringify(payload);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.secret) {
+            headers['X-CollabConnect-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+        }
+        // Nothing waits for it, and a failed delivery is not retried
+        fetch(this.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT) })
+            .then(res => {
+                if (!res.ok) console.error(`The webhook answered ${res.status} to ${payload.event}`);
+            })
+            .catch(err => console.error(`Could not deliver ${payload.event} to the webhook:`, err.message));
+    }
+}
+
+module.exports = { BotHost, Webhook, describeParticipant };
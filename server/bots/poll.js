@@ -0,0 +1,40 @@
+// CollabConnect bot - /poll starts a poll from the chat
+//   /poll Where shall we eat? | Pizza | Sushi | Tacos
+// Like polls from the Polls tab, only the host can start one. Add "--multiple"
+// or "--anonymous" before the question to allow several choices or hide voters.
+
+module.exports = {
+    name: 'poll',
+    displayName: 'Polls',
+    setup(bot) {
+        bot.command('poll', 'Start a poll: /poll Question | Option | Option', ({ room, args, isHost, notify }) => {
+            if (!isHost) {
+                notify('Only the host can start a poll');
+                return;
+            }
+            
+            const flags = new Set();
+            let text = args;
+            let match;
+            while ((match = /^--(multiple|anonymous)\s+/.exec(text))) {
+                flags.add(match[1]);
+                text = text.slice(match[0].length);
+            }
+            const [question, ...options] = text.split('|').map(part => part.trim());
+            if (!question || options.filter(Boolean).length < 2) {
+                notify('Usage: /poll Question | Option | Option');
+                return;
+            }
+            
+            const poll = bot.createPoll(room, {
+                question,
+                options: options.filter(Boolean),
+                multiple: flags.has('multiple'),
+                anonymous: flags.has('anonymous')
+            });
+            if (!poll) {
+                notify('Could not start that poll - it may have too many options or too much text');
+            }
+        });
+    }
+};
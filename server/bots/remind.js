@@ -0,0 +1,24 @@
+// CollabConnect bot - /remind posts a reminder in the chat after a while
+//   /remind 10m Wrap up the demo
+// The delay is a number with s, m or h. Reminders are forgotten if the room closes first.
+
+const MAX_DELAY = 24 * 60 * 60 * 1000;
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+module.exports = {
+    name: 'remind',
+    displayName: 'Reminders',
+    setup(bot) {
+        bot.command('remind', 'Remind the room later: /remind 10m Wrap up', ({ room, participant, args, notify }) => {
+            const match = /^(\d+)([smh])\s+([\s\S]+)$/.exec(args);
+            const delay = match ? Number(match[1]) * UNITS[match[2]] : 0;
+            if (!match || delay <= 0 || delay > MAX_DELAY) {
+                notify('Usage: /remind 10m Wrap up (up to 24h)');
+                return;
+            }
+            
+            bot.later(room, delay, () => bot.say(room, `**Reminder from ${participant.displayName}:** ${match[3]}`));
+            notify(`I will remind the room in ${match[1]}${match[2]}`);
+        });
+    }
+};
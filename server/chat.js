@@ -0,0 +1,204 @@
+// CollabConnect - Chat history kept per room
+// History outlives the room itself: it is saved under the data directory and
+// loaded again the next time anyone joins a room with the same ID.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Oldest messages are dropped beyond this many per room
+const MAX_MESSAGES = 1000;
+const MAX_TEXT_LENGTH = 2000;
+// For sealed text from encrypted rooms (see isSealed in signaling.js)
+const MAX_SEALED_TEXT_LENGTH = 16000;
+// Distinct emoji reactions on one message
+const MAX_REACTIONS = 20;
+const MAX_EMOJI_LENGTH = 16;
+// Saves are batched so a busy room does not rewrite its file on every message
+const SAVE_DELAY = 1000;
+
+class ChatHistory {
+    constructor(messages = []) {
+        // message id -> message, oldest first
+        this.messages = new Map(messages.map(message => [message.id, message]));
+    }
+    
+    // Apply a chat operation from `author`, the sending participant.
+    // Returns the update to send to everyone in the room, or null if it was rejected.
+    apply(op, author) {
+        switch (op.op) {
+            case 'send':
+                return this.send(op, author);
+            case 'edit':
+                return this.edit(op, author);
+            case 'delete':
+                return this.delete(op, author);
+            case 'react':
+                return this.react(op, author);
+            default:
+                return null;
+        }
+    }
+    
+    send({ text, threadId }, author) {
+        if (!this.isValidText(text)) return null;
+        
+        const parent = threadId ? this.messages.get(threadId) : null;
+        if (threadId && !parent) return null;
+        
+        const message = {
+            id: crypto.randomUUID(),
+            // Replies always hang off the root message of their thread
+            threadId: parent ? parent.threadId || parent.id : null,
+            authorId: author.authorId,
+            sender: author.displayName,
+            // Posted by a server-side bot (see bots.js) rather than a person
+            bot: Boolean(author.bot),
+            text: text.trim(),
+            timestamp: Date.now(),
+            editedAt: null,
+            deleted: false,
+            reactions: {}
+        };
+        this.messages.set(message.id, message);
+        this.trim();
+        return { op: 'send', message };
+    }
+    
+    edit({ id, text }, author) {
+        const message = this.getOwnMessage(id, author);
+        if (!message || !this.isValidText(text)) return null;
+        
+        message.text = text.trim();
+        message.editedAt = Date.now();
+        return { op: 'edit', id, text: message.text, editedAt: message.editedAt };
+    }
+    
+    // Deleted messages stay as placeholders so their replies keep a thread
+    delete({ id }, author) {
+        const message = this.getOwnMessage(id, author);
+        if (!message) return null;
+        
+        message.deleted = true;
+        message.text = '';
+        message.reactions = {};
+        return { op: 'delete', id };
+    }
+    
+    // Toggles the author's reaction
+    react({ id, emoji }, author) {
+        const message = this.messages.get(id);
+        if (!message || message.deleted || !this.isValidEmoji(emoji)) return null;
+        
+        const reactors = message.reactions[emoji] || [];
+        if (reactors.length === 0 && Object.keys(message.reactions).length >= MAX_REACTIONS) return null;
+        
+        const index = reactors.indexOf(author.authorId);
+        if (index === -1) {
+            reactors.push(author.authorId);
+        } else {
+            reactors.splice(index, 1);
+        }
+        
+        if (reactors.length) {
+            message.reactions[emoji] = reactors;
+        } else {
+            delete message.reactions[emoji];
+        }
+        return { op: 'react', id, reactions: message.reactions };
+    }
+    
+    getOwnMessage(id, author) {
+        const message = this.messages.get(id);
+        return message && !message.deleted && message.authorId === author.authorId ? message : null;
+    }
+    
+    isValidText(text) {
+        if (typeof text !== 'string' || text.trim().length === 0) return false;
+        return text.length <= (text.startsWith('e2ee:') ? MAX_SEALED_TEXT_LENGTH : MAX_TEXT_LENGTH);
+    }
+    
+    // Emoji become object keys and HTML attributes, so only emoji characters are allowed
+    isValidEmoji(emoji) {
+        return typeof emoji === 'string' && emoji.length <= MAX_EMOJI_LENGTH &&
+            /^\p{Extended_Pictographic}[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]*$/u.test(emoji);
+    }
+    
+    trim() {
+        const excess = this.messages.size - MAX_MESSAGES;
+        Array.from(this.messages.keys()).slice(0, Math.max(excess, 0)).forEach(id => this.messages.delete(id));
+    }
+    
+    toJSON() {
+        return Array.from(this.messages.values());
+    }
+}
+
+class ChatStore {
+    // Without `dir`, history only lasts as long as the server process
+    constructor(dir = null) {
+        this.dir = dir;
+        // room id -> ChatHistory
+        this.histories = new Map();
+        this.saveTimers = new Map();
+    }
+    
+    get(roomId) {
+        if (!this.histories.has(roomId)) {
+            this.histories.set(roomId, new ChatHistory(this.load(roomId)));
+        }
+        return this.histories.get(roomId);
+    }
+    
+    load(roomId) {
+        if (!this.dir) return [];
+        
+        try {
+            return JSON.parse(fs.readFileSync(this.fileFor(roomId), 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`Could not load chat history for room ${roomId}:`, err);
+            }
+            return [];
+        }
+    }
+    
+    save(roomId) {
+        if (!this.dir || this.saveTimers.has(roomId)) return;
+        
+        this.saveTimers.set(roomId, setTimeout(() => this.write(roomId), SAVE_DELAY));
+    }
+    
+    write(roomId) {
+        clearTimeout(this.saveTimers.get(roomId));
+        this.saveTimers.delete(roomId);
+        
+        const history = this.histories.get(roomId);
+        if (!history) return;
+        
+        // Written synchronously so a room that is released and rejoined right away
+        // never loads a file that is still being written
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.writeFileSync(this.fileFor(roomId), JSON.stringify(history.toJSON()));
+        } catch (err) {
+            console.error(`Could not save chat history for room ${roomId}:`, err);
+        }
+    }
+    
+    // Called once a room is empty; saved history is loaded again on the next join
+    release(roomId) {
+        if (!this.dir) return;
+        
+        if (this.saveTimers.has(roomId)) {
+            this.write(roomId);
+        }
+        this.histories.delete(roomId);
+    }
+    
+    fileFor(roomId) {
+        return path.join(this.dir, `${encodeURIComponent(roomId)}.json`);
+    }
+}
+
+module.exports = { ChatHistory, ChatStore };
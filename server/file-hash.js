@@ -0,0 +1,54 @@
+// CollabConnect - Hashes of shared files
+// A shared file's `hash` is what file-transfer.js computes in the browser: the
+// file is hashed in 1 MB blocks, and the hash is the SHA-256 of the blocks'
+// hex SHA-256s joined together. Receivers check transfers against it, so files
+// the server takes in or posts itself are hashed the same way.
+
+const crypto = require('crypto');
+
+// FILE_BLOCK_SIZE in file-transfer.js
+const FILE_BLOCK_SIZE = 1024 * 1024;
+
+// Hashes a file fed to it in chunks of any size
+class FileHasher {
+    constructor() {
+        this.blockHashes = [];
+        this.block = crypto.createHash('sha256');
+        this.blockBytes = 0;
+    }
+    
+    update(chunk) {
+        let offset = 0;
+        while (offset < chunk.length) {
+            const end = Math.min(chunk.length, offset + FILE_BLOCK_SIZE - this.blockBytes);
+            this.block.update(chunk.subarray(offset, end));
+            this.blockBytes += end - offset;
+            offset = end;
+            if (this.blockBytes === FILE_BLOCK_SIZE) {
+                this.endBlock();
+            }
+        }
+        return this;
+    }
+    
+    // The file's hash (hex); the hasher cannot be used after this
+    digest() {
+        if (this.blockBytes > 0) {
+            this.endBlock();
+        }
+        return crypto.createHash('sha256').update(this.blockHashes.join('')).digest('hex');
+    }
+    
+    endBlock() {
+        this.blockHashes.push(this.block.digest('hex'));
+        this.block = crypto.createHash('sha256');
+        this.blockBytes = 0;
+    }
+}
+
+// The hash of a whole file held in a Buffer
+function hashFile(bytes) {
+    return new FileHasher().update(bytes).digest();
+}
+
+module.exports = { FileHasher, hashFile, FILE_BLOCK_SIZE };
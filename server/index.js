@@ -0,0 +1,163 @@
+// CollabConnect - Local signaling server
+// Serves the client files and runs the Socket.io signaling channel
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { Server } = require('socket.io');
+
+const { RoomManager } = require('./rooms');
+const { ChatStore } = require('./chat');
+const { Auth, UserStore, TokenSigner, loadSecret } = require('./auth');
+const { RoomAccessStore } = require('./access');
+const { createOidcProvider } = require('./oidc');
+const { createApiHandler } = require('./api');
+const { createRoomFileHandler } = require('./room-files');
+const { RoomContentStore } = require('./room-store');
+const { setupSignaling } = require('./signaling');
+const { MediaServer } = require('./sfu');
+const { BotHost, Webhook } = require('./bots');
+
+const PORT = process.env.PORT || 3000;
+// Rooms with more participants than this switch from a mesh to the SFU; SFU_ENABLED=0 turns it off
+const SFU_ENABLED = process.env.SFU_ENABLED !== '0';
+const SFU_THRESHOLD = Number(process.env.SFU_THRESHOLD) || 5;
+// Largest file participants may share; files stream peer to peer so this can be large
+const MAX_FILE_SIZE = (Number(process.env.MAX_FILE_SIZE_MB) || 2048) * 1024 * 1024;
+// Largest file a persistent room keeps on the server for later sessions
+const MAX_STORED_FILE_SIZE = (Number(process.env.MAX_STORED_FILE_SIZE_MB) || 100) * 1024 * 1024;
+const CLIENT_ROOT = path.join(__dirname, '..');
+// Chat history, accounts, room passwords and the content of persistent rooms are saved here
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// How long invite links stay valid
+const INVITE_TTL = (Number(process.env.INVITE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Used to build the OIDC redirect URI when OIDC_REDIRECT_URI is not set
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+// Server-side bots (see bots.js): the ones in server/bots/ unless BOTS_ENABLED=0, and any in BOTS_DIR
+const BOTS_ENABLED = process.env.BOTS_ENABLED !== '0';
+const BOTS_DIR = process.env.BOTS_DIR ? path.resolve(process.env.BOTS_DIR) : null;
+// Room events are POSTed here, e.g. http://localhost:4000/collabconnect. WEBHOOK_EVENTS
+// (comma-separated) limits which; WEBHOOK_SECRET signs them.
+const WEBHOOK_URL = process.env.WEBHOOK_URL || null;
+const WEBHOOK_EVENTS = process.env.WEBHOOK_EVENTS ? process.env.WEBHOOK_EVENTS.split(',').map(event => event.trim()) : null;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.wasm': 'application/wasm',
+    '.tflite': 'application/octet-stream',
+    '.binarypb': 'application/octet-stream',
+    '.data': 'application/octet-stream',
+    '.gz': 'application/gzip'
+};
+
+// Directories under the client root that must never be served
+const PRIVATE_DIRS = ['server', 'agent', 'node_modules', '.git'];
+
+// MediaPipe's selfie segmentation script loads its model and WebAssembly from its own directory
+const SEGMENTATION_DIR = path.dirname(require.resolve('@mediapipe/selfie_segmentation'));
+const SEGMENTATION_FILES = [
+    'selfie_segmentation.js',
+    'selfie_segmentation.binarypb',
+    'selfie_segmentation.tflite',
+    'selfie_segmentation_landscape.tflite',
+    'selfie_segmentation_solution_simd_wasm_bin.js',
+    'selfie_segmentation_solution_simd_wasm_bin.wasm',
+    'selfie_segmentation_solution_simd_wasm_bin.data',
+    'selfie_segmentation_solution_wasm_bin.js',
+    'selfie_segmentation_solution_wasm_bin.wasm'
+];
+
+// Vosk speech model for live captions, a .tar.gz of one of the models from https://alphacephei.com/vosk/models
+const CAPTION_MODEL = process.env.CAPTION_MODEL || path.join(__dirname, 'models', 'captions.tar.gz');
+
+// Third-party browser files served from node_modules (and the caption model) under fixed paths
+const VENDOR_FILES = {
+    '/vendor/pdf.min.js': require.resolve('pdfjs-dist/build/pdf.min.js'),
+    '/vendor/pdf.worker.min.js': require.resolve('pdfjs-dist/build/pdf.worker.min.js'),
+    '/vendor/vosk.js': require.resolve('vosk-browser/dist/vosk.js'),
+    '/models/captions.tar.gz': CAPTION_MODEL,
+    ...Object.fromEntries(SEGMENTATION_FILES.map(file => [`/vendor/selfie_segmentation/${file}`, path.join(SEGMENTATION_DIR, file)]))
+};
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const relativePath = urlPath === '/' ? 'index.html' : urlPath.replace(/^\/+/, '');
+    const filePath = VENDOR_FILES[urlPath] || path.normalize(path.join(CLIENT_ROOT, relativePath));
+    const topLevel = path.relative(CLIENT_ROOT, filePath).split(path.sep)[0];
+    
+    if (!VENDOR_FILES[urlPath] && (!filePath.startsWith(CLIENT_ROOT + path.sep) || PRIVATE_DIRS.includes(topLevel))) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+    
+    const contentType = MIME_TYPES[path.extname(filePath)];
+    if (!contentType) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+    
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(content);
+    });
+}
+
+const auth = new Auth(new UserStore(DATA_DIR), new TokenSigner(loadSecret(DATA_DIR)));
+const roomAccess = new RoomAccessStore(DATA_DIR);
+const rooms = new RoomManager(new ChatStore(DATA_DIR), new RoomContentStore(path.join(DATA_DIR, 'rooms')));
+const handleApi = createApiHandler(auth, createOidcProvider(process.env, PUBLIC_URL), roomAccess);
+const handleRoomFiles = createRoomFileHandler(auth, rooms, {
+    maxStoredFileSize: MAX_STORED_FILE_SIZE,
+    onStored: (room, file) => io.to(room.id).emit('file-stored', { id: file.id })
+});
+
+const server = http.createServer((req, res) => handleRoomFiles(req, res) || handleApi(req, res) || serveStatic(req, res));
+// Sealed whiteboard backgrounds in encrypted rooms are larger than socket.io's default 1 MB limit
+const io = new Server(server, { maxHttpBufferSize: 2e6 });
+const mediaServer = SFU_ENABLED
+    ? new MediaServer((socketId, event, data) => io.to(socketId).emit(event, data))
+    : null;
+const bots = new BotHost(io, rooms, {
+    webhook: WEBHOOK_URL ? new Webhook(WEBHOOK_URL, { secret: process.env.WEBHOOK_SECRET, events: WEBHOOK_EVENTS }) : null,
+    maxFileSize: MAX_STORED_FILE_SIZE
+});
+if (BOTS_ENABLED) {
+    bots.load(path.join(__dirname, 'bots'));
+}
+if (BOTS_DIR) {
+    bots.load(BOTS_DIR);
+}
+
+setupSignaling(io, rooms, {
+    auth,
+    roomAccess,
+    inviteTtl: INVITE_TTL,
+    mediaServer,
+    bots,
+    sfuThreshold: SFU_THRESHOLD,
+    maxFileSize: MAX_FILE_SIZE,
+    maxStoredFileSize: MAX_STORED_FILE_SIZE
+});
+
+server.listen(PORT, () => {
+    console.log(`CollabConnect running at http://localhost:${PORT}`);
+});
@@ -0,0 +1,148 @@
+// CollabConnect - OpenID Connect sign-in
+// Providers share one small interface so the server does not care which is
+// configured: `name`, `issuer`, getAuthorizationUrl(state) and
+// exchangeCode(code), which resolves to { issuer, subject, name }.
+
+const SCOPES = 'openid profile email';
+// Where providers send the browser back to; see api.js
+const CALLBACK_PATH = '/api/oidc/callback';
+
+// Any standard provider, configured from its discovery document
+class OidcProvider {
+    constructor({ issuer, clientId, clientSecret, redirectUri, name = 'SSO' }) {
+        this.issuer = issuer.replace(/\/+$/, '');
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.redirectUri = redirectUri;
+        this.name = name;
+        this.configuration = null;
+    }
+    
+    async discover() {
+        if (!this.configuration) {
+            const response = await fetch(`${this.issuer}/.well-known/openid-configuration`);
+            if (!response.ok) throw new Error(`OIDC discovery failed (${response.status})`);
+            this.configuration = await response.json();
+        }
+        return this.configuration;
+    }
+    
+    async getAuthorizationUrl(state) {
+        const { authorization_endpoint: endpoint } = await this.discover();
+        const url = new URL(endpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: this.redirectUri,
+            scope: SCOPES,
+            state
+        });
+        return url.toString();
+    }
+    
+    // The code is exchanged directly with the provider, so the user info it
+    // returns can be trusted without checking the ID token's signature
+    async exchangeCode(code) {
+        const { token_endpoint: tokenEndpoint, userinfo_endpoint: userinfoEndpoint } = await this.discover();
+        
+        const tokenResponse = await fetch(tokenEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: this.redirectUri,
+                client_id: this.clientId,
+                client_secret: this.clientSecret
+            })
+        });
+        if (!tokenResponse.ok) throw new Error(`OIDC token exchange failed (${tokenResponse.status})`);
+        const { access_token: accessToken } = await tokenResponse.json();
+        
+        const infoResponse = await fetch(userinfoEndpoint, {
+            headers: { Authorization: `Bearer ${accessToken}` }
+        });
+        if (!infoResponse.ok) throw new Error(`OIDC user info request failed (${infoResponse.status})`);
+        const info = await infoResponse.json();
+        
+        return {
+            issuer: this.issuer,
+            subject: info.sub,
+            name: info.name || info.preferred_username || info.email
+        };
+    }
+}
+
+// Stands in for a real provider during development and testing: its sign-in
+// page lets you be anyone, so never enable it on a public server
+class MockOidcProvider {
+    constructor({ name = 'Mock SSO' } = {}) {
+        this.issuer = 'mock';
+        this.name = name;
+    }
+    
+    async getAuthorizationUrl(state) {
+        return `/api/oidc/mock/authorize?${new URLSearchParams({ state })}`;
+    }
+    
+    // The "code" is just the identity typed into the mock sign-in page
+    async exchangeCode(code) {
+        const { subject, name } = JSON.parse(Buffer.from(code, 'base64url').toString('utf8'));
+        return { issuer: this.issuer, subject, name };
+    }
+    
+    // Page served at /api/oidc/mock/authorize, standing in for the provider's sign-in page
+    renderAuthorizePage(params) {
+        const state = escapeHtml(params.get('state') || '');
+        return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${escapeHtml(this.name)}</title></head>
+<body style="font-family: sans-serif; max-width: 320px; margin: 4rem auto;">
+    <h2>${escapeHtml(this.name)}</h2>
+    <form method="get" action="/api/oidc/mock/approve">
+        <input type="hidden" name="state" value="${state}">
+        <p><input name="email" type="email" placeholder="Email" required style="width: 100%;"></p>
+        <p><input name="name" placeholder="Name" required style="width: 100%;"></p>
+        <button type="submit">Sign in</button>
+    </form>
+</body>
+</html>`;
+    }
+    
+    // Where the mock page's form goes: sends the browser back to the callback with a code
+    approve(params) {
+        const code = Buffer.from(JSON.stringify({
+            subject: params.get('email') || '',
+            name: params.get('name') || ''
+        })).toString('base64url');
+        return `${CALLBACK_PATH}?${new URLSearchParams({ code, state: params.get('state') || '' })}`;
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Picks the provider from the environment: OIDC_ISSUER=mock for the mock, or a
+// real issuer URL with OIDC_CLIENT_ID, OIDC_CLIENT_SECRET and OIDC_REDIRECT_URI
+// (this server's public URL + CALLBACK_PATH). Returns null if OIDC_ISSUER is unset.
+function createOidcProvider(env, publicUrl) {
+    if (!env.OIDC_ISSUER) return null;
+    
+    if (env.OIDC_ISSUER === 'mock') {
+        return new MockOidcProvider({ name: env.OIDC_NAME });
+    }
+    return new OidcProvider({
+        issuer: env.OIDC_ISSUER,
+        clientId: env.OIDC_CLIENT_ID,
+        clientSecret: env.OIDC_CLIENT_SECRET,
+        redirectUri: env.OIDC_REDIRECT_URI || `${publicUrl}${CALLBACK_PATH}`,
+        name: env.OIDC_NAME
+    });
+}
+
+module.exports = { OidcProvider, MockOidcProvider, createOidcProvider, CALLBACK_PATH };
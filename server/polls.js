@@ -0,0 +1,158 @@
+// CollabConnect - Polls and the Q&A queue of a room
+// The host runs polls (one or several choices, optionally anonymous) that
+// everyone votes in, and anyone can ask a question for the others to upvote
+// until the host marks it as answered. Both last as long as the room is open.
+
+const crypto = require('crypto');
+
+const MAX_POLLS = 50;
+const MAX_OPTIONS = 10;
+const MAX_QUESTIONS = 200;
+const MAX_TEXT_LENGTH = 500;
+// For sealed text from encrypted rooms (see isSealed in signaling.js)
+const MAX_SEALED_TEXT_LENGTH = 4000;
+
+class RoomPolls {
+    constructor() {
+        // poll id -> poll, oldest first. Votes are kept per author id, so
+        // reconnecting or voting again replaces someone's vote.
+        this.polls = new Map();
+        // question id -> question, oldest first
+        this.questions = new Map();
+    }
+    
+    // Apply a poll or Q&A operation from `author`, the sending participant. Only the
+    // host (`isHost`) creates and closes polls and marks questions as answered.
+    // Returns the update to send to everyone in the room, or null if it was rejected.
+    apply(op, author, isHost) {
+        switch (op.op) {
+            case 'create':
+                return isHost ? this.create(op, author) : null;
+            case 'vote':
+                return this.vote(op, author);
+            case 'close':
+                return isHost ? this.close(op) : null;
+            case 'ask':
+                return this.ask(op, author);
+            case 'upvote':
+                return this.upvote(op, author);
+            case 'answer':
+                return isHost ? this.answer(op) : null;
+            default:
+                return null;
+        }
+    }
+    
+    create({ question, options, multiple, anonymous }, author) {
+        if (this.polls.size >= MAX_POLLS || !this.isValidText(question) || !Array.isArray(options) ||
+            options.length < 2 || options.length > MAX_OPTIONS || !options.every(option => this.isValidText(option))) return null;
+        
+        const poll = {
+            id: crypto.randomUUID(),
+            question: question.trim(),
+            options: options.map(option => option.trim()),
+            multiple: Boolean(multiple),
+            anonymous: Boolean(anonymous),
+            createdBy: author.displayName,
+            createdAt: Date.now(),
+            closed: false,
+            votes: new Map()
+        };
+        this.polls.set(poll.id, poll);
+        return { op: 'poll', poll: this.toPublicPoll(poll) };
+    }
+    
+    // `choices` are option indexes; an empty list withdraws the vote
+    vote({ id, choices }, author) {
+        const poll = this.polls.get(id);
+        if (!poll || poll.closed || !Array.isArray(choices)) return null;
+        
+        const picked = Array.from(new Set(choices));
+        if (!picked.every(choice => Number.isInteger(choice) && choice >= 0 && choice < poll.options.length) ||
+            (!poll.multiple && picked.length > 1)) return null;
+        
+        if (picked.length) {
+            poll.votes.set(author.authorId, { name: author.displayName, choices: picked.sort((a, b) => a - b) });
+        } else {
+            poll.votes.delete(author.authorId);
+        }
+        return { op: 'poll', poll: this.toPublicPoll(poll) };
+    }
+    
+    close({ id }) {
+        const poll = this.polls.get(id);
+        if (!poll || poll.closed) return null;
+        
+        poll.closed = true;
+        return { op: 'poll', poll: this.toPublicPoll(poll) };
+    }
+    
+    ask({ text }, author) {
+        if (this.questions.size >= MAX_QUESTIONS || !this.isValidText(text)) return null;
+        
+        const question = {
+            id: crypto.randomUUID(),
+            text: text.trim(),
+            authorId: author.authorId,
+            authorName: author.displayName,
+            askedAt: Date.now(),
+            answered: false,
+            upvoters: []
+        };
+        this.questions.set(question.id, question);
+        return { op: 'question', question };
+    }
+    
+    // Toggles the author's upvote
+    upvote({ id }, author) {
+        const question = this.questions.get(id);
+        if (!question || question.answered) return null;
+        
+        const index = question.upvoters.indexOf(author.authorId);
+        if (index === -1) {
+            question.upvoters.push(author.authorId);
+        } else {
+            question.upvoters.splice(index, 1);
+        }
+        return { op: 'question', question };
+    }
+    
+    // Toggles whether the question has been answered
+    answer({ id }) {
+        const question = this.questions.get(id);
+        if (!question) return null;
+        
+        question.answered = !question.answered;
+        return { op: 'question', question };
+    }
+    
+    // Counts for everyone; who voted for what only if the poll is not anonymous
+    toPublicPoll({ votes, ...poll }) {
+        const counts = poll.options.map(() => 0);
+        votes.forEach(({ choices }) => choices.forEach(choice => counts[choice]++));
+        return {
+            ...poll,
+            counts,
+            voters: votes.size,
+            votes: poll.anonymous ? null : Array.from(votes.values())
+        };
+    }
+    
+    isValidText(text) {
+        if (typeof text !== 'string' || text.trim().length === 0) return false;
+        return text.length <= (text.startsWith('e2ee:') ? MAX_SEALED_TEXT_LENGTH : MAX_TEXT_LENGTH);
+    }
+    
+    // For someone joining; `authorId` gets their own votes back as `choices`
+    toJSON(authorId) {
+        return {
+            polls: Array.from(this.polls.values()).map(poll => {
+                const own = poll.votes.get(authorId);
+                return { ...this.toPublicPoll(poll), choices: own ? own.choices : [] };
+            }),
+            questions: Array.from(this.questions.values())
+        };
+    }
+}
+
+module.exports = { RoomPolls };
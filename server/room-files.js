@@ -0,0 +1,146 @@
+// CollabConnect - Files kept by persistent rooms
+// Shared files normally stream from their uploader's device (see
+// file-transfer.js) and are gone once they leave. In a persistent room the
+// uploader also sends the bytes here, so the file stays in the room for
+// later sessions:
+//   PUT /api/rooms/<room id>/files/<file id>   the uploader, with the file as the body
+//   GET /api/rooms/<room id>/files/<file id>   anyone in the room
+// Both need the session token (Authorization: Bearer <token>). Encrypted
+// rooms never store files, as their files only travel end-to-end encrypted.
+// Files posted by bots (see bots.js) are stored the same way, in any room.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { AuthError, authorIdFor } = require('./auth');
+const { requireUser, sendJson } = require('./api');
+const { FileHasher } = require('./file-hash');
+
+const FILE_PATH_PATTERN = /^\/api\/rooms\/([^/]+)\/files\/([^/]+)$/;
+
+// `rooms` is the RoomManager, whose contentStore keeps the bytes. `onStored(room, file)`
+// is called once a file has been stored, to tell the room. Returns a request handler
+// that returns false for requests it does not answer.
+function createRoomFileHandler(auth, rooms, { maxStoredFileSize, onStored }) {
+    const store = rooms.contentStore;
+    
+    return function handleRoomFiles(req, res) {
+        const match = FILE_PATH_PATTERN.exec(new URL(req.url, 'http://localhost').pathname);
+        if (!match || !['PUT', 'GET'].includes(req.method)) return false;
+        
+        let roomId;
+        let fileId;
+        try {
+            [roomId, fileId] = match.slice(1).map(decodeURIComponent);
+        } catch (err) {
+            sendJson(res, 400, { error: 'Bad request' });
+            return true;
+        }
+        
+        const handle = req.method === 'PUT' ? storeFile : sendFile;
+        handle(req, res, roomId, fileId).catch(err => {
+            if (!(err instanceof AuthError)) {
+                console.error(`Stored file error in room ${roomId}:`, err);
+            }
+            if (!res.headersSent) {
+                sendJson(res, err.status || 500, { error: err instanceof AuthError ? err.message : 'Something went wrong' });
+            }
+            // Drop the rest of a rejected upload
+            req.resume();
+        });
+        return true;
+    };
+    
+    // The file in `roomId` announced with file-share, if `user` is in that room
+    function findFile(user, roomId, fileId) {
+        const room = rooms.get(roomId);
+        const authorId = authorIdFor(user);
+        const inRoom = room && Array.from(room.participants.values()).some(participant => participant.authorId === authorId);
+        const file = inRoom && room.files.find(candidate => candidate.id === fileId);
+        if (!file) throw new AuthError('File not found', 404);
+        return { room, file, authorId };
+    }
+    
+    // The body must be exactly the file that was announced: its size and hash are checked
+    async function storeFile(req, res, roomId, fileId) {
+        const user = requireUser(auth, req);
+        const { room, file, authorId } = findFile(user, roomId, fileId);
+        const uploader = room.participants.get(file.from);
+        if (!uploader || uploader.authorId !== authorId) throw new AuthError('Only the uploader can store a file', 403);
+        if (!room.persistent || room.e2ee || !store.canStoreFiles) throw new AuthError('This room does not keep files', 403);
+        if (file.stored) throw new AuthError('This file is already stored', 409);
+        if (file.size > maxStoredFileSize) throw new AuthError('File too large to keep in the room', 413);
+        
+        const target = store.filePath(room.id, file.id);
+        const partial = `${target}.${crypto.randomUUID()}.part`;
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        
+        try {
+            const hash = await receive(req, partial, file.size);
+            if (hash !== file.hash) throw new AuthError('The upload does not match the shared file');
+            // Closed, or the file withdrawn, while it was uploading
+            if (rooms.get(room.id) !== room || !room.files.includes(file)) throw new AuthError('File not found', 404);
+            await fs.promises.rename(partial, target);
+        } catch (err) {
+            fs.promises.unlink(partial).catch(() => {});
+            throw err;
+        }
+        
+        file.stored = true;
+        store.save(room);
+        onStored(room, file);
+        sendJson(res, 200, { id: file.id });
+    }
+    
+    // Writes the request body to `file`, up to `size` bytes; resolves with its hash (see file-hash.js)
+    function receive(req, file, size) {
+        return new Promise((resolve, reject) => {
+            const hash = new FileHasher();
+            const output = fs.createWriteStream(file);
+            let received = 0;
+            
+            req.on('data', chunk => {
+                received += chunk.length;
+                if (received > size) {
+                    req.unpipe(output);
+                    output.destroy();
+                    reject(new AuthError('The upload is larger than the shared file', 413));
+                    return;
+                }
+                hash.update(chunk);
+            });
+            req.on('error', reject);
+            output.on('error', reject);
+            output.on('finish', () => {
+                if (received === size) {
+                    resolve(hash.digest());
+                } else {
+                    reject(new AuthError('The upload is incomplete'));
+                }
+            });
+            req.pipe(output);
+        });
+    }
+    
+    async function sendFile(req, res, roomId, fileId) {
+        const user = requireUser(auth, req);
+        const { room, file } = findFile(user, roomId, fileId);
+        if (!file.stored) throw new AuthError('File not found', 404);
+        
+        const target = store.filePath(room.id, file.id);
+        await fs.promises.access(target).catch(() => {
+            throw new AuthError('File not found', 404);
+        });
+        // Never rendered by the browser; the client makes a File of it with its real type
+        res.writeHead(200, {
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': file.size,
+            'Content-Disposition': 'attachment',
+            'Cache-Control': 'private, no-store'
+        });
+        fs.createReadStream(target).pipe(res);
+    }
+}
+
+module.exports = { createRoomFileHandler };
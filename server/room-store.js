@@ -0,0 +1,97 @@
+// CollabConnect - Whiteboards and stored files of persistent rooms
+// A persistent room (see access.js) keeps its board and the files uploaded to
+// it between sessions. They are saved under the data directory, one folder
+// per room, and restored the next time anyone opens the room. Its chat is
+// kept by ChatStore like every other room's.
+
+const fs = require('fs');
+const path = require('path');
+
+// Saves are batched so a busy board does not rewrite its file on every stroke
+const SAVE_DELAY = 2000;
+
+class RoomContentStore {
+    // Without `dir`, nothing is kept and files cannot be stored
+    constructor(dir = null) {
+        this.dir = dir;
+        // room id -> { room, timer } for rooms with unsaved changes
+        this.pending = new Map();
+    }
+    
+    // Puts a saved board and file list back into a freshly opened room
+    restore(room) {
+        if (!this.dir) return;
+        
+        try {
+            const { whiteboard, files } = JSON.parse(fs.readFileSync(this.contentFile(room.id), 'utf8'));
+            room.whiteboard.load(whiteboard);
+            room.files = files;
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`Could not load the content of room ${room.id}:`, err);
+            }
+        }
+    }
+    
+    save(room) {
+        if (!this.dir || this.pending.has(room.id)) return;
+        
+        this.pending.set(room.id, { room, timer: setTimeout(() => this.write(room.id), SAVE_DELAY) });
+    }
+    
+    write(roomId) {
+        const pending = this.pending.get(roomId);
+        if (!pending) return;
+        
+        clearTimeout(pending.timer);
+        this.pending.delete(roomId);
+        // Files whose bytes never reached the server went with their uploader
+        const content = {
+            whiteboard: pending.room.whiteboard.toJSON(),
+            files: pending.room.files.filter(file => file.stored)
+        };
+        
+        // Synchronous for the same reason as ChatStore.write
+        try {
+            fs.mkdirSync(this.roomDir(roomId), { recursive: true });
+            fs.writeFileSync(this.contentFile(roomId), JSON.stringify(content));
+        } catch (err) {
+            console.error(`Could not save the content of room ${roomId}:`, err);
+        }
+    }
+    
+    // Called once a room is empty; its content is restored on the next join
+    release(roomId) {
+        this.write(roomId);
+    }
+    
+    // Only bots store files in rooms that are not persistent (see bots.js); they go with the room
+    discardFiles(room) {
+        if (!this.dir) return;
+        
+        room.files.filter(file => file.stored).forEach(file => {
+            fs.promises.unlink(this.filePath(room.id, file.id)).catch(err => {
+                if (err.code !== 'ENOENT') console.error(`Could not remove file ${file.id} of room ${room.id}:`, err);
+            });
+        });
+    }
+    
+    get canStoreFiles() {
+        return Boolean(this.dir);
+    }
+    
+    // Where the bytes of a stored file live
+    filePath(roomId, fileId) {
+        return path.join(this.roomDir(roomId), 'files', encodeURIComponent(fileId));
+    }
+    
+    roomDir(roomId) {
+        return path.join(this.dir, encodeURIComponent(roomId));
+    }
+    
+    contentFile(roomId) {
+        return path.join(this.roomDir(roomId), 'content.json');
+    }
+}
+
+module.exports = { RoomContentStore };
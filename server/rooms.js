@@ -0,0 +1,303 @@
+// CollabConnect - Room state kept by the signaling server
+
+const { WhiteboardState, SealedWhiteboard } = require('./whiteboard');
+const { ChatHistory } = require('./chat');
+const { RoomPolls } = require('./polls');
+const { RoomContentStore } = require('./room-store');
+
+// How long someone whose connection dropped can come straight back in (ms)
+const RECONNECT_GRACE = 2 * 60 * 1000;
+
+class Room {
+    // `chat` is the room's ChatHistory, which outlives the room.
+    // `e2ee` is the room's encryption setting (see access.js), or null.
+    constructor(id, chat, e2ee = null) {
+        this.id = id;
+        this.participants = new Map();
+        this.files = [];
+        this.e2ee = e2ee;
+        // The server cannot read an encrypted board, so it only keeps the sealed operations
+        this.whiteboard = e2ee ? new SealedWhiteboard() : new WhiteboardState();
+        this.chat = chat;
+        this.polls = new RoomPolls();
+        this.mediaMode = 'mesh';
+        this.createdAt = Date.now();
+        
+        // Socket id of the host, who admits people and moderates the room
+        this.hostId = null;
+        // socket id -> someone waiting for the host to let them in
+        this.lobby = new Map();
+        this.waitingRoom = true;
+        this.locked = false;
+        // Whether several people may share their screen at once
+        this.multipleShares = false;
+        // Author ids of people the host removed; they stay out while the room is open
+        this.removed = new Set();
+        // Author id -> { wasHost, until } for people whose connection dropped, see markDropped
+        this.dropped = new Map();
+        // Whether live captions are on; everyone then captions their own speech
+        this.captions = false;
+        
+        // While the host has breakouts open: { managerId, rooms, assignments, endsAt, timer }.
+        // `managerId` is the author id of the host who opened them, `rooms` maps
+        // breakout id -> name and `assignments` author id -> the breakout they are in.
+        this.breakouts = null;
+        // Set on a breakout room: its main room's id
+        this.parentId = null;
+        // Breakouts and rooms created with a name (e.g. scheduled meetings) have one
+        this.name = null;
+        // Whether the board and stored files are kept after everyone leaves, see room-store.js
+        this.persistent = false;
+    }
+    
+    // Switch to the SFU above `sfuThreshold` participants and back to a mesh
+    // once the room drops below it again. Returns true when the mode changed.
+    updateMediaMode(sfuThreshold) {
+        if (!sfuThreshold) return false;
+        
+        const count = this.participants.size;
+        let mode = this.mediaMode;
+        if (count > sfuThreshold) {
+            mode = 'sfu';
+        } else if (count < sfuThreshold) {
+            mode = 'mesh';
+        }
+        
+        const changed = mode !== this.mediaMode;
+        this.mediaMode = mode;
+        return changed;
+    }
+    
+    // `profile` is { displayName, authorId, publicKey }. `authorId` identifies the
+    // same person across reconnects (e.g. to edit their own messages) and
+    // `publicKey` is their E2EE identity key in encrypted rooms.
+    // `audio` and `video` say whether their mic and camera are on, `recording`
+    // whether they are recording the meeting and `screen` whether they are
+    // sharing their screen (`screenAudio`: with its sound, `annotations`: letting
+    // the others draw on it, `controller`: whoever they let control it).
+    // `handRaisedAt` is when they raised their hand, or null.
+    addParticipant(id, profile) {
+        const participant = {
+            id,
+            ...profile,
+            audio: true,
+            video: true,
+            recording: false,
+            screen: false,
+            screenAudio: false,
+            annotations: true,
+            controller: null,
+            handRaisedAt: null,
+            joinedAt: Date.now()
+        };
+        this.participants.set(id, participant);
+        return participant;
+    }
+    
+    addToLobby(id, profile) {
+        const waiting = { id, ...profile, waitingSince: Date.now() };
+        this.lobby.set(id, waiting);
+        return waiting;
+    }
+    
+    // Moves someone from the lobby into the room; returns the new participant
+    admit(id) {
+        const waiting = this.lobby.get(id);
+        if (!waiting) return null;
+        
+        this.lobby.delete(id);
+        const { waitingSince, ...profile } = waiting;
+        return this.addParticipant(id, profile);
+    }
+    
+    // Files stay on their uploader's device, so they leave with them unless
+    // they were stored on the server. If the host leaves, whoever has been in
+    // the room longest takes over.
+    removeParticipant(id) {
+        this.lobby.delete(id);
+        this.files = this.files.filter(file => file.stored || file.from !== id);
+        const removed = this.participants.delete(id);
+        
+        if (this.hostId === id) {
+            const next = this.participants.values().next().value;
+            this.hostId = next ? next.id : null;
+        }
+        return removed;
+    }
+    
+    // Someone whose connection dropped gets straight back in until RECONNECT_GRACE
+    // has passed - past the lock, waiting room and password - and is host again if they were
+    markDropped(authorId, wasHost) {
+        this.dropped.set(authorId, { wasHost, until: Date.now() + RECONNECT_GRACE });
+    }
+    
+    // The drop record for `authorId`, or null once the grace period is over
+    findDropped(authorId) {
+        const dropped = this.dropped.get(authorId);
+        if (dropped && dropped.until < Date.now()) {
+            this.dropped.delete(authorId);
+            return null;
+        }
+        return dropped || null;
+    }
+    
+    // Whether `authorId` may skip the lock, waiting room and password: they dropped
+    // out a moment ago, are still here on a connection that has not timed out yet,
+    // or have a place in one of the room's breakouts
+    isReturning(authorId) {
+        return Boolean(this.findDropped(authorId)) ||
+            Boolean(this.breakouts && this.breakouts.assignments.has(authorId)) ||
+            Array.from(this.participants.values()).some(participant => participant.authorId === authorId);
+    }
+    
+    addFile(fileData) {
+        this.files.push(fileData);
+    }
+    
+    isEmpty() {
+        return this.participants.size === 0 && this.lobby.size === 0;
+    }
+    
+    // Snapshot sent to a client when it joins
+    toState(selfId) {
+        const self = this.participants.get(selfId);
+        return {
+            roomId: this.id,
+            selfId,
+            participants: Array.from(this.participants.values()).filter(p => p.id !== selfId),
+            files: this.files,
+            whiteboard: this.whiteboard.toJSON(),
+            chat: this.chat.toJSON(),
+            ...this.polls.toJSON(self && self.authorId),
+            mediaMode: this.mediaMode,
+            // Never the key check, which would let anyone test passphrases offline
+            e2ee: this.e2ee ? { mode: this.e2ee.mode, salt: this.e2ee.salt || null } : null,
+            hostId: this.hostId,
+            captions: this.captions,
+            name: this.name,
+            persistent: this.persistent,
+            breakout: this.parentId ? { mainId: this.parentId, name: this.name } : null,
+            ...this.getSettings()
+        };
+    }
+    
+    // What the host can switch, sent with room-state and room-settings
+    getSettings() {
+        return {
+            waitingRoom: this.waitingRoom,
+            locked: this.locked,
+            multipleShares: this.multipleShares
+        };
+    }
+}
+
+class RoomManager {
+    // `chatStore` (a ChatStore) keeps each room's chat history between sessions,
+    // and `contentStore` (a RoomContentStore) the board and files of persistent rooms
+    constructor(chatStore, contentStore = new RoomContentStore()) {
+        this.rooms = new Map();
+        this.chatStore = chatStore;
+        this.contentStore = contentStore;
+        // socket id -> room id
+        this.memberships = new Map();
+    }
+    
+    // `access` (the room's record from access.js) is only used if the room is not open yet
+    join(roomId, socketId, profile, access = null) {
+        this.leave(socketId);
+        
+        const room = this.getOrCreate(roomId, access);
+        const participant = room.addParticipant(socketId, profile);
+        this.memberships.set(socketId, roomId);
+        return { room, participant };
+    }
+    
+    // Puts the socket in the room's lobby until the host admits it (see Room.admit)
+    wait(roomId, socketId, profile) {
+        this.leave(socketId);
+        
+        const room = this.getOrCreate(roomId);
+        room.addToLobby(socketId, profile);
+        this.memberships.set(socketId, roomId);
+        return room;
+    }
+    
+    get(roomId) {
+        return this.rooms.get(roomId) || null;
+    }
+    
+    // The `index`th breakout of `main`, with a chat, whiteboard and files of its own.
+    // Its chat is not saved; it is gone once the breakouts close.
+    createBreakout(main, index, name) {
+        const room = new Room(`${main.id}-${index + 1}`, new ChatHistory(), main.e2ee);
+        room.parentId = main.id;
+        room.name = name;
+        this.rooms.set(room.id, room);
+        return room;
+    }
+    
+    // The main room `room` belongs to while its breakouts are open, or null
+    getBreakoutMain(room) {
+        const main = room.parentId ? this.rooms.get(room.parentId) : room;
+        return main && main.breakouts && (main === room || main.breakouts.rooms.has(room.id)) ? main : null;
+    }
+    
+    getOrCreate(roomId, access = null) {
+        let room = this.rooms.get(roomId);
+        if (!room) {
+            room = new Room(roomId, this.chatStore.get(roomId), access ? access.e2ee : null);
+            if (access) {
+                room.name = access.name || null;
+                room.persistent = Boolean(access.persistent);
+            }
+            if (room.persistent) {
+                this.contentStore.restore(room);
+            }
+            this.rooms.set(roomId, room);
+        }
+        return room;
+    }
+    
+    // Returns the room the socket left, or null if it was not in one
+    leave(socketId) {
+        const roomId = this.memberships.get(socketId);
+        if (!roomId) return null;
+        
+        this.memberships.delete(socketId);
+        const room = this.rooms.get(roomId);
+        if (!room) return null;
+        
+        room.removeParticipant(socketId);
+        this.closeIfUnused(room);
+        return room;
+    }
+    
+    // Drops an empty room, unless it has breakouts open or is one of them
+    closeIfUnused(room) {
+        if (!room.isEmpty() || this.getBreakoutMain(room) || this.rooms.get(room.id) !== room) return;
+        
+        this.rooms.delete(room.id);
+        if (!room.parentId) {
+            this.chatStore.release(room.id);
+        }
+        if (room.persistent) {
+            this.contentStore.release(room.id);
+        } else {
+            this.contentStore.discardFiles(room);
+        }
+    }
+    
+    // The room the socket is in, or waiting to get into
+    findRoom(socketId) {
+        const roomId = this.memberships.get(socketId);
+        return roomId ? this.rooms.get(roomId) || null : null;
+    }
+    
+    // The room the socket is a participant of; people in the lobby have none yet
+    getRoomFor(socketId) {
+        const room = this.findRoom(socketId);
+        return room && room.participants.has(socketId) ? room : null;
+    }
+}
+
+module.exports = { Room, RoomManager };
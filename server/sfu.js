@@ -0,0 +1,193 @@
+// CollabConnect - Selective forwarding unit for larger rooms
+// Each client publishes one upstream (video simulcast + audio) and receives
+// one downstream connection per remote publisher. Runs in-process with no
+// outside services, using werift's pure JavaScript WebRTC stack.
+
+const { RTCPeerConnection } = require('werift');
+
+// Simulcast layers the client sends, highest first
+const SIMULCAST_LAYERS = ['high', 'low'];
+
+class MediaServer {
+    // `send(socketId, event, data)` delivers a signaling message to one client
+    constructor(send) {
+        this.send = send;
+        // socket id -> { roomId, pc, audioTrack, videoTransceiver, videoLayers }
+        this.publishers = new Map();
+        // `${subscriberId}:${publisherId}` -> { pc, audio, video, layer }
+        this.subscriptions = new Map();
+    }
+    
+    createPeerConnection() {
+        // Host candidates only - clients reach the SFU on the local network
+        return new RTCPeerConnection({ iceServers: [] });
+    }
+    
+    // Answer a client's upstream offer; `peerIds` are the other participants in the room
+    async publish(socketId, roomId, description, peerIds) {
+        this.unpublish(socketId);
+        
+        const pc = this.createPeerConnection();
+        const publisher = {
+            roomId,
+            pc,
+            audioTrack: null,
+            videoTransceiver: null,
+            videoLayers: new Map()
+        };
+        this.publishers.set(socketId, publisher);
+        
+        pc.onRemoteTransceiverAdded.subscribe((transceiver) => {
+            transceiver.onTrack.subscribe((track) => {
+                if (track.kind === 'audio') {
+                    publisher.audioTrack = track;
+                } else {
+                    publisher.videoTransceiver = transceiver;
+                    publisher.videoLayers.set(track.rid || SIMULCAST_LAYERS[0], track);
+                }
+                this.refreshSubscriptions(socketId);
+            });
+        });
+        
+        await pc.setRemoteDescription(description);
+        await pc.setLocalDescription(await pc.createAnswer());
+        this.send(socketId, 'sfu-answer', { description: this.toDescription(pc.localDescription) });
+        
+        await Promise.all(peerIds.map(peerId => this.subscribe(peerId, socketId)));
+    }
+    
+    // Offer `subscriberId` a downstream connection carrying `publisherId`'s media
+    async subscribe(subscriberId, publisherId) {
+        if (subscriberId === publisherId || !this.publishers.has(publisherId)) return;
+        
+        const key = this.key(subscriberId, publisherId);
+        this.closeSubscription(key);
+        
+        const pc = this.createPeerConnection();
+        const subscription = {
+            pc,
+            audio: pc.addTransceiver('audio', { direction: 'sendonly' }),
+            video: pc.addTransceiver('video', { direction: 'sendonly' }),
+            layer: SIMULCAST_LAYERS[0],
+            attached: { audio: null, video: null },
+            ready: false
+        };
+        this.subscriptions.set(key, subscription);
+        
+        await pc.setLocalDescription(await pc.createOffer());
+        this.send(subscriberId, 'sfu-offer', {
+            publisherId,
+            description: this.toDescription(pc.localDescription)
+        });
+    }
+    
+    async handleAnswer(subscriberId, publisherId, description) {
+        const subscription = this.subscriptions.get(this.key(subscriberId, publisherId));
+        if (!subscription) return;
+        
+        await subscription.pc.setRemoteDescription(description);
+        subscription.ready = true;
+        this.attachTracks(subscription, publisherId);
+    }
+    
+    // Subscribers choose a layer per publisher based on how large the tile is shown
+    setLayer(subscriberId, publisherId, layer) {
+        const subscription = this.subscriptions.get(this.key(subscriberId, publisherId));
+        if (!subscription || !SIMULCAST_LAYERS.includes(layer)) return;
+        
+        subscription.layer = layer;
+        this.attachTracks(subscription, publisherId);
+    }
+    
+    refreshSubscriptions(publisherId) {
+        this.subscriptions.forEach((subscription, key) => {
+            if (key.endsWith(`:${publisherId}`)) {
+                this.attachTracks(subscription, publisherId);
+            }
+        });
+    }
+    
+    attachTracks(subscription, publisherId) {
+        const publisher = this.publishers.get(publisherId);
+        if (!publisher || !subscription.ready) return;
+        
+        if (publisher.audioTrack && subscription.attached.audio !== publisher.audioTrack) {
+            subscription.attached.audio = publisher.audioTrack;
+            subscription.audio.sender.replaceTrack(publisher.audioTrack).catch(error => {
+                console.error('SFU audio forward failed:', error);
+            });
+        }
+        
+        const videoTrack = this.pickLayer(publisher, subscription.layer);
+        if (videoTrack && subscription.attached.video !== videoTrack) {
+            subscription.attached.video = videoTrack;
+            subscription.video.sender.replaceTrack(videoTrack)
+                .then(() => this.requestKeyframe(publisher, videoTrack))
+                .catch(error => console.error('SFU video forward failed:', error));
+        }
+    }
+    
+    // Fall back to whichever layer the publisher is actually sending
+    pickLayer(publisher, layer) {
+        if (publisher.videoLayers.has(layer)) return publisher.videoLayers.get(layer);
+        return SIMULCAST_LAYERS.map(rid => publisher.videoLayers.get(rid)).find(Boolean) || null;
+    }
+    
+    requestKeyframe(publisher, track) {
+        const ssrc = track.ssrc || (track.header && track.header.ssrc);
+        if (publisher.videoTransceiver && ssrc) {
+            publisher.videoTransceiver.receiver.sendRtcpPLI(ssrc);
+        }
+    }
+    
+    async addCandidate(socketId, publisherId, candidate) {
+        const pc = publisherId
+            ? (this.subscriptions.get(this.key(socketId, publisherId)) || {}).pc
+            : (this.publishers.get(socketId) || {}).pc;
+        if (!pc || !candidate || !candidate.candidate) return;
+        
+        try {
+            await pc.addIceCandidate(candidate);
+        } catch (error) {
+            console.error('SFU ICE candidate rejected:', error);
+        }
+    }
+    
+    unpublish(socketId) {
+        const publisher = this.publishers.get(socketId);
+        if (!publisher) return;
+        
+        this.publishers.delete(socketId);
+        publisher.pc.close();
+        
+        this.subscriptions.forEach((subscription, key) => {
+            if (key.endsWith(`:${socketId}`)) this.closeSubscription(key);
+        });
+    }
+    
+    // Drop everything a client sends or receives through the SFU
+    removeClient(socketId) {
+        this.unpublish(socketId);
+        this.subscriptions.forEach((subscription, key) => {
+            if (key.startsWith(`${socketId}:`)) this.closeSubscription(key);
+        });
+    }
+    
+    closeSubscription(key) {
+        const subscription = this.subscriptions.get(key);
+        if (!subscription) return;
+        
+        this.subscriptions.delete(key);
+        subscription.pc.close();
+    }
+    
+    key(subscriberId, publisherId) {
+        return `${subscriberId}:${publisherId}`;
+    }
+    
+    toDescription(description) {
+        return { type: description.type, sdp: description.sdp };
+    }
+}
+
+module.exports = { MediaServer, SIMULCAST_LAYERS };
@@ -0,0 +1,847 @@
+// CollabConnect - Socket.io signaling handlers
+// Keeps room membership and relays room events between clients
+
+const { parseEncryption } = require('./access');
+const { authorIdFor } = require('./auth');
+const { describeParticipant } = require('./bots');
+
+// Events that are forwarded as-is to everyone else in the sender's room
+const RELAYED_EVENTS = [];
+// Events addressed to a single peer (`to`) in the sender's room: media
+// negotiation, the data connections used for file transfers and wrapped
+// room keys in encrypted rooms
+const DIRECT_EVENTS = ['signal', 'file-signal', 'e2ee-key'];
+// A base64 P-256 public key in uncompressed form (65 bytes)
+const PUBLIC_KEY_PATTERN = /^[A-Za-z0-9+/]{87}=$/;
+// Host 'moderate' actions that switch a room setting -> the Room property they set
+const ROOM_SETTINGS = { 'lock': 'locked', 'waiting-room': 'waitingRoom', 'multiple-shares': 'multipleShares' };
+// Longest caption segment (plain, and sealed in encrypted rooms)
+const MAX_CAPTION_LENGTH = 1000;
+const MAX_SEALED_CAPTION_LENGTH = 8000;
+// Drawing on a shared screen: the kinds of op, and the longest one (as JSON, or sealed)
+const ANNOTATION_OPS = ['start', 'points', 'end', 'clear'];
+const MAX_ANNOTATION_LENGTH = 16000;
+// Limits on the breakouts a host can open
+const MAX_BREAKOUTS = 20;
+const MAX_BREAKOUT_NAME_LENGTH = 40;
+const MAX_BREAKOUT_MINUTES = 240;
+
+// `auth` (an Auth) checks session and invite tokens and `roomAccess` (a
+// RoomAccessStore) says which rooms exist and what their passwords are.
+// `mediaServer` is optional; without it rooms always stay in mesh mode.
+// `bots` (a BotHost) is optional too; it gets room events and runs chat commands.
+// `maxStoredFileSize` is the largest file persistent rooms keep on the server (see room-files.js).
+function setupSignaling(io, rooms, {
+    auth,
+    roomAccess,
+    inviteTtl,
+    mediaServer = null,
+    bots = null,
+    sfuThreshold = 0,
+    maxFileSize = Infinity,
+    maxStoredFileSize = 0
+}) {
+    io.on('connection', (socket) => {
+        console.log(`Client connected: ${socket.id}`);
+        
+        // Joining needs a valid session token. Without a room ID a new room is
+        // created (with `password`, `e2ee`, `name` and `persistent`, if given); an existing room needs its
+        // password or an `invite` token for it, unless the user owns it.
+        // Encrypted rooms also need the client's `publicKey`, and passphrase
+        // rooms a `keyCheck` showing the client derived the right key.
+        // Rejoining after a dropped connection skips the password, see Room.isReturning.
+        socket.on('join-room', async (data) => {
+            const user = auth.verifySession(data && data.token);
+            if (!user) {
+                socket.emit('join-error', { reason: 'auth', message: 'Please sign in again' });
+                return;
+            }
+            
+            const requestedId = typeof data.roomId === 'string' ? data.roomId.trim() : '';
+            const publicKey = typeof data.publicKey === 'string' && PUBLIC_KEY_PATTERN.test(data.publicKey) ? data.publicKey : null;
+            const authorId = authorIdFor(user);
+            let access;
+            if (requestedId) {
+                const openRoom = rooms.get(requestedId);
+                const rejoining = Boolean(openRoom && openRoom.isReturning(authorId));
+                access = roomAccess.get(requestedId);
+                const error = access ? await checkRoomAccess(access, user, data, rejoining) : { reason: 'not-found', message: 'Room not found' };
+                if (error) {
+                    socket.emit('join-error', error);
+                    return;
+                }
+            } else {
+                const e2ee = parseEncryption(data.e2ee);
+                if (e2ee === undefined) {
+                    socket.emit('join-error', { reason: 'encryption', message: 'Invalid encryption settings' });
+                    return;
+                }
+                access = await roomAccess.create(user.id, typeof data.password === 'string' ? data.password : '', e2ee, {
+                    name: data.name,
+                    persistent: Boolean(data.persistent)
+                });
+            }
+            if (access.e2ee && !publicKey) {
+                socket.emit('join-error', { reason: 'encryption', message: 'This room is end-to-end encrypted' });
+                return;
+            }
+            // Gone while the password was being checked
+            if (!socket.connected) return;
+            
+            const roomId = access.id;
+            const profile = {
+                displayName: user.displayName,
+                authorId,
+                publicKey: access.e2ee ? publicKey : null
+            };
+            // The room's creator always gets in, and is its host whenever present
+            const isOwner = access.ownerId === user.id;
+            
+            leaveCurrentRoom(socket);
+            
+            const existing = rooms.get(roomId);
+            const returning = Boolean(existing) && existing.isReturning(authorId);
+            const dropped = existing && existing.findDropped(authorId);
+            // Someone with a place in an open breakout goes straight back to it
+            const breakouts = existing && existing.breakouts;
+            const breakout = breakouts && rooms.get(breakouts.assignments.get(authorId));
+            if (existing && !isOwner) {
+                if (existing.removed.has(authorId)) {
+                    socket.emit('join-error', { reason: 'removed', message: 'The host removed you from this room' });
+                    return;
+                }
+                if (existing.locked && !returning) {
+                    socket.emit('join-error', { reason: 'locked', message: 'This room is locked' });
+                    return;
+                }
+                if (existing.waitingRoom && existing.hostId && !returning) {
+                    rooms.wait(roomId, socket.id, profile);
+                    socket.emit('waiting', { roomId });
+                    sendLobby(existing);
+                    console.log(`${profile.displayName} (${socket.id}) is waiting to join room ${roomId}`);
+                    return;
+                }
+            }
+            
+            if (dropped) {
+                existing.dropped.delete(authorId);
+            }
+            if (breakout) {
+                const { room, participant } = rooms.join(breakout.id, socket.id, profile);
+                enterRoom(socket, room, participant);
+                sendBreakouts(existing);
+                return;
+            }
+            const isManager = Boolean(breakouts) && breakouts.managerId === authorId;
+            const { room, participant } = rooms.join(roomId, socket.id, profile, access);
+            enterRoom(socket, room, participant, isOwner || isManager || Boolean(dropped && dropped.wasHost));
+        });
+        
+        socket.on('leave-room', () => leaveCurrentRoom(socket));
+        
+        // Mic and camera state, shown to everyone and enforced by their clients
+        socket.on('media-state', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !data) return;
+            
+            const participant = room.participants.get(socket.id);
+            participant.audio = Boolean(data.audio);
+            participant.video = Boolean(data.video);
+            socket.to(room.id).emit('participant-updated', { id: socket.id, audio: participant.audio, video: participant.video });
+        });
+        
+        // Recordings are made on the recording participant's device; everyone
+        // else is told so nobody is recorded without knowing
+        socket.on('recording', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !data) return;
+            
+            const participant = room.participants.get(socket.id);
+            participant.recording = Boolean(data.recording);
+            socket.to(room.id).emit('recording-state', { id: socket.id, recording: participant.recording });
+        });
+        
+        // One person shares their screen at a time unless the host allows more.
+        // The sharer waits for screen-share-state before sending their screen.
+        socket.on('screen-share', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !data) return;
+            
+            const sharing = Boolean(data.sharing);
+            const othersSharing = Array.from(room.participants.values()).some(p => p.screen && p.id !== socket.id);
+            if (sharing && othersSharing && !room.multipleShares) {
+                socket.emit('screen-share-denied', { message: 'Someone else is already sharing their screen' });
+                return;
+            }
+            
+            const participant = room.participants.get(socket.id);
+            participant.screen = sharing;
+            participant.screenAudio = sharing && Boolean(data.audio);
+            io.to(room.id).emit('screen-share-state', { id: socket.id, sharing, audio: participant.screenAudio });
+            if (!sharing) {
+                setController(room, participant, null);
+            }
+        });
+        
+        // Anyone can switch live captions on or off for the whole room
+        socket.on('captions', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !data) return;
+            
+            room.captions = Boolean(data.enabled);
+            io.to(room.id).emit('captions-state', { id: socket.id, enabled: room.captions });
+        });
+        
+        // Captions of the sender's own speech. Partial results and the final one
+        // share an id, so everyone's tile shows the text growing as it is spoken.
+        socket.on('caption', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !room.captions || !isValidCaption(data, room)) return;
+            
+            socket.to(room.id).emit('caption', {
+                id: data.id,
+                text: data.text,
+                final: Boolean(data.final),
+                start: data.start,
+                end: data.end,
+                from: socket.id
+            });
+        });
+        
+        // Presenters decide whether the others may draw on their shared screen
+        socket.on('annotations', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !data) return;
+            
+            const participant = room.participants.get(socket.id);
+            participant.annotations = Boolean(data.enabled);
+            io.to(room.id).emit('annotations-state', { id: socket.id, enabled: participant.annotations });
+        });
+        
+        // Strokes drawn on someone's shared screen, relayed only while they share it
+        // and take annotations. Nothing is kept: annotations belong to the moment.
+        socket.on('annotation', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !isValidAnnotation(data, room)) return;
+            
+            const presenter = room.participants.get(data.presenterId);
+            if (!presenter || !presenter.screen || !presenter.annotations) return;
+            socket.to(room.id).emit('annotation', { ...data, from: socket.id });
+        });
+        
+        // Remote control: a viewer asks to control a shared screen and its presenter
+        // grants, denies or later revokes it. One viewer controls a screen at a time;
+        // their input then goes peer to peer to the presenter's control agent.
+        socket.on('control', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !data) return;
+            
+            const self = room.participants.get(socket.id);
+            const presenter = room.participants.get(data.presenterId);
+            switch (data.action) {
+                case 'request':
+                    if (!presenter || !presenter.screen || presenter.controller || presenter.id === socket.id) return;
+                    io.to(presenter.id).emit('control-request', { id: socket.id });
+                    break;
+                case 'grant':
+                    if (!self.screen || !room.participants.has(data.id) || data.id === socket.id) return;
+                    setController(room, self, data.id);
+                    break;
+                case 'deny':
+                    if (!self.screen || !room.participants.has(data.id)) return;
+                    io.to(data.id).emit('control-denied', { presenterId: socket.id });
+                    break;
+                case 'revoke':
+                    setController(room, self, null);
+                    break;
+                case 'release':
+                    if (presenter && presenter.controller === socket.id) {
+                        setController(room, presenter, null);
+                    }
+                    break;
+            }
+        });
+        
+        // Connection setup for the control channel, only between a presenter and whoever controls their screen
+        socket.on('control-signal', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            const peer = room && data && room.participants.get(data.to);
+            if (!peer) return;
+            
+            const self = room.participants.get(socket.id);
+            if (peer.controller !== socket.id && self.controller !== peer.id) return;
+            
+            const { to, ...payload } = data;
+            io.to(to).emit('control-signal', { ...payload, from: socket.id });
+        });
+        
+        // Host-only actions. They change the server's view of the room, so a
+        // participant's client cannot simply ignore them.
+        socket.on('moderate', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || room.hostId !== socket.id || !data) return;
+            
+            moderate(room, data);
+        });
+        
+        // Breakout rooms. The host opens them, which moves people out of the main
+        // room, and whoever opened them (the manager) can visit any of them and
+        // close them early. Everyone else can call for help or go back to the
+        // main room. They close by themselves once their time runs out.
+        socket.on('breakout', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !data) return;
+            
+            const participant = room.participants.get(socket.id);
+            if (data.action === 'open') {
+                if (room.parentId || room.breakouts || room.hostId !== socket.id) return;
+                openBreakouts(room, participant, data);
+                return;
+            }
+            
+            const main = rooms.getBreakoutMain(room);
+            if (!main) return;
+            const isManager = main.breakouts.managerId === participant.authorId;
+            
+            switch (data.action) {
+                case 'close':
+                    if (isManager) closeBreakouts(main);
+                    break;
+                case 'join': {
+                    const target = data.id === main.id ? main : main.breakouts.rooms.has(data.id) && rooms.get(data.id);
+                    if (!target || target === room || (!isManager && target !== main)) return;
+                    
+                    if (target === main) {
+                        main.breakouts.assignments.delete(participant.authorId);
+                    } else {
+                        main.breakouts.assignments.set(participant.authorId, target.id);
+                    }
+                    moveTo(socket, target, target === main && isManager);
+                    sendBreakouts(main);
+                    break;
+                }
+                case 'help':
+                    if (room === main) return;
+                    findManagerSockets(main).forEach(id => {
+                        io.to(id).emit('breakout-help', { roomId: room.id, name: room.name, from: participant.displayName });
+                    });
+                    break;
+            }
+        });
+        
+        // Anyone in a room can invite others in without sharing its password.
+        // From a breakout, the invite is to its main room.
+        socket.on('create-invite', () => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room) return;
+            
+            const roomId = room.parentId || room.id;
+            socket.emit('invite-created', { roomId, ...auth.createInvite(roomId, inviteTtl) });
+        });
+        
+        // WebRTC offers, answers and ICE candidates go to a single peer in the same room
+        DIRECT_EVENTS.forEach(event => {
+            socket.on(event, (data) => {
+                const room = rooms.getRoomFor(socket.id);
+                if (!room || !data || !room.participants.has(data.to)) return;
+                
+                const { to, ...payload } = data;
+                io.to(to).emit(event, { ...payload, from: socket.id });
+            });
+        });
+        
+        // SFU signaling - only honoured while the room is in SFU mode
+        socket.on('sfu-publish', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || room.mediaMode !== 'sfu' || !data || !data.description) return;
+            
+            const peerIds = Array.from(room.participants.keys()).filter(id => id !== socket.id);
+            reportSfuError(socket, mediaServer.publish(socket.id, room.id, data.description, peerIds));
+        });
+        
+        socket.on('sfu-answer', (data) => {
+            if (!mediaServer || !data || !data.description) return;
+            reportSfuError(socket, mediaServer.handleAnswer(socket.id, data.publisherId, data.description));
+        });
+        
+        socket.on('sfu-candidate', (data) => {
+            if (!mediaServer || !data) return;
+            mediaServer.addCandidate(socket.id, data.publisherId, data.candidate);
+        });
+        
+        // Offer a downstream connection again, e.g. after it failed on the client
+        socket.on('sfu-subscribe', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || room.mediaMode !== 'sfu' || !data || !room.participants.has(data.publisherId)) return;
+            
+            reportSfuError(socket, mediaServer.subscribe(socket.id, data.publisherId));
+        });
+        
+        socket.on('sfu-layer', (data) => {
+            if (!mediaServer || !data) return;
+            mediaServer.setLayer(socket.id, data.publisherId, data.layer);
+        });
+        
+        RELAYED_EVENTS.forEach(event => {
+            socket.on(event, (data) => {
+                const room = rooms.getRoomFor(socket.id);
+                if (!room) return;
+                
+                socket.to(room.id).emit(event, { ...data, from: socket.id });
+            });
+        });
+        
+        // Chat operations (send, edit, delete, react) go through the room's history,
+        // which assigns ids, so the result is sent to everyone including the sender
+        socket.on('chat-message', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !data) return;
+            if (data.text !== undefined && isSealed(data.text) !== Boolean(room.e2ee)) return;
+            
+            const participant = room.participants.get(socket.id);
+            // "/command ..." goes to the bot that has the command instead of the chat
+            if (data.op === 'send' && bots && bots.runCommand(room, participant, data)) return;
+            
+            const update = room.chat.apply(data, participant);
+            if (!update) return;
+            
+            io.to(room.id).emit('chat-message', update);
+            if (!room.parentId) {
+                rooms.chatStore.save(room.id);
+            }
+            publish(room, 'chat-message', update);
+        });
+        
+        // Polls and Q&A (create, vote, close, ask, upvote, answer) go through the
+        // room's RoomPolls, and the result is sent to everyone including the sender
+        socket.on('poll', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !data) return;
+            const texts = [data.text, data.question, ...(Array.isArray(data.options) ? data.options : [])];
+            if (texts.some(text => text !== undefined && isSealed(text) !== Boolean(room.e2ee))) return;
+            
+            const update = room.polls.apply(data, room.participants.get(socket.id), room.hostId === socket.id);
+            if (update) {
+                io.to(room.id).emit('poll', update);
+                publish(room, 'poll', update);
+            }
+        });
+        
+        // Raised hands, listed in the order they went up. The host can also lower anyone's hand.
+        socket.on('hand', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !data) return;
+            
+            const raised = Boolean(data.raised);
+            const id = data.id === undefined ? socket.id : data.id;
+            const participant = room.participants.get(id);
+            if (!participant || (id !== socket.id && (raised || room.hostId !== socket.id))) return;
+            if (raised === Boolean(participant.handRaisedAt)) return;
+            
+            participant.handRaisedAt = raised ? Date.now() : null;
+            io.to(room.id).emit('hand-state', { id, raisedAt: participant.handRaisedAt });
+            publish(room, 'hand-state', { participant: describeParticipant(participant), raisedAt: participant.handRaisedAt });
+        });
+        
+        // Whiteboard events update the room's board so late joiners get the full
+        // state, and persistent rooms save it for their next session
+        socket.on('whiteboard-draw', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !data || !room.whiteboard.apply(data, socket.id)) return;
+            
+            socket.to(room.id).emit('whiteboard-draw', { ...data, from: socket.id });
+            if (room.persistent) {
+                rooms.contentStore.save(room);
+            }
+        });
+        
+        socket.on('whiteboard-clear', () => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room) return;
+            
+            room.whiteboard.clear();
+            socket.to(room.id).emit('whiteboard-clear', { from: socket.id });
+            if (room.persistent) {
+                rooms.contentStore.save(room);
+            }
+        });
+        
+        // Only the file's description is shared; peers fetch the bytes from its uploader,
+        // or from the server once a persistent room has stored it (see room-files.js).
+        // In encrypted rooms its name, type and hash are sealed.
+        socket.on('file-share', (data) => {
+            const room = rooms.getRoomFor(socket.id);
+            if (!room || !(room.e2ee ? isValidSealedFile(data) : isValidFile(data))) return;
+            
+            const details = room.e2ee
+                ? { sealed: data.sealed }
+                : { name: data.name, type: data.type, hash: data.hash };
+            const fileData = {
+                id: data.id,
+                size: data.size,
+                ...details,
+                uploader: room.participants.get(socket.id).displayName,
+                from: socket.id
+            };
+            room.addFile(fileData);
+            socket.to(room.id).emit('file-share', fileData);
+            publish(room, 'file-share', { file: fileData });
+        });
+        
+        socket.on('disconnect', () => {
+            leaveCurrentRoom(socket, true);
+            console.log(`Client disconnected: ${socket.id}`);
+        });
+    });
+    
+    // Sends the room's state to a new participant and tells everyone else.
+    // `takeHost` makes them host; the first one into an empty room always is.
+    function enterRoom(socket, room, participant, takeHost = false) {
+        socket.join(room.id);
+        
+        const hostChanged = takeHost || !room.hostId;
+        if (hostChanged) {
+            room.hostId = socket.id;
+        }
+        const modeChanged = updateMediaMode(room);
+        
+        const main = rooms.getBreakoutMain(room);
+        socket.emit('room-state', {
+            ...room.toState(socket.id),
+            authorId: participant.authorId,
+            maxFileSize,
+            // Files in encrypted rooms only ever travel peer to peer, end-to-end encrypted
+            maxStoredFileSize: room.persistent && !room.e2ee ? maxStoredFileSize : 0,
+            breakouts: main ? getBreakoutState(main) : null,
+            commands: bots ? bots.listCommands(room) : []
+        });
+        socket.to(room.id).emit('participant-joined', participant);
+        publish(room, 'participant-joined', { participant: describeParticipant(participant) });
+        
+        if (hostChanged) {
+            socket.to(room.id).emit('host-changed', { hostId: room.hostId });
+            sendLobby(room);
+        }
+        
+        if (modeChanged) {
+            socket.to(room.id).emit('media-mode', { mode: room.mediaMode });
+        } else if (room.mediaMode === 'sfu') {
+            // Existing publishers start forwarding to the newcomer
+            room.participants.forEach((p, publisherId) => {
+                reportSfuError(socket, mediaServer.subscribe(socket.id, publisherId));
+            });
+        }
+        
+        console.log(`${participant.displayName} (${socket.id}) joined room ${room.id}`);
+    }
+    
+    // `dropped` is set when the connection went away rather than the client leaving,
+    // so they can rejoin for a while as if they had never gone
+    function leaveCurrentRoom(socket, dropped = false) {
+        if (mediaServer) {
+            mediaServer.removeClient(socket.id);
+        }
+        
+        const current = rooms.findRoom(socket.id);
+        const wasWaiting = Boolean(current) && current.lobby.has(socket.id);
+        const wasHost = Boolean(current) && current.hostId === socket.id;
+        const participant = current && current.participants.get(socket.id);
+        
+        const room = rooms.leave(socket.id);
+        if (!room) return;
+        
+        if (dropped && participant) {
+            room.markDropped(participant.authorId, wasHost);
+        }
+        socket.leave(room.id);
+        if (wasWaiting) {
+            sendLobby(room);
+            return;
+        }
+        socket.to(room.id).emit('participant-left', { id: socket.id });
+        if (participant) {
+            publish(room, 'participant-left', { participant: describeParticipant(participant) });
+        }
+        room.participants.forEach(presenter => {
+            if (presenter.controller === socket.id) setController(room, presenter, null);
+        });
+        
+        if (room.participants.size === 0 && room.lobby.size > 0) {
+            // Nobody is left to let the lobby in, so the first in line becomes host
+            admit(room, room.lobby.keys().next().value);
+        } else if (wasHost && room.hostId) {
+            io.to(room.id).emit('host-changed', { hostId: room.hostId });
+            sendLobby(room);
+        }
+        
+        if (updateMediaMode(room)) {
+            io.to(room.id).emit('media-mode', { mode: room.mediaMode });
+        }
+        // Moves update the breakout counts themselves
+        const main = dropped && rooms.getBreakoutMain(room);
+        if (main) {
+            sendBreakouts(main);
+        }
+    }
+    
+    // `data.rooms` is [{ name, members }], where `members` are socket ids of
+    // people in the main room; anyone not in a breakout stays in the main room
+    function openBreakouts(main, manager, data) {
+        const minutes = Number(data.minutes);
+        if (!Array.isArray(data.rooms) || data.rooms.length === 0 || data.rooms.length > MAX_BREAKOUTS ||
+            !(minutes > 0 && minutes <= MAX_BREAKOUT_MINUTES)) return;
+        
+        const assigned = new Set();
+        const specs = [];
+        for (const spec of data.rooms) {
+            if (!spec || typeof spec.name !== 'string' || !spec.name.trim() || !Array.isArray(spec.members)) return;
+            const members = spec.members.filter(id => main.participants.has(id) && id !== manager.id && !assigned.has(id));
+            members.forEach(id => assigned.add(id));
+            specs.push({ name: spec.name.trim().slice(0, MAX_BREAKOUT_NAME_LENGTH), members });
+        }
+        
+        const duration = minutes * 60 * 1000;
+        main.breakouts = {
+            managerId: manager.authorId,
+            rooms: new Map(),
+            assignments: new Map(),
+            endsAt: Date.now() + duration,
+            timer: setTimeout(() => closeBreakouts(main), duration)
+        };
+        specs.forEach(({ name, members }, index) => {
+            const breakout = rooms.createBreakout(main, index, name);
+            main.breakouts.rooms.set(breakout.id, breakout.name);
+            members.forEach(id => {
+                main.breakouts.assignments.set(main.participants.get(id).authorId, breakout.id);
+                moveTo(io.sockets.sockets.get(id), breakout);
+            });
+        });
+        sendBreakouts(main);
+        console.log(`Room ${main.id} opened ${specs.length} breakout rooms for ${minutes} minutes`);
+    }
+    
+    // Everyone goes back to the main room, and whoever opened the breakouts is its host again
+    function closeBreakouts(main) {
+        const { managerId, rooms: breakoutIds, timer } = main.breakouts;
+        clearTimeout(timer);
+        main.breakouts = null;
+        
+        breakoutIds.forEach((name, id) => {
+            const breakout = rooms.get(id);
+            if (!breakout) return;
+            
+            Array.from(breakout.participants.values()).forEach(participant => {
+                moveTo(io.sockets.sockets.get(participant.id), main, participant.authorId === managerId);
+            });
+            rooms.closeIfUnused(breakout);
+        });
+        io.to(main.id).emit('breakouts-state', { open: false });
+        rooms.closeIfUnused(main);
+        console.log(`Room ${main.id} closed its breakout rooms`);
+    }
+    
+    // Takes a participant from their room straight into `target`, past its lock and waiting room
+    function moveTo(socket, target, takeHost = false) {
+        const current = socket && rooms.getRoomFor(socket.id);
+        if (!current) return;
+        
+        const { displayName, authorId, publicKey } = current.participants.get(socket.id);
+        socket.emit('room-moved', { roomId: target.id });
+        leaveCurrentRoom(socket);
+        const { room, participant } = rooms.join(target.id, socket.id, { displayName, authorId, publicKey });
+        enterRoom(socket, room, participant, takeHost);
+    }
+    
+    // Open breakouts with how many people are in each, and how long they have left
+    function getBreakoutState(main) {
+        const { managerId, rooms: breakoutIds, endsAt } = main.breakouts;
+        return {
+            open: true,
+            mainId: main.id,
+            managerId,
+            remaining: Math.max(0, endsAt - Date.now()),
+            rooms: Array.from(breakoutIds, ([id, name]) => {
+                const breakout = rooms.get(id);
+                return { id, name, count: breakout ? breakout.participants.size : 0 };
+            })
+        };
+    }
+    
+    // To the main room and every breakout
+    function sendBreakouts(main) {
+        const state = getBreakoutState(main);
+        [main.id, ...main.breakouts.rooms.keys()].forEach(id => io.to(id).emit('breakouts-state', state));
+    }
+    
+    // The manager may be in the main room or visiting a breakout, possibly on more than one device
+    function findManagerSockets(main) {
+        return [main.id, ...main.breakouts.rooms.keys()]
+            .map(id => rooms.get(id))
+            .filter(Boolean)
+            .flatMap(room => Array.from(room.participants.values()))
+            .filter(participant => participant.authorId === main.breakouts.managerId)
+            .map(participant => participant.id);
+    }
+    
+    function moderate(room, { action, id, enabled }) {
+        const participant = room.participants.get(id);
+        const target = io.sockets.sockets.get(id);
+        
+        switch (action) {
+            case 'admit':
+                admit(room, id);
+                break;
+            case 'deny':
+                if (!room.lobby.has(id)) return;
+                rooms.leave(id);
+                if (target) {
+                    target.emit('join-error', { reason: 'denied', message: 'The host did not let you in' });
+                }
+                sendLobby(room);
+                break;
+            case 'mute':
+            case 'stop-video':
+                if (!participant || id === room.hostId) return;
+                participant[action === 'mute' ? 'audio' : 'video'] = false;
+                io.to(room.id).emit('participant-updated', { id, audio: participant.audio, video: participant.video });
+                io.to(id).emit('moderated', { action });
+                break;
+            case 'remove':
+                if (!participant || !target || id === room.hostId) return;
+                room.removed.add(participant.authorId);
+                target.emit('removed', { message: 'The host removed you from the room' });
+                leaveCurrentRoom(target);
+                break;
+            case 'make-host':
+                if (!participant) return;
+                room.hostId = id;
+                io.to(room.id).emit('host-changed', { hostId: id });
+                sendLobby(room);
+                break;
+            case 'lock':
+            case 'waiting-room':
+            case 'multiple-shares':
+                room[ROOM_SETTINGS[action]] = Boolean(enabled);
+                io.to(room.id).emit('room-settings', room.getSettings());
+                // Turning the waiting room off lets everyone in it through
+                if (!room.waitingRoom) {
+                    Array.from(room.lobby.keys()).forEach(waitingId => admit(room, waitingId));
+                }
+                break;
+        }
+    }
+    
+    function admit(room, id) {
+        const socket = io.sockets.sockets.get(id);
+        if (!socket || !room.lobby.has(id)) return;
+        
+        enterRoom(socket, room, room.admit(id));
+        sendLobby(room);
+    }
+    
+    // Only the host sees who is waiting
+    function sendLobby(room) {
+        if (!room.hostId) return;
+        
+        io.to(room.hostId).emit('lobby-update', { lobby: Array.from(room.lobby.values()) });
+    }
+    
+    // Returns a join-error for `user`, or null if they may enter the room
+    async function checkRoomAccess(access, user, { password, invite, keyCheck }, rejoining = false) {
+        // Everyone needs the passphrase, as without it they could not read anything anyway
+        if (!roomAccess.checkPassphrase(access, keyCheck)) {
+            return {
+                reason: 'passphrase',
+                salt: access.e2ee.salt,
+                message: keyCheck ? 'Wrong passphrase' : 'This room is encrypted with a passphrase'
+            };
+        }
+        if (rejoining || access.ownerId === user.id || !access.passwordHash) return null;
+        if (invite && auth.verifyInvite(invite, access.id)) return null;
+        if (password && await roomAccess.checkPassword(access, password)) return null;
+        
+        let message = 'This room needs a password';
+        if (password) {
+            message = 'Wrong room password';
+        } else if (invite) {
+            message = 'This invite link has expired';
+        }
+        return { reason: 'password', message };
+    }
+    
+    function isValidFile(data) {
+        return Boolean(data) &&
+            typeof data.id === 'string' &&
+            typeof data.name === 'string' && data.name.length > 0 && data.name.length <= 255 &&
+            typeof data.type === 'string' && data.type.length <= 255 &&
+            typeof data.hash === 'string' && /^[0-9a-f]{64}$/.test(data.hash) &&
+            Number.isInteger(data.size) && data.size >= 0 && data.size <= maxFileSize;
+    }
+    
+    function isValidSealedFile(data) {
+        return Boolean(data) &&
+            typeof data.id === 'string' &&
+            isSealed(data.sealed) && data.sealed.length <= 2048 &&
+            Number.isInteger(data.size) && data.size >= 0 && data.size <= maxFileSize;
+    }
+    
+    function isValidCaption(data, room) {
+        return Boolean(data) &&
+            typeof data.id === 'string' && data.id.length <= 64 &&
+            typeof data.text === 'string' && isSealed(data.text) === Boolean(room.e2ee) &&
+            data.text.length <= (room.e2ee ? MAX_SEALED_CAPTION_LENGTH : MAX_CAPTION_LENGTH) &&
+            Number.isFinite(data.start) && Number.isFinite(data.end);
+    }
+    
+    // `controllerId` is the participant now controlling `presenter`'s screen, or null for nobody
+    function setController(room, presenter, controllerId) {
+        if (presenter.controller === controllerId) return;
+        
+        presenter.controller = controllerId;
+        io.to(room.id).emit('control-state', { presenterId: presenter.id, controllerId });
+    }
+    
+    // Encrypted rooms only take sealed ops ({ presenterId, sealed }), whose kind the server cannot see
+    function isValidAnnotation(data, room) {
+        if (!data || typeof data.presenterId !== 'string') return false;
+        if (room.e2ee) {
+            return isSealed(data.sealed) && data.sealed.length <= MAX_ANNOTATION_LENGTH;
+        }
+        return ANNOTATION_OPS.includes(data.type) && data.sealed === undefined &&
+            JSON.stringify(data).length <= MAX_ANNOTATION_LENGTH;
+    }
+    
+    // Room events for the bots and webhook, see bots.js
+    function publish(room, event, data) {
+        if (bots) {
+            bots.publish(room, event, data);
+        }
+    }
+    
+    // Encrypted rooms' clients seal text with the room key (see e2ee.js) before
+    // sending it, which prefixes it with "e2ee:" and makes it longer. Encrypted
+    // rooms only take sealed text, and other rooms never do.
+    function isSealed(value) {
+        return typeof value === 'string' && value.startsWith('e2ee:');
+    }
+    
+    function updateMediaMode(room) {
+        if (!mediaServer || !room.updateMediaMode(sfuThreshold)) return false;
+        
+        // Back to a mesh - peers reconnect directly, so drop all SFU connections
+        if (room.mediaMode === 'mesh') {
+            room.participants.forEach((p, id) => mediaServer.removeClient(id));
+        }
+        console.log(`Room ${room.id} switched to ${room.mediaMode} mode`);
+        return true;
+    }
+    
+    function reportSfuError(socket, promise) {
+        promise.catch(error => {
+            console.error(`SFU error for ${socket.id}:`, error);
+            socket.emit('sfu-error', { message: 'Media server connection failed' });
+        });
+    }
+}
+
+module.exports = { setupSignaling, RELAYED_EVENTS, DIRECT_EVENTS };
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { RoomAccessStore, parseEncryption, parseMeeting } = require('../access');
+
+const HOUR = 60 * 60 * 1000;
+
+function meeting(fields = {}) {
+    return { title: 'Weekly sync', startsAt: Date.now() + HOUR, duration: 30, ...fields };
+}
+
+test('creates rooms with a password that is checked', async () => {
+    const store = new RoomAccessStore();
+    const room = await store.create('owner', 'secret');
+    assert.match(room.id, /^[A-HJ-NP-Z2-9]{12}$/);
+    assert.strictEqual(store.get(room.id), room);
+    
+    assert.strictEqual(await store.checkPassword(room, 'secret'), true);
+    assert.strictEqual(await store.checkPassword(room, 'wrong'), false);
+    assert.strictEqual(await store.checkPassword(room, ''), false);
+    assert.strictEqual(await store.checkPassword(room, 42), false);
+    assert.strictEqual(await store.checkPassword(await store.create('owner'), undefined), true);
+});
+
+test('only takes valid encryption settings and passphrase checks', async () => {
+    assert.strictEqual(parseEncryption(null), null);
+    assert.deepStrictEqual(parseEncryption({ mode: 'exchange', extra: true }), { mode: 'exchange' });
+    assert.strictEqual(parseEncryption({ mode: 'passphrase', salt: 'short', keyCheck: 'a'.repeat(32) }), undefined);
+    assert.strictEqual(parseEncryption({ mode: 'plain' }), undefined);
+    
+    const e2ee = parseEncryption({ mode: 'passphrase', salt: `${'A'.repeat(22)}==`, keyCheck: 'a'.repeat(32) });
+    const room = await new RoomAccessStore().create('owner', '', e2ee);
+    assert.strictEqual(room.e2ee.mode, 'passphrase');
+    assert.strictEqual(new RoomAccessStore().checkPassphrase(room, 'a'.repeat(32)), true);
+    assert.strictEqual(new RoomAccessStore().checkPassphrase(room, 'b'.repeat(32)), false);
+    assert.strictEqual(new RoomAccessStore().checkPassphrase(room, 'a'), false);
+});
+
+test('cleans up meetings and rejects invalid ones', () => {
+    const parsed = parseMeeting(meeting({ title: '  Weekly sync  ', agenda: ' Notes ', invitees: [' bob ', 'bob', '', 'carol'] }));
+    assert.deepStrictEqual(parsed, {
+        title: 'Weekly sync', startsAt: parsed.startsAt, duration: 30 * 60 * 1000, agenda: 'Notes', invitees: ['bob', 'carol']
+    });
+    
+    assert.strictEqual(parseMeeting(null), undefined);
+    assert.strictEqual(parseMeeting(meeting({ title: '   ' })), undefined);
+    assert.strictEqual(parseMeeting(meeting({ startsAt: 'soon' })), undefined);
+    assert.strictEqual(parseMeeting(meeting({ startsAt: Date.now() - 2 * HOUR })), undefined);
+    assert.strictEqual(parseMeeting(meeting({ startsAt: Date.now() + 3 * 365 * 24 * HOUR })), undefined);
+    assert.strictEqual(parseMeeting(meeting({ duration: 0 })), undefined);
+    assert.strictEqual(parseMeeting(meeting({ duration: 25 * 60 })), undefined);
+    assert.strictEqual(parseMeeting(meeting({ agenda: 42 })), undefined);
+    assert.strictEqual(parseMeeting(meeting({ invitees: 'bob' })), undefined);
+    assert.strictEqual(parseMeeting(meeting({ invitees: [42] })), undefined);
+    assert.strictEqual(parseMeeting(meeting({ invitees: Array(201).fill('bob') })), undefined);
+});
+
+test('lists the meetings a user owns or is invited to that have not ended', async () => {
+    const store = new RoomAccessStore();
+    const owner = { id: 'owner-id', username: 'alice' };
+    const later = await store.create(owner.id, '', null, { meeting: parseMeeting(meeting({ startsAt: Date.now() + 2 * HOUR, invitees: ['Bob'] })) });
+    const sooner = await store.create(owner.id, '', null, { meeting: parseMeeting(meeting()) });
+    const ended = await store.create(owner.id, '', null, { meeting: parseMeeting(meeting()) });
+    ended.meeting.startsAt = Date.now() - 2 * HOUR;
+    await store.create(owner.id, 'secret');
+    
+    assert.strictEqual(sooner.persistent, true);
+    assert.strictEqual(sooner.name, 'Weekly sync');
+    assert.deepStrictEqual(store.listMeetings(owner).map(room => room.id), [sooner.id, later.id]);
+    assert.deepStrictEqual(store.listMeetings({ id: 'bob-id', username: 'bob' }).map(room => room.id), [later.id]);
+    assert.deepStrictEqual(store.listMeetings({ id: 'guest-id', username: null }), []);
+});
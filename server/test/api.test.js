@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+
+const { Auth, UserStore, TokenSigner } = require('../auth');
+const { createApiHandler } = require('../api');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const handleApi = createApiHandler(new Auth(new UserStore(), new TokenSigner(crypto.randomBytes(32))));
+    server = http.createServer((req, res) => handleApi(req, res) || res.writeHead(404).end());
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function post(pathname, body) {
+    return fetch(`${baseUrl}${pathname}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+}
+
+test('answers bodies that are not JSON objects with a validation error', async () => {
+    for (const pathname of ['/api/register', '/api/login']) {
+        for (const body of ['null', '42', '"text"', '[]', 'true']) {
+            const res = await post(pathname, body);
+            assert.strictEqual(res.status, 400, `${pathname} with ${body}`);
+            assert.deepStrictEqual(await res.json(), { error: 'Expected a JSON object' });
+        }
+    }
+});
+
+test('registers and signs in with an object body', async () => {
+    const credentials = { username: 'alice', password: 'correct horse battery' };
+    const registered = await post('/api/register', JSON.stringify({ ...credentials, displayName: 'Alice' }));
+    assert.strictEqual(registered.status, 200);
+    
+    const res = await post('/api/login', JSON.stringify(credentials));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await res.json()).user.displayName, 'Alice');
+});
@@ -0,0 +1,95 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { createSignaling } = require('./fake-io');
+
+mock.method(console, 'log', () => {});
+
+// alice hosts a room with bob and carol in it
+async function fullRoom() {
+    const signaling = await createSignaling();
+    const host = await signaling.join('alice');
+    const { roomId } = host.last('room-state');
+    await host.send('moderate', { action: 'waiting-room', enabled: false });
+    const bob = await signaling.join('bob', { roomId });
+    const carol = await signaling.join('carol', { roomId });
+    return { ...signaling, host, bob, carol, roomId, main: signaling.rooms.get(roomId) };
+}
+
+function open(host, bob, carol, minutes = 10) {
+    return host.send('breakout', {
+        action: 'open',
+        minutes,
+        rooms: [{ name: ' Team A ', members: [bob.id] }, { name: 'Team B', members: [carol.id, bob.id] }]
+    });
+}
+
+test('only the host opens breakouts, with valid rooms and a valid duration', async () => {
+    const { host, bob, carol, main } = await fullRoom();
+    
+    await bob.send('breakout', { action: 'open', minutes: 10, rooms: [{ name: 'Team A', members: [carol.id] }] });
+    assert.strictEqual(main.breakouts, null);
+    await host.send('breakout', { action: 'open', minutes: 10, rooms: [] });
+    await host.send('breakout', { action: 'open', minutes: 0, rooms: [{ name: 'Team A', members: [bob.id] }] });
+    await host.send('breakout', { action: 'open', minutes: 10, rooms: [{ name: ' ', members: [bob.id] }] });
+    await host.send('breakout', { action: 'open', minutes: 10, rooms: Array(21).fill({ name: 'Team', members: [] }) });
+    assert.strictEqual(main.breakouts, null);
+});
+
+test('moves each member into one breakout and brings everyone back when they close', async () => {
+    const { host, bob, carol, main, rooms, roomId } = await fullRoom();
+    await open(host, bob, carol);
+    
+    const [teamA, teamB] = Array.from(main.breakouts.rooms.keys()).map(id => rooms.get(id));
+    assert.strictEqual(teamA.name, 'Team A');
+    // Someone listed twice only goes to the first breakout
+    assert.deepStrictEqual(Array.from(teamA.participants.keys()), [bob.id]);
+    assert.deepStrictEqual(Array.from(teamB.participants.keys()), [carol.id]);
+    assert.deepStrictEqual(bob.last('room-moved'), { roomId: teamA.id });
+    assert.strictEqual(bob.last('room-state').breakout.mainId, roomId);
+    assert.deepStrictEqual(host.last('breakouts-state').rooms.map(room => room.count), [1, 1]);
+    
+    // Only the host who opened them closes them
+    await bob.send('breakout', { action: 'close' });
+    assert.ok(main.breakouts);
+    await host.send('breakout', { action: 'close' });
+    assert.strictEqual(main.breakouts, null);
+    assert.deepStrictEqual(Array.from(main.participants.keys()).sort(), [host.id, bob.id, carol.id].sort());
+    assert.strictEqual(main.hostId, host.id);
+    assert.strictEqual(rooms.get(teamA.id), null);
+    assert.strictEqual(rooms.get(teamB.id), null);
+});
+
+test('lets members go back to the main room but only the manager visit other breakouts', async () => {
+    const { host, bob, carol, main, rooms, roomId } = await fullRoom();
+    await open(host, bob, carol);
+    const [teamA, teamB] = Array.from(main.breakouts.rooms.keys()).map(id => rooms.get(id));
+    
+    await bob.send('breakout', { action: 'join', id: teamB.id });
+    assert.ok(teamA.participants.has(bob.id));
+    
+    await host.send('breakout', { action: 'join', id: teamB.id });
+    assert.ok(teamB.participants.has(host.id));
+    
+    await carol.send('breakout', { action: 'help' });
+    assert.strictEqual(host.last('breakout-help').name, 'Team B');
+    
+    await bob.send('breakout', { action: 'join', id: roomId });
+    assert.ok(main.participants.has(bob.id));
+    assert.strictEqual(main.breakouts.assignments.has(rooms.get(roomId).participants.get(bob.id).authorId), false);
+    
+    await host.send('breakout', { action: 'close' });
+});
+
+test('sends people who reconnect back to their breakout', async () => {
+    const { host, bob, carol, main, rooms, join, roomId } = await fullRoom();
+    await open(host, bob, carol);
+    const teamA = rooms.get(Array.from(main.breakouts.rooms.keys())[0]);
+    
+    await bob.disconnect();
+    assert.strictEqual(teamA.participants.size, 0);
+    const back = await join('bob', { roomId });
+    assert.strictEqual(back.last('room-state').roomId, teamA.id);
+    
+    await host.send('breakout', { action: 'close' });
+});
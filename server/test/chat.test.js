@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { ChatHistory } = require('../chat');
+
+const alice = { authorId: 'alice', displayName: 'Alice' };
+const bob = { authorId: 'bob', displayName: 'Bob' };
+
+function send(chat, author, text = 'Hello', threadId = null) {
+    return chat.apply({ op: 'send', text, threadId }, author).message;
+}
+
+test('sends messages and hangs replies off the root of their thread', () => {
+    const chat = new ChatHistory();
+    const root = send(chat, alice, '  Hello  ');
+    assert.strictEqual(root.text, 'Hello');
+    assert.strictEqual(root.sender, 'Alice');
+    
+    const reply = send(chat, bob, 'Hi', root.id);
+    const nested = send(chat, alice, 'Hi again', reply.id);
+    assert.strictEqual(reply.threadId, root.id);
+    assert.strictEqual(nested.threadId, root.id);
+});
+
+test('rejects empty and overlong text and unknown threads', () => {
+    const chat = new ChatHistory();
+    assert.strictEqual(chat.apply({ op: 'send', text: '   ' }, alice), null);
+    assert.strictEqual(chat.apply({ op: 'send', text: 'x'.repeat(2001) }, alice), null);
+    assert.strictEqual(chat.apply({ op: 'send', text: 42 }, alice), null);
+    assert.strictEqual(chat.apply({ op: 'send', text: 'Hi', threadId: 'missing' }, alice), null);
+    assert.strictEqual(chat.apply({ op: 'shout', text: 'Hi' }, alice), null);
+    assert.strictEqual(chat.messages.size, 0);
+});
+
+test('only lets authors edit and delete their own messages', () => {
+    const chat = new ChatHistory();
+    const message = send(chat, alice);
+    
+    assert.strictEqual(chat.apply({ op: 'edit', id: message.id, text: 'Changed' }, bob), null);
+    assert.strictEqual(chat.apply({ op: 'delete', id: message.id }, bob), null);
+    assert.strictEqual(chat.messages.get(message.id).text, 'Hello');
+    
+    const edit = chat.apply({ op: 'edit', id: message.id, text: 'Changed' }, alice);
+    assert.strictEqual(edit.text, 'Changed');
+    assert.ok(edit.editedAt);
+    assert.deepStrictEqual(chat.apply({ op: 'delete', id: message.id }, alice), { op: 'delete', id: message.id });
+    
+    // A deleted message stays as a placeholder that cannot be edited, deleted or reacted to
+    assert.strictEqual(chat.messages.get(message.id).deleted, true);
+    assert.strictEqual(chat.apply({ op: 'edit', id: message.id, text: 'Back' }, alice), null);
+    assert.strictEqual(chat.apply({ op: 'delete', id: message.id }, alice), null);
+    assert.strictEqual(chat.apply({ op: 'react', id: message.id, emoji: '👍' }, bob), null);
+    assert.strictEqual(chat.apply({ op: 'edit', id: 'missing', text: 'Hi' }, alice), null);
+});
+
+test('toggles reactions and caps the distinct emoji on a message', () => {
+    const chat = new ChatHistory();
+    const message = send(chat, alice);
+    
+    assert.deepStrictEqual(chat.apply({ op: 'react', id: message.id, emoji: '👍' }, bob).reactions, { '👍': ['bob'] });
+    assert.deepStrictEqual(chat.apply({ op: 'react', id: message.id, emoji: '👍' }, bob).reactions, {});
+    assert.strictEqual(chat.apply({ op: 'react', id: message.id, emoji: '<b>' }, bob), null);
+    assert.strictEqual(chat.apply({ op: 'react', id: message.id, emoji: 'ok' }, bob), null);
+    
+    const emoji = Array.from('😀😁😂🤣😃😄😅😆😉😊😋😎😍😘🥰😗😙😚🙂🤗');
+    emoji.forEach(e => assert.ok(chat.apply({ op: 'react', id: message.id, emoji: e }, bob)));
+    assert.strictEqual(chat.apply({ op: 'react', id: message.id, emoji: '🤩' }, bob), null);
+    // Adding to an emoji already there is still allowed
+    assert.deepStrictEqual(chat.apply({ op: 'react', id: message.id, emoji: '😀' }, alice).reactions['😀'], ['bob', 'alice']);
+});
+
+test('drops the oldest messages beyond the limit', () => {
+    const chat = new ChatHistory();
+    const first = send(chat, alice, 'First');
+    for (let i = 0; i < 1000; i++) send(chat, bob, `Message ${i}`);
+    
+    assert.strictEqual(chat.messages.size, 1000);
+    assert.strictEqual(chat.messages.has(first.id), false);
+    assert.strictEqual(chat.apply({ op: 'send', text: 'Late reply', threadId: first.id }, alice), null);
+});
@@ -0,0 +1,117 @@
+// A stand-in for the Socket.io server with just what setupSignaling uses, so
+// the signaling handlers can be driven without a network or a client library.
+// Each FakeSocket records what the server sends it in `received`.
+
+const { Auth, UserStore, TokenSigner } = require('../auth');
+const { RoomAccessStore } = require('../access');
+const { ChatStore } = require('../chat');
+const { RoomManager } = require('../rooms');
+const { setupSignaling } = require('../signaling');
+
+class FakeServer {
+    constructor() {
+        this.sockets = { sockets: new Map() };
+        // room -> socket ids in it
+        this.members = new Map();
+        this.nextId = 1;
+    }
+    
+    on(event, handler) {
+        if (event === 'connection') this.onConnection = handler;
+    }
+    
+    to(target) {
+        return { emit: (event, data) => this.deliver(target, event, data) };
+    }
+    
+    // To everyone in the room `target`, or to the socket with that id
+    deliver(target, event, data, except = null) {
+        const ids = this.members.has(target) ? Array.from(this.members.get(target)) : [target];
+        ids.filter(id => id !== except).forEach(id => {
+            const socket = this.sockets.sockets.get(id);
+            if (socket) socket.received.push({ event, data });
+        });
+    }
+    
+    connect() {
+        const socket = new FakeSocket(this, `socket-${this.nextId++}`);
+        this.sockets.sockets.set(socket.id, socket);
+        this.onConnection(socket);
+        return socket;
+    }
+}
+
+class FakeSocket {
+    constructor(server, id) {
+        this.server = server;
+        this.id = id;
+        this.connected = true;
+        this.handlers = new Map();
+        this.received = [];
+    }
+    
+    on(event, handler) {
+        this.handlers.set(event, handler);
+    }
+    
+    emit(event, data) {
+        this.received.push({ event, data });
+    }
+    
+    to(room) {
+        return { emit: (event, data) => this.server.deliver(room, event, data, this.id) };
+    }
+    
+    join(room) {
+        if (!this.server.members.has(room)) {
+            this.server.members.set(room, new Set());
+        }
+        this.server.members.get(room).add(this.id);
+    }
+    
+    leave(room) {
+        if (this.server.members.has(room)) {
+            this.server.members.get(room).delete(this.id);
+        }
+    }
+    
+    // An event from the client; resolves once the server has handled it
+    async send(event, data) {
+        await this.handlers.get(event)(data);
+    }
+    
+    async disconnect() {
+        this.connected = false;
+        this.server.sockets.sockets.delete(this.id);
+        await this.send('disconnect');
+        this.server.members.forEach(ids => ids.delete(this.id));
+    }
+    
+    // The data of the last `event` the server sent this socket
+    last(event) {
+        const found = this.received.filter(message => message.event === event).pop();
+        return found ? found.data : undefined;
+    }
+}
+
+// A signaling server over a FakeServer, with `join(username, data)` to sign
+// someone up and connect them to a room (a new one without `data.roomId`)
+async function createSignaling() {
+    const io = new FakeServer();
+    const auth = new Auth(new UserStore(), new TokenSigner('test secret'));
+    const rooms = new RoomManager(new ChatStore());
+    setupSignaling(io, rooms, { auth, roomAccess: new RoomAccessStore(), inviteTtl: 60 * 60 * 1000 });
+    
+    const tokens = new Map();
+    async function join(username, data = {}) {
+        if (!tokens.has(username)) {
+            tokens.set(username, (await auth.register({ username, password: 'correct horse battery' })).token);
+        }
+        const socket = io.connect();
+        await socket.send('join-room', { token: tokens.get(username), ...data });
+        return socket;
+    }
+    return { io, rooms, join };
+}
+
+module.exports = { createSignaling };
@@ -0,0 +1,94 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { createSignaling } = require('./fake-io');
+
+mock.method(console, 'log', () => {});
+
+// A room hosted by alice with bob already in it, past the waiting room
+async function hostedRoom() {
+    const signaling = await createSignaling();
+    const host = await signaling.join('alice');
+    const { roomId } = host.last('room-state');
+    await host.send('moderate', { action: 'waiting-room', enabled: false });
+    const guest = await signaling.join('bob', { roomId });
+    const room = signaling.rooms.get(roomId);
+    return { ...signaling, host, guest, roomId, room };
+}
+
+test('keeps newcomers in the lobby until the host admits or denies them', async () => {
+    const { join } = await createSignaling();
+    const host = await join('alice');
+    const { roomId } = host.last('room-state');
+    
+    const bob = await join('bob', { roomId });
+    assert.deepStrictEqual(bob.last('waiting'), { roomId });
+    assert.strictEqual(bob.last('room-state'), undefined);
+    assert.deepStrictEqual(host.last('lobby-update').lobby.map(waiting => waiting.id), [bob.id]);
+    
+    const carol = await join('carol', { roomId });
+    await host.send('moderate', { action: 'admit', id: bob.id });
+    assert.strictEqual(bob.last('room-state').roomId, roomId);
+    
+    // Only the host moderates
+    await bob.send('moderate', { action: 'admit', id: carol.id });
+    assert.strictEqual(carol.last('room-state'), undefined);
+    
+    await host.send('moderate', { action: 'deny', id: carol.id });
+    assert.strictEqual(carol.last('join-error').reason, 'denied');
+    assert.deepStrictEqual(host.last('lobby-update').lobby, []);
+});
+
+test('lets only the host mute, remove and hand over the host role', async () => {
+    const { host, guest, room, join, roomId } = await hostedRoom();
+    
+    await guest.send('moderate', { action: 'mute', id: host.id });
+    assert.strictEqual(room.participants.get(host.id).audio, true);
+    await host.send('moderate', { action: 'mute', id: host.id });
+    assert.strictEqual(room.participants.get(host.id).audio, true);
+    
+    await host.send('moderate', { action: 'mute', id: guest.id });
+    assert.strictEqual(room.participants.get(guest.id).audio, false);
+    assert.deepStrictEqual(guest.last('moderated'), { action: 'mute' });
+    
+    await guest.send('moderate', { action: 'remove', id: host.id });
+    assert.ok(room.participants.has(host.id));
+    await host.send('moderate', { action: 'remove', id: guest.id });
+    assert.strictEqual(room.participants.has(guest.id), false);
+    assert.ok(guest.last('removed'));
+    
+    // Removed people stay out while the room is open
+    const again = await join('bob', { roomId });
+    assert.strictEqual(again.last('join-error').reason, 'removed');
+    
+    const carol = await join('carol', { roomId });
+    await host.send('moderate', { action: 'make-host', id: carol.id });
+    assert.strictEqual(room.hostId, carol.id);
+    assert.deepStrictEqual(carol.last('host-changed'), { hostId: carol.id });
+    await host.send('moderate', { action: 'mute', id: carol.id });
+    assert.strictEqual(room.participants.get(carol.id).audio, true);
+});
+
+test('turns newcomers away from a locked room but lets dropped people back in', async () => {
+    const { host, guest, room, join, roomId } = await hostedRoom();
+    
+    await guest.send('moderate', { action: 'lock', enabled: true });
+    assert.strictEqual(room.locked, false);
+    await host.send('moderate', { action: 'lock', enabled: true });
+    assert.strictEqual(guest.last('room-settings').locked, true);
+    
+    const carol = await join('carol', { roomId });
+    assert.strictEqual(carol.last('join-error').reason, 'locked');
+    
+    await guest.disconnect();
+    const back = await join('bob', { roomId });
+    assert.strictEqual(back.last('room-state').roomId, roomId);
+});
+
+test('hands the host role on when the host leaves', async () => {
+    const { host, guest, room } = await hostedRoom();
+    
+    await host.send('leave-room');
+    assert.strictEqual(room.hostId, guest.id);
+    assert.deepStrictEqual(guest.last('host-changed'), { hostId: guest.id });
+});
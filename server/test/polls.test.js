@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { RoomPolls } = require('../polls');
+
+const host = { authorId: 'host', displayName: 'Host' };
+const guest = { authorId: 'guest', displayName: 'Guest' };
+
+function createPoll(polls, fields = {}) {
+    return polls.apply({ op: 'create', question: 'Lunch?', options: ['Pizza', 'Sushi', 'Salad'], ...fields }, host, true).poll;
+}
+
+test('only the host creates and closes polls and answers questions', () => {
+    const polls = new RoomPolls();
+    assert.strictEqual(polls.apply({ op: 'create', question: 'Lunch?', options: ['Pizza', 'Sushi'] }, guest, false), null);
+    assert.strictEqual(polls.polls.size, 0);
+    
+    const poll = createPoll(polls);
+    assert.strictEqual(polls.apply({ op: 'close', id: poll.id }, guest, false), null);
+    assert.strictEqual(polls.apply({ op: 'close', id: poll.id }, host, true).poll.closed, true);
+    assert.strictEqual(polls.apply({ op: 'close', id: poll.id }, host, true), null);
+    
+    const { question } = polls.apply({ op: 'ask', text: 'When is the break?' }, guest, false);
+    assert.strictEqual(polls.apply({ op: 'answer', id: question.id }, guest, false), null);
+    assert.strictEqual(polls.apply({ op: 'answer', id: question.id }, host, true).question.answered, true);
+});
+
+test('rejects polls with too few or too many options or invalid text', () => {
+    const polls = new RoomPolls();
+    assert.strictEqual(polls.apply({ op: 'create', question: 'Lunch?', options: ['Pizza'] }, host, true), null);
+    assert.strictEqual(polls.apply({ op: 'create', question: 'Lunch?', options: Array(11).fill('Pizza') }, host, true), null);
+    assert.strictEqual(polls.apply({ op: 'create', question: ' ', options: ['Pizza', 'Sushi'] }, host, true), null);
+    assert.strictEqual(polls.apply({ op: 'create', question: 'Lunch?', options: ['Pizza', ''] }, host, true), null);
+    assert.strictEqual(polls.apply({ op: 'create', question: 'x'.repeat(501), options: ['Pizza', 'Sushi'] }, host, true), null);
+    assert.strictEqual(polls.apply({ op: 'create', question: 'Lunch?', options: 'Pizza' }, host, true), null);
+});
+
+test('counts one vote per author and checks the choices', () => {
+    const polls = new RoomPolls();
+    const poll = createPoll(polls);
+    
+    assert.deepStrictEqual(polls.apply({ op: 'vote', id: poll.id, choices: [0] }, guest).poll.counts, [1, 0, 0]);
+    // Voting again replaces the vote
+    assert.deepStrictEqual(polls.apply({ op: 'vote', id: poll.id, choices: [2] }, guest).poll.counts, [0, 0, 1]);
+    assert.strictEqual(polls.apply({ op: 'vote', id: poll.id, choices: [0, 1] }, guest), null);
+    assert.strictEqual(polls.apply({ op: 'vote', id: poll.id, choices: [3] }, guest), null);
+    assert.strictEqual(polls.apply({ op: 'vote', id: poll.id, choices: ['0'] }, guest), null);
+    assert.strictEqual(polls.apply({ op: 'vote', id: 'missing', choices: [0] }, guest), null);
+    // An empty list withdraws it
+    assert.strictEqual(polls.apply({ op: 'vote', id: poll.id, choices: [] }, guest).poll.voters, 0);
+    
+    polls.apply({ op: 'close', id: poll.id }, host, true);
+    assert.strictEqual(polls.apply({ op: 'vote', id: poll.id, choices: [1] }, guest), null);
+});
+
+test('takes several choices only in multiple-choice polls', () => {
+    const polls = new RoomPolls();
+    const poll = createPoll(polls, { multiple: true });
+    assert.deepStrictEqual(polls.apply({ op: 'vote', id: poll.id, choices: [2, 0, 0] }, guest).poll.counts, [1, 0, 1]);
+    assert.deepStrictEqual(polls.toJSON('guest').polls[0].choices, [0, 2]);
+    assert.deepStrictEqual(polls.toJSON('host').polls[0].choices, []);
+});
+
+test('hides who voted for what in anonymous polls', () => {
+    const polls = new RoomPolls();
+    const named = createPoll(polls);
+    const anonymous = createPoll(polls, { anonymous: true });
+    
+    assert.deepStrictEqual(polls.apply({ op: 'vote', id: named.id, choices: [1] }, guest).poll.votes, [{ name: 'Guest', choices: [1] }]);
+    const update = polls.apply({ op: 'vote', id: anonymous.id, choices: [1] }, guest);
+    assert.strictEqual(update.poll.votes, null);
+    assert.deepStrictEqual(update.poll.counts, [0, 1, 0]);
+});
+
+test('toggles upvotes until a question is answered', () => {
+    const polls = new RoomPolls();
+    const { question } = polls.apply({ op: 'ask', text: 'When is the break?' }, guest, false);
+    assert.strictEqual(polls.apply({ op: 'ask', text: '' }, guest, false), null);
+    
+    assert.deepStrictEqual(polls.apply({ op: 'upvote', id: question.id }, host).question.upvoters, ['host']);
+    assert.deepStrictEqual(polls.apply({ op: 'upvote', id: question.id }, host).question.upvoters, []);
+    polls.apply({ op: 'answer', id: question.id }, host, true);
+    assert.strictEqual(polls.apply({ op: 'upvote', id: question.id }, guest), null);
+    assert.strictEqual(polls.apply({ op: 'upvote', id: 'missing' }, guest), null);
+});
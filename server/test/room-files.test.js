@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const { Auth, UserStore, TokenSigner, authorIdFor } = require('../auth');
+const { ChatStore } = require('../chat');
+const { RoomManager } = require('../rooms');
+const { RoomContentStore } = require('../room-store');
+const { createRoomFileHandler } = require('../room-files');
+
+// What file-transfer.js computes in the browser: the SHA-256 of the 1 MB blocks' hashes
+function clientFileHash(bytes) {
+    const blockHashes = [];
+    for (let offset = 0; offset < bytes.length; offset += 1024 * 1024) {
+        blockHashes.push(crypto.createHash('sha256').update(bytes.subarray(offset, offset + 1024 * 1024)).digest('hex'));
+    }
+    return crypto.createHash('sha256').update(blockHashes.join('')).digest('hex');
+}
+
+let dir;
+let server;
+let baseUrl;
+let rooms;
+let session;
+
+before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'collabconnect-'));
+    const auth = new Auth(new UserStore(), new TokenSigner(crypto.randomBytes(32)));
+    rooms = new RoomManager(new ChatStore(), new RoomContentStore(dir));
+    const handleRoomFiles = createRoomFileHandler(auth, rooms, { maxStoredFileSize: 10 * 1024 * 1024, onStored: () => {} });
+    session = await auth.register({ username: 'uploader', password: 'correct horse battery' });
+    
+    server = http.createServer((req, res) => handleRoomFiles(req, res) || res.writeHead(404).end());
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    rooms.contentStore.pending.forEach(({ timer }) => clearTimeout(timer));
+    await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+// A persistent room in which the signed-in user shared `bytes` as announced with `hash`
+function shareInRoom(roomId, bytes, hash) {
+    const room = rooms.getOrCreate(roomId, { e2ee: null, persistent: true });
+    room.addParticipant('socket-1', { displayName: 'Uploader', authorId: authorIdFor({ id: session.user.id }) });
+    const file = { id: crypto.randomUUID(), size: bytes.length, name: 'notes.bin', type: 'application/octet-stream', hash, from: 'socket-1' };
+    room.addFile(file);
+    return file;
+}
+
+function upload(roomId, file, bytes) {
+    return fetch(`${baseUrl}/api/rooms/${roomId}/files/${file.id}`, {
+        method: 'PUT',
+        headers: { Authorization: `Bearer ${session.token}` },
+        body: bytes
+    });
+}
+
+test('stores an upload that matches the hash the client announced', async () => {
+    // Over two blocks, so the last one is partial
+    const bytes = crypto.randomBytes(2.5 * 1024 * 1024);
+    const file = shareInRoom('stored', bytes, clientFileHash(bytes));
+    
+    const res = await upload('stored', file, bytes);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(file.stored, true);
+    
+    const download = await fetch(`${baseUrl}/api/rooms/stored/files/${file.id}`, { headers: { Authorization: `Bearer ${session.token}` } });
+    assert.ok(Buffer.from(await download.arrayBuffer()).equals(bytes));
+});
+
+test('rejects an upload that does not match the announced hash', async () => {
+    const bytes = crypto.randomBytes(4096);
+    const file = shareInRoom('mismatch', bytes, clientFileHash(crypto.randomBytes(4096)));
+    
+    const res = await upload('mismatch', file, bytes);
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(file.stored, undefined);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { WhiteboardState } = require('../whiteboard');
+
+function rect(fields = {}) {
+    return { id: 'rect-1', type: 'rect', page: 0, color: '#336699', width: 0.005, points: [[0.1, 0.1], [0.4, 0.3]], ...fields };
+}
+
+function note(fields = {}) {
+    return { id: 'note-1', type: 'note', color: '#000000', width: 0, fontSize: 0.02, text: 'Agenda', points: [[0.5, 0.5], [0.75, 0.7]], ...fields };
+}
+
+test('keeps only the fields of the object model', () => {
+    const board = new WhiteboardState();
+    assert.strictEqual(board.apply({ type: 'add', object: rect({ author: 'someone-else', extra: 'x'.repeat(10000), onclick: 'alert(1)' }) }, 'socket-1'), true);
+    
+    assert.deepStrictEqual(board.objects.get('rect-1'), {
+        id: 'rect-1', type: 'rect', author: 'socket-1', color: '#336699', width: 0.005, points: [[0.1, 0.1], [0.4, 0.3]], page: 0
+    });
+    assert.strictEqual(board.apply({ type: 'add', object: note() }, 'socket-1'), true);
+    assert.deepStrictEqual(Object.keys(board.objects.get('note-1')).sort(),
+        ['author', 'color', 'fontSize', 'id', 'points', 'text', 'type', 'width']);
+});
+
+test('rejects objects with an invalid colour, width or font size', () => {
+    const board = new WhiteboardState();
+    for (const color of ['red', '#fff', 'x'.repeat(100000), 42, undefined]) {
+        assert.strictEqual(board.apply({ type: 'add', object: rect({ color }) }, 'socket-1'), false, `color ${color}`);
+    }
+    for (const width of [-1, 2, Infinity, NaN, '3', undefined]) {
+        assert.strictEqual(board.apply({ type: 'add', object: rect({ width }) }, 'socket-1'), false, `width ${width}`);
+    }
+    for (const fontSize of [0, 5, Infinity, '12px', undefined]) {
+        assert.strictEqual(board.apply({ type: 'add', object: note({ fontSize }) }, 'socket-1'), false, `fontSize ${fontSize}`);
+    }
+    assert.strictEqual(board.objects.size, 0);
+});
+
+test('caps the points of strokes and shapes', () => {
+    const board = new WhiteboardState();
+    const stroke = { id: 'stroke-1', tool: 'pen', color: '#000000', width: 0.003, points: [[0.5, 0.5]] };
+    assert.strictEqual(board.apply({ type: 'start', stroke: { ...stroke, points: Array(10001).fill([0.5, 0.5]) } }, 'socket-1'), false);
+    assert.strictEqual(board.apply({ type: 'add', object: rect({ points: [[0.1, 0.1], [0.2, 0.2], [0.3, 0.3]] }) }, 'socket-1'), false);
+    
+    assert.strictEqual(board.apply({ type: 'start', stroke }, 'socket-1'), true);
+    assert.strictEqual(board.apply({ type: 'points', strokeId: 'stroke-1', points: Array(9999).fill([0.5, 0.5]) }, 'socket-1'), true);
+    assert.strictEqual(board.apply({ type: 'points', strokeId: 'stroke-1', points: [[0.5, 0.5]] }, 'socket-1'), false);
+    // Only its author adds to a stroke
+    assert.strictEqual(board.apply({ type: 'points', strokeId: 'stroke-1', points: [] }, 'socket-2'), false);
+});
+
+test('rejects strokes with an unknown tool', () => {
+    const board = new WhiteboardState();
+    const stroke = { id: 'stroke-1', tool: 'flamethrower', color: '#000000', width: 0.003, points: [[0.5, 0.5]] };
+    assert.strictEqual(board.apply({ type: 'start', stroke }, 'socket-1'), false);
+});
+
+test('applies updates to the updatable fields only', () => {
+    const board = new WhiteboardState();
+    board.apply({ type: 'add', object: note() }, 'socket-1');
+    
+    assert.strictEqual(board.apply({ type: 'update', id: 'note-1', changes: { text: 'Actions', color: '#aa0000', fontSize: 0.03 } }, 'socket-2'), true);
+    assert.strictEqual(board.objects.get('note-1').text, 'Actions');
+    assert.strictEqual(board.objects.get('note-1').author, 'socket-1');
+    assert.strictEqual(board.apply({ type: 'update', id: 'note-1', changes: { author: 'socket-2' } }, 'socket-2'), false);
+    assert.strictEqual(board.apply({ type: 'update', id: 'missing', changes: { text: 'x' } }, 'socket-2'), false);
+});
+
+test('rejects updates with an invalid colour, width or font size', () => {
+    const board = new WhiteboardState();
+    board.apply({ type: 'add', object: note() }, 'socket-1');
+    
+    for (const changes of [{ color: 'x'.repeat(100000) }, { color: 'blue' }, { width: 'wide' }, { width: -0.1 },
+        { fontSize: Infinity }, { fontSize: 0 }, { text: 'x'.repeat(2001) }, { points: [[0.1, 0.1]] }]) {
+        assert.strictEqual(board.apply({ type: 'update', id: 'note-1', changes }, 'socket-1'), false, JSON.stringify(changes).slice(0, 40));
+    }
+    assert.deepStrictEqual(board.objects.get('note-1'), { ...note(), author: 'socket-1' });
+});
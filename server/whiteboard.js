@@ -0,0 +1,221 @@
+// CollabConnect - Server copy of a room's whiteboard
+// Mirrors the client object model in whiteboard.js so late joiners get the full board
+
+// Limits that keep one room's whiteboard from growing without bound
+const MAX_OBJECTS = 5000;
+const MAX_STROKE_POINTS = 10000;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_PAGES = 50;
+// Backgrounds are downscaled JPEG data URLs; this caps one at roughly 900 KB
+const MAX_BACKGROUND_LENGTH = 900000;
+// Sealed operations are base64, about a third larger than the operation itself
+const MAX_SEALED_OP_LENGTH = 1300000;
+const MAX_SEALED_LOG_LENGTH = 64 * 1024 * 1024;
+
+const OBJECT_TYPES = ['stroke', 'line', 'arrow', 'rect', 'ellipse', 'text', 'note'];
+const STROKE_TOOLS = ['pen', 'eraser'];
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+// Widths and font sizes are fractions of the board width
+const MAX_WIDTH = 1;
+const MAX_AUTHOR_NAME_LENGTH = 50;
+// Fields a client may change on an existing object
+const UPDATABLE_FIELDS = ['points', 'text', 'color', 'width', 'fontSize'];
+
+class WhiteboardState {
+    constructor() {
+        // object id -> object, in drawing (z) order
+        this.objects = new Map();
+        // page -> { name, dataUrl }
+        this.backgrounds = new Map();
+    }
+    
+    // Apply a whiteboard-draw operation; returns false if it should not be relayed
+    apply(op, authorId) {
+        switch (op.type) {
+            case 'start':
+                return this.add({ ...op.stroke, type: 'stroke' }, authorId);
+            case 'points':
+                return this.appendPoints(op.strokeId, op.points, authorId);
+            case 'end':
+                return this.objects.has(op.strokeId);
+            case 'add':
+                return this.add(op.object, authorId, op.index);
+            case 'update':
+                return this.update(op.id, op.changes);
+            case 'remove':
+                return this.objects.delete(op.id);
+            case 'background':
+                return this.setBackground(op.page, op.background);
+            default:
+                return false;
+        }
+    }
+    
+    add(object, authorId, index) {
+        const copy = this.copyObject(object, authorId);
+        if (!copy || this.objects.has(copy.id) || this.objects.size >= MAX_OBJECTS) return false;
+        
+        if (Number.isInteger(index) && index >= 0 && index < this.objects.size) {
+            const entries = Array.from(this.objects.entries());
+            entries.splice(index, 0, [copy.id, copy]);
+            this.objects = new Map(entries);
+        } else {
+            this.objects.set(copy.id, copy);
+        }
+        return true;
+    }
+    
+    appendPoints(strokeId, points, authorId) {
+        const stroke = this.objects.get(strokeId);
+        if (!stroke || stroke.type !== 'stroke' || stroke.author !== authorId) return false;
+        if (!this.isPointList(points) || stroke.points.length + points.length > MAX_STROKE_POINTS) return false;
+        
+        stroke.points.push(...points);
+        return true;
+    }
+    
+    update(id, changes) {
+        const object = this.objects.get(id);
+        if (!object || !changes || typeof changes !== 'object') return false;
+        
+        const updated = { ...object };
+        for (const key of Object.keys(changes)) {
+            if (!UPDATABLE_FIELDS.includes(key)) return false;
+            updated[key] = changes[key];
+        }
+        const copy = this.copyObject(updated, object.author);
+        if (!copy) return false;
+        
+        this.objects.set(id, copy);
+        return true;
+    }
+    
+    // A copy of `object` with only the fields of the object model (see whiteboard.js),
+    // or null if any of them is invalid. Whatever else a client sends is dropped, so
+    // it never reaches late joiners or the saved board.
+    copyObject(object, authorId) {
+        if (!this.isValidObject(object)) return null;
+        
+        const copy = {
+            id: object.id,
+            type: object.type,
+            author: authorId,
+            color: object.color,
+            width: object.width,
+            points: object.points.map(p => [...p])
+        };
+        if (object.page !== undefined) copy.page = object.page;
+        if (object.type === 'stroke') {
+            copy.tool = object.tool;
+            if (object.authorName !== undefined) copy.authorName = object.authorName;
+        }
+        if (object.type === 'text' || object.type === 'note') {
+            copy.text = object.text;
+            copy.fontSize = object.fontSize;
+        }
+        return copy;
+    }
+    
+    setBackground(page, background) {
+        if (!this.isValidPage(page)) return false;
+        
+        if (background === null) {
+            this.backgrounds.delete(page);
+            return true;
+        }
+        if (!background || typeof background.dataUrl !== 'string') return false;
+        if (!background.dataUrl.startsWith('data:image/') || background.dataUrl.length > MAX_BACKGROUND_LENGTH) return false;
+        
+        this.backgrounds.set(page, {
+            name: String(background.name || '').slice(0, 200),
+            dataUrl: background.dataUrl
+        });
+        return true;
+    }
+    
+    isValidPage(page) {
+        return Number.isInteger(page) && page >= 0 && page < MAX_PAGES;
+    }
+    
+    isValidObject(object) {
+        if (!object || typeof object.id !== 'string' || object.id.length > 64 || !OBJECT_TYPES.includes(object.type)) return false;
+        if (object.page !== undefined && !this.isValidPage(object.page)) return false;
+        if (typeof object.color !== 'string' || !COLOR_PATTERN.test(object.color) || !this.isValidSize(object.width)) return false;
+        if (!this.isPointList(object.points) || object.points.length === 0) return false;
+        if (object.type === 'stroke') {
+            return object.points.length <= MAX_STROKE_POINTS && STROKE_TOOLS.includes(object.tool) &&
+                (object.authorName === undefined ||
+                    (typeof object.authorName === 'string' && object.authorName.length <= MAX_AUTHOR_NAME_LENGTH));
+        }
+        if (object.points.length !== 2) return false;
+        if (object.type === 'text' || object.type === 'note') {
+            return typeof object.text === 'string' && object.text.length <= MAX_TEXT_LENGTH &&
+                this.isValidSize(object.fontSize) && object.fontSize > 0;
+        }
+        return true;
+    }
+    
+    isValidSize(size) {
+        return typeof size === 'number' && Number.isFinite(size) && size >= 0 && size <= MAX_WIDTH;
+    }
+    
+    isPointList(points) {
+        return Array.isArray(points) && points.every(p =>
+            Array.isArray(p) && p.length === 2 && p.every(n => typeof n === 'number' && n >= 0 && n <= 1));
+    }
+    
+    clear() {
+        this.objects.clear();
+        this.backgrounds.clear();
+    }
+    
+    // Restores a board saved with toJSON()
+    load({ objects = [], backgrounds = [] }) {
+        this.objects = new Map(objects.map(object => [object.id, object]));
+        this.backgrounds = new Map(backgrounds.map(({ page, background }) => [page, background]));
+    }
+    
+    toJSON() {
+        return {
+            objects: Array.from(this.objects.values()),
+            backgrounds: Array.from(this.backgrounds.entries()).map(([page, background]) => ({ page, background }))
+        };
+    }
+}
+
+// The board of an end-to-end encrypted room. Its operations arrive sealed, so
+// instead of a board the server keeps the list of operations, with who sent
+// each, for late joiners to replay. Clients check stroke ownership themselves
+// once they have opened them.
+class SealedWhiteboard {
+    constructor() {
+        // { author, sealed }, oldest first
+        this.operations = [];
+        this.length = 0;
+    }
+    
+    apply(op, authorId) {
+        if (op.type !== 'sealed' || typeof op.sealed !== 'string' || !op.sealed.startsWith('e2ee:')) return false;
+        if (op.sealed.length > MAX_SEALED_OP_LENGTH || this.length + op.sealed.length > MAX_SEALED_LOG_LENGTH) return false;
+        
+        this.operations.push({ author: authorId, sealed: op.sealed });
+        this.length += op.sealed.length;
+        return true;
+    }
+    
+    clear() {
+        this.operations = [];
+        this.length = 0;
+    }
+    
+    load({ sealed = [] }) {
+        this.operations = sealed;
+        this.length = sealed.reduce((length, op) => length + op.sealed.length, 0);
+    }
+    
+    toJSON() {
+        return { sealed: this.operations };
+    }
+}
+
+module.exports = { WhiteboardState, SealedWhiteboard };
@@ -0,0 +1,339 @@
+// CollabConnect - Whiteboard export and background import
+// Exports render from the object model rather than the on-screen canvas, so any
+// page can be exported at a higher resolution: PNG and SVG for one page, PDF for
+// all of them. Imported images and PDF pages become a page's locked background.
+
+// Exports are rendered at this multiple of the on-screen board size
+const EXPORT_SCALE = 2;
+// PDF page width in points (A4 landscape); the height follows the board's aspect ratio
+const PDF_PAGE_WIDTH = 842;
+// Backgrounds are sent to everyone in the room, so keep them small
+const BACKGROUND_MAX_SIZE = 1600;
+const BACKGROUND_MAX_LENGTH = 900000;
+const PDFJS_SRC = '/vendor/pdf.min.js';
+const PDFJS_WORKER_SRC = '/vendor/pdf.worker.min.js';
+const FONT_FAMILY = "'Segoe UI', Tahoma, sans-serif";
+
+class WhiteboardFiles {
+    constructor(whiteboard) {
+        this.whiteboard = whiteboard;
+        this.pdfjs = null;
+    }
+    
+    // Returns a Blob; PNG and SVG export `page`, PDF exports every page
+    async export(format, page) {
+        switch (format) {
+            case 'png':
+                return this.toPNG(page);
+            case 'svg':
+                return this.toSVG(page);
+            case 'pdf':
+                return this.toPDF();
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+    
+    getExportSize() {
+        const { width, height } = this.whiteboard.canvas;
+        return { width: width * EXPORT_SCALE, height: height * EXPORT_SCALE };
+    }
+    
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    
+    async renderPage(page) {
+        const { width, height } = this.getExportSize();
+        const canvas = this.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        
+        const background = this.whiteboard.backgrounds.get(page);
+        if (background) {
+            ctx.drawImage(await this.loadImage(background.dataUrl), 0, 0, width, height);
+        }
+        
+        // Eraser strokes draw with destination-out; on the export canvas they would
+        // also wipe the page's white fill and imported background out of the file
+        const layer = this.createCanvas(width, height);
+        const layerCtx = layer.getContext('2d');
+        this.whiteboard.getPageObjects(page).forEach(object => this.whiteboard.drawObject(object, layerCtx));
+        ctx.drawImage(layer, 0, 0);
+        
+        return canvas;
+    }
+    
+    async toPNG(page) {
+        const canvas = await this.renderPage(page);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+        });
+    }
+    
+    toSVG(page) {
+        const { width, height } = this.getExportSize();
+        const defs = [];
+        let content = '';
+        
+        this.whiteboard.getPageObjects(page).forEach(object => {
+            if (object.type === 'stroke' && object.tool === 'eraser') {
+                // An eraser stroke hides everything drawn before it
+                const maskId = `erase-${defs.length}`;
+                defs.push(`<mask id="${maskId}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">` +
+                    `<rect width="${width}" height="${height}" fill="white"/>` +
+                    this.strokeToSVG({ ...object, color: 'black' }, width, height) +
+                    '</mask>');
+                content = `<g mask="url(#${maskId})">${content}</g>`;
+            } else {
+                content += this.objectToSVG(object, width, height);
+            }
+        });
+        
+        const background = this.whiteboard.backgrounds.get(page);
+        const backgroundImage = background
+            ? `<image href="${background.dataUrl}" x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="none"/>`
+            : '';
+        
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<defs>${defs.join('')}</defs>` +
+            `<rect width="${width}" height="${height}" fill="#ffffff"/>` +
+            backgroundImage +
+            `<g>${content}</g>` +
+            '</svg>';
+        return new Blob([svg], { type: 'image/svg+xml' });
+    }
+    
+    objectToSVG(object, width, height) {
+        if (object.type === 'stroke') return this.strokeToSVG(object, width, height);
+        if (SHAPE_TYPES.includes(object.type)) return this.shapeToSVG(object, width, height);
+        if (TEXT_TYPES.includes(object.type)) return this.textToSVG(object, width, height);
+        return '';
+    }
+    
+    strokeAttributes(object, width) {
+        const lineWidth = this.formatNumber(Math.max(object.width * width, 1));
+        return `fill="none" stroke="${this.escapeXml(object.color)}" stroke-width="${lineWidth}" stroke-linecap="round" stroke-linejoin="round"`;
+    }
+    
+    strokeToSVG(stroke, width, height) {
+        // A single point still draws a dot, as it does on the canvas
+        const points = stroke.points.length === 1 ? [stroke.points[0], stroke.points[0]] : stroke.points;
+        const d = points.map(([x, y], i) =>
+            `${i === 0 ? 'M' : 'L'}${this.formatNumber(x * width)} ${this.formatNumber(y * height)}`).join(' ');
+        return `<path d="${d}" ${this.strokeAttributes(stroke, width)}/>`;
+    }
+    
+    shapeToSVG(shape, width, height) {
+        const [[ax, ay], [bx, by]] = shape.points;
+        const [x1, y1, x2, y2] = [ax * width, ay * height, bx * width, by * height].map(n => this.formatNumber(n));
+        const attributes = this.strokeAttributes(shape, width);
+        
+        switch (shape.type) {
+            case 'rect':
+                return `<rect x="${Math.min(x1, x2)}" y="${Math.min(y1, y2)}" width="${this.formatNumber(Math.abs(x2 - x1))}" height="${this.formatNumber(Math.abs(y2 - y1))}" ${attributes}/>`;
+            case 'ellipse':
+                return `<ellipse cx="${this.formatNumber((x1 + x2) / 2)}" cy="${this.formatNumber((y1 + y2) / 2)}" rx="${this.formatNumber(Math.abs(x2 - x1) / 2)}" ry="${this.formatNumber(Math.abs(y2 - y1) / 2)}" ${attributes}/>`;
+            case 'line':
+                return `<path d="M${x1} ${y1} L${x2} ${y2}" ${attributes}/>`;
+            case 'arrow': {
+                // Same arrow head geometry as Whiteboard.drawShape
+                const angle = Math.atan2(y2 - y1, x2 - x1);
+                const head = Math.max(Math.max(shape.width * width, 1) * 4, 10);
+                const wing = (offset) => `M${x2} ${y2} L${this.formatNumber(x2 - head * Math.cos(angle + offset))} ${this.formatNumber(y2 - head * Math.sin(angle + offset))}`;
+                return `<path d="M${x1} ${y1} L${x2} ${y2} ${wing(-Math.PI / 6)} ${wing(Math.PI / 6)}" ${attributes}/>`;
+            }
+        }
+        return '';
+    }
+    
+    textToSVG(object, width, height) {
+        const [x1, y1, x2, y2] = this.whiteboard.getBounds(object);
+        const fontSize = Math.max(object.fontSize * width, 8);
+        const padding = object.type === 'note' ? fontSize / 2 : 0;
+        let svg = '';
+        
+        if (object.type === 'note') {
+            svg += `<rect x="${this.formatNumber(x1 * width)}" y="${this.formatNumber(y1 * height)}" ` +
+                `width="${this.formatNumber((x2 - x1) * width)}" height="${this.formatNumber((y2 - y1) * height)}" fill="${NOTE_COLOR}"/>`;
+        }
+        
+        // Wrap with the same measurements the canvas uses
+        const measure = this.createCanvas(1, 1).getContext('2d');
+        measure.font = `${fontSize}px ${FONT_FAMILY}`;
+        const lines = this.whiteboard.wrapText(object.text, (x2 - x1) * width - padding * 2, measure);
+        
+        lines.forEach((line, i) => {
+            const x = this.formatNumber(x1 * width + padding);
+            const y = this.formatNumber(y1 * height + padding + i * fontSize * 1.2);
+            svg += `<text x="${x}" y="${y}" font-size="${this.formatNumber(fontSize)}" font-family="${this.escapeXml(FONT_FAMILY)}" ` +
+                `fill="${this.escapeXml(object.color)}" dominant-baseline="hanging" xml:space="preserve">${this.escapeXml(line)}</text>`;
+        });
+        return svg;
+    }
+    
+    // Minimal PDF writer: one page per board page, each a full-page JPEG
+    async toPDF() {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+        
+        const write = (data) => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        const startObject = (id) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+        };
+        
+        const { width, height } = this.getExportSize();
+        const pageWidth = PDF_PAGE_WIDTH;
+        const pageHeight = Math.round(PDF_PAGE_WIDTH * height / width);
+        const pageCount = this.whiteboard.pageCount;
+        // 1 is the catalog and 2 the page tree; each page then uses three objects:
+        // the page itself, its content stream and its image
+        const pageIds = Array.from({ length: pageCount }, (_, i) => 3 + i * 3);
+        
+        write('%PDF-1.4\n');
+        write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+        startObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+        startObject(2);
+        write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageCount} >>\nendobj\n`);
+        
+        for (let page = 0; page < pageCount; page++) {
+            const id = pageIds[page];
+            const canvas = await this.renderPage(page);
+            const jpeg = this.dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92));
+            const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+            
+            startObject(id);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+                `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>\nendobj\n`);
+            startObject(id + 1);
+            write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+            startObject(id + 2);
+            write(`<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`);
+            write(jpeg);
+            write('\nendstream\nendobj\n');
+        }
+        
+        const objectCount = 3 + pageCount * 3;
+        const xrefOffset = length;
+        write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+        for (let id = 1; id < objectCount; id++) {
+            write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+        
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+    
+    // Background import
+    
+    async imageFromBlob(blob) {
+        const url = URL.createObjectURL(blob);
+        try {
+            return await this.loadImage(url);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    
+    // pdf.js is only downloaded the first time a PDF is imported
+    async loadPdfjs() {
+        if (this.pdfjs) return this.pdfjs;
+        
+        await new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = PDFJS_SRC;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error('Could not load the PDF viewer'));
+            document.head.appendChild(script);
+        });
+        this.pdfjs = window.pdfjsLib;
+        this.pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+        return this.pdfjs;
+    }
+    
+    async openPdf(blob) {
+        const pdfjs = await this.loadPdfjs();
+        return pdfjs.getDocument({ data: await blob.arrayBuffer() }).promise;
+    }
+    
+    // Render page `pageNumber` (1-based) of a document returned by openPdf()
+    async renderPdfPage(pdf, pageNumber) {
+        const page = await pdf.getPage(pageNumber);
+        const unscaled = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: BACKGROUND_MAX_SIZE / Math.max(unscaled.width, unscaled.height) });
+        const canvas = this.createCanvas(Math.round(viewport.width), Math.round(viewport.height));
+        
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        return canvas;
+    }
+    
+    // Fit an image or canvas inside the board's aspect ratio and encode it as a
+    // JPEG data URL small enough to relay through the signaling server
+    toBackgroundDataUrl(source) {
+        const aspect = this.whiteboard.canvas.width / this.whiteboard.canvas.height;
+        let size = BACKGROUND_MAX_SIZE;
+        
+        for (;;) {
+            const width = aspect >= 1 ? size : Math.round(size * aspect);
+            const height = aspect >= 1 ? Math.round(size / aspect) : size;
+            const canvas = this.createCanvas(width, height);
+            const ctx = canvas.getContext('2d');
+            const scale = Math.min(width / source.width, height / source.height);
+            const drawWidth = source.width * scale;
+            const drawHeight = source.height * scale;
+            
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, width, height);
+            ctx.drawImage(source, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+            
+            const dataUrl = canvas.toDataURL('image/jpeg', 0.8);
+            if (dataUrl.length <= BACKGROUND_MAX_LENGTH || size <= 200) return dataUrl;
+            size = Math.round(size * 0.75);
+        }
+    }
+    
+    // Helpers
+    
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Could not load image'));
+            image.src = src;
+        });
+    }
+    
+    dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+    
+    formatNumber(value) {
+        return Math.round(value * 10) / 10;
+    }
+    
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,445 @@
+// CollabConnect - Whiteboard object model
+// Board content is a list of objects rather than raw pixels: freehand strokes,
+// shapes, text boxes and sticky notes. Points are stored normalized to 0..1 of
+// the board size (and widths/font sizes to a fraction of its width) so boards
+// rendered at different canvas sizes line up.
+//
+// Every object has { id, type, author, color, width, points }. Freehand strokes
+// keep all their points; every other type keeps two corner points, and text and
+// notes also carry { text, fontSize }. Objects also carry the `page` they are on
+// (missing means the first), and each page may have a background image.
+
+const SHAPE_TYPES = ['line', 'arrow', 'rect', 'ellipse'];
+const TEXT_TYPES = ['text', 'note'];
+
+// Size of a new sticky note as a fraction of the board
+const NOTE_SIZE = [0.25, 0.2];
+const NOTE_COLOR = '#fff3a0';
+// Resize handle size in canvas pixels
+const HANDLE_SIZE = 8;
+const MAX_PAGES = 50;
+
+class Whiteboard {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        // object id -> object, in drawing (z) order
+        this.objects = new Map();
+        // Shape being dragged out, drawn on top but not part of the board yet
+        this.draft = null;
+        this.selectedId = null;
+        
+        // Each participant views one page at a time; objects carry their page number
+        this.page = 0;
+        this.pageCount = 1;
+        // page -> { name, dataUrl } locked background image
+        this.backgrounds = new Map();
+    }
+    
+    // Convert a pointer position to normalized board coordinates
+    toBoardPoint(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (clientX - rect.left) / rect.width;
+        const y = (clientY - rect.top) / rect.height;
+        return [this.round(x), this.round(y)];
+    }
+    
+    // Convert a size in CSS pixels to a fraction of the board width
+    toBoardWidth(size) {
+        const rect = this.canvas.getBoundingClientRect();
+        return this.round(size / (rect.width || this.canvas.width));
+    }
+    
+    round(value) {
+        return Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+    }
+    
+    get(id) {
+        return this.objects.get(id) || null;
+    }
+    
+    // Index of an object in drawing order, used to restore it on undo
+    indexOf(id) {
+        return Array.from(this.objects.keys()).indexOf(id);
+    }
+    
+    pageOf(object) {
+        return object.page || 0;
+    }
+    
+    isOnCurrentPage(object) {
+        return this.pageOf(object) === this.page;
+    }
+    
+    beginStroke(stroke) {
+        const copy = { ...stroke, type: 'stroke', points: [] };
+        this.objects.set(copy.id, copy);
+        this.ensurePage(this.pageOf(copy));
+        this.appendPoints(copy.id, stroke.points);
+    }
+    
+    appendPoints(strokeId, points) {
+        const stroke = this.objects.get(strokeId);
+        if (!stroke) return;
+        
+        points.forEach(point => {
+            const last = stroke.points[stroke.points.length - 1] || point;
+            stroke.points.push(point);
+            if (this.isOnCurrentPage(stroke)) {
+                this.drawSegment(stroke, last, point);
+            }
+        });
+    }
+    
+    add(object, index = -1) {
+        const copy = this.clone(object);
+        this.ensurePage(this.pageOf(copy));
+        if (index < 0 || index >= this.objects.size) {
+            this.objects.set(copy.id, copy);
+        } else {
+            const entries = Array.from(this.objects.entries());
+            entries.splice(index, 0, [copy.id, copy]);
+            this.objects = new Map(entries);
+        }
+        this.redraw();
+    }
+    
+    // Returns the previous values of the changed fields, or null if the object is gone
+    update(id, changes) {
+        const object = this.objects.get(id);
+        if (!object) return null;
+        
+        const previous = {};
+        Object.keys(changes).forEach(key => {
+            previous[key] = this.clone(object[key]);
+            object[key] = this.clone(changes[key]);
+        });
+        this.redraw();
+        return previous;
+    }
+    
+    // Returns the removed object, or null if there was none
+    remove(id) {
+        const object = this.objects.get(id);
+        if (!object) return null;
+        
+        this.objects.delete(id);
+        if (this.selectedId === id) this.selectedId = null;
+        this.redraw();
+        return object;
+    }
+    
+    clear() {
+        this.objects.clear();
+        this.backgrounds.clear();
+        this.draft = null;
+        this.selectedId = null;
+        this.page = 0;
+        this.pageCount = 1;
+        this.showBackground();
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+    
+    // Replace the board with a snapshot (late joiners)
+    load({ objects, backgrounds }) {
+        this.objects = new Map(objects.map(object => [object.id, this.clone(object)]));
+        this.backgrounds = new Map(backgrounds.map(({ page, background }) => [page, background]));
+        this.selectedId = null;
+        this.pageCount = 1;
+        this.objects.forEach(object => this.ensurePage(this.pageOf(object)));
+        this.backgrounds.forEach((background, page) => this.ensurePage(page));
+        this.showBackground();
+        this.redraw();
+    }
+    
+    toJSON() {
+        return {
+            objects: Array.from(this.objects.values()),
+            backgrounds: Array.from(this.backgrounds.entries()).map(([page, background]) => ({ page, background }))
+        };
+    }
+    
+    // Objects on one page, in drawing order
+    getPageObjects(page) {
+        return Array.from(this.objects.values()).filter(object => this.pageOf(object) === page);
+    }
+    
+    ensurePage(page) {
+        this.pageCount = Math.min(Math.max(this.pageCount, page + 1), MAX_PAGES);
+    }
+    
+    setPage(page) {
+        if (page < 0 || page >= MAX_PAGES) return;
+        
+        this.ensurePage(page);
+        this.page = page;
+        this.selectedId = null;
+        this.draft = null;
+        this.showBackground();
+        this.redraw();
+    }
+    
+    // Returns the previous background of the page (or null)
+    setBackground(page, background) {
+        const previous = this.backgrounds.get(page) || null;
+        if (background) {
+            this.backgrounds.set(page, background);
+            this.ensurePage(page);
+        } else {
+            this.backgrounds.delete(page);
+        }
+        this.showBackground();
+        return previous;
+    }
+    
+    // The background sits under the canvas, so the eraser never removes it
+    showBackground() {
+        const background = this.backgrounds.get(this.page);
+        this.canvas.style.backgroundImage = background ? `url("${background.dataUrl}")` : '';
+    }
+    
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+    
+    setDraft(object) {
+        this.draft = object;
+        this.redraw();
+    }
+    
+    select(id) {
+        this.selectedId = id;
+        this.redraw();
+    }
+    
+    // Topmost object under a board point
+    hitTest(point) {
+        const tolerance = HANDLE_SIZE / this.canvas.width;
+        const objects = this.getPageObjects(this.page).reverse();
+        return objects.find(object => {
+            if (object.type === 'stroke' && object.tool === 'eraser') return false;
+            const [x1, y1, x2, y2] = this.getBounds(object);
+            return point[0] >= x1 - tolerance && point[0] <= x2 + tolerance &&
+                point[1] >= y1 - tolerance && point[1] <= y2 + tolerance;
+        }) || null;
+    }
+    
+    // Whether a board point is on the selected object's resize handle
+    isOnResizeHandle(point) {
+        const object = this.get(this.selectedId);
+        if (!object) return false;
+        
+        const [, , x2, y2] = this.getBounds(object);
+        const tolerance = HANDLE_SIZE / this.canvas.width;
+        return Math.abs(point[0] - x2) <= tolerance && Math.abs(point[1] - y2) <= tolerance;
+    }
+    
+    // [minX, minY, maxX, maxY] in board coordinates
+    getBounds(object) {
+        const xs = object.points.map(p => p[0]);
+        const ys = object.points.map(p => p[1]);
+        return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+    }
+    
+    // Points for an object moved by (dx, dy)
+    translatePoints(object, dx, dy) {
+        const [x1, y1, x2, y2] = this.getBounds(object);
+        const clampedDx = Math.min(Math.max(dx, -x1), 1 - x2);
+        const clampedDy = Math.min(Math.max(dy, -y1), 1 - y2);
+        return object.points.map(([x, y]) => [this.round(x + clampedDx), this.round(y + clampedDy)]);
+    }
+    
+    // Points for an object whose bottom-right corner is dragged to `corner`
+    resizePoints(object, corner) {
+        const [x1, y1, x2, y2] = this.getBounds(object);
+        const minSize = 0.01;
+        const scaleX = Math.max(corner[0] - x1, minSize) / Math.max(x2 - x1, minSize);
+        const scaleY = Math.max(corner[1] - y1, minSize) / Math.max(y2 - y1, minSize);
+        
+        return object.points.map(([x, y]) => [
+            this.round(x1 + (x - x1) * scaleX),
+            this.round(y1 + (y - y1) * scaleY)
+        ]);
+    }
+    
+    // Match the canvas resolution to its on-screen size and repaint
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+        
+        const width = Math.round(rect.width);
+        const height = Math.round(rect.height);
+        if (width === this.canvas.width && height === this.canvas.height) return;
+        
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.redraw();
+    }
+    
+    redraw() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.getPageObjects(this.page).forEach(object => this.drawObject(object));
+        
+        if (this.draft) {
+            this.drawObject(this.draft);
+        }
+        if (this.selectedId && this.objects.has(this.selectedId)) {
+            this.drawSelection(this.objects.get(this.selectedId));
+        }
+    }
+    
+    // The draw methods default to the board canvas; exports pass their own context
+    drawObject(object, ctx = this.ctx) {
+        if (object.type === 'stroke') {
+            this.drawStroke(object, ctx);
+        } else if (SHAPE_TYPES.includes(object.type)) {
+            this.drawShape(object, ctx);
+        } else if (TEXT_TYPES.includes(object.type)) {
+            this.drawText(object, ctx);
+        }
+    }
+    
+    drawStroke(stroke, ctx = this.ctx) {
+        stroke.points.forEach((point, i) => {
+            this.drawSegment(stroke, stroke.points[i - 1] || point, point, ctx);
+        });
+    }
+    
+    drawSegment(stroke, from, to, ctx = this.ctx) {
+        const { width, height } = ctx.canvas;
+        
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = Math.max(stroke.width * width, 1);
+        
+        if (stroke.tool === 'eraser') {
+            ctx.globalCompositeOperation = 'destination-out';
+        } else {
+            ctx.globalCompositeOperation = 'source-over';
+            ctx.strokeStyle = stroke.color;
+        }
+        
+        ctx.beginPath();
+        ctx.moveTo(from[0] * width, from[1] * height);
+        ctx.lineTo(to[0] * width, to[1] * height);
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    drawShape(shape, ctx = this.ctx) {
+        const { width, height } = ctx.canvas;
+        const [[ax, ay], [bx, by]] = shape.points;
+        const x1 = ax * width;
+        const y1 = ay * height;
+        const x2 = bx * width;
+        const y2 = by * height;
+        
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = Math.max(shape.width * width, 1);
+        ctx.strokeStyle = shape.color;
+        ctx.beginPath();
+        
+        switch (shape.type) {
+            case 'rect':
+                ctx.rect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+                break;
+            case 'ellipse':
+                ctx.ellipse((x1 + x2) / 2, (y1 + y2) / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2, 0, 0, Math.PI * 2);
+                break;
+            case 'line':
+            case 'arrow':
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+                if (shape.type === 'arrow') {
+                    const angle = Math.atan2(y2 - y1, x2 - x1);
+                    const head = Math.max(ctx.lineWidth * 4, 10);
+                    ctx.moveTo(x2, y2);
+                    ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6));
+                    ctx.moveTo(x2, y2);
+                    ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6));
+                }
+                break;
+        }
+        
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    drawText(object, ctx = this.ctx) {
+        const { width, height } = ctx.canvas;
+        const [x1, y1, x2, y2] = this.getBounds(object);
+        const fontSize = Math.max(object.fontSize * width, 8);
+        const padding = object.type === 'note' ? fontSize / 2 : 0;
+        
+        ctx.save();
+        if (object.type === 'note') {
+            ctx.fillStyle = NOTE_COLOR;
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.2)';
+            ctx.shadowBlur = 6;
+            ctx.fillRect(x1 * width, y1 * height, (x2 - x1) * width, (y2 - y1) * height);
+            ctx.shadowBlur = 0;
+        }
+        
+        ctx.fillStyle = object.color;
+        ctx.font = `${fontSize}px 'Segoe UI', Tahoma, sans-serif`;
+        ctx.textBaseline = 'top';
+        
+        const lines = this.wrapText(object.text, (x2 - x1) * width - padding * 2, ctx);
+        lines.forEach((line, i) => {
+            ctx.fillText(line, x1 * width + padding, y1 * height + padding + i * fontSize * 1.2);
+        });
+        ctx.restore();
+    }
+    
+    // Break text into lines that fit `maxWidth` pixels with the context's current font
+    wrapText(text, maxWidth, ctx = this.ctx) {
+        const lines = [];
+        text.split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(' ').forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && ctx.measureText(candidate).width > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+    
+    // Height (board fraction) a text object needs for its wrapped lines
+    measureTextHeight(object) {
+        const width = this.canvas.width;
+        const fontSize = Math.max(object.fontSize * width, 8);
+        const [x1, , x2] = this.getBounds(object);
+        
+        this.ctx.save();
+        this.ctx.font = `${fontSize}px 'Segoe UI', Tahoma, sans-serif`;
+        const lines = this.wrapText(object.text, (x2 - x1) * width);
+        this.ctx.restore();
+        
+        return this.round(lines.length * fontSize * 1.2 / this.canvas.height);
+    }
+    
+    drawSelection(object) {
+        const { width, height } = this.canvas;
+        const ctx = this.ctx;
+        const [x1, y1, x2, y2] = this.getBounds(object);
+        
+        ctx.save();
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.strokeRect(x1 * width - 4, y1 * height - 4, (x2 - x1) * width + 8, (y2 - y1) * height + 8);
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#667eea';
+        ctx.fillRect(x2 * width - HANDLE_SIZE / 2, y2 * height - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+        ctx.restore();
+    }
+}